@@ -1,6 +1,9 @@
 import Ad from "../models/Ad.js";
 import cloudinary from "../utils/cloudinary.js";
 
+// What moderators look at when they review an ad
+const REVIEWED_FIELDS = ["title", "description", "tags", "creative", "targeting"];
+
 // @desc    Create a new ad campaign
 // @route   POST /api/ads
 // @access  Private
@@ -199,7 +202,16 @@ export const updateAd = async (req, res) => {
       });
     }
 
-    Object.assign(ad, req.body);
+    // Review decisions belong to moderators; edits to what they reviewed go back
+    // for review, and a rejected ad waits for the new decision
+    const { review, status, ...updates } = req.body;
+    Object.assign(ad, updates);
+    if (REVIEWED_FIELDS.some((field) => ad.isModified(field))) {
+      ad.review = { status: "pending" };
+      if (ad.status === "rejected") {
+        ad.status = "pending_review";
+      }
+    }
     await ad.save();
 
     await ad.populate("advertiser", "name username profilePicture");
@@ -249,6 +261,13 @@ export const updateAdStatus = async (req, res) => {
       });
     }
 
+    if (status === "active" && ad.review.status !== "approved") {
+      return res.status(400).json({
+        status: "error",
+        message: "Ad must be approved before it can run",
+      });
+    }
+
     ad.status = status;
     await ad.save();
 
@@ -0,0 +1,693 @@
+import User from "../models/User.js";
+import Ad from "../models/Ad.js";
+import AdCreative from "../models/AdCreative.js";
+import Appeal from "../models/Appeal.js";
+import backgroundJobManager from "../services/BackgroundJobManager.js";
+import NotificationHelper from "../utils/notificationHelper.js";
+import {
+  validateSuspensionInput,
+  announceSuspension,
+  announceSuspensionLifted,
+} from "../utils/suspension.js";
+import { takeDownContent, restoreContent } from "./reportController.js";
+
+// @desc    List users for account administration
+// @route   GET /api/admin/users
+// @access  Private (moderators and admins)
+export const getUsers = async (req, res) => {
+  try {
+    const { q, role, status } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const skip = (page - 1) * limit;
+
+    const query = {};
+    if (q) {
+      query.$or = [
+        { name: { $regex: q, $options: "i" } },
+        { username: { $regex: q, $options: "i" } },
+        { email: { $regex: q, $options: "i" } },
+      ];
+    }
+    if (role) query.role = role;
+    if (status === "active") query.isActive = true;
+    if (status === "inactive") query.isActive = false;
+
+    const [users, total] = await Promise.all([
+      User.find(query)
+        .select("name username email profilePicture role isActive isVerified createdAt")
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      User.countDocuments(query),
+    ]);
+
+    res.status(200).json({
+      status: "success",
+      data: {
+        users,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Error fetching users",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Change a user's platform role
+// @route   PUT /api/admin/users/:id/role
+// @access  Private (admins)
+export const updateUserRole = async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    const roles = User.schema.path("role").enumValues;
+    if (!roles.includes(role)) {
+      return res.status(400).json({
+        status: "error",
+        message: `Role must be one of: ${roles.join(", ")}`,
+      });
+    }
+
+    if (req.params.id === req.user.id.toString()) {
+      return res.status(400).json({
+        status: "error",
+        message: "You cannot change your own role",
+      });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { role },
+      { new: true }
+    ).select("name username role");
+
+    if (!user) {
+      return res.status(404).json({
+        status: "error",
+        message: "User not found",
+      });
+    }
+
+    res.status(200).json({
+      status: "success",
+      message: "User role updated",
+      data: { user },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Error updating user role",
+      error: error.message,
+    });
+  }
+};
+
+// Load a user a staff member may act on; only admins can act on other staff accounts
+const loadManagedUser = async (req, res) => {
+  if (req.params.id === req.user.id.toString()) {
+    res.status(400).json({
+      status: "error",
+      message: "You cannot change your own account status",
+    });
+    return null;
+  }
+
+  const user = await User.findById(req.params.id).select("+suspensions");
+  if (!user) {
+    res.status(404).json({
+      status: "error",
+      message: "User not found",
+    });
+    return null;
+  }
+
+  if (user.role !== "user" && req.user.role !== "admin") {
+    res.status(403).json({
+      status: "error",
+      message: "Only admins can change the status of staff accounts",
+    });
+    return null;
+  }
+
+  return user;
+};
+
+// @desc    Get a user's suspension history
+// @route   GET /api/admin/users/:id/suspensions
+// @access  Private (moderators and admins)
+export const getUserSuspensions = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id)
+      .select("name username isActive suspensions")
+      .populate("suspensions.suspendedBy", "name username")
+      .populate("suspensions.liftedBy", "name username");
+
+    if (!user) {
+      return res.status(404).json({
+        status: "error",
+        message: "User not found",
+      });
+    }
+
+    res.status(200).json({
+      status: "success",
+      data: {
+        user: { _id: user._id, name: user.name, username: user.username, isActive: user.isActive },
+        suspensions: user.suspensions,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Error fetching suspensions",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Suspend a user, fully or from posting, messaging or the marketplace
+// @route   POST /api/admin/users/:id/suspend
+// @access  Private (moderators and admins)
+export const suspendUser = async (req, res) => {
+  try {
+    const { scope = "full", reason, durationHours } = req.body;
+
+    if (!reason || !reason.trim()) {
+      return res.status(400).json({
+        status: "error",
+        message: "Suspension reason is required",
+      });
+    }
+
+    const inputError = validateSuspensionInput({ scope, durationHours });
+    if (inputError) {
+      return res.status(400).json({
+        status: "error",
+        message: inputError,
+      });
+    }
+
+    const user = await loadManagedUser(req, res);
+    if (!user) return;
+
+    const suspension = await user.suspend({
+      scope,
+      reason,
+      durationHours,
+      suspendedBy: req.user._id,
+    });
+
+    await announceSuspension(user._id, req.user._id, suspension);
+
+    res.status(200).json({
+      status: "success",
+      message: "User suspended",
+      data: { suspension },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Error suspending user",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Lift one suspension early
+// @route   POST /api/admin/users/:id/suspensions/:suspensionId/lift
+// @access  Private (moderators and admins)
+export const liftSuspension = async (req, res) => {
+  try {
+    const user = await loadManagedUser(req, res);
+    if (!user) return;
+
+    const suspension = await user.liftSuspension(
+      req.params.suspensionId,
+      req.user._id
+    );
+
+    if (!suspension) {
+      return res.status(404).json({
+        status: "error",
+        message: "Active suspension not found",
+      });
+    }
+
+    await announceSuspensionLifted(user._id, req.user._id, suspension.scope);
+
+    res.status(200).json({
+      status: "success",
+      message: "Suspension lifted",
+      data: { suspension },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Error lifting suspension",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Reactivate a deactivated account and lift all of its suspensions
+// @route   POST /api/admin/users/:id/reinstate
+// @access  Private (moderators and admins)
+export const reinstateUser = async (req, res) => {
+  try {
+    const user = await loadManagedUser(req, res);
+    if (!user) return;
+
+    const now = new Date();
+    for (const suspension of user.suspensions) {
+      if (!suspension.liftedAt) {
+        suspension.liftedAt = now;
+        suspension.liftedBy = req.user._id;
+        suspension.liftReason = "moderator";
+      }
+    }
+    user.isActive = true;
+    await user.save();
+
+    await announceSuspensionLifted(user._id, req.user._id, "full");
+
+    res.status(200).json({
+      status: "success",
+      message: "User reinstated",
+      data: { userId: user._id, isActive: user.isActive },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Error reinstating user",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get suspension appeals
+// @route   GET /api/admin/appeals
+// @access  Private (moderators and admins)
+export const getAppeals = async (req, res) => {
+  try {
+    const { status = "pending" } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const skip = (page - 1) * limit;
+
+    const query = { status };
+
+    const [appeals, total] = await Promise.all([
+      Appeal.find(query)
+        .populate("user", "name username profilePicture")
+        .populate("reviewedBy", "name username")
+        .sort({ createdAt: 1 })
+        .skip(skip)
+        .limit(limit),
+      Appeal.countDocuments(query),
+    ]);
+
+    res.status(200).json({
+      status: "success",
+      data: {
+        appeals,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Error fetching appeals",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Approve or reject a suspension appeal
+// @route   POST /api/admin/appeals/:id/approve
+// @route   POST /api/admin/appeals/:id/reject
+// @access  Private (moderators and admins)
+const respondToAppeal = (approve) => async (req, res) => {
+  try {
+    const { note = "" } = req.body;
+
+    const appeal = await Appeal.findById(req.params.id);
+    if (!appeal) {
+      return res.status(404).json({
+        status: "error",
+        message: "Appeal not found",
+      });
+    }
+
+    if (appeal.status !== "pending") {
+      return res.status(400).json({
+        status: "error",
+        message: "Appeal has already been reviewed",
+      });
+    }
+
+    if (approve) {
+      const user = await User.findById(appeal.user).select("+suspensions");
+      if (user) {
+        await user.liftSuspension(
+          appeal.suspension,
+          req.user._id,
+          "appeal_approved"
+        );
+        if (global.socketHandlers) {
+          global.socketHandlers.notifySuspensionLifted(
+            user._id.toString(),
+            appeal.scope
+          );
+        }
+      }
+    }
+
+    await appeal.decide(approve, req.user._id, note);
+
+    await NotificationHelper.notifyAppealReviewed(
+      appeal.user,
+      req.user._id,
+      approve
+    );
+
+    res.status(200).json({
+      status: "success",
+      message: approve ? "Appeal approved" : "Appeal rejected",
+      data: { appeal },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Error reviewing appeal",
+      error: error.message,
+    });
+  }
+};
+
+export const approveAppeal = respondToAppeal(true);
+export const rejectAppeal = respondToAppeal(false);
+
+// @desc    Take down or restore any reportable content
+// @route   POST /api/admin/content/:type/:id/takedown
+// @route   POST /api/admin/content/:type/:id/restore
+// @access  Private (moderators and admins)
+const setContentAvailability = (available) => async (req, res) => {
+  try {
+    const { type, id } = req.params;
+
+    if (type === "user") {
+      return res.status(400).json({
+        status: "error",
+        message: "Use the user suspension endpoints for accounts",
+      });
+    }
+
+    const changed = available
+      ? await restoreContent(type, id)
+      : await takeDownContent(type, id);
+
+    if (!changed) {
+      return res.status(404).json({
+        status: "error",
+        message: "Content not found",
+      });
+    }
+
+    res.status(200).json({
+      status: "success",
+      message: available ? "Content restored" : "Content taken down",
+      data: { type, id },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Error updating content",
+      error: error.message,
+    });
+  }
+};
+
+export const takeDownContentItem = setContentAvailability(false);
+export const restoreContentItem = setContentAvailability(true);
+
+// @desc    Get ads waiting for review
+// @route   GET /api/admin/ads/review
+// @access  Private (moderators and admins)
+export const getAdReviewQueue = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const skip = (page - 1) * limit;
+
+    const query = { "review.status": "pending", isActive: true };
+
+    const [ads, total] = await Promise.all([
+      Ad.find(query)
+        .populate("advertiser", "name username email")
+        .populate("campaign", "name objective")
+        .sort({ createdAt: 1 })
+        .skip(skip)
+        .limit(limit),
+      Ad.countDocuments(query),
+    ]);
+
+    res.status(200).json({
+      status: "success",
+      data: {
+        ads,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Error fetching ad review queue",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Approve or reject an ad
+// @route   POST /api/admin/ads/:id/review
+// @access  Private (moderators and admins)
+export const reviewAd = async (req, res) => {
+  try {
+    const { decision, feedback = "" } = req.body;
+
+    if (!["approved", "rejected"].includes(decision)) {
+      return res.status(400).json({
+        status: "error",
+        message: "Decision must be approved or rejected",
+      });
+    }
+
+    const ad = await Ad.findById(req.params.id);
+    if (!ad || !ad.isActive) {
+      return res.status(404).json({
+        status: "error",
+        message: "Ad not found",
+      });
+    }
+
+    ad.review = {
+      status: decision,
+      feedback,
+      reviewedBy: req.user._id,
+      reviewedAt: new Date(),
+    };
+
+    if (decision === "approved" && ad.status === "pending_review") {
+      ad.status = "active";
+    }
+
+    if (decision === "rejected") {
+      ad.status = "rejected";
+      ad.delivery.isDelivering = false;
+    }
+
+    await ad.save();
+
+    await NotificationHelper.notifyAdReview(
+      ad.advertiser,
+      req.user._id,
+      ad.title,
+      decision === "approved",
+      feedback
+    );
+
+    res.status(200).json({
+      status: "success",
+      message: `Ad ${decision}`,
+      data: { review: ad.review, status: ad.status },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Error reviewing ad",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get ad creatives waiting for review
+// @route   GET /api/admin/creatives/review
+// @access  Private (moderators and admins)
+export const getCreativeReviewQueue = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const skip = (page - 1) * limit;
+
+    const query = { "approval.status": { $in: ["pending", "needs_review"] } };
+
+    const [creatives, total] = await Promise.all([
+      AdCreative.find(query)
+        .populate("advertiser", "name username email")
+        .sort({ createdAt: 1 })
+        .skip(skip)
+        .limit(limit),
+      AdCreative.countDocuments(query),
+    ]);
+
+    res.status(200).json({
+      status: "success",
+      data: {
+        creatives,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Error fetching creative review queue",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Approve, reject or flag an ad creative
+// @route   POST /api/admin/creatives/:id/review
+// @access  Private (moderators and admins)
+export const reviewCreative = async (req, res) => {
+  try {
+    const { decision, rejectionReason = "", guidelines } = req.body;
+
+    if (!["approved", "rejected", "needs_review"].includes(decision)) {
+      return res.status(400).json({
+        status: "error",
+        message: "Decision must be approved, rejected or needs_review",
+      });
+    }
+
+    const creative = await AdCreative.findById(req.params.id);
+    if (!creative) {
+      return res.status(404).json({
+        status: "error",
+        message: "Creative not found",
+      });
+    }
+
+    creative.approval.status = decision;
+    creative.approval.reviewedBy = req.user._id;
+    creative.approval.reviewedAt = new Date();
+    creative.approval.rejectionReason =
+      decision === "approved" ? undefined : rejectionReason;
+    if (Array.isArray(guidelines)) {
+      creative.approval.guidelines = guidelines;
+    }
+
+    await creative.save();
+
+    if (decision !== "needs_review") {
+      await NotificationHelper.notifyAdReview(
+        creative.advertiser,
+        req.user._id,
+        creative.name,
+        decision === "approved",
+        rejectionReason
+      );
+    }
+
+    res.status(200).json({
+      status: "success",
+      message: `Creative marked as ${decision}`,
+      data: { approval: creative.approval },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Error reviewing creative",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get background job status
+// @route   GET /api/admin/jobs
+// @access  Private (admins)
+export const getJobs = async (req, res) => {
+  try {
+    res.status(200).json({
+      status: "success",
+      data: backgroundJobManager.getJobStatus(),
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Error fetching job status",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Run a background job now
+// @route   POST /api/admin/jobs/:name/run
+// @access  Private (admins)
+export const runJob = async (req, res) => {
+  try {
+    const ran = await backgroundJobManager.runJob(req.params.name);
+
+    if (!ran) {
+      return res.status(404).json({
+        status: "error",
+        message: "Job not found",
+      });
+    }
+
+    res.status(200).json({
+      status: "success",
+      message: `Job ${req.params.name} completed`,
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Error running job",
+      error: error.message,
+    });
+  }
+};
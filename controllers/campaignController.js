@@ -2,6 +2,7 @@ import Campaign from '../models/Campaign.js';
 import AdSet from '../models/AdSet.js';
 import Ad from '../models/Ad.js';
 import User from '../models/User.js';
+import Page from '../models/Page.js';
 import stripe from '../utils/stripe.js';
 import paypal from '../utils/paypal.js';
 import cloudinary from "../utils/cloudinary.js";
@@ -15,6 +16,7 @@ export const createCampaign = async (req, res) => {
     const {
       name,
       image,
+      pageId,
       objective,
       budget,
       schedule,
@@ -29,6 +31,24 @@ export const createCampaign = async (req, res) => {
     const durationDays = Math.ceil((endDate - startDate) / (1000 * 60 * 60 * 24));
     const totalCost = budget.type === 'daily' ? budget.amount * durationDays : budget.amount;
 
+    // Campaigns run on behalf of a page need the ads capability on it
+    if (pageId) {
+      const page = await Page.findById(pageId);
+      if (!page || !page.isActive) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Page not found'
+        });
+      }
+
+      if (!page.can(req.user.id, 'run_ads')) {
+        return res.status(403).json({
+          status: 'error',
+          message: 'You do not have permission to run ads for this page'
+        });
+      }
+    }
+
     let campaignImageUrl = null;
 
     // Handle image upload if provided
@@ -62,6 +82,7 @@ export const createCampaign = async (req, res) => {
       name,
       image: campaignImageUrl, // Store Cloudinary URL
       advertiser: req.user.id,
+      page: pageId || null,
       objective,
       budget: {
         ...budget,
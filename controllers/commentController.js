@@ -0,0 +1,655 @@
+import mongoose from "mongoose";
+import Post from "../models/Post.js";
+import Comment from "../models/Comment.js";
+import User from "../models/User.js";
+import Page from "../models/Page.js";
+import RecommendationEngine from "../services/RecommendationEngine.js";
+import hashtagService from "../services/HashtagService.js";
+import NotificationHelper from "../utils/notificationHelper.js";
+import { checkPostAccess } from "./postController.js";
+
+const recommendationEngine = new RecommendationEngine();
+
+const COMMENT_SORTS = ["top", "newest"];
+const MAX_COMMENT_LEVEL = 2;
+// Replies listed under each comment; the rest are fetched per comment
+const REPLY_PREVIEW_LIMIT = 3;
+
+const AUTHOR_FIELDS = "name username profilePicture";
+const AUTHOR_PAGE_FIELDS = "name username profilePicture isVerified";
+const AUTHOR_POPULATE = [
+  { path: "author", select: AUTHOR_FIELDS },
+  { path: "authorPage", select: AUTHOR_PAGE_FIELDS },
+];
+
+const sendServiceError = (res, error) =>
+  res.status(error.status).json({
+    status: "error",
+    message: error.message,
+  });
+
+const parsePagination = (query) => {
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit) || 20, 1), 50);
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+// A post's author moderates its comments; on page posts, so do page roles allowed to
+const canModerateComments = async (post, userId) => {
+  if (post.author._id.toString() === userId.toString()) return true;
+  if (!post.page) return false;
+
+  const page = await Page.findById(post.page);
+  return !!page && page.can(userId, "moderate_comments");
+};
+
+// Load a post the user may see. Returns { error } or { post, canModerate }
+const loadPost = async (postId, user) => {
+  if (!mongoose.Types.ObjectId.isValid(postId)) {
+    return { error: { status: 404, message: "Post not found" } };
+  }
+
+  const post = await Post.findById(postId).populate("author", AUTHOR_FIELDS);
+  const accessError = await checkPostAccess(post, user);
+  if (accessError) {
+    return { error: accessError };
+  }
+
+  return { post, canModerate: await canModerateComments(post, user.id) };
+};
+
+// Conditions for the comments on a post a viewer sees: not removed, not by users
+// blocked either way, and hidden ones only for their author and moderators
+const visibleCommentsQuery = (postId, viewerId, blockedIds, canModerate) => ({
+  post: postId,
+  isActive: true,
+  author: { $nin: blockedIds },
+  ...(canModerate ? {} : { $or: [{ isHidden: { $ne: true } }, { author: viewerId }] }),
+});
+
+// Load the comments query of a post for a viewer, and one of its comments.
+// Returns { error } or { comment, query }
+const loadComment = async (post, commentId, viewerId, canModerate) => {
+  const blockedIds = await User.getBlockedUserIds(viewerId);
+  const query = visibleCommentsQuery(
+    post._id,
+    new mongoose.Types.ObjectId(viewerId.toString()),
+    blockedIds,
+    canModerate
+  );
+
+  const comment = mongoose.Types.ObjectId.isValid(commentId)
+    ? await Comment.findOne({ ...query, _id: commentId })
+    : null;
+
+  return comment ? { comment, query } : { error: { status: 404, message: "Comment not found" } };
+};
+
+// Visible replies of comments grouped by comment, with the ids of the first few
+const groupReplies = (parentIds, query) =>
+  parentIds.length === 0
+    ? []
+    : Comment.aggregate([
+        { $match: { ...query, parentComment: { $in: parentIds } } },
+        { $sort: { createdAt: 1 } },
+        { $group: { _id: "$parentComment", count: { $sum: 1 }, replyIds: { $push: "$_id" } } },
+        { $project: { count: 1, replyIds: { $slice: ["$replyIds", REPLY_PREVIEW_LIMIT] } } },
+      ]);
+
+// Plain copies of comments with the viewer's reaction, how many visible replies
+// each has and the first few of them
+const renderThread = async (comments, query, viewerId) => {
+  const groups = await groupReplies(comments.map((comment) => comment._id), query);
+  const previewIds = groups.flatMap((group) => group.replyIds);
+
+  const [previews, previewGroups] = await Promise.all([
+    previewIds.length > 0 ? Comment.find({ _id: { $in: previewIds } }).populate(AUTHOR_POPULATE) : [],
+    groupReplies(previewIds, query),
+  ]);
+
+  const countsById = new Map(
+    [...groups, ...previewGroups].map((group) => [group._id.toString(), group.count])
+  );
+  const previewsById = new Map(previews.map((reply) => [reply._id.toString(), reply]));
+
+  const render = (comment) => {
+    const { replies, ...rendered } = comment.toObject();
+    return {
+      ...rendered,
+      reactionsCount: comment.reactions.length,
+      repliesCount: countsById.get(comment._id.toString()) || 0,
+      viewerReaction: comment.getUserReactionType(viewerId),
+    };
+  };
+
+  return comments.map((comment) => {
+    const group = groups.find((entry) => entry._id.equals(comment._id));
+    return {
+      ...render(comment),
+      replies: (group ? group.replyIds : [])
+        .map((id) => previewsById.get(id.toString()))
+        .filter(Boolean)
+        .map(render),
+    };
+  });
+};
+
+// @desc    Add a comment to a post, or a reply to one of its comments
+// @route   POST /api/posts/:id/comments
+// @access  Private
+export const addComment = async (req, res) => {
+  try {
+    const { parentComment } = req.body;
+    const content = req.body.content.trim();
+    const actingPage = req.actingPage;
+
+    const { error, post, canModerate } = await loadPost(req.params.id, req.user);
+    if (error) {
+      return sendServiceError(res, error);
+    }
+
+    let parent = null;
+    let level = 0;
+    if (parentComment) {
+      const result = await loadComment(post, parentComment, req.user.id, canModerate);
+      if (result.error) {
+        return res.status(404).json({
+          status: "error",
+          message: "Parent comment not found",
+        });
+      }
+
+      parent = result.comment;
+      level = parent.level + 1;
+      if (level > MAX_COMMENT_LEVEL) {
+        return res.status(400).json({
+          status: "error",
+          message: "Maximum nesting level reached",
+        });
+      }
+    }
+
+    const { hashtags, mentions } = await hashtagService.analyzeText(req.user.id, content);
+
+    const comment = await Comment.create({
+      author: req.user.id,
+      authorPage: actingPage ? actingPage._id : null,
+      post: post._id,
+      content,
+      parentComment: parent ? parent._id : null,
+      level,
+      hashtags,
+      mentions,
+    });
+
+    // Add comment to post
+    await Post.findByIdAndUpdate(post._id, { $push: { comments: comment._id } });
+
+    // Add reply to parent comment if applicable
+    if (parent) {
+      await Comment.findByIdAndUpdate(parent._id, { $push: { replies: comment._id } });
+    }
+
+    // Track interaction for recommendations
+    recommendationEngine.trackInteraction(
+      req.user.id,
+      "post",
+      req.params.id,
+      "comment",
+      {
+        commentLength: content.length,
+        postAuthor: post.author._id.toString(),
+        isReply: !!parent,
+      }
+    );
+
+    // A reply notifies the author of the comment replied to. The post's author
+    // hears about every comment, unless the reply already notified them
+    if (parent) {
+      await NotificationHelper.notifyCommentReply(post._id, comment._id, req.user.id, parent.author);
+    }
+    if (!parent || parent.author.toString() !== post.author._id.toString()) {
+      await NotificationHelper.notifyComment(post._id, comment._id, req.user.id, post.author._id);
+    }
+
+    // If this is a page post, send page comment notification unless the page replied itself
+    if (post.page && !actingPage?._id.equals(post.page)) {
+      await NotificationHelper.notifyPageComment(post.page, comment._id, req.user.id, content);
+    }
+
+    await hashtagService.notifyMentions(req.user.id, comment.mentions, {
+      data: { postId: post._id, commentId: comment._id },
+      contentLabel: "comment",
+      audience: { itemType: "post", item: post },
+    });
+
+    await comment.populate(AUTHOR_POPULATE);
+
+    res.status(201).json({
+      status: "success",
+      message: "Comment added successfully",
+      data: { comment },
+    });
+  } catch (error) {
+    console.log("Comment Error: ", error);
+    res.status(500).json({
+      status: "error",
+      message: "Error adding comment",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get the top-level comments of a post, pinned first, with a few replies each
+// @route   GET /api/posts/:id/comments?sort=top|newest
+// @access  Private
+export const getComments = async (req, res) => {
+  try {
+    const { sort = "top" } = req.query;
+    const { page, limit, skip } = parsePagination(req.query);
+
+    if (!COMMENT_SORTS.includes(sort)) {
+      return res.status(400).json({
+        status: "error",
+        message: `Sort must be one of: ${COMMENT_SORTS.join(", ")}`,
+      });
+    }
+
+    const { error, post, canModerate } = await loadPost(req.params.id, req.user);
+    if (error) {
+      return sendServiceError(res, error);
+    }
+
+    const blockedIds = await User.getBlockedUserIds(req.user.id);
+    const query = visibleCommentsQuery(
+      post._id,
+      new mongoose.Types.ObjectId(req.user.id.toString()),
+      blockedIds,
+      canModerate
+    );
+    const topLevelQuery = { ...query, parentComment: null };
+
+    // "top" ranks by reactions and replies, "newest" by date
+    const score =
+      sort === "top"
+        ? {
+            $add: [
+              { $size: { $ifNull: ["$reactions", []] } },
+              { $size: { $ifNull: ["$replies", []] } },
+            ],
+          }
+        : { $literal: 0 };
+
+    const [ranked, total] = await Promise.all([
+      Comment.aggregate([
+        { $match: topLevelQuery },
+        { $project: { isPinned: 1, createdAt: 1, score } },
+        { $sort: { isPinned: -1, score: -1, createdAt: -1, _id: -1 } },
+        { $skip: skip },
+        { $limit: limit },
+      ]),
+      Comment.countDocuments(topLevelQuery),
+    ]);
+
+    const found = await Comment.find({ _id: { $in: ranked.map((entry) => entry._id) } }).populate(
+      AUTHOR_POPULATE
+    );
+    const foundById = new Map(found.map((comment) => [comment._id.toString(), comment]));
+    const comments = ranked
+      .map((entry) => foundById.get(entry._id.toString()))
+      .filter(Boolean);
+
+    res.status(200).json({
+      status: "success",
+      data: {
+        comments: await renderThread(comments, query, req.user.id),
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      },
+    });
+  } catch (error) {
+    console.log("Comment Error: ", error);
+    res.status(500).json({
+      status: "error",
+      message: "Error fetching comments",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get the replies to a comment, oldest first
+// @route   GET /api/posts/:id/comments/:commentId/replies
+// @access  Private
+export const getCommentReplies = async (req, res) => {
+  try {
+    const { page, limit, skip } = parsePagination(req.query);
+
+    const { error, post, canModerate } = await loadPost(req.params.id, req.user);
+    if (error) {
+      return sendServiceError(res, error);
+    }
+
+    const result = await loadComment(post, req.params.commentId, req.user.id, canModerate);
+    if (result.error) {
+      return sendServiceError(res, result.error);
+    }
+
+    const repliesQuery = { ...result.query, parentComment: result.comment._id };
+    const [replies, total] = await Promise.all([
+      Comment.find(repliesQuery)
+        .populate(AUTHOR_POPULATE)
+        .sort({ createdAt: 1, _id: 1 })
+        .skip(skip)
+        .limit(limit),
+      Comment.countDocuments(repliesQuery),
+    ]);
+
+    res.status(200).json({
+      status: "success",
+      data: {
+        replies: await renderThread(replies, result.query, req.user.id),
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Error fetching replies",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Edit a comment; the previous text is kept in its edit history
+// @route   PUT /api/posts/:id/comments/:commentId
+// @access  Private (comment author)
+export const updateComment = async (req, res) => {
+  try {
+    const content = req.body.content.trim();
+
+    const { error, post, canModerate } = await loadPost(req.params.id, req.user);
+    if (error) {
+      return sendServiceError(res, error);
+    }
+
+    const { error: commentError, comment } = await loadComment(
+      post,
+      req.params.commentId,
+      req.user.id,
+      canModerate
+    );
+    if (commentError) {
+      return sendServiceError(res, commentError);
+    }
+
+    if (comment.author.toString() !== req.user.id.toString()) {
+      return res.status(403).json({
+        status: "error",
+        message: "You can only edit your own comments",
+      });
+    }
+
+    if (content !== comment.content) {
+      const previousMentions = [...comment.mentions];
+
+      comment.editHistory.push({
+        content: comment.content,
+        editedAt: new Date(),
+      });
+      comment.isEdited = true;
+      comment.content = content;
+
+      const { hashtags, mentions } = await hashtagService.analyzeText(req.user.id, content);
+      comment.hashtags = hashtags;
+      comment.mentions = mentions;
+      await comment.save();
+
+      // Only users newly mentioned by the edit are notified
+      await hashtagService.notifyMentions(req.user.id, comment.mentions, {
+        previous: previousMentions,
+        data: { postId: post._id, commentId: comment._id },
+        contentLabel: "comment",
+        audience: { itemType: "post", item: post },
+      });
+    }
+
+    await comment.populate(AUTHOR_POPULATE);
+
+    res.status(200).json({
+      status: "success",
+      message: "Comment updated successfully",
+      data: { comment },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Error updating comment",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Delete a comment together with the replies under it
+// @route   DELETE /api/posts/:id/comments/:commentId
+// @access  Private (comment author)
+export const deleteComment = async (req, res) => {
+  try {
+    const { error, post, canModerate } = await loadPost(req.params.id, req.user);
+    if (error) {
+      return sendServiceError(res, error);
+    }
+
+    const { error: commentError, comment } = await loadComment(
+      post,
+      req.params.commentId,
+      req.user.id,
+      canModerate
+    );
+    if (commentError) {
+      return sendServiceError(res, commentError);
+    }
+
+    if (comment.author.toString() !== req.user.id.toString()) {
+      return res.status(403).json({
+        status: "error",
+        message: "You can only delete your own comments",
+      });
+    }
+
+    const removedIds = [comment._id, ...(await Comment.getThreadReplyIds(comment._id))];
+
+    await Comment.updateMany({ _id: { $in: removedIds } }, { $set: { isActive: false } });
+    await Post.findByIdAndUpdate(post._id, { $pull: { comments: { $in: removedIds } } });
+
+    if (comment.parentComment) {
+      await Comment.findByIdAndUpdate(comment.parentComment, {
+        $pull: { replies: comment._id },
+      });
+    }
+
+    res.status(200).json({
+      status: "success",
+      message: "Comment deleted successfully",
+      data: { removedCount: removedIds.length },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Error deleting comment",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    React to a comment; the same reaction again removes it
+// @route   POST /api/posts/:id/comments/:commentId/react
+// @access  Private
+export const reactToComment = async (req, res) => {
+  try {
+    const { reactionType = "like" } = req.body;
+
+    const { error, post, canModerate } = await loadPost(req.params.id, req.user);
+    if (error) {
+      return sendServiceError(res, error);
+    }
+
+    const { error: commentError, comment } = await loadComment(
+      post,
+      req.params.commentId,
+      req.user.id,
+      canModerate
+    );
+    if (commentError) {
+      return sendServiceError(res, commentError);
+    }
+
+    const reaction = await Comment.toggleReaction(comment._id, req.user.id, reactionType);
+    if (!reaction) {
+      return res.status(404).json({
+        status: "error",
+        message: "Comment not found",
+      });
+    }
+
+    res.status(200).json({
+      status: "success",
+      message: reaction.action === "removed" ? "Reaction removed" : "Reaction added",
+      data: {
+        reactionType: reaction.type,
+        reactionsCount: reaction.reactionsCount,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Error reacting to comment",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Hide or unhide a comment
+// @route   POST /api/posts/:id/comments/:commentId/hide
+// @access  Private (post owner)
+export const toggleHideComment = async (req, res) => {
+  try {
+    const { reason = "" } = req.body;
+
+    const { error, post, canModerate } = await loadPost(req.params.id, req.user);
+    if (error) {
+      return sendServiceError(res, error);
+    }
+
+    if (!canModerate) {
+      return res.status(403).json({
+        status: "error",
+        message: "Only the post's owner can hide comments",
+      });
+    }
+
+    const { error: commentError, comment } = await loadComment(
+      post,
+      req.params.commentId,
+      req.user.id,
+      canModerate
+    );
+    if (commentError) {
+      return sendServiceError(res, commentError);
+    }
+
+    if (comment.isHidden) {
+      await comment.unhide();
+    } else {
+      // A hidden comment cannot stay pinned
+      comment.isPinned = false;
+      comment.pinnedBy = undefined;
+      comment.pinnedAt = undefined;
+      await comment.hide(req.user.id, reason);
+    }
+
+    res.status(200).json({
+      status: "success",
+      message: comment.isHidden ? "Comment hidden successfully" : "Comment unhidden successfully",
+      data: { isHidden: comment.isHidden },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Error hiding comment",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Pin or unpin a comment; pinning replaces the post's pinned comment
+// @route   POST /api/posts/:id/comments/:commentId/pin
+// @access  Private (post owner)
+export const togglePinComment = async (req, res) => {
+  try {
+    const { error, post, canModerate } = await loadPost(req.params.id, req.user);
+    if (error) {
+      return sendServiceError(res, error);
+    }
+
+    if (!canModerate) {
+      return res.status(403).json({
+        status: "error",
+        message: "Only the post's owner can pin comments",
+      });
+    }
+
+    const { error: commentError, comment } = await loadComment(
+      post,
+      req.params.commentId,
+      req.user.id,
+      canModerate
+    );
+    if (commentError) {
+      return sendServiceError(res, commentError);
+    }
+
+    if (comment.isPinned) {
+      await comment.unpin();
+    } else {
+      if (comment.parentComment) {
+        return res.status(400).json({
+          status: "error",
+          message: "Only top-level comments can be pinned",
+        });
+      }
+      if (comment.isHidden) {
+        return res.status(400).json({
+          status: "error",
+          message: "Hidden comments cannot be pinned",
+        });
+      }
+
+      await Comment.updateMany(
+        { post: post._id, isPinned: true, _id: { $ne: comment._id } },
+        { $set: { isPinned: false }, $unset: { pinnedBy: "", pinnedAt: "" } }
+      );
+      await comment.pin(req.user.id);
+    }
+
+    res.status(200).json({
+      status: "success",
+      message: comment.isPinned ? "Comment pinned successfully" : "Comment unpinned successfully",
+      data: { isPinned: comment.isPinned },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Error pinning comment",
+      error: error.message,
+    });
+  }
+};
@@ -1,8 +1,456 @@
 import Conversation from "../models/Conversation.js";
 import Message from "../models/Message.js";
 import User from "../models/User.js";
+import Page from "../models/Page.js";
+import Call from "../models/Call.js";
+import ChatUpload from "../models/ChatUpload.js";
+import mongoose from "mongoose";
+import { randomBytes } from "crypto";
 import { validationResult } from "express-validator";
 import NotificationHelper from "./../utils/notificationHelper.js";
+import { getLinkPreviews } from "../utils/linkPreview.js";
+import receiptService from "../services/ReceiptService.js";
+import syncService from "../services/SyncService.js";
+import encryptionService from "../services/EncryptionService.js";
+
+// Filter for messages that are still visible: not deleted and not past
+// their disappearing-message expiry
+const visibleMessagesQuery = () => ({
+  isDeleted: false,
+  $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+});
+
+// Post a system message (settings changes, membership changes) into a
+// conversation and push it to everyone in the conversation room
+export const postSystemMessage = async (conversation, senderId, text) => {
+  const message = await Message.create({
+    conversation: conversation._id,
+    sender: senderId,
+    type: "system",
+    content: { text },
+  });
+  await message.populate("sender", "name username profilePicture");
+
+  conversation.lastMessage = message._id;
+  conversation.lastActivity = new Date();
+  await conversation.save();
+
+  const seq = await syncService.record(conversation._id, "message_created", message._id);
+
+  if (global.socketHandlers) {
+    global.socketHandlers.emitToConversation(conversation._id, "new_message", {
+      message,
+      conversationId: conversation._id,
+      seq,
+    });
+  }
+
+  return message;
+};
+
+// Look up previews for the links in a message and push them to the conversation.
+// Runs after the message is delivered so slow sites never hold up sending
+export const attachLinkPreviews = async (message) => {
+  const linkPreviews = await getLinkPreviews(message.content.text);
+  if (linkPreviews.length === 0 && message.content.linkPreviews.length === 0) return;
+
+  // Previews repeat the links in the text, so they are sealed like the rest of the content.
+  // $min keeps the message counted under the oldest key it uses until it is resealed
+  const update = { $set: { "content.linkPreviews": linkPreviews } };
+  if (encryptionService.isEnabled()) {
+    const sealed = await encryptionService.sealLinkPreviews(message.conversation, linkPreviews);
+    update.$set["content.linkPreviews"] = sealed.linkPreviews;
+    update.$min = { encryptedWith: sealed.version };
+  }
+
+  await Message.updateOne({ _id: message._id }, update);
+  const seq = await syncService.record(message.conversation, "message_updated", message._id);
+
+  if (global.socketHandlers) {
+    global.socketHandlers.emitToConversation(message.conversation, "message_link_previews", {
+      conversationId: message.conversation,
+      messageId: message._id,
+      linkPreviews,
+      seq,
+    });
+  }
+};
+
+const MAX_PINNED_MESSAGES = 20;
+// Content forwarded this many times in a row cannot be forwarded again
+const MAX_FORWARD_CHAIN = 5;
+const MAX_FORWARD_TARGETS = 5;
+
+// Load the root of a thread; threads are one level deep, so a reply cannot start one
+export const findThreadRoot = (conversationId, messageId) => {
+  if (!mongoose.Types.ObjectId.isValid(messageId)) return null;
+
+  return Message.findOne({
+    ...visibleMessagesQuery(),
+    _id: messageId,
+    conversation: conversationId,
+    threadRoot: null,
+    type: { $ne: "system" },
+  });
+};
+
+// Update the thread summary on the root after a reply and tell the conversation room
+export const recordThreadReply = async (root, reply) => {
+  const senderId = reply.sender._id || reply.sender;
+
+  await Message.updateOne(
+    { _id: root._id },
+    {
+      $inc: { "thread.replyCount": 1 },
+      $set: { "thread.lastReplyAt": reply.createdAt },
+      $addToSet: { "thread.participants": senderId },
+    }
+  );
+  await Message.markThreadRead(root._id, senderId, reply.createdAt);
+  await syncService.record(reply.conversation, "message_updated", root._id);
+
+  if (global.socketHandlers) {
+    global.socketHandlers.emitToConversation(reply.conversation, "thread_updated", {
+      conversationId: reply.conversation,
+      threadRoot: root._id,
+      replyCount: root.thread.replyCount + 1,
+      lastReplyAt: reply.createdAt,
+    });
+  }
+};
+
+// Users following a thread: the root's author and everyone who replied
+export const getThreadFollowerIds = (root) =>
+  [root.sender, ...root.thread.participants].map((id) => id.toString());
+
+// Pin or unpin a message. Returns { error } or { conversation }
+export const setMessagePinned = async ({ conversation, messageId, user, pinned }) => {
+  const participant = conversation.getParticipant(user._id);
+  if (!participant || !participant.isActive) {
+    return { error: { status: 403, message: "You are not a participant in this conversation" } };
+  }
+
+  if (conversation.type === "group" && participant.role !== "admin") {
+    return { error: { status: 403, message: "Only group admins can pin messages" } };
+  }
+
+  if (!pinned) {
+    if (!conversation.isPinned(messageId)) {
+      return { error: { status: 404, message: "Message is not pinned" } };
+    }
+
+    conversation.pinnedMessages = conversation.pinnedMessages.filter(
+      (pin) => pin.message.toString() !== messageId.toString()
+    );
+    await conversation.save();
+  } else {
+    const message = mongoose.Types.ObjectId.isValid(messageId)
+      ? await Message.findOne({
+          ...visibleMessagesQuery(),
+          _id: messageId,
+          conversation: conversation._id,
+          type: { $ne: "system" },
+        })
+      : null;
+
+    if (!message) {
+      return { error: { status: 404, message: "Message not found" } };
+    }
+
+    if (conversation.isPinned(messageId)) {
+      return { error: { status: 400, message: "Message is already pinned" } };
+    }
+
+    if (conversation.pinnedMessages.length >= MAX_PINNED_MESSAGES) {
+      return {
+        error: {
+          status: 400,
+          message: `A conversation can have at most ${MAX_PINNED_MESSAGES} pinned messages`,
+        },
+      };
+    }
+
+    conversation.pinnedMessages.push({ message: message._id, pinnedBy: user._id });
+    await postSystemMessage(conversation, user._id, `${user.name} pinned a message.`);
+  }
+
+  if (global.socketHandlers) {
+    global.socketHandlers.emitToConversation(
+      conversation._id,
+      pinned ? "message_pinned" : "message_unpinned",
+      { conversationId: conversation._id, messageId, userId: user._id }
+    );
+  }
+
+  return { conversation };
+};
+
+// Forward a message, media included, into other conversations.
+// Returns { error } or { messages }
+export const forwardMessage = async ({ user, sourceConversationId, messageId, targetConversationIds }) => {
+  if (
+    !Array.isArray(targetConversationIds) ||
+    targetConversationIds.length === 0 ||
+    targetConversationIds.length > MAX_FORWARD_TARGETS
+  ) {
+    return {
+      error: {
+        status: 400,
+        message: `Choose between 1 and ${MAX_FORWARD_TARGETS} conversations to forward to`,
+      },
+    };
+  }
+
+  if (
+    !mongoose.Types.ObjectId.isValid(messageId) ||
+    !targetConversationIds.every((id) => mongoose.Types.ObjectId.isValid(id))
+  ) {
+    return { error: { status: 400, message: "Invalid message or conversation id" } };
+  }
+
+  const source = await Conversation.findById(sourceConversationId);
+  if (!source || !source.isActive || !source.isParticipant(user._id)) {
+    return { error: { status: 403, message: "Access denied to conversation" } };
+  }
+
+  const original = await Message.findOne({
+    ...visibleMessagesQuery(),
+    _id: messageId,
+    conversation: source._id,
+    type: { $ne: "system" },
+  });
+  if (!original) {
+    return { error: { status: 404, message: "Message not found" } };
+  }
+
+  if (original.forwarded.count >= MAX_FORWARD_CHAIN) {
+    return {
+      error: { status: 400, message: "This message has been forwarded too many times" },
+    };
+  }
+
+  const targets = await Conversation.find({
+    _id: { $in: [...new Set(targetConversationIds.map(String))] },
+    isActive: true,
+  });
+
+  const allowed = await Promise.all(
+    targets.map(
+      async (target) =>
+        target.isParticipant(user._id) &&
+        !(await target.isBlockedBetweenMembers(user._id))
+    )
+  );
+
+  if (targets.length !== new Set(targetConversationIds.map(String)).size || allowed.includes(false)) {
+    return {
+      error: { status: 403, message: "You cannot forward to one or more of these conversations" },
+    };
+  }
+
+  const { text, media, location, linkPreviews } = original.content.toObject();
+  const messages = [];
+
+  for (const target of targets) {
+    const message = await Message.create({
+      conversation: target._id,
+      sender: user._id,
+      type: original.type,
+      content: {
+        text,
+        media: (media || []).map(({ _id, ...item }) => item),
+        location,
+        linkPreviews,
+      },
+      forwarded: {
+        isForwarded: true,
+        count: original.forwarded.count + 1,
+        originalMessage: original.forwarded.originalMessage || original._id,
+      },
+      expiresAt: target.getMessageExpiry(),
+    });
+    await message.populate("sender", "name username profilePicture");
+
+    target.lastMessage = message._id;
+    target.lastActivity = new Date();
+    await target.save();
+    await receiptService.incrementUnread(target._id, user._id);
+    const seq = await syncService.record(target._id, "message_created", message._id);
+
+    if (global.socketHandlers) {
+      global.socketHandlers.emitToConversation(target._id, "new_message", {
+        message,
+        conversationId: target._id,
+        seq,
+      });
+    }
+
+    const onlineIds = new Set(
+      global.socketHandlers
+        ? await global.socketHandlers.filterOnlineUsers(target.participants.map((p) => p.user))
+        : []
+    );
+    const offlineParticipants = target.participants.filter(
+      (p) =>
+        p.user.toString() !== user._id.toString() &&
+        p.isActive &&
+        !target.isMutedFor(p.user) &&
+        !onlineIds.has(p.user.toString())
+    );
+
+    for (const participant of offlineParticipants) {
+      await NotificationHelper.notifyMessage(target._id, message._id, user._id, participant.user);
+    }
+
+    messages.push(message);
+  }
+
+  return { messages };
+};
+
+// Load a group conversation for one of its active members.
+// Returns { error } or { conversation, participant }
+const loadGroupForMember = async (conversationId, userId, { adminOnly = false } = {}) => {
+  const conversation = mongoose.Types.ObjectId.isValid(conversationId)
+    ? await Conversation.findById(conversationId)
+    : null;
+  if (!conversation || !conversation.isActive) {
+    return { error: { status: 404, message: "Conversation not found" } };
+  }
+
+  if (conversation.type !== "group") {
+    return { error: { status: 400, message: "This is only available in group conversations" } };
+  }
+
+  const participant = conversation.getParticipant(userId);
+  if (!participant || !participant.isActive) {
+    return { error: { status: 403, message: "You are not a participant in this conversation" } };
+  }
+
+  if (adminOnly && participant.role !== "admin") {
+    return { error: { status: 403, message: "Only group admins can do this" } };
+  }
+
+  return { conversation, participant };
+};
+
+// Mark a participant as gone, promote a new admin if needed and announce both
+const removeFromGroup = async (conversation, participant, actor, text) => {
+  participant.isActive = false;
+  participant.leftAt = new Date();
+  participant.role = "member";
+
+  const successor = conversation.handOverAdmin();
+
+  // Nobody left to talk to
+  if (!conversation.participants.some((p) => p.isActive)) {
+    conversation.isActive = false;
+  }
+
+  await postSystemMessage(conversation, actor._id, text);
+
+  if (successor) {
+    const successorUser = await User.findById(successor.user).select("name");
+    await postSystemMessage(
+      conversation,
+      actor._id,
+      `${successorUser ? successorUser.name : "A member"} is now an admin.`
+    );
+  }
+
+  if (global.socketHandlers) {
+    global.socketHandlers.removeUserFromConversation(participant.user, conversation._id);
+    global.socketHandlers.emitToConversation(conversation._id, "participants_updated", {
+      conversationId: conversation._id,
+      removed: [participant.user],
+      admins: successor ? [successor.user] : [],
+    });
+  }
+};
+
+// Describe a disappearing-message duration in hours for system messages
+const formatDuration = (hours) => {
+  if (hours % 24 === 0) {
+    const days = hours / 24;
+    return `${days} day${days === 1 ? "" : "s"}`;
+  }
+  return `${hours} hour${hours === 1 ? "" : "s"}`;
+};
+
+// Check whether the user can act in a conversation, either as a participant
+// or through the inbox of the page they are acting as
+export const canAccessConversation = (conversation, userId, actingPage = null) => {
+  if (actingPage) {
+    return conversation.isPageInbox(actingPage._id);
+  }
+  return conversation.isParticipant(userId);
+};
+
+// Notify the page team members who can answer the page inbox
+export const notifyPageInbox = async (conversation, messageId, senderId) => {
+  const page = await Page.findById(conversation.page);
+  if (!page || !page.isActive) return;
+
+  const recipients = page.admins
+    .map((admin) => admin.user)
+    .filter(
+      (userId) =>
+        userId.toString() !== senderId.toString() &&
+        page.can(userId, "manage_inbox")
+    );
+
+  for (const recipient of recipients) {
+    await NotificationHelper.notifyMessage(
+      conversation._id,
+      messageId,
+      senderId,
+      recipient
+    );
+  }
+};
+
+// @desc    Start or resume a conversation with a page inbox
+// @route   POST /api/conversations (with pageId)
+// @access  Private
+const createPageConversation = async (req, res) => {
+  const page = await Page.findById(req.body.pageId);
+  if (!page || !page.isActive) {
+    return res.status(404).json({
+      status: "error",
+      message: "Page not found",
+    });
+  }
+
+  const existingConversation = await Conversation.findOne({
+    type: "direct",
+    page: page._id,
+    "participants.user": req.user.id,
+    isActive: true,
+  });
+
+  if (existingConversation) {
+    return res.status(200).json({
+      status: "success",
+      message: "Conversation already exists",
+      data: { conversation: existingConversation },
+    });
+  }
+
+  const conversation = await Conversation.create({
+    type: "direct",
+    page: page._id,
+    participants: [{ user: req.user.id, role: "member" }],
+  });
+
+  await conversation.populate("participants.user", "name username profilePicture");
+  await conversation.populate("page", "name username profilePicture isVerified");
+
+  res.status(201).json({
+    status: "success",
+    message: "Conversation created successfully",
+    data: { conversation },
+  });
+};
 
 // @desc    Create a new conversation
 // @route   POST /api/conversations
@@ -19,7 +467,12 @@ export const createConversation = async (req, res) => {
       });
     }
 
-    const { type, participants, name, description } = req.body;
+    const { type, participants, name, description, pageId } = req.body;
+
+    // Messages addressed to a page land in the page inbox
+    if (pageId) {
+      return await createPageConversation(req, res);
+    }
 
     // Validate participants exist
     const users = await User.find({
@@ -34,6 +487,16 @@ export const createConversation = async (req, res) => {
       });
     }
 
+    const blockedIds = (await User.getBlockedUserIds(req.user.id)).map((id) =>
+      id.toString()
+    );
+    if (participants.some((userId) => blockedIds.includes(userId.toString()))) {
+      return res.status(403).json({
+        status: "error",
+        message: "You cannot start a conversation with one or more of these users",
+      });
+    }
+
     // For direct conversations, check if conversation already exists
     if (type === "direct") {
       if (participants.length !== 1) {
@@ -120,6 +583,7 @@ export const getConversations = async (req, res) => {
         "participants.user",
         "name username profilePicture isVerified _id"
       )
+      .populate("page", "name username profilePicture isVerified")
       .populate({
         path: "lastMessage",
         populate: {
@@ -172,6 +636,7 @@ export const getConversation = async (req, res) => {
   try {
     const conversation = await Conversation.findById(req.params.id)
       .populate("participants.user", "name username profilePicture isVerified")
+      .populate("page", "name username profilePicture isVerified")
       .populate("lastMessage");
 
     if (!conversation || !conversation.isActive) {
@@ -181,10 +646,12 @@ export const getConversation = async (req, res) => {
       });
     }
 
-    const isMember = conversation.participants.find(
-      (participant) =>
-        participant.user._id.toString() === req.user._id.toString()
-    );
+    const isMember = req.actingPage
+      ? conversation.page?._id.equals(req.actingPage._id)
+      : conversation.participants.find(
+          (participant) =>
+            participant.user._id.toString() === req.user._id.toString()
+        );
 
     if (!isMember) {
       return res.status(403).json({
@@ -222,7 +689,8 @@ export const sendMessage = async (req, res) => {
       });
     }
 
-    const { content, type = "text", replyTo } = req.body;
+    const { content, type = "text", replyTo, threadRoot } = req.body;
+    const actingPage = req.actingPage;
 
     const conversation = await Conversation.findById(req.params.id);
     if (!conversation || !conversation.isActive) {
@@ -232,13 +700,20 @@ export const sendMessage = async (req, res) => {
       });
     }
 
-    if (!conversation.isParticipant(req.user.id)) {
+    if (!canAccessConversation(conversation, req.user.id, actingPage)) {
       return res.status(403).json({
         status: "error",
         message: "You are not a participant in this conversation",
       });
     }
 
+    if (await conversation.isBlockedBetweenMembers(req.user.id)) {
+      return res.status(403).json({
+        status: "error",
+        message: "You cannot send messages to this user",
+      });
+    }
+
     // Validate reply message exists
     if (replyTo) {
       const replyMessage = await Message.findOne({
@@ -255,64 +730,104 @@ export const sendMessage = async (req, res) => {
       }
     }
 
+    const thread = threadRoot
+      ? await findThreadRoot(conversation._id, threadRoot)
+      : null;
+    if (threadRoot && !thread) {
+      return res.status(404).json({
+        status: "error",
+        message: "Thread not found",
+      });
+    }
+
     // Create message
     const messageData = {
       conversation: req.params.id,
       sender: req.user._id,
-      content,
+      senderPage: actingPage ? actingPage._id : null,
+      // Previews are generated by the server, never taken from the client
+      content: {
+        ...content,
+        media: await ChatUpload.linkMedia(req.user._id, content?.media),
+        linkPreviews: [],
+      },
       type,
       replyTo,
+      threadRoot: thread ? thread._id : null,
     };
 
     // Set expiration for disappearing messages
-    if (conversation.settings.disappearingMessages.enabled) {
-      const expirationTime = new Date();
-      expirationTime.setHours(
-        expirationTime.getHours() +
-          conversation.settings.disappearingMessages.duration
-      );
-      messageData.expiresAt = expirationTime;
-    }
+    messageData.expiresAt = conversation.getMessageExpiry();
 
     const message = await Message.create(messageData);
     await message.populate("sender", "name username profilePicture");
+    await message.populate("senderPage", "name username profilePicture isVerified");
+
+    attachLinkPreviews(message).catch((error) =>
+      console.error("Error attaching link previews:", error)
+    );
 
     if (replyTo) {
-      await message.populate("replyTo", "content sender");
+      await message.populate("replyTo", "content sender senderPage");
     }
 
-    // Update conversation last message and activity
-    conversation.lastMessage = message._id;
-    conversation.lastActivity = new Date();
+    // Thread replies keep their own counts instead of the conversation's
+    if (thread) {
+      await recordThreadReply(thread, message);
+    } else {
+      // Update conversation last message
+      conversation.lastMessage = message._id;
 
-    // Update unread counts for other participants
-    conversation.participants.forEach((participant) => {
-      if (
-        participant.user.toString() !== req.user.id.toString() &&
-        participant.isActive
-      ) {
-        participant.unreadCount += 1;
+      // Messages from the customer count as unread for the page team
+      if (conversation.page && !actingPage) {
+        conversation.pageUnreadCount += 1;
       }
-    });
+    }
 
+    conversation.lastActivity = new Date();
     await conversation.save();
 
-    // Send message notifications to offline participants
+    if (!thread) {
+      await receiptService.incrementUnread(conversation._id, req.user._id);
+    }
+    await syncService.record(conversation._id, "message_created", message._id);
+
+    // Send message notifications to offline participants (thread followers for thread replies)
+    const followerIds = thread ? getThreadFollowerIds(thread) : null;
+    const onlineIds = new Set(
+      global.socketHandlers
+        ? await global.socketHandlers.filterOnlineUsers(conversation.participants.map((p) => p.user))
+        : []
+    );
     const offlineParticipants = conversation.participants.filter(
       (p) =>
         p.user.toString() !== req.user.id.toString() &&
         p.isActive &&
-        (!global.socketHandlers ||
-          !global.socketHandlers.isUserOnline(p.user.toString()))
+        (!followerIds || followerIds.includes(p.user.toString())) &&
+        !conversation.isMutedFor(p.user) &&
+        !onlineIds.has(p.user.toString())
     );
 
     for (const participant of offlineParticipants) {
-      await NotificationHelper.notifyMessage(
-        req.params.id,
-        message._id,
-        req.user.id,
-        participant.user
-      );
+      if (actingPage) {
+        await NotificationHelper.notifyPageMessage(
+          actingPage,
+          req.params.id,
+          message._id,
+          participant.user
+        );
+      } else {
+        await NotificationHelper.notifyMessage(
+          req.params.id,
+          message._id,
+          req.user.id,
+          participant.user
+        );
+      }
+    }
+
+    if (conversation.page && !actingPage) {
+      await notifyPageInbox(conversation, message._id, req.user.id);
     }
 
     res.status(201).json({
@@ -334,7 +849,7 @@ export const sendMessage = async (req, res) => {
 // @access  Private
 export const getMessages = async (req, res) => {
   try {
-    const { limit = 50, page = 1, before } = req.query;
+    const { limit = 50, page = 1, before, around } = req.query;
     const skip = (page - 1) * limit;
 
     const conversation = await Conversation.findById(req.params.id);
@@ -345,16 +860,18 @@ export const getMessages = async (req, res) => {
       });
     }
 
-    if (!conversation.isParticipant(req.user.id)) {
+    if (!canAccessConversation(conversation, req.user.id, req.actingPage)) {
       return res.status(403).json({
         status: "error",
         message: "Access denied",
       });
     }
 
+    // Thread replies are read through the thread endpoint
     let query = {
+      ...visibleMessagesQuery(),
       conversation: req.params.id,
-      isDeleted: false,
+      threadRoot: null,
     };
 
     // For pagination with cursor (before timestamp)
@@ -362,51 +879,99 @@ export const getMessages = async (req, res) => {
       query.createdAt = { $lt: new Date(before) };
     }
 
-    const messages = await Message.find(query)
-      .populate("sender", "name username profilePicture")
-      .populate("replyTo", "content sender")
-      .populate("reactions.user", "name username profilePicture")
-      .sort({ createdAt: -1 })
-      .limit(Number(limit))
-      .skip(skip);
+    const findMessages = (filter, sort, count) =>
+      Message.find(filter)
+        .populate("sender", "name username profilePicture")
+        .populate("senderPage", "name username profilePicture isVerified")
+        .populate("replyTo", "content sender senderPage")
+        .populate("reactions.user", "name username profilePicture")
+        .sort(sort)
+        .limit(count);
+
+    let messages;
+    let hasNewer = false;
+
+    // Jump to a message (e.g. a search hit) with half a page on either side
+    if (around) {
+      if (!mongoose.Types.ObjectId.isValid(around)) {
+        return res.status(400).json({
+          status: "error",
+          message: "Invalid message id",
+        });
+      }
+
+      const [anchor] = await findMessages({ ...query, _id: around }, {}, 1);
+      if (!anchor) {
+        return res.status(404).json({
+          status: "error",
+          message: "Message not found",
+        });
+      }
+
+      const olderCount = Math.floor(Number(limit) / 2);
+      const newerCount = Math.max(Number(limit) - olderCount - 1, 0);
+      const [older, newer] = await Promise.all([
+        findMessages(
+          { ...query, createdAt: { $lt: anchor.createdAt } },
+          { createdAt: -1 },
+          olderCount
+        ),
+        findMessages(
+          { ...query, createdAt: { $gt: anchor.createdAt } },
+          { createdAt: 1 },
+          newerCount
+        ),
+      ]);
+
+      hasNewer = newer.length === newerCount;
+      messages = [...newer.reverse(), anchor, ...older];
+    } else {
+      messages = await findMessages(query, { createdAt: -1 }, Number(limit)).skip(skip);
+    }
 
     const total = await Message.countDocuments({
+      ...visibleMessagesQuery(),
       conversation: req.params.id,
-      isDeleted: false,
+      threadRoot: null,
     });
 
-    // Mark messages as read
-    const unreadMessages = messages.filter(
-      (msg) =>
-        !msg.isReadBy(req.user.id) &&
-        msg.sender.toString() !== req.user.id.toString()
-    );
+    const threadUnread = req.actingPage
+      ? new Map()
+      : await Message.getThreadUnreadCounts(messages, req.user.id);
 
-    for (const message of unreadMessages) {
-      message.markAsRead(req.user.id);
-      await message.save();
+    // The page team shares a single unread counter
+    if (req.actingPage && conversation.pageUnreadCount > 0) {
+      conversation.pageUnreadCount = 0;
+      await conversation.save();
     }
 
-    // Reset unread count for user
-    const participant = conversation.getParticipant(req.user.id);
-    if (participant) {
-      participant.unreadCount = 0;
-      participant.lastSeen = new Date();
-      await conversation.save();
+    // Everything up to the newest message on this page has now been read
+    if (!req.actingPage && messages.length > 0) {
+      await receiptService.markReadUpTo(req.user.id, conversation._id, messages[0]._id);
     }
 
-    console.log("Messages: ", messages);
+    // Return in chronological order
+    const visibleMessages = req.actingPage
+      ? messages.reverse()
+      : await receiptService.redactReadReceipts(messages.reverse(), req.user.id);
 
     res.status(200).json({
       status: "success",
       data: {
-        messages: messages.reverse(), // Return in chronological order
+        messages: visibleMessages.map((message) => {
+          if (message.thread.replyCount === 0) return message;
+
+          const data = typeof message.toObject === "function" ? message.toObject() : message;
+          data.thread.unreadCount = threadUnread.get(message._id.toString()) || 0;
+          return data;
+        }),
         pagination: {
           page: Number(page),
           limit: Number(limit),
           total,
           pages: Math.ceil(total / limit),
           hasMore: skip + messages.length < total,
+          ...(around && { hasNewer }),
         },
       },
     });
@@ -456,7 +1021,8 @@ export const editMessage = async (req, res) => {
     }
 
     // Save edit history
-    if (message.content.text !== content.text) {
+    const textChanged = message.content.text !== content.text;
+    if (textChanged) {
       message.editHistory.push({
         content: message.content.text,
         editedAt: new Date(),
@@ -464,8 +1030,22 @@ export const editMessage = async (req, res) => {
       message.isEdited = true;
     }
 
-    message.content = content;
+    // Media goes through the same upload linking as a new message, so an edit
+    // can neither claim someone else's upload nor drop the link to its own
+    const linkPreviews = message.content.linkPreviews;
+    message.content = {
+      ...content,
+      media: await ChatUpload.linkMedia(req.user._id, content?.media),
+      linkPreviews: textChanged ? [] : linkPreviews,
+    };
     await message.save();
+    await syncService.record(message.conversation, "message_updated", message._id);
+
+    if (textChanged) {
+      attachLinkPreviews(message).catch((error) =>
+        console.error("Error attaching link previews:", error)
+      );
+    }
 
     await message.populate("sender", "firstName lastName profilePicture");
 
@@ -491,6 +1071,7 @@ export const deleteMessage = async (req, res) => {
     const message = await Message.findOne({
       _id: req.params.messageId,
       conversation: req.params.conversationId,
+      isDeleted: false,
     });
 
     if (!message) {
@@ -507,9 +1088,31 @@ export const deleteMessage = async (req, res) => {
       });
     }
 
-    message.isDeleted = true;
-    message.deletedAt = new Date();
-    await message.save();
+    // Only the request that flips the flag updates the thread count
+    const { modifiedCount } = await Message.updateOne(
+      { _id: message._id, isDeleted: false },
+      { isDeleted: true, deletedAt: new Date() }
+    );
+
+    if (modifiedCount === 0) {
+      return res.status(404).json({
+        status: "error",
+        message: "Message not found",
+      });
+    }
+
+    if (message.threadRoot) {
+      await Message.updateOne(
+        { _id: message.threadRoot },
+        { $inc: { "thread.replyCount": -1 } }
+      );
+    }
+
+    await Conversation.updateOne(
+      { _id: message.conversation },
+      { $pull: { pinnedMessages: { message: message._id } } }
+    );
+    await syncService.record(message.conversation, "message_deleted", message._id);
 
     res.status(200).json({
       status: "success",
@@ -577,6 +1180,7 @@ export const reactToMessage = async (req, res) => {
     }
 
     await message.save();
+    await syncService.record(message.conversation, "reaction_updated", message._id);
 
     // Send reaction notification to message author (if not self-reaction)
     if (message.sender.toString() !== req.user.id.toString()) {
@@ -669,24 +1273,46 @@ export const addParticipants = async (req, res) => {
       });
     }
 
-    // Add new participants
-    const newParticipants = participants.filter(
-      (userId) =>
-        !conversation.participants.some((p) => p.user.toString() === userId)
+    const blockedIds = (await User.getBlockedUserIds(req.user.id)).map((id) =>
+      id.toString()
+    );
+    if (participants.some((userId) => blockedIds.includes(userId.toString()))) {
+      return res.status(403).json({
+        status: "error",
+        message: "You cannot add one or more of these users",
+      });
+    }
+
+    // Add new participants; people who left before are brought back
+    const newParticipants = users.filter(
+      (user) => !conversation.isParticipant(user._id)
     );
 
-    newParticipants.forEach((userId) => {
-      conversation.participants.push({
-        user: userId,
-        role: "member",
-        joinedAt: new Date(),
+    if (newParticipants.length === 0) {
+      return res.status(400).json({
+        status: "error",
+        message: "These users are already in the conversation",
       });
-    });
+    }
+
+    newParticipants.forEach((user) => conversation.addMember(user._id));
+
+    await postSystemMessage(
+      conversation,
+      req.user._id,
+      `${req.user.name} added ${newParticipants.map((user) => user.name).join(", ")}.`
+    );
+
+    if (global.socketHandlers) {
+      global.socketHandlers.emitToConversation(conversation._id, "participants_updated", {
+        conversationId: conversation._id,
+        added: newParticipants.map((user) => user._id),
+      });
+    }
 
-    await conversation.save();
     await conversation.populate(
       "participants.user",
-      "firstName lastName profilePicture"
+      "name username profilePicture"
     );
 
     res.status(200).json({
@@ -733,7 +1359,7 @@ export const removeParticipant = async (req, res) => {
       });
     }
 
-    if (!targetParticipant) {
+    if (!targetParticipant || !targetParticipant.isActive) {
       return res.status(404).json({
         status: "error",
         message: "User is not a participant",
@@ -751,11 +1377,15 @@ export const removeParticipant = async (req, res) => {
       });
     }
 
-    // Update participant status
-    targetParticipant.isActive = false;
-    targetParticipant.leftAt = new Date();
-
-    await conversation.save();
+    const targetUser = await User.findById(req.params.userId).select("name");
+    await removeFromGroup(
+      conversation,
+      targetParticipant,
+      req.user,
+      isSelfLeaving
+        ? `${req.user.name} left the group.`
+        : `${req.user.name} removed ${targetUser ? targetUser.name : "a member"}.`
+    );
 
     res.status(200).json({
       status: "success",
@@ -771,3 +1401,1327 @@ export const removeParticipant = async (req, res) => {
     });
   }
 };
+
+// @desc    Get call history across all conversations, or in one conversation
+// @route   GET /api/conversations/calls
+// @route   GET /api/conversations/:id/calls
+// @access  Private
+export const getCallHistory = async (req, res) => {
+  try {
+    const { limit = 20, page = 1, outcome } = req.query;
+    const skip = (page - 1) * limit;
+
+    const query = { "participants.user": req.user.id, status: "ended" };
+
+    if (req.params.id) {
+      const conversation = await Conversation.findById(req.params.id);
+      if (!conversation || !conversation.isParticipant(req.user.id)) {
+        return res.status(403).json({
+          status: "error",
+          message: "Access denied to this conversation",
+        });
+      }
+      query.conversation = conversation._id;
+    }
+
+    if (outcome) {
+      query.outcome = outcome;
+    }
+
+    const calls = await Call.find(query)
+      .populate("initiator", "name username profilePicture")
+      .populate("participants.user", "name username profilePicture")
+      .populate("conversation", "type name avatar")
+      .select("-participants.socketId")
+      .sort({ createdAt: -1 })
+      .limit(Number(limit))
+      .skip(skip);
+
+    const total = await Call.countDocuments(query);
+
+    res.status(200).json({
+      status: "success",
+      data: {
+        calls,
+        pagination: {
+          page: Number(page),
+          limit: Number(limit),
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Error fetching call history",
+      error: error.message,
+    });
+  }
+};
+
+const populateSearchHits = (query) =>
+  query
+    .populate("sender", "name username profilePicture")
+    .populate("senderPage", "name username profilePicture isVerified")
+    .populate("conversation", "type name avatar");
+
+// Find one page of search hits. Plaintext messages go through the text index;
+// sealed messages in encrypted conversations match when their blind index holds
+// every word of the query. By relevance, text index hits rank ahead of sealed ones
+const findSearchHits = async ({ filters, conversationIds, q, sort, skip, limit }) => {
+  const textQuery = {
+    ...filters,
+    conversation: { $in: conversationIds },
+    encryptedWith: null,
+    $text: { $search: q },
+  };
+  const textHits = (from, count) =>
+    populateSearchHits(
+      Message.find(textQuery, { score: { $meta: "textScore" } })
+        .sort(sort === "relevance" ? { score: { $meta: "textScore" } } : { createdAt: -1 })
+        .limit(count)
+        .skip(from)
+    );
+
+  const keyRings = await encryptionService.getKeyRings(conversationIds);
+  const searchable = keyRings
+    .map((ring) => ({ ring, tokens: encryptionService.searchTokens(ring, q) }))
+    .filter(({ tokens }) => tokens.length > 0);
+
+  if (searchable.length === 0) {
+    const [hits, total] = await Promise.all([
+      textHits(skip, limit),
+      Message.countDocuments(textQuery),
+    ]);
+    return { hits, total };
+  }
+
+  const sealedQuery = {
+    ...filters,
+    encryptedWith: { $ne: null },
+    $and: [
+      {
+        $or: searchable.map(({ ring, tokens }) => ({
+          conversation: new mongoose.Types.ObjectId(ring.conversationId),
+          "content.searchTokens": { $all: tokens },
+        })),
+      },
+    ],
+  };
+  const sealedHits = (from, count) =>
+    populateSearchHits(Message.find(sealedQuery).sort({ createdAt: -1 }).limit(count).skip(from));
+
+  const [textTotal, sealedTotal] = await Promise.all([
+    Message.countDocuments(textQuery),
+    Message.countDocuments(sealedQuery),
+  ]);
+  const total = textTotal + sealedTotal;
+
+  if (sort === "relevance") {
+    const fromText = Math.max(Math.min(limit, textTotal - skip), 0);
+    const [ranked, rest] = await Promise.all([
+      fromText > 0 ? textHits(skip, fromText) : [],
+      limit > fromText ? sealedHits(Math.max(skip - textTotal, 0), limit - fromText) : [],
+    ]);
+    return { hits: [...ranked, ...rest], total };
+  }
+
+  // Newest first: enough of both to cover the page, merged by date
+  const [plain, sealed] = await Promise.all([
+    textHits(0, skip + limit),
+    sealedHits(0, skip + limit),
+  ]);
+  const hits = [...plain, ...sealed]
+    .sort((a, b) => b.createdAt - a.createdAt)
+    .slice(skip, skip + limit);
+  return { hits, total };
+};
+
+// @desc    Search messages across my conversations, or in one conversation
+// @route   GET /api/conversations/search
+// @route   GET /api/conversations/:id/search
+// @access  Private
+export const searchMessages = async (req, res) => {
+  try {
+    const {
+      q,
+      sender,
+      from,
+      to,
+      mediaType,
+      sort = "newest",
+      limit = 20,
+      page = 1,
+    } = req.query;
+    const skip = (page - 1) * limit;
+    const conversationId = req.params.id || req.query.conversationId;
+    // context=0 asks for the hits alone, so only a missing or invalid value falls back to 2
+    const requestedContext = parseInt(req.query.context);
+    const contextSize = Number.isNaN(requestedContext)
+      ? 2
+      : Math.min(Math.max(requestedContext, 0), 5);
+
+    if (!q || q.trim().length < 2) {
+      return res.status(400).json({
+        status: "error",
+        message: "Search query must be at least 2 characters long",
+      });
+    }
+
+    if (
+      (sender && !mongoose.Types.ObjectId.isValid(sender)) ||
+      (conversationId && !mongoose.Types.ObjectId.isValid(conversationId))
+    ) {
+      return res.status(400).json({
+        status: "error",
+        message: "Invalid sender or conversation id",
+      });
+    }
+
+    const fromDate = from ? new Date(from) : null;
+    const toDate = to ? new Date(to) : null;
+    if ((fromDate && isNaN(fromDate.getTime())) || (toDate && isNaN(toDate.getTime()))) {
+      return res.status(400).json({
+        status: "error",
+        message: "From and to must be valid dates",
+      });
+    }
+
+    const mediaTypes = Message.schema.path("content.media").schema.path("type").enumValues;
+    if (mediaType && !mediaTypes.includes(mediaType)) {
+      return res.status(400).json({
+        status: "error",
+        message: `Media type must be one of: ${mediaTypes.join(", ")}`,
+      });
+    }
+
+    // Only search conversations the user is still an active participant in
+    const conversations = await Conversation.find({
+      participants: { $elemMatch: { user: req.user.id, isActive: true } },
+      isActive: true,
+    }).select("_id");
+
+    let conversationIds = conversations.map((conversation) => conversation._id);
+
+    if (conversationId) {
+      conversationIds = conversationIds.filter(
+        (id) => id.toString() === conversationId
+      );
+      if (conversationIds.length === 0) {
+        return res.status(403).json({
+          status: "error",
+          message: "Access denied",
+        });
+      }
+    }
+
+    const filters = visibleMessagesQuery();
+
+    // Messages a page sent are the page's, whichever admin wrote them
+    if (sender) {
+      filters.sender = sender;
+      filters.senderPage = null;
+    }
+
+    if (fromDate || toDate) {
+      filters.createdAt = {};
+      if (fromDate) filters.createdAt.$gte = fromDate;
+      if (toDate) filters.createdAt.$lte = toDate;
+    }
+
+    if (mediaType) {
+      filters["content.media.type"] = mediaType;
+    }
+
+    const { hits, total } = await findSearchHits({
+      filters,
+      conversationIds,
+      q: q.trim(),
+      sort,
+      skip: Number(skip),
+      limit: Number(limit),
+    });
+
+    // Surround each hit with the messages just before and after it
+    const findContext = (hit, createdAt, order) =>
+      Message.find({
+        ...visibleMessagesQuery(),
+        conversation: hit.conversation._id,
+        threadRoot: hit.threadRoot,
+        createdAt,
+      })
+        .select("content type sender senderPage createdAt isEdited")
+        .populate("sender", "name username profilePicture")
+        .populate("senderPage", "name username profilePicture isVerified")
+        .sort({ createdAt: order })
+        .limit(contextSize);
+
+    const results = await Promise.all(
+      hits.map(async (hit) => {
+        const [before, after] = contextSize
+          ? await Promise.all([
+              findContext(hit, { $lt: hit.createdAt }, -1),
+              findContext(hit, { $gt: hit.createdAt }, 1),
+            ])
+          : [[], []];
+
+        return {
+          message: hit,
+          context: { before: before.reverse(), after },
+          // Pass to GET /api/conversations/:id/messages to open the chat at this message;
+          // thread replies open the thread instead
+          cursor: hit.threadRoot
+            ? { conversationId: hit.conversation._id, threadRoot: hit.threadRoot }
+            : { conversationId: hit.conversation._id, around: hit._id },
+        };
+      })
+    );
+
+    res.status(200).json({
+      status: "success",
+      data: {
+        results,
+        pagination: {
+          page: Number(page),
+          limit: Number(limit),
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Error searching messages",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Turn disappearing messages on or off
+// @route   PUT /api/conversations/:id/disappearing-messages
+// @access  Private
+export const updateDisappearingMessages = async (req, res) => {
+  try {
+    const { enabled, duration } = req.body;
+
+    if (typeof enabled !== "boolean") {
+      return res.status(400).json({
+        status: "error",
+        message: "enabled must be true or false",
+      });
+    }
+
+    if (
+      duration !== undefined &&
+      !(Number.isInteger(duration) && duration >= 1 && duration <= 2160)
+    ) {
+      return res.status(400).json({
+        status: "error",
+        message: "Duration must be a whole number of hours between 1 and 2160",
+      });
+    }
+
+    const conversation = await Conversation.findById(req.params.id);
+    if (!conversation || !conversation.isActive) {
+      return res.status(404).json({
+        status: "error",
+        message: "Conversation not found",
+      });
+    }
+
+    const participant = conversation.getParticipant(req.user.id);
+    if (!participant || !participant.isActive) {
+      return res.status(403).json({
+        status: "error",
+        message: "You are not a participant in this conversation",
+      });
+    }
+
+    if (conversation.type === "group" && participant.role !== "admin") {
+      return res.status(403).json({
+        status: "error",
+        message: "Only group admins can change disappearing messages",
+      });
+    }
+
+    const settings = conversation.settings.disappearingMessages;
+    settings.enabled = enabled;
+    if (duration !== undefined) {
+      settings.duration = duration;
+    }
+
+    // Messages already sent keep the expiry they were sent with
+    const text = enabled
+      ? `${req.user.name} turned on disappearing messages. New messages will disappear ${formatDuration(settings.duration)} after they're sent.`
+      : `${req.user.name} turned off disappearing messages.`;
+
+    await postSystemMessage(conversation, req.user._id, text);
+
+    if (global.socketHandlers) {
+      global.socketHandlers.emitToConversation(
+        conversation._id,
+        "conversation_settings_updated",
+        {
+          conversationId: conversation._id,
+          settings: conversation.settings,
+        }
+      );
+    }
+
+    res.status(200).json({
+      status: "success",
+      message: enabled
+        ? "Disappearing messages turned on"
+        : "Disappearing messages turned off",
+      data: { settings: conversation.settings },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Error updating disappearing messages",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get a message thread
+// @route   GET /api/conversations/:id/messages/:messageId/thread
+// @access  Private
+export const getThread = async (req, res) => {
+  try {
+    const { limit = 50, page = 1 } = req.query;
+    const skip = (page - 1) * limit;
+
+    const conversation = await Conversation.findById(req.params.id);
+    if (!conversation || !conversation.isActive || !conversation.isParticipant(req.user.id)) {
+      return res.status(403).json({
+        status: "error",
+        message: "Access denied",
+      });
+    }
+
+    const root = await findThreadRoot(conversation._id, req.params.messageId);
+    if (!root) {
+      return res.status(404).json({
+        status: "error",
+        message: "Thread not found",
+      });
+    }
+    await root.populate("sender", "name username profilePicture");
+
+    const query = { ...visibleMessagesQuery(), threadRoot: root._id };
+
+    const replies = await Message.find(query)
+      .populate("sender", "name username profilePicture")
+      .populate("senderPage", "name username profilePicture isVerified")
+      .populate("replyTo", "content sender senderPage")
+      .populate("reactions.user", "name username profilePicture")
+      .sort({ createdAt: 1 })
+      .limit(Number(limit))
+      .skip(skip);
+
+    const total = await Message.countDocuments(query);
+
+    await Message.markThreadRead(root._id, req.user._id);
+
+    res.status(200).json({
+      status: "success",
+      data: {
+        root,
+        replies,
+        pagination: {
+          page: Number(page),
+          limit: Number(limit),
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Error fetching thread",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get pinned messages
+// @route   GET /api/conversations/:id/pins
+// @access  Private
+export const getPinnedMessages = async (req, res) => {
+  try {
+    const conversation = await Conversation.findById(req.params.id).populate({
+      path: "pinnedMessages.message",
+      populate: { path: "sender", select: "name username profilePicture" },
+    });
+
+    if (!conversation || !conversation.isActive || !conversation.isParticipant(req.user.id)) {
+      return res.status(403).json({
+        status: "error",
+        message: "Access denied",
+      });
+    }
+
+    await conversation.populate("pinnedMessages.pinnedBy", "name username profilePicture");
+
+    const pins = conversation.pinnedMessages
+      .filter((pin) => pin.message && !pin.message.isDeleted)
+      .sort((a, b) => b.pinnedAt - a.pinnedAt);
+
+    res.status(200).json({
+      status: "success",
+      data: { pins },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Error fetching pinned messages",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Pin or unpin a message
+// @route   POST /api/conversations/:conversationId/messages/:messageId/pin
+// @route   DELETE /api/conversations/:conversationId/messages/:messageId/pin
+// @access  Private
+const togglePin = (pinned) => async (req, res) => {
+  try {
+    const conversation = await Conversation.findById(req.params.conversationId);
+    if (!conversation || !conversation.isActive) {
+      return res.status(404).json({
+        status: "error",
+        message: "Conversation not found",
+      });
+    }
+
+    const { error } = await setMessagePinned({
+      conversation,
+      messageId: req.params.messageId,
+      user: req.user,
+      pinned,
+    });
+
+    if (error) {
+      return res.status(error.status).json({
+        status: "error",
+        message: error.message,
+      });
+    }
+
+    res.status(200).json({
+      status: "success",
+      message: pinned ? "Message pinned" : "Message unpinned",
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Error updating pinned messages",
+      error: error.message,
+    });
+  }
+};
+
+export const pinMessage = togglePin(true);
+export const unpinMessage = togglePin(false);
+
+// @desc    Forward a message to other conversations
+// @route   POST /api/conversations/:conversationId/messages/:messageId/forward
+// @access  Private
+export const forwardMessageToConversations = async (req, res) => {
+  try {
+    const { error, messages } = await forwardMessage({
+      user: req.user,
+      sourceConversationId: req.params.conversationId,
+      messageId: req.params.messageId,
+      targetConversationIds: req.body.conversationIds,
+    });
+
+    if (error) {
+      return res.status(error.status).json({
+        status: "error",
+        message: error.message,
+      });
+    }
+
+    res.status(201).json({
+      status: "success",
+      message: "Message forwarded successfully",
+      data: { messages },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Error forwarding message",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Update group name, avatar or description
+// @route   PUT /api/conversations/:id
+// @access  Private (group admins)
+export const updateGroupInfo = async (req, res) => {
+  try {
+    const { error, conversation } = await loadGroupForMember(
+      req.params.id,
+      req.user.id,
+      { adminOnly: true }
+    );
+    if (error) {
+      return res.status(error.status).json({
+        status: "error",
+        message: error.message,
+      });
+    }
+
+    const { name, avatar, description } = req.body;
+    const announcements = [];
+
+    if (name !== undefined) {
+      if (typeof name !== "string" || !name.trim()) {
+        return res.status(400).json({
+          status: "error",
+          message: "Group name cannot be empty",
+        });
+      }
+      if (name.trim() !== conversation.name) {
+        conversation.name = name.trim();
+        announcements.push(`${req.user.name} renamed the group to "${conversation.name}".`);
+      }
+    }
+
+    if (avatar !== undefined && avatar !== conversation.avatar) {
+      conversation.avatar = avatar || "";
+      announcements.push(
+        avatar
+          ? `${req.user.name} changed the group photo.`
+          : `${req.user.name} removed the group photo.`
+      );
+    }
+
+    if (description !== undefined && description !== conversation.description) {
+      conversation.description = description;
+      announcements.push(`${req.user.name} updated the group description.`);
+    }
+
+    if (announcements.length === 0) {
+      return res.status(400).json({
+        status: "error",
+        message: "Nothing to update",
+      });
+    }
+
+    // Validate before announcing anything
+    await conversation.validate();
+
+    for (const text of announcements) {
+      await postSystemMessage(conversation, req.user._id, text);
+    }
+
+    if (global.socketHandlers) {
+      global.socketHandlers.emitToConversation(conversation._id, "conversation_updated", {
+        conversationId: conversation._id,
+        name: conversation.name,
+        avatar: conversation.avatar,
+        description: conversation.description,
+        updatedBy: req.user._id,
+      });
+    }
+
+    res.status(200).json({
+      status: "success",
+      message: "Group updated successfully",
+      data: { conversation },
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        status: "error",
+        message: "Validation error",
+        error: error.message,
+      });
+    }
+
+    res.status(500).json({
+      status: "error",
+      message: "Error updating group",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Promote a participant to admin, or demote an admin
+// @route   POST /api/conversations/:id/participants/:userId/promote
+// @route   POST /api/conversations/:id/participants/:userId/demote
+// @access  Private (group admins)
+const setParticipantRole = (role) => async (req, res) => {
+  try {
+    const { error, conversation } = await loadGroupForMember(
+      req.params.id,
+      req.user.id,
+      { adminOnly: true }
+    );
+    if (error) {
+      return res.status(error.status).json({
+        status: "error",
+        message: error.message,
+      });
+    }
+
+    const target = mongoose.Types.ObjectId.isValid(req.params.userId)
+      ? conversation.getParticipant(req.params.userId)
+      : null;
+    if (!target || !target.isActive) {
+      return res.status(404).json({
+        status: "error",
+        message: "User is not a participant",
+      });
+    }
+
+    if (target.role === role) {
+      return res.status(400).json({
+        status: "error",
+        message: role === "admin" ? "User is already an admin" : "User is not an admin",
+      });
+    }
+
+    if (
+      role === "member" &&
+      conversation.participants.filter((p) => p.isActive && p.role === "admin").length === 1
+    ) {
+      return res.status(400).json({
+        status: "error",
+        message: "A group needs at least one admin",
+      });
+    }
+
+    target.role = role;
+
+    const targetUser = await User.findById(target.user).select("name");
+    const targetName = targetUser ? targetUser.name : "a member";
+    await postSystemMessage(
+      conversation,
+      req.user._id,
+      role === "admin"
+        ? `${req.user.name} made ${targetName} an admin.`
+        : `${req.user.name} removed ${targetName} as an admin.`
+    );
+
+    if (global.socketHandlers) {
+      global.socketHandlers.emitToConversation(conversation._id, "participants_updated", {
+        conversationId: conversation._id,
+        [role === "admin" ? "admins" : "members"]: [target.user],
+      });
+    }
+
+    res.status(200).json({
+      status: "success",
+      message: role === "admin" ? "Participant promoted to admin" : "Admin demoted to member",
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Error updating participant role",
+      error: error.message,
+    });
+  }
+};
+
+export const promoteParticipant = setParticipantRole("admin");
+export const demoteParticipant = setParticipantRole("member");
+
+// @desc    Leave a group conversation
+// @route   POST /api/conversations/:id/leave
+// @access  Private
+export const leaveConversation = async (req, res) => {
+  try {
+    const { error, conversation, participant } = await loadGroupForMember(
+      req.params.id,
+      req.user.id
+    );
+    if (error) {
+      return res.status(error.status).json({
+        status: "error",
+        message: error.message,
+      });
+    }
+
+    await removeFromGroup(
+      conversation,
+      participant,
+      req.user,
+      `${req.user.name} left the group.`
+    );
+
+    res.status(200).json({
+      status: "success",
+      message: "Left conversation successfully",
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Error leaving conversation",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Mute or unmute notifications for a conversation
+// @route   PUT /api/conversations/:id/mute
+// @access  Private
+export const muteConversation = async (req, res) => {
+  try {
+    const { mutedUntil = null } = req.body;
+
+    const until = mutedUntil === null ? null : new Date(mutedUntil);
+    if (until && (isNaN(until.getTime()) || until <= new Date())) {
+      return res.status(400).json({
+        status: "error",
+        message: "mutedUntil must be a future date, or null to unmute",
+      });
+    }
+
+    const conversation = await Conversation.findById(req.params.id);
+    const participant = conversation && conversation.getParticipant(req.user.id);
+    if (!conversation || !conversation.isActive || !participant || !participant.isActive) {
+      return res.status(403).json({
+        status: "error",
+        message: "Access denied",
+      });
+    }
+
+    participant.mutedUntil = until;
+    await conversation.save();
+
+    res.status(200).json({
+      status: "success",
+      message: until ? "Conversation muted" : "Conversation unmuted",
+      data: { mutedUntil: participant.mutedUntil },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Error muting conversation",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get a group's invite links
+// @route   GET /api/conversations/:id/invite-links
+// @access  Private (group admins)
+export const getInviteLinks = async (req, res) => {
+  try {
+    const { error, conversation } = await loadGroupForMember(
+      req.params.id,
+      req.user.id,
+      { adminOnly: true }
+    );
+    if (error) {
+      return res.status(error.status).json({
+        status: "error",
+        message: error.message,
+      });
+    }
+
+    await conversation.populate("inviteLinks.createdBy", "name username profilePicture");
+
+    res.status(200).json({
+      status: "success",
+      data: {
+        inviteLinks: conversation.inviteLinks.map((link) => ({
+          ...link.toObject(),
+          isUsable: conversation.getUsableInviteLink(link.code) === link,
+        })),
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Error fetching invite links",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Create an invite link
+// @route   POST /api/conversations/:id/invite-links
+// @access  Private (group admins, or members when member invites are allowed)
+export const createInviteLink = async (req, res) => {
+  try {
+    const { expiresInHours, maxUses } = req.body;
+
+    if (
+      expiresInHours !== undefined &&
+      expiresInHours !== null &&
+      !(Number.isInteger(expiresInHours) && expiresInHours >= 1 && expiresInHours <= 720)
+    ) {
+      return res.status(400).json({
+        status: "error",
+        message: "expiresInHours must be a whole number of hours between 1 and 720",
+      });
+    }
+
+    if (
+      maxUses !== undefined &&
+      maxUses !== null &&
+      !(Number.isInteger(maxUses) && maxUses >= 1 && maxUses <= 1000)
+    ) {
+      return res.status(400).json({
+        status: "error",
+        message: "maxUses must be a whole number between 1 and 1000",
+      });
+    }
+
+    const { error, conversation, participant } = await loadGroupForMember(
+      req.params.id,
+      req.user.id
+    );
+    if (error) {
+      return res.status(error.status).json({
+        status: "error",
+        message: error.message,
+      });
+    }
+
+    if (!conversation.settings.allowMemberInvites && participant.role !== "admin") {
+      return res.status(403).json({
+        status: "error",
+        message: "Only admins can create invite links",
+      });
+    }
+
+    conversation.inviteLinks.push({
+      code: randomBytes(12).toString("base64url"),
+      createdBy: req.user._id,
+      expiresAt: expiresInHours
+        ? new Date(Date.now() + expiresInHours * 60 * 60 * 1000)
+        : null,
+      maxUses: maxUses || null,
+    });
+    const inviteLink = conversation.inviteLinks[conversation.inviteLinks.length - 1];
+
+    await postSystemMessage(
+      conversation,
+      req.user._id,
+      `${req.user.name} created an invite link.`
+    );
+
+    res.status(201).json({
+      status: "success",
+      message: "Invite link created",
+      data: { inviteLink },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Error creating invite link",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Revoke an invite link
+// @route   DELETE /api/conversations/:id/invite-links/:linkId
+// @access  Private (group admins, or the member who created it)
+export const revokeInviteLink = async (req, res) => {
+  try {
+    const { error, conversation, participant } = await loadGroupForMember(
+      req.params.id,
+      req.user.id
+    );
+    if (error) {
+      return res.status(error.status).json({
+        status: "error",
+        message: error.message,
+      });
+    }
+
+    const inviteLink = conversation.inviteLinks.id(req.params.linkId);
+    if (!inviteLink || inviteLink.revokedAt) {
+      return res.status(404).json({
+        status: "error",
+        message: "Invite link not found",
+      });
+    }
+
+    if (
+      participant.role !== "admin" &&
+      inviteLink.createdBy.toString() !== req.user.id.toString()
+    ) {
+      return res.status(403).json({
+        status: "error",
+        message: "Not authorized to revoke this invite link",
+      });
+    }
+
+    inviteLink.revokedAt = new Date();
+
+    await postSystemMessage(
+      conversation,
+      req.user._id,
+      `${req.user.name} revoked an invite link.`
+    );
+
+    res.status(200).json({
+      status: "success",
+      message: "Invite link revoked",
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Error revoking invite link",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Preview the group behind an invite link
+// @route   GET /api/conversations/invite/:code
+// @access  Private
+export const getInvitePreview = async (req, res) => {
+  try {
+    const conversation = await Conversation.findOne({
+      "inviteLinks.code": req.params.code,
+      type: "group",
+      isActive: true,
+    });
+    if (!conversation || !conversation.getUsableInviteLink(req.params.code)) {
+      return res.status(404).json({
+        status: "error",
+        message: "This invite link is invalid or has expired",
+      });
+    }
+
+    res.status(200).json({
+      status: "success",
+      data: {
+        conversation: {
+          _id: conversation._id,
+          name: conversation.name,
+          avatar: conversation.avatar,
+          description: conversation.description,
+          participantsCount: conversation.activeParticipantsCount,
+          isParticipant: conversation.isParticipant(req.user.id),
+        },
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Error fetching invite",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Join a group through an invite link
+// @route   POST /api/conversations/invite/:code/join
+// @access  Private
+export const joinWithInviteLink = async (req, res) => {
+  try {
+    const conversation = await Conversation.findOne({
+      "inviteLinks.code": req.params.code,
+      type: "group",
+      isActive: true,
+    });
+    const inviteLink = conversation && conversation.getUsableInviteLink(req.params.code);
+    if (!inviteLink) {
+      return res.status(404).json({
+        status: "error",
+        message: "This invite link is invalid or has expired",
+      });
+    }
+
+    if (conversation.isParticipant(req.user.id)) {
+      return res.status(400).json({
+        status: "error",
+        message: "You are already in this conversation",
+      });
+    }
+
+    // Claim a use atomically so concurrent joins cannot go over maxUses
+    const claimed = await Conversation.updateOne(
+      {
+        _id: conversation._id,
+        inviteLinks: {
+          $elemMatch: {
+            _id: inviteLink._id,
+            revokedAt: null,
+            ...(inviteLink.maxUses !== null && { uses: { $lt: inviteLink.maxUses } }),
+          },
+        },
+      },
+      { $inc: { "inviteLinks.$.uses": 1 } }
+    );
+    if (claimed.modifiedCount === 0) {
+      return res.status(410).json({
+        status: "error",
+        message: "This invite link is no longer available",
+      });
+    }
+
+    conversation.addMember(req.user._id);
+    await postSystemMessage(
+      conversation,
+      req.user._id,
+      `${req.user.name} joined using an invite link.`
+    );
+
+    if (global.socketHandlers) {
+      global.socketHandlers.emitToConversation(conversation._id, "participants_updated", {
+        conversationId: conversation._id,
+        added: [req.user._id],
+      });
+    }
+
+    await conversation.populate("participants.user", "name username profilePicture");
+
+    res.status(200).json({
+      status: "success",
+      message: "Joined conversation successfully",
+      data: { conversation },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Error joining conversation",
+      error: error.message,
+    });
+  }
+};
+
+// Media types shown on each tab of the conversation gallery
+const GALLERY_TABS = {
+  photos: { "content.media.type": { $in: ["image", "video"] } },
+  files: {
+    "content.media.type": { $in: ["document", "audio"] },
+    "content.media.isVoiceNote": { $ne: true },
+  },
+  voice: { "content.media.type": "audio", "content.media.isVoiceNote": true },
+};
+
+// @desc    Get shared photos, files, voice notes or links in a conversation
+// @route   GET /api/conversations/:id/media?tab=photos|files|voice|links
+// @access  Private
+export const getConversationMedia = async (req, res) => {
+  try {
+    const { tab = "photos", page = 1, limit = 30 } = req.query;
+    const skip = (page - 1) * limit;
+
+    if (tab !== "links" && !GALLERY_TABS[tab]) {
+      return res.status(400).json({
+        status: "error",
+        message: "tab must be photos, files, voice or links",
+      });
+    }
+
+    const conversation = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Conversation.findById(req.params.id)
+      : null;
+    if (!conversation || !canAccessConversation(conversation, req.user.id, req.actingPage)) {
+      return res.status(403).json({
+        status: "error",
+        message: "Access denied",
+      });
+    }
+
+    // One gallery item per attachment or link, newest first
+    const field = tab === "links" ? "content.linkPreviews" : "content.media";
+    const itemFilter = tab === "links" ? { "content.linkPreviews.url": { $exists: true } } : GALLERY_TABS[tab];
+
+    const [result] = await Message.aggregate([
+      {
+        $match: {
+          ...visibleMessagesQuery(),
+          conversation: conversation._id,
+          ...itemFilter,
+        },
+      },
+      { $unwind: `$${field}` },
+      { $match: itemFilter },
+      { $sort: { createdAt: -1, _id: -1 } },
+      {
+        $facet: {
+          items: [
+            { $skip: Number(skip) },
+            { $limit: Number(limit) },
+            {
+              $project: {
+                _id: 0,
+                messageId: "$_id",
+                sender: 1,
+                senderPage: 1,
+                createdAt: 1,
+                threadRoot: 1,
+                item: `$${field}`,
+              },
+            },
+          ],
+          total: [{ $count: "count" }],
+        },
+      },
+    ]);
+
+    // Aggregation skips the model's read hooks, so sealed items are opened here
+    for (const entry of result.items) {
+      await encryptionService.openObject(entry.item);
+    }
+
+    await User.populate(result.items, {
+      path: "sender",
+      select: "name username profilePicture",
+    });
+    const items = (
+      await Page.populate(result.items, {
+        path: "senderPage",
+        select: "name username profilePicture isVerified",
+      })
+    ).map((item) => Message.hidePageSender(item));
+    const total = result.total.length > 0 ? result.total[0].count : 0;
+
+    res.status(200).json({
+      status: "success",
+      data: {
+        tab,
+        items,
+        pagination: {
+          page: Number(page),
+          limit: Number(limit),
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Error fetching conversation media",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Mark messages as read up to a message (the newest one by default)
+// @route   POST /api/conversations/:id/read
+// @access  Private
+export const markConversationRead = async (req, res) => {
+  try {
+    const { error, messageIds, unreadCount } = await receiptService.markReadUpTo(
+      req.user.id,
+      req.params.id,
+      req.body.upTo || null
+    );
+
+    if (error) {
+      return res.status(error.status).json({
+        status: "error",
+        message: error.message,
+      });
+    }
+
+    res.status(200).json({
+      status: "success",
+      data: { messageIds, unreadCount },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Error marking messages as read",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Acknowledge delivery of messages, e.g. from a push notification
+// @route   POST /api/conversations/delivered
+// @access  Private
+export const markMessagesDelivered = async (req, res) => {
+  try {
+    const { messageIds } = req.body;
+
+    if (!Array.isArray(messageIds) || messageIds.length === 0 || messageIds.length > 100) {
+      return res.status(400).json({
+        status: "error",
+        message: "messageIds must be an array of 1 to 100 message ids",
+      });
+    }
+
+    const delivered = await receiptService.markDelivered(req.user.id, messageIds);
+
+    res.status(200).json({
+      status: "success",
+      data: { messageIds: delivered },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Error recording delivery",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get delivery and read state of a message for each participant
+// @route   GET /api/conversations/:conversationId/messages/:messageId/receipts
+// @access  Private
+export const getMessageReceipts = async (req, res) => {
+  try {
+    const { error, receipts } = await receiptService.getReceipts(
+      req.params.messageId,
+      req.params.conversationId,
+      req.user.id
+    );
+
+    if (error) {
+      return res.status(error.status).json({
+        status: "error",
+        message: error.message,
+      });
+    }
+
+    res.status(200).json({
+      status: "success",
+      data: { receipts },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Error fetching receipts",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Replay message changes after the client's cursors
+// @route   POST /api/conversations/sync
+// @access  Private
+export const syncConversations = async (req, res) => {
+  try {
+    const { cursors = {}, limit } = req.body;
+
+    if (!cursors || typeof cursors !== "object" || Array.isArray(cursors)) {
+      return res.status(400).json({
+        status: "error",
+        message: "cursors must map conversation ids to sequence numbers",
+      });
+    }
+
+    const result = await syncService.collect(req.user.id, cursors, limit);
+
+    res.status(200).json({
+      status: "success",
+      data: result,
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Error syncing conversations",
+      error: error.message,
+    });
+  }
+};
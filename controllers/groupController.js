@@ -7,6 +7,7 @@ import {
 } from "../services/ImageUrlCreate.js";
 import cloudinary from "../utils/cloudinary.js";
 import NotificationHelper from "./../utils/notificationHelper.js";
+import { notifyPostAudience } from "../utils/postPublishing.js";
 
 // @desc    Create a new group
 // @route   POST /api/groups
@@ -69,17 +70,19 @@ export const getUserGroups = async (req, res) => {
 
     console.log('[DEBUG] getUserGroups called with:', { limit: limitNum, cursor, role, status });
 
-    let query = {
-      "members.user": req.user.id,
-      "members.status": status,
-      isActive: true,
-    };
+    // All member conditions must hold for the same entry, not just any entries
+    const memberMatch = { user: req.user.id, status };
 
     // Filter by user's role in groups if specified
     if (role) {
-      query["members.role"] = role;
+      memberMatch.role = role;
     }
 
+    let query = {
+      members: { $elemMatch: memberMatch },
+      isActive: true,
+    };
+
     // Add cursor condition if provided
     if (cursor) {
       query._id = { $lt: cursor };
@@ -380,7 +383,10 @@ export const getGroup = async (req, res) => {
 
     // Check if user is a member for private/secret groups
     const userMember = group.members.find(
-      (member) => member.user._id.toString() === req.user.id.toString()
+      (member) =>
+        member.user &&
+        member.user._id.toString() === req.user.id.toString() &&
+        member.status !== "banned"
     );
 
     const isAdmin = userMember?.role === "admin";
@@ -455,6 +461,13 @@ export const joinGroup = async (req, res) => {
       (member) => member.user.toString() === req.user.id.toString()
     );
 
+    if (existingMember?.status === "banned") {
+      return res.status(403).json({
+        status: "error",
+        message: "You have been banned from this group",
+      });
+    }
+
     if (existingMember) {
       return res.status(400).json({
         status: "error",
@@ -496,9 +509,13 @@ export const joinGroup = async (req, res) => {
       });
       await group.save();
 
+      const admins = group.members.filter(
+        (member) => member.role === "admin" && member.status === "active"
+      );
+
       for (const admin of admins) {
-        // Send join notification to group creator
-        await NotificationHelper.notifyJoinGroup(
+        // Send join notification to group admins
+        await NotificationHelper.notifyGroupJoin(
           req.params.id,
           req.user.id,
           admin.user,
@@ -545,6 +562,14 @@ export const leaveGroup = async (req, res) => {
       });
     }
 
+    // Leaving would drop the ban entry and let a banned user join again
+    if (group.members[memberIndex].status === "banned") {
+      return res.status(403).json({
+        status: "error",
+        message: "You are banned from this group",
+      });
+    }
+
     // Check if user is the creator
     if (group.creator.toString() === req.user.id.toString()) {
       return res.status(400).json({
@@ -633,8 +658,7 @@ export const getUserGroupFeed = async (req, res) => {
 
     // Step 1: Find all group IDs where the user is a member
     const groups = await Group.find({
-      "members.user": userId,
-      "members.status": "active",
+      members: { $elemMatch: { user: userId, status: "active" } },
       isActive: true,
     }).select("_id");
 
@@ -658,6 +682,7 @@ export const getUserGroupFeed = async (req, res) => {
     // Step 2: Build query with cursor-based pagination
     const baseQuery = {
       group: { $in: groupIds },
+      "approval.status": { $nin: ["pending", "rejected"] },
     };
 
     // Add cursor condition if provided
@@ -745,3 +770,722 @@ export const getUserGroupFeed = async (req, res) => {
     });
   }
 };
+
+// @desc    Get pending join requests
+// @route   GET /api/groups/:id/requests
+// @access  Private (admins and moderators)
+export const getJoinRequests = async (req, res) => {
+  try {
+    const group = await Group.findById(req.params.id).populate(
+      "pendingRequests.user",
+      "name username profilePicture isVerified _id"
+    );
+
+    if (!group || !group.isActive) {
+      return res.status(404).json({
+        status: "error",
+        message: "Group not found",
+      });
+    }
+
+    if (!group.hasRole(req.user.id, ["admin", "moderator"])) {
+      return res.status(403).json({
+        status: "error",
+        message: "Only group admins and moderators can view join requests",
+      });
+    }
+
+    res.status(200).json({
+      status: "success",
+      data: {
+        requests: group.pendingRequests.sort(
+          (a, b) => b.requestedAt - a.requestedAt
+        ),
+        total: group.pendingRequests.length,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Error fetching join requests",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Approve or reject a join request
+// @route   POST /api/groups/:id/requests/:userId/approve
+// @route   POST /api/groups/:id/requests/:userId/reject
+// @access  Private (admins and moderators)
+const respondToJoinRequest = (approve) => async (req, res) => {
+  try {
+    const group = await Group.findById(req.params.id);
+
+    if (!group || !group.isActive) {
+      return res.status(404).json({
+        status: "error",
+        message: "Group not found",
+      });
+    }
+
+    if (!group.hasRole(req.user.id, ["admin", "moderator"])) {
+      return res.status(403).json({
+        status: "error",
+        message: "Only group admins and moderators can manage join requests",
+      });
+    }
+
+    const requestIndex = group.pendingRequests.findIndex(
+      (request) => request.user.toString() === req.params.userId
+    );
+
+    if (requestIndex === -1) {
+      return res.status(404).json({
+        status: "error",
+        message: "Join request not found",
+      });
+    }
+
+    group.pendingRequests.splice(requestIndex, 1);
+
+    if (approve && !group.getMember(req.params.userId)) {
+      group.members.push({
+        user: req.params.userId,
+        role: "member",
+        status: "active",
+        joinedAt: new Date(),
+      });
+    }
+
+    await group.save();
+
+    await NotificationHelper.notifyGroupRequestResponse(
+      group._id,
+      req.user.id,
+      req.params.userId,
+      group.name,
+      approve
+    );
+
+    res.status(200).json({
+      status: "success",
+      message: approve ? "Join request approved" : "Join request rejected",
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Error responding to join request",
+      error: error.message,
+    });
+  }
+};
+
+export const approveJoinRequest = respondToJoinRequest(true);
+export const rejectJoinRequest = respondToJoinRequest(false);
+
+// @desc    Change a member's role
+// @route   PUT /api/groups/:id/members/:userId/role
+// @access  Private (admins)
+export const updateMemberRole = async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (!["admin", "moderator", "member"].includes(role)) {
+      return res.status(400).json({
+        status: "error",
+        message: "Role must be admin, moderator or member",
+      });
+    }
+
+    const group = await Group.findById(req.params.id);
+
+    if (!group || !group.isActive) {
+      return res.status(404).json({
+        status: "error",
+        message: "Group not found",
+      });
+    }
+
+    if (!group.hasRole(req.user.id, ["admin"])) {
+      return res.status(403).json({
+        status: "error",
+        message: "Only group admins can change member roles",
+      });
+    }
+
+    const member = group.getMember(req.params.userId);
+    if (!member || member.status !== "active") {
+      return res.status(404).json({
+        status: "error",
+        message: "Member not found",
+      });
+    }
+
+    if (group.isCreator(req.params.userId)) {
+      return res.status(403).json({
+        status: "error",
+        message: "The group owner's role cannot be changed",
+      });
+    }
+
+    // Only the owner can change another admin's role
+    if (member.role === "admin" && !group.isCreator(req.user.id)) {
+      return res.status(403).json({
+        status: "error",
+        message: "Only the group owner can change an admin's role",
+      });
+    }
+
+    if (member.role === role) {
+      return res.status(400).json({
+        status: "error",
+        message: `Member is already a ${role}`,
+      });
+    }
+
+    member.role = role;
+    await group.save();
+
+    await NotificationHelper.notifyGroupRoleChange(
+      group._id,
+      req.user.id,
+      req.params.userId,
+      group.name,
+      role
+    );
+
+    res.status(200).json({
+      status: "success",
+      message: "Member role updated successfully",
+      data: { userId: req.params.userId, role },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Error updating member role",
+      error: error.message,
+    });
+  }
+};
+
+// Check if an acting admin or moderator may ban or remove the target member.
+// Moderators can only act on regular members, and nobody can act on the owner.
+const canModerateMember = (group, actorId, targetMember) => {
+  if (group.isCreator(targetMember.user)) {
+    return false;
+  }
+
+  if (group.hasRole(actorId, ["admin"])) {
+    return targetMember.role !== "admin" || group.isCreator(actorId);
+  }
+
+  return (
+    group.hasRole(actorId, ["moderator"]) && targetMember.role === "member"
+  );
+};
+
+// @desc    Ban a member or pending requester
+// @route   POST /api/groups/:id/members/:userId/ban
+// @access  Private (admins and moderators)
+export const banMember = async (req, res) => {
+  try {
+    const group = await Group.findById(req.params.id);
+
+    if (!group || !group.isActive) {
+      return res.status(404).json({
+        status: "error",
+        message: "Group not found",
+      });
+    }
+
+    if (!group.hasRole(req.user.id, ["admin", "moderator"])) {
+      return res.status(403).json({
+        status: "error",
+        message: "Only group admins and moderators can ban members",
+      });
+    }
+
+    if (req.params.userId === req.user.id.toString()) {
+      return res.status(400).json({
+        status: "error",
+        message: "You cannot ban yourself",
+      });
+    }
+
+    let member = group.getMember(req.params.userId);
+
+    if (member?.status === "banned") {
+      return res.status(400).json({
+        status: "error",
+        message: "User is already banned",
+      });
+    }
+
+    if (member && !canModerateMember(group, req.user.id, member)) {
+      return res.status(403).json({
+        status: "error",
+        message: "You do not have permission to ban this member",
+      });
+    }
+
+    // Keep a banned entry for non-members too so they cannot join later
+    if (!member) {
+      group.members.push({ user: req.params.userId, role: "member" });
+      member = group.getMember(req.params.userId);
+    }
+
+    member.status = "banned";
+    member.role = "member";
+    group.pendingRequests = group.pendingRequests.filter(
+      (request) => request.user.toString() !== req.params.userId
+    );
+    await group.save();
+
+    await NotificationHelper.notifyGroupBan(
+      group._id,
+      req.user.id,
+      req.params.userId,
+      group.name,
+      true
+    );
+
+    res.status(200).json({
+      status: "success",
+      message: "User banned from group",
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Error banning member",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Lift a ban so the user can request to join again
+// @route   DELETE /api/groups/:id/members/:userId/ban
+// @access  Private (admins and moderators)
+export const unbanMember = async (req, res) => {
+  try {
+    const group = await Group.findById(req.params.id);
+
+    if (!group || !group.isActive) {
+      return res.status(404).json({
+        status: "error",
+        message: "Group not found",
+      });
+    }
+
+    if (!group.hasRole(req.user.id, ["admin", "moderator"])) {
+      return res.status(403).json({
+        status: "error",
+        message: "Only group admins and moderators can unban members",
+      });
+    }
+
+    const member = group.getMember(req.params.userId);
+    if (!member || member.status !== "banned") {
+      return res.status(404).json({
+        status: "error",
+        message: "User is not banned from this group",
+      });
+    }
+
+    group.members = group.members.filter(
+      (entry) => entry.user.toString() !== req.params.userId
+    );
+    await group.save();
+
+    await NotificationHelper.notifyGroupBan(
+      group._id,
+      req.user.id,
+      req.params.userId,
+      group.name,
+      false
+    );
+
+    res.status(200).json({
+      status: "success",
+      message: "User unbanned from group",
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Error unbanning member",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Remove a member from the group
+// @route   DELETE /api/groups/:id/members/:userId
+// @access  Private (admins and moderators)
+export const removeMember = async (req, res) => {
+  try {
+    const group = await Group.findById(req.params.id);
+
+    if (!group || !group.isActive) {
+      return res.status(404).json({
+        status: "error",
+        message: "Group not found",
+      });
+    }
+
+    if (!group.hasRole(req.user.id, ["admin", "moderator"])) {
+      return res.status(403).json({
+        status: "error",
+        message: "Only group admins and moderators can remove members",
+      });
+    }
+
+    const member = group.getMember(req.params.userId);
+    if (!member || member.status !== "active") {
+      return res.status(404).json({
+        status: "error",
+        message: "Member not found",
+      });
+    }
+
+    if (
+      req.params.userId === req.user.id.toString() ||
+      !canModerateMember(group, req.user.id, member)
+    ) {
+      return res.status(403).json({
+        status: "error",
+        message: "You do not have permission to remove this member",
+      });
+    }
+
+    group.members = group.members.filter(
+      (entry) => entry.user.toString() !== req.params.userId
+    );
+    await group.save();
+
+    await NotificationHelper.notifyGroupRemoval(
+      group._id,
+      req.user.id,
+      req.params.userId,
+      group.name
+    );
+
+    res.status(200).json({
+      status: "success",
+      message: "Member removed from group",
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Error removing member",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Transfer group ownership to another member
+// @route   POST /api/groups/:id/transfer-ownership
+// @access  Private (owner)
+export const transferOwnership = async (req, res) => {
+  try {
+    const { userId } = req.body;
+
+    const group = await Group.findById(req.params.id);
+
+    if (!group || !group.isActive) {
+      return res.status(404).json({
+        status: "error",
+        message: "Group not found",
+      });
+    }
+
+    if (!group.isCreator(req.user.id)) {
+      return res.status(403).json({
+        status: "error",
+        message: "Only the group owner can transfer ownership",
+      });
+    }
+
+    if (!userId || userId === req.user.id.toString()) {
+      return res.status(400).json({
+        status: "error",
+        message: "A different member must be selected as the new owner",
+      });
+    }
+
+    const newOwner = group.getMember(userId);
+    if (!newOwner || newOwner.status !== "active") {
+      return res.status(400).json({
+        status: "error",
+        message: "New owner must be an active member of the group",
+      });
+    }
+
+    // Previous owner stays on as an admin
+    newOwner.role = "admin";
+    group.creator = newOwner.user;
+    await group.save();
+
+    await NotificationHelper.notifyGroupOwnershipTransfer(
+      group._id,
+      req.user.id,
+      userId,
+      group.name
+    );
+
+    res.status(200).json({
+      status: "success",
+      message: "Group ownership transferred successfully",
+      data: { creator: group.creator },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Error transferring ownership",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get posts awaiting approval
+// @route   GET /api/groups/:id/pending-posts
+// @access  Private (admins and moderators)
+export const getPendingPosts = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const group = await Group.findById(req.params.id);
+
+    if (!group || !group.isActive) {
+      return res.status(404).json({
+        status: "error",
+        message: "Group not found",
+      });
+    }
+
+    if (!group.hasRole(req.user.id, ["admin", "moderator"])) {
+      return res.status(403).json({
+        status: "error",
+        message: "Only group admins and moderators can review posts",
+      });
+    }
+
+    const query = {
+      group: group._id,
+      isActive: true,
+      "approval.status": "pending",
+    };
+
+    const [posts, total] = await Promise.all([
+      Post.find(query)
+        .populate("author", "name username profilePicture isVerified")
+        .sort({ createdAt: 1 })
+        .skip(skip)
+        .limit(limit),
+      Post.countDocuments(query),
+    ]);
+
+    res.status(200).json({
+      status: "success",
+      data: {
+        posts,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Error fetching pending posts",
+      error: error.message,
+    });
+  }
+};
+
+// Applies a review decision to pending posts and notifies their authors
+const reviewPendingPosts = async (group, postIds, reviewerId, approved, reason) => {
+  const posts = await Post.find({
+    _id: { $in: postIds },
+    group: group._id,
+    isActive: true,
+    "approval.status": "pending",
+  }).select("_id author tags mentions");
+
+  if (posts.length === 0) return [];
+
+  const reviewedIds = posts.map((post) => post._id);
+
+  await Post.updateMany(
+    { _id: { $in: reviewedIds } },
+    {
+      $set: {
+        "approval.status": approved ? "approved" : "rejected",
+        "approval.reviewedBy": reviewerId,
+        "approval.reviewedAt": new Date(),
+        "approval.rejectionReason": approved ? undefined : reason,
+      },
+    }
+  );
+
+  if (approved) {
+    await Group.findByIdAndUpdate(group._id, {
+      $addToSet: { posts: { $each: reviewedIds } },
+    });
+  }
+
+  // Tagged and mentioned users hear about a post once it is approved
+  if (approved) {
+    for (const post of posts) {
+      await notifyPostAudience(post);
+    }
+  }
+
+  await Promise.all(
+    posts.map((post) =>
+      NotificationHelper.notifyGroupPostReview(
+        group._id,
+        post._id,
+        reviewerId,
+        post.author,
+        group.name,
+        approved,
+        reason
+      )
+    )
+  );
+
+  return reviewedIds;
+};
+
+// @desc    Approve or reject a pending post
+// @route   POST /api/groups/:id/posts/:postId/approve
+// @route   POST /api/groups/:id/posts/:postId/reject
+// @access  Private (admins and moderators)
+const respondToPendingPost = (approve) => async (req, res) => {
+  try {
+    const reason = approve ? "" : (req.body.reason || "").trim();
+
+    if (reason.length > 500) {
+      return res.status(400).json({
+        status: "error",
+        message: "Rejection reason cannot exceed 500 characters",
+      });
+    }
+
+    const group = await Group.findById(req.params.id);
+
+    if (!group || !group.isActive) {
+      return res.status(404).json({
+        status: "error",
+        message: "Group not found",
+      });
+    }
+
+    if (!group.hasRole(req.user.id, ["admin", "moderator"])) {
+      return res.status(403).json({
+        status: "error",
+        message: "Only group admins and moderators can review posts",
+      });
+    }
+
+    const reviewed = await reviewPendingPosts(
+      group,
+      [req.params.postId],
+      req.user.id,
+      approve,
+      reason
+    );
+
+    if (reviewed.length === 0) {
+      return res.status(404).json({
+        status: "error",
+        message: "Pending post not found",
+      });
+    }
+
+    res.status(200).json({
+      status: "success",
+      message: approve ? "Post approved" : "Post rejected",
+      data: { postId: req.params.postId },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Error reviewing post",
+      error: error.message,
+    });
+  }
+};
+
+export const approvePendingPost = respondToPendingPost(true);
+export const rejectPendingPost = respondToPendingPost(false);
+
+// @desc    Approve several pending posts at once
+// @route   POST /api/groups/:id/posts/bulk-approve
+// @access  Private (admins and moderators)
+export const bulkApprovePosts = async (req, res) => {
+  try {
+    const { postIds } = req.body;
+
+    if (!Array.isArray(postIds) || postIds.length === 0) {
+      return res.status(400).json({
+        status: "error",
+        message: "postIds must be a non-empty array",
+      });
+    }
+
+    if (postIds.length > 100) {
+      return res.status(400).json({
+        status: "error",
+        message: "Cannot approve more than 100 posts at once",
+      });
+    }
+
+    if (!postIds.every((id) => mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({
+        status: "error",
+        message: "Invalid post ID",
+      });
+    }
+
+    const group = await Group.findById(req.params.id);
+
+    if (!group || !group.isActive) {
+      return res.status(404).json({
+        status: "error",
+        message: "Group not found",
+      });
+    }
+
+    if (!group.hasRole(req.user.id, ["admin", "moderator"])) {
+      return res.status(403).json({
+        status: "error",
+        message: "Only group admins and moderators can review posts",
+      });
+    }
+
+    const approved = await reviewPendingPosts(
+      group,
+      postIds,
+      req.user.id,
+      true,
+      ""
+    );
+
+    res.status(200).json({
+      status: "success",
+      message: `${approved.length} post(s) approved`,
+      data: { approved },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Error approving posts",
+      error: error.message,
+    });
+  }
+};
@@ -0,0 +1,173 @@
+import hashtagService from "../services/HashtagService.js";
+
+const parsePagination = (query) => {
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit) || 20, 1), 50);
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+// @desc    Get the hashtags the user follows
+// @route   GET /api/hashtags/followed
+// @access  Private
+export const getFollowedHashtags = async (req, res) => {
+  try {
+    const { page, limit, skip } = parsePagination(req.query);
+    const { hashtags, total } = await hashtagService.getFollowed(req.user.id, { skip, limit });
+
+    res.status(200).json({
+      status: "success",
+      data: {
+        hashtags,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Error fetching followed hashtags",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get a hashtag with its follower, post and reel counts
+// @route   GET /api/hashtags/:name
+// @access  Private
+export const getHashtag = async (req, res) => {
+  try {
+    const { error, hashtag } = await hashtagService.getHashtag(req.params.name, req.user.id);
+    if (error) {
+      return res.status(error.status).json({
+        status: "error",
+        message: error.message,
+      });
+    }
+
+    res.status(200).json({
+      status: "success",
+      data: { hashtag },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Error fetching hashtag",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get the top or latest posts and reels with a hashtag
+// @route   GET /api/hashtags/:name/content?sort=top|latest&type=post|reel
+// @access  Private
+export const getHashtagContent = async (req, res) => {
+  try {
+    const { sort = "top", type } = req.query;
+    const { page, limit, skip } = parsePagination(req.query);
+
+    const { error, items, total } = await hashtagService.getContent(req.params.name, req.user.id, {
+      sort,
+      itemType: type,
+      skip,
+      limit,
+    });
+    if (error) {
+      return res.status(error.status).json({
+        status: "error",
+        message: error.message,
+      });
+    }
+
+    res.status(200).json({
+      status: "success",
+      data: {
+        items,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Error fetching hashtag content",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Follow a hashtag
+// @route   POST /api/hashtags/:name/follow
+// @access  Private
+export const followHashtag = async (req, res) => {
+  try {
+    const { error, hashtag, created } = await hashtagService.follow(req.user.id, req.params.name);
+    if (error) {
+      return res.status(error.status).json({
+        status: "error",
+        message: error.message,
+      });
+    }
+
+    res.status(created ? 201 : 200).json({
+      status: "success",
+      message: created ? "Hashtag followed" : "You already follow this hashtag",
+      data: {
+        hashtag: hashtag.name,
+        followersCount: hashtag.followersCount,
+        isFollowing: true,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Error following hashtag",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Unfollow a hashtag
+// @route   DELETE /api/hashtags/:name/follow
+// @access  Private
+export const unfollowHashtag = async (req, res) => {
+  try {
+    const { error, hashtag, removed } = await hashtagService.unfollow(req.user.id, req.params.name);
+    if (error) {
+      return res.status(error.status).json({
+        status: "error",
+        message: error.message,
+      });
+    }
+
+    if (!removed) {
+      return res.status(404).json({
+        status: "error",
+        message: "You do not follow this hashtag",
+      });
+    }
+
+    res.status(200).json({
+      status: "success",
+      message: "Hashtag unfollowed",
+      data: {
+        hashtag: hashtag.name,
+        followersCount: hashtag.followersCount,
+        isFollowing: false,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Error unfollowing hashtag",
+      error: error.message,
+    });
+  }
+};
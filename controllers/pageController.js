@@ -1,5 +1,8 @@
 import Page from '../models/Page.js';
 import Post from '../models/Post.js';
+import Comment from '../models/Comment.js';
+import User from '../models/User.js';
+import Conversation from '../models/Conversation.js';
 import NotificationHelper from '../utils/notificationHelper.js';
 import cloudinary from '../utils/cloudinary.js';
 import { getFileCategory, getMimeTypeFromBase64 } from '../services/ImageUrlCreate.js';
@@ -147,13 +150,13 @@ export const getPages = async (req, res) => {
   }
 };
 
-// @desc    Get user's owned pages
+// @desc    Get pages the user owns or helps manage
 // @route   GET /api/pages/my-pages
 // @access  Private
 export const getMyPages = async (req, res) => {
   try {
     const pages = await Page.find({ 
-      owner: req.user.id,
+      $or: [{ owner: req.user.id }, { 'admins.user': req.user.id }],
       isActive: true 
     })
     .populate('owner', 'firstName lastName username profilePicture')
@@ -217,7 +220,7 @@ export const getPagePosts = async (req, res) => {
 
     // Check privacy settings
     const isOwner = page.owner.toString() === req.user.id.toString();
-    const isAdmin = page.admins.some(admin => admin.user.toString() === req.user.id.toString());
+    const isAdmin = !!page.getAdminRole(req.user.id);
     const isFollower = page.followers.includes(req.user.id);
 
     if (page.privacy === 'private' && !isOwner && !isAdmin) {
@@ -246,6 +249,7 @@ export const getPagePosts = async (req, res) => {
 
     const posts = await Post.find(query)
       .populate('author', 'firstName lastName username profilePicture isVerified')
+      .populate('authorPage', 'name username profilePicture isVerified')
       .populate('tags', 'firstName lastName username profilePicture')
       .sort({ isPinned: -1, createdAt: -1, _id: -1 })
       .limit(limitNum + 1)
@@ -306,16 +310,15 @@ export const getPage = async (req, res) => {
     }
 
     const isFollowing = page.followers.includes(req.user.id);
-    const userRole = page.admins.find(
-      admin => admin.user._id.toString() === req.user.id.toString()
-    )?.role || null;
+    const userRole = page.getAdminRole(req.user.id);
 
     res.status(200).json({
       status: 'success',
       data: {
         page,
         isFollowing,
-        userRole
+        userRole,
+        capabilities: Page.getRoleCapabilities(userRole)
       }
     });
   } catch (error) {
@@ -433,11 +436,7 @@ export const getPageAnalytics = async (req, res) => {
       });
     }
 
-    const userRole = page.admins.find(
-      admin => admin.user.toString() === req.user.id.toString()
-    )?.role;
-
-    if (!userRole) {
+    if (!page.can(req.user.id, 'view_analytics')) {
       return res.status(403).json({
         status: 'error',
         message: 'Access denied. You must be a page admin.'
@@ -475,18 +474,20 @@ export const updatePage = async (req, res) => {
       });
     }
 
-    const userRole = page.admins.find(
-      admin => admin.user.toString() === req.user.id.toString()
-    )?.role;
-
-    if (!userRole || !['owner', 'admin'].includes(userRole)) {
+    if (!page.can(req.user.id, 'edit_page')) {
       return res.status(403).json({
         status: 'error',
         message: 'Access denied. You must be a page admin.'
       });
     }
 
-    Object.assign(page, req.body);
+    // Ownership, roles and audience are managed through their own endpoints
+    const {
+      owner, admins, adminInvites, followers, posts, analytics, isVerified,
+      ...updates
+    } = req.body;
+
+    Object.assign(page, updates);
     await page.save();
 
     await page.populate('owner', 'firstName lastName profilePicture');
@@ -505,68 +506,501 @@ export const updatePage = async (req, res) => {
   }
 };
 
-// @desc    Handle page comment notification
-// @access  Private
-export const notifyPageComment = async (pageId, commentId, commenterId, commentContent) => {
+// @desc    Get page admins and pending invitations
+// @route   GET /api/pages/:id/admins
+// @access  Private (Page admins only)
+export const getPageAdmins = async (req, res) => {
   try {
-    const page = await Page.findById(pageId).populate('owner', 'firstName lastName username');
-    
-    if (!page || !page.settings?.notifyOnComment) {
-      return;
+    const page = await Page.findById(req.params.id)
+      .populate('admins.user', 'name username profilePicture isVerified')
+      .populate('adminInvites.user', 'name username profilePicture isVerified')
+      .populate('adminInvites.invitedBy', 'name username');
+
+    if (!page || !page.isActive) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Page not found'
+      });
     }
 
-    // Notify page owner about new comment (if not self-comment)
-    if (page.owner._id.toString() !== commenterId.toString()) {
-      await NotificationHelper.createNotification({
-        recipient: page.owner._id,
-        sender: commenterId,
-        type: 'page_comment',
-        title: 'New Page Comment',
-        message: `commented on your page "${page.name}"`,
-        data: { 
-          pageId: page._id,
-          pageName: page.name,
-          commentId: commentId,
-          commentContent: commentContent.substring(0, 100) // Limit content length
-        }
+    const userRole = page.getAdminRole(req.user.id);
+    if (!userRole) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Access denied. You must be a page admin.'
       });
     }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        admins: page.admins.map(admin => ({
+          user: admin.user,
+          role: admin.role,
+          addedAt: admin.addedAt,
+          capabilities: Page.getRoleCapabilities(admin.role)
+        })),
+        // Only people who can manage admins see outstanding invitations
+        invites: page.can(req.user.id, 'manage_admins') ? page.adminInvites : []
+      }
+    });
   } catch (error) {
-    console.error('Error sending page comment notification:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error fetching page admins',
+      error: error.message
+    });
   }
 };
 
-// @desc    Handle page post notification
-// @access  Private
-export const notifyPagePost = async (pageId, postId, postAuthorId, postContent) => {
+// @desc    Invite a user to help manage the page
+// @route   POST /api/pages/:id/admins/invite
+// @access  Private (Page owner and admins)
+export const inviteAdmin = async (req, res) => {
   try {
-    const page = await Page.findById(pageId).populate('followers');
-    
-    if (!page) {
-      return;
+    const { userId, role = 'editor' } = req.body;
+
+    if (!['admin', 'editor', 'moderator'].includes(role)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Role must be admin, editor or moderator'
+      });
     }
 
-    // Notify all page followers about new post
-    const followersToNotify = page.followers.filter(followerId => 
-      followerId.toString() !== postAuthorId.toString()
+    const page = await Page.findById(req.params.id);
+
+    if (!page || !page.isActive) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Page not found'
+      });
+    }
+
+    const actorRole = page.getAdminRole(req.user.id);
+    if (!page.can(req.user.id, 'manage_admins') || !Page.outranks(actorRole, role)) {
+      return res.status(403).json({
+        status: 'error',
+        message: `You do not have permission to invite a page ${role}`
+      });
+    }
+
+    const invitee = await User.findById(userId);
+    if (!invitee || !invitee.isActive) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'User not found'
+      });
+    }
+
+    if (page.getAdminRole(userId)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'User already has a role on this page'
+      });
+    }
+
+    if (page.adminInvites.some(invite => invite.user.toString() === userId.toString())) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'User has already been invited'
+      });
+    }
+
+    page.adminInvites.push({
+      user: userId,
+      role,
+      invitedBy: req.user.id
+    });
+    await page.save();
+
+    await NotificationHelper.notifyPageAdminInvite(
+      page._id,
+      req.user.id,
+      userId,
+      page.name,
+      role
     );
 
-    for (const followerId of followersToNotify) {
-      await NotificationHelper.createNotification({
-        recipient: followerId,
-        sender: postAuthorId,
-        type: 'page_post',
-        title: 'New Page Post',
-        message: `posted on "${page.name}"`,
-        data: { 
-          pageId: page._id,
-          pageName: page.name,
-          postId: postId,
-          postContent: postContent.substring(0, 100) // Limit content length
-        }
+    res.status(200).json({
+      status: 'success',
+      message: 'Invitation sent successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: 'Error sending invitation',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Cancel a pending admin invitation
+// @route   DELETE /api/pages/:id/admins/invite/:userId
+// @access  Private (Page owner and admins)
+export const cancelAdminInvite = async (req, res) => {
+  try {
+    const page = await Page.findById(req.params.id);
+
+    if (!page || !page.isActive) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Page not found'
+      });
+    }
+
+    if (!page.can(req.user.id, 'manage_admins')) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Access denied. You must be a page admin.'
+      });
+    }
+
+    const invite = page.adminInvites.find(
+      invite => invite.user.toString() === req.params.userId
+    );
+    if (!invite) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Invitation not found'
+      });
+    }
+
+    page.adminInvites.pull(invite._id);
+    await page.save();
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Invitation cancelled'
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: 'Error cancelling invitation',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Accept or decline an invitation to manage a page
+// @route   POST /api/pages/:id/admins/invite/accept
+// @route   POST /api/pages/:id/admins/invite/decline
+// @access  Private (Invited user)
+const respondToAdminInvite = (accept) => async (req, res) => {
+  try {
+    const page = await Page.findById(req.params.id);
+
+    if (!page || !page.isActive) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Page not found'
+      });
+    }
+
+    const invite = page.adminInvites.find(
+      invite => invite.user.toString() === req.user.id.toString()
+    );
+    if (!invite) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'No pending invitation for this page'
+      });
+    }
+
+    page.adminInvites.pull(invite._id);
+    if (accept) {
+      page.admins.push({ user: req.user.id, role: invite.role });
+    }
+    await page.save();
+
+    await NotificationHelper.notifyPageAdminInviteResponse(
+      page._id,
+      req.user.id,
+      invite.invitedBy,
+      page.name,
+      accept
+    );
+
+    res.status(200).json({
+      status: 'success',
+      message: accept ? 'Invitation accepted' : 'Invitation declined',
+      data: accept ? { role: invite.role } : undefined
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: 'Error responding to invitation',
+      error: error.message
+    });
+  }
+};
+
+export const acceptAdminInvite = respondToAdminInvite(true);
+export const declineAdminInvite = respondToAdminInvite(false);
+
+// @desc    Change a page admin's role
+// @route   PUT /api/pages/:id/admins/:userId/role
+// @access  Private (Page owner and admins)
+export const updateAdminRole = async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (!['admin', 'editor', 'moderator'].includes(role)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Role must be admin, editor or moderator'
+      });
+    }
+
+    const page = await Page.findById(req.params.id);
+
+    if (!page || !page.isActive) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Page not found'
+      });
+    }
+
+    const admin = page.admins.find(
+      admin => admin.user.toString() === req.params.userId
+    );
+    if (!admin) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Page admin not found'
+      });
+    }
+
+    const actorRole = page.getAdminRole(req.user.id);
+    if (
+      !page.can(req.user.id, 'manage_admins') ||
+      !Page.outranks(actorRole, admin.role) ||
+      !Page.outranks(actorRole, role)
+    ) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'You do not have permission to change this role'
+      });
+    }
+
+    if (admin.role === role) {
+      return res.status(400).json({
+        status: 'error',
+        message: `User is already a page ${role}`
+      });
+    }
+
+    admin.role = role;
+    await page.save();
+
+    await NotificationHelper.notifyPageAdminRoleChange(
+      page._id,
+      req.user.id,
+      admin.user,
+      page.name,
+      role
+    );
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Role updated successfully',
+      data: {
+        userId: admin.user,
+        role,
+        capabilities: Page.getRoleCapabilities(role)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: 'Error updating role',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Remove a page admin, or step down yourself
+// @route   DELETE /api/pages/:id/admins/:userId
+// @access  Private (Page owner and admins, or the admin themselves)
+export const removeAdmin = async (req, res) => {
+  try {
+    const page = await Page.findById(req.params.id);
+
+    if (!page || !page.isActive) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Page not found'
+      });
+    }
+
+    const admin = page.admins.find(
+      admin => admin.user.toString() === req.params.userId
+    );
+    if (!admin) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Page admin not found'
+      });
+    }
+
+    if (admin.role === 'owner') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'The page owner cannot be removed'
+      });
+    }
+
+    const isSelf = req.params.userId === req.user.id.toString();
+    const actorRole = page.getAdminRole(req.user.id);
+    if (
+      !isSelf &&
+      (!page.can(req.user.id, 'manage_admins') || !Page.outranks(actorRole, admin.role))
+    ) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'You do not have permission to remove this admin'
+      });
+    }
+
+    page.admins.pull(admin._id);
+    await page.save();
+
+    if (!isSelf) {
+      await NotificationHelper.notifyPageAdminRoleChange(
+        page._id,
+        req.user.id,
+        admin.user,
+        page.name,
+        null
+      );
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: isSelf ? 'You are no longer managing this page' : 'Admin removed successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: 'Error removing admin',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Remove a comment from one of the page's posts
+// @route   DELETE /api/pages/:id/comments/:commentId
+// @access  Private (Page roles with comment moderation)
+export const moderatePageComment = async (req, res) => {
+  try {
+    const page = await Page.findById(req.params.id);
+
+    if (!page || !page.isActive) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Page not found'
       });
     }
+
+    if (!page.can(req.user.id, 'moderate_comments')) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'You do not have permission to moderate comments on this page'
+      });
+    }
+
+    const comment = await Comment.findById(req.params.commentId).populate('post', 'page');
+    if (
+      !comment ||
+      !comment.isActive ||
+      comment.post?.page?.toString() !== page._id.toString()
+    ) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Comment not found'
+      });
+    }
+
+    comment.isActive = false;
+    await comment.save();
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Comment removed successfully'
+    });
   } catch (error) {
-    console.error('Error sending page post notification:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error moderating comment',
+      error: error.message
+    });
   }
-};
\ No newline at end of file
+};
+
+// @desc    Get conversations addressed to the page
+// @route   GET /api/pages/:id/inbox
+// @access  Private (Page roles with inbox access)
+export const getPageInbox = async (req, res) => {
+  try {
+    const { limit = 20, page: pageNumber = 1, unread } = req.query;
+    const skip = (pageNumber - 1) * limit;
+
+    const page = await Page.findById(req.params.id);
+
+    if (!page || !page.isActive) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Page not found'
+      });
+    }
+
+    if (!page.can(req.user.id, 'manage_inbox')) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'You do not have access to this page inbox'
+      });
+    }
+
+    const query = { page: page._id, isActive: true };
+    if (unread === 'true') {
+      query.pageUnreadCount = { $gt: 0 };
+    }
+
+    const [conversations, total] = await Promise.all([
+      Conversation.find(query)
+        .populate('participants.user', 'name username profilePicture isVerified')
+        .populate({
+          path: 'lastMessage',
+          populate: [
+            { path: 'sender', select: 'name username profilePicture' },
+            { path: 'senderPage', select: 'name username profilePicture' }
+          ]
+        })
+        .sort({ lastActivity: -1 })
+        .limit(Number(limit))
+        .skip(skip),
+      Conversation.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        conversations: conversations.map(conversation => ({
+          ...conversation.toObject(),
+          unreadCount: conversation.pageUnreadCount
+        })),
+        pagination: {
+          page: Number(pageNumber),
+          limit: Number(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: 'Error fetching page inbox',
+      error: error.message
+    });
+  }
+};
@@ -1,24 +1,29 @@
+import mongoose from "mongoose";
 import Post from "../models/Post.js";
-import Comment from "../models/Comment.js";
+import PostDraft from "../models/PostDraft.js";
 import User from "../models/User.js";
 import RecommendationEngine from "../services/RecommendationEngine.js";
 import ContentAnalyzer from "../services/ContentAnalyzer.js";
 import { validationResult } from "express-validator";
-import {
-  getFileCategory,
-  getMimeTypeFromBase64,
-} from "../services/ImageUrlCreate.js";
-import cloudinary from "../utils/cloudinary.js";
-import { getLocationName } from "../utils/location.js";
-import Group from "../models/Group.js";
-import Page from "../models/Page.js";
 import NotificationHelper from "../utils/notificationHelper.js";
-import MediaCreation from "../services/MediaCreation.js";
-import { notifyPagePost, notifyPageComment } from "./pageController.js";
+import savedItemService from "../services/SavedItemService.js";
+import postTypeService, { RSVP_STATUSES } from "../services/PostTypeService.js";
+import hashtagService from "../services/HashtagService.js";
+import {
+  resolvePostTarget,
+  resolvePostTags,
+  resolvePublishAt,
+  buildPostLocation,
+  uploadPostMedia,
+  publishPost,
+  publishDraft,
+} from "../utils/postPublishing.js";
 
 const recommendationEngine = new RecommendationEngine();
 const contentAnalyzer = new ContentAnalyzer();
 
+const POST_PRIVACY_OPTIONS = ["public", "friends", "close_friends", "private"];
+
 // @desc    Create a new post
 // @route   POST /api/posts
 // @access  Private
@@ -35,100 +40,70 @@ export const createPost = async (req, res) => {
       });
     }
 
-    const { text, privacy, pageId, groupId, mediaFiles, latitude, longitude } =
+    const { text, privacy, pageId, groupId, mediaFiles, latitude, longitude, tags } =
       req.body;
+    const actingPage = req.actingPage;
+
+    const { error, target } = await resolvePostTarget({
+      authorId: req.user._id,
+      actingPageId: actingPage?._id,
+      pageId,
+      groupId,
+    });
+    if (error) {
+      return res.status(error.status).json({
+        status: "error",
+        message: error.message,
+      });
+    }
+
+    const tagResult = await resolvePostTags(req.user._id, tags);
+    if (tagResult.error) {
+      return res.status(tagResult.error.status).json({
+        status: "error",
+        message: tagResult.error.message,
+      });
+    }
+
+    // Polls, events and check-ins
+    const typeResult = postTypeService.buildTypeFields(req.body);
+    if (typeResult.error) {
+      return res.status(typeResult.error.status).json({
+        status: "error",
+        message: typeResult.error.message,
+      });
+    }
 
     const postData = {
       author: req.user._id,
       content: {
         text,
       },
-      privacy: privacy || "friends",
+      privacy: privacy || (actingPage ? "public" : "friends"),
+      tags: tagResult.tags,
+      location: await buildPostLocation(latitude, longitude),
+      ...target,
+      ...typeResult.fields,
     };
 
-    if (pageId) {
-      postData.page = pageId;
-    }
-
-    if (groupId) {
-      postData.group = groupId;
-    }
-
-    if (latitude && longitude) {
-      const locationName = await getLocationName(latitude, longitude);
-      postData.location = {
-        name: locationName,
-        coordinates: {
-          latitude,
-          longitude,
-        },
-      };
-    }
-
     // Handle multiple media files
     if (mediaFiles && mediaFiles.length > 0) {
-      const mediaPromises = mediaFiles.map(async (base64Data) => {
-        const mimeType = getMimeTypeFromBase64(base64Data);
-        const fileCategory = getFileCategory(mimeType);
-
-        const result = await cloudinary.uploader.upload(base64Data, {
-          resource_type: fileCategory,
-        });
-
-        // Create media record
-        await new MediaCreation().createMedia({
-          url: result.secure_url,
-          type: fileCategory,
-          size: result.bytes,
-          duration: fileCategory === "video" ? result.duration : 0,
-          caption: "",
-          post: postData._id,
-          author: req.user._id,
-        });
-
-        return {
-          type: fileCategory,
-          url: result.secure_url,
-          caption: "",
-          size: result.bytes,
-          duration: fileCategory === "video" ? result.duration : 0,
-        };
-      });
-
-      const mediaResults = await Promise.all(mediaPromises);
-      postData.content.media = mediaResults;
+      postData.content.media = await uploadPostMedia(mediaFiles, req.user._id);
     }
 
-    const post = await Post.create(postData);
+    const post = await publishPost(postData);
     await post.populate("author", "name username profilePicture");
+    await post.populate("authorPage", "name username profilePicture isVerified");
 
-    // Add the post to group or page document
-    if (groupId) {
-      await Group.findByIdAndUpdate(
-        groupId,
-        { $push: { posts: post._id } },
-        { new: true }
-      );
-    }
-
-    if (pageId) {
-      await Page.findByIdAndUpdate(
-        pageId,
-        { $push: { posts: post._id } },
-        { new: true }
-      );
-      
-      // Send notification to page followers
-      await notifyPagePost(pageId, post._id, req.user._id, text);
-    }
-
-    // Analyze content for recommendations
-    contentAnalyzer.analyzeContent("post", post._id, post);
+    const isPendingApproval = post.approval?.status === "pending";
+    const [renderedPost] = await postTypeService.renderPosts([post], req.user.id);
 
     res.status(201).json({
       status: "success",
-      message: "Post created successfully",
-      data: { post },
+      message: isPendingApproval
+        ? "Post submitted for admin approval"
+        : "Post created successfully",
+      data: { post: renderedPost },
     });
   } catch (error) {
     console.error(error);
@@ -164,7 +139,9 @@ export const getFeed = async (req, res) => {
 
     // Chronological feed with cursor-based pagination
     const user = await User.findById(req.user.id);
-    const followingIds = user.following;
+    const friendIds = user.getFriendIds();
+    const blockedIds = await User.getBlockedUserIds(req.user.id);
+    const closeFriendOfIds = await User.getCloseFriendOfIds(req.user.id);
 
     // Build the base query
     const baseQuery = {
@@ -173,12 +150,14 @@ export const getFeed = async (req, res) => {
           $or: [
             { author: req.user.id },
             {
-              author: { $in: followingIds },
+              author: { $in: friendIds },
               privacy: { $in: ["public", "friends"] },
             },
+            { author: { $in: closeFriendOfIds }, privacy: "close_friends" },
             { privacy: "public" },
           ],
         },
+        { author: { $nin: blockedIds } },
         { isActive: true },
         { group: null }, // exclude group posts
         { page: null }, // exclude page posts
@@ -196,7 +175,11 @@ export const getFeed = async (req, res) => {
       .populate("author", "name username profilePicture isVerified")
       .populate("tags", "name username profilePicture")
       .populate("reactions.user", "name profilePicture _id")
-      .populate("comments", "content author createdAt")
+      .populate({
+        path: "comments",
+        select: "content author createdAt",
+        match: { isActive: true, isHidden: { $ne: true } },
+      })
       .sort({ isPinned: -1, createdAt: -1, _id: -1 }) // Added _id for consistent cursor ordering
       .limit(limitNum + 1)
       .lean();
@@ -237,6 +220,9 @@ export const getFeed = async (req, res) => {
 
     metadata = { algorithm: "chronological" };
 
+    // Poll results, RSVPs and the viewer's own votes
+    posts = await postTypeService.renderPosts(posts, req.user.id);
+
     console.log('[DEBUG] Returning response:', {
       postsCount: posts.length,
       hasNextPage,
@@ -268,6 +254,41 @@ export const getFeed = async (req, res) => {
   }
 };
 
+// Check whether a user may see a post loaded with its author populated.
+// Returns null when they may, otherwise the status and message to answer with
+export const checkPostAccess = async (post, user) => {
+  const isAwaitingApproval =
+    post?.approval?.status &&
+    post.approval.status !== "approved" &&
+    post.author._id.toString() !== user.id.toString();
+
+  if (
+    !post ||
+    !post.isActive ||
+    isAwaitingApproval ||
+    (await User.isBlockedBetween(user.id, post.author._id))
+  ) {
+    return { status: 404, message: "Post not found" };
+  }
+
+  // Check if user can view this post
+  const canView =
+    post.privacy === "public" ||
+    post.author._id.toString() === user.id.toString() ||
+    (post.privacy === "friends" && user.isFriendWith(post.author._id)) ||
+    (post.privacy === "close_friends" &&
+      (await User.exists({
+        _id: post.author._id,
+        closeFriends: user.id,
+      })));
+
+  if (!canView) {
+    return { status: 403, message: "You do not have permission to view this post" };
+  }
+
+  return null;
+};
+
 // @desc    Get a specific post
 // @route   GET /api/posts/:id
 // @access  Private
@@ -275,33 +296,22 @@ export const getPost = async (req, res) => {
   try {
     const post = await Post.findById(req.params.id)
       .populate("author", "name username profilePicture isVerified")
+      .populate("authorPage", "name username profilePicture isVerified")
       .populate("tags", "name username profilePicture")
       .populate({
         path: "comments",
+        match: { isActive: true, isHidden: { $ne: true } },
         populate: {
           path: "author",
           select: "name username profilePicture",
         },
       });
 
-    if (!post || !post.isActive) {
-      return res.status(404).json({
-        status: "error",
-        message: "Post not found",
-      });
-    }
-
-    // Check if user can view this post
-    const canView =
-      post.privacy === "public" ||
-      post.author._id.toString() === req.user.id.toString() ||
-      (post.privacy === "friends" &&
-        req.user.following.includes(post.author._id));
-
-    if (!canView) {
-      return res.status(403).json({
+    const accessError = await checkPostAccess(post, req.user);
+    if (accessError) {
+      return res.status(accessError.status).json({
         status: "error",
-        message: "You do not have permission to view this post",
+        message: accessError.message,
       });
     }
 
@@ -317,9 +327,11 @@ export const getPost = async (req, res) => {
       }
     );
 
+    const [renderedPost] = await postTypeService.renderPosts([post], req.user.id);
+
     res.status(200).json({
       status: "success",
-      data: { post },
+      data: { post: renderedPost },
     });
   } catch (error) {
     res.status(500).json({
@@ -330,6 +342,48 @@ export const getPost = async (req, res) => {
   }
 };
 
+// @desc    Get the edit history of a post
+// @route   GET /api/posts/:id/history
+// @access  Private
+export const getPostHistory = async (req, res) => {
+  try {
+    const post = await Post.findById(req.params.id).populate(
+      "author",
+      "name username profilePicture isVerified"
+    );
+
+    const accessError = await checkPostAccess(post, req.user);
+    if (accessError) {
+      return res.status(accessError.status).json({
+        status: "error",
+        message: accessError.message,
+      });
+    }
+
+    const lastEdit = post.editHistory[post.editHistory.length - 1];
+
+    res.status(200).json({
+      status: "success",
+      data: {
+        postId: post._id,
+        isEdited: post.isEdited,
+        current: {
+          content: post.content.text,
+          editedAt: lastEdit ? lastEdit.editedAt : null,
+        },
+        // Newest first; each entry is the text as it was before that edit
+        editHistory: [...post.editHistory].reverse(),
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Error fetching post history",
+      error: error.message,
+    });
+  }
+};
+
 // @desc    Update a post
 // @route   PUT /api/posts/:id
 // @access  Private
@@ -351,18 +405,46 @@ export const updatePost = async (req, res) => {
       });
     }
 
-    // Save edit history
-    if (req.body.content && req.body.content.text !== post.content.text) {
+    const text = req.body.text !== undefined ? req.body.text : req.body.content?.text;
+    const { privacy } = req.body;
+
+    if (privacy !== undefined && !POST_PRIVACY_OPTIONS.includes(privacy)) {
+      return res.status(400).json({
+        status: "error",
+        message: `Privacy must be one of: ${POST_PRIVACY_OPTIONS.join(", ")}`,
+      });
+    }
+
+    // Keep the previous text so the post's audience can see what changed
+    const previousMentions = [...post.mentions];
+    if (text !== undefined && text !== post.content.text) {
       post.editHistory.push({
         content: post.content.text,
         editedAt: new Date(),
       });
       post.isEdited = true;
+      post.content.text = text;
+
+      const { hashtags, mentions } = await hashtagService.analyzeText(post.author, text);
+      post.hashtags = hashtags;
+      post.mentions = mentions;
+    }
+
+    if (privacy !== undefined) {
+      post.privacy = privacy;
     }
 
-    Object.assign(post, req.body);
     await post.save();
 
+    // Only users newly mentioned by the edit are notified
+    if (post.approval?.status !== "pending") {
+      await hashtagService.notifyMentions(post.author, post.mentions, {
+        previous: previousMentions,
+        data: { postId: post._id },
+        audience: { itemType: "post", item: post },
+      });
+    }
+
     await post.populate("author", "firstName lastName profilePicture");
 
     // Re-analyze content after edit
@@ -419,260 +501,475 @@ export const deletePost = async (req, res) => {
   }
 };
 
-// @desc    React to a post
-// @route   POST /api/posts/:id/react
+// Answer with a { status, message } error from a helper or service
+const sendServiceError = (res, error) =>
+  res.status(error.status).json({
+    status: "error",
+    message: error.message,
+  });
+
+// The poll, event or check-in part of a draft request
+const pickTypeInput = ({ postType = "standard", poll, event, checkIn }) => ({
+  postType,
+  poll,
+  event,
+  checkIn,
+});
+
+// Check a draft's poll, event or check-in as if it went out at publishAt
+const checkDraftTypeInput = (typeInput, publishAt) => {
+  const { error } = postTypeService.buildTypeFields(typeInput, publishAt || new Date());
+  return error || null;
+};
+
+// @desc    Save a post as a draft, or schedule it when publishAt is given
+// @route   POST /api/posts/drafts
 // @access  Private
-export const reactToPost = async (req, res) => {
+export const createDraft = async (req, res) => {
   try {
-    const { type = "like" } = req.body;
-    const validTypes = ["like", "love", "haha", "wow", "sad", "angry"];
+    const {
+      text,
+      privacy,
+      pageId,
+      groupId,
+      mediaFiles,
+      latitude,
+      longitude,
+      tags,
+      publishAt,
+      timezone,
+    } = req.body;
+    const actingPage = req.actingPage;
 
-    if (!validTypes.includes(type)) {
+    if (privacy !== undefined && !POST_PRIVACY_OPTIONS.includes(privacy)) {
       return res.status(400).json({
         status: "error",
-        message: "Invalid reaction type",
+        message: `Privacy must be one of: ${POST_PRIVACY_OPTIONS.join(", ")}`,
       });
     }
 
-    const post = await Post.findById(req.params.id);
-    if (!post || !post.isActive) {
-      return res.status(404).json({
-        status: "error",
-        message: "Post not found",
-      });
-    }
+    const { error, target } = await resolvePostTarget({
+      authorId: req.user._id,
+      actingPageId: actingPage?._id,
+      pageId,
+      groupId,
+    });
+    if (error) return sendServiceError(res, error);
 
-    // Check if user already reacted
-    const existingReaction = post.reactions.find(
-      (reaction) => reaction.user.toString() === req.user.id.toString()
-    );
+    const tagResult = await resolvePostTags(req.user._id, tags);
+    if (tagResult.error) return sendServiceError(res, tagResult.error);
 
-    if (existingReaction) {
-      if (existingReaction.type === type) {
-        // Remove reaction if same type
-        post.reactions = post.reactions.filter(
-          (reaction) => reaction.user.toString() !== req.user.id.toString()
-        );
-      } else {
-        // Update reaction type
-        existingReaction.type = type;
-        existingReaction.createdAt = new Date();
-      }
-    } else {
-      // Add new reaction
-      post.reactions.push({
-        user: req.user.id,
-        type,
-        createdAt: new Date(),
-      });
-    }
+    const draftData = {
+      author: req.user._id,
+      content: { text },
+      privacy: privacy || (actingPage ? "public" : "friends"),
+      tags: tagResult.tags,
+      location: await buildPostLocation(latitude, longitude),
+      group: target.group,
+      page: target.page,
+      authorPage: target.authorPage,
+    };
 
-    await post.save();
+    if (publishAt) {
+      const schedule = resolvePublishAt(publishAt, timezone);
+      if (schedule.error) return sendServiceError(res, schedule.error);
 
-    // Track interaction for recommendations
-    recommendationEngine.trackInteraction(
-      req.user.id,
-      "post",
-      req.params.id,
-      "like",
-      {
-        reactionType: type,
-        postAuthor: post.author.toString(),
-      }
-    );
+      Object.assign(draftData, schedule, { status: "scheduled" });
+    }
 
-    if (
-      post.author.toString() !== req.user.id.toString() &&
-      !existingReaction
-    ) {
-      await NotificationHelper.notifyLike(
-        req.params.id,
-        req.user.id,
-        post.author
-      );
+    // Poll, event and check-in details are checked again when the post goes out
+    const typeInput = pickTypeInput(req.body);
+    const typeError = checkDraftTypeInput(typeInput, draftData.publishAt);
+    if (typeError) return sendServiceError(res, typeError);
+    draftData.typeInput = typeInput;
+
+    if (mediaFiles && mediaFiles.length > 0) {
+      draftData.content.media = await uploadPostMedia(mediaFiles, req.user._id);
     }
 
-    res.status(200).json({
+    const draft = await PostDraft.create(draftData);
+
+    res.status(201).json({
       status: "success",
-      message: "Reaction updated successfully",
-      data: {
-        reactionsCount: post.reactionsCount,
-        userReaction: existingReaction ? existingReaction.type : null,
-      },
+      message: draft.status === "scheduled" ? "Post scheduled successfully" : "Draft saved successfully",
+      data: { draft },
     });
   } catch (error) {
+    console.error(error);
     res.status(500).json({
       status: "error",
-      message: "Error updating reaction",
+      message: "Error saving draft",
       error: error.message,
     });
   }
 };
 
-// @desc    Add a comment to a post
-// @route   POST /api/posts/:id/comments
+// @desc    Get the user's drafts and scheduled posts
+// @route   GET /api/posts/drafts?status=draft|scheduled|failed
 // @access  Private
-export const addComment = async (req, res) => {
+export const getDrafts = async (req, res) => {
   try {
-    // Check for validation errors
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({
-        status: "error",
-        message: "Validation error",
-        errors: errors.array(),
-      });
-    }
-
-    const { content, parentComment } = req.body;
+    const { status, limit = 20, page = 1 } = req.query;
+    const skip = (page - 1) * limit;
 
-    const post = await Post.findById(req.params.id);
-    if (!post || !post.isActive) {
-      return res.status(404).json({
+    const statuses = ["draft", "scheduled", "failed"];
+    if (status && !statuses.includes(status)) {
+      return res.status(400).json({
         status: "error",
-        message: "Post not found",
-      });
-    }
-
-    let level = 0;
-    if (parentComment) {
-      const parent = await Comment.findById(parentComment);
-      if (!parent) {
-        return res.status(404).json({
-          status: "error",
-          message: "Parent comment not found",
-        });
-      }
-      level = parent.level + 1;
-      if (level > 2) {
-        return res.status(400).json({
-          status: "error",
-          message: "Maximum nesting level reached",
-        });
-      }
-    }
-
-    const comment = await Comment.create({
-      author: req.user.id,
-      post: req.params.id,
-      content,
-      parentComment,
-      level,
-    });
-
-    // Add comment to post
-    post.comments.push(comment._id);
-    await post.save();
-
-    // Add reply to parent comment if applicable
-    if (parentComment) {
-      await Comment.findByIdAndUpdate(parentComment, {
-        $push: { replies: comment._id },
+        message: `Status must be one of: ${statuses.join(", ")}`,
       });
     }
 
-    // Track interaction for recommendations
-    recommendationEngine.trackInteraction(
-      req.user.id,
-      "post",
-      req.params.id,
-      "comment",
-      {
-        commentLength: content.length,
-        postAuthor: post.author.toString(),
-        isReply: !!parentComment,
-      }
-    );
+    const query = {
+      author: req.user._id,
+      status: status || { $in: [...statuses, "publishing"] },
+    };
 
-    // Send notification to post author (if not self-comment)
-    if (post.author.toString() !== req.user.id.toString()) {
-      await NotificationHelper.notifyComment(
-        req.params.id,
-        comment._id,
-        req.user.id,
-        post.author
-      );
-    }
+    // Scheduled posts come in the order they go out
+    const sort = status === "scheduled" ? { publishAt: 1 } : { updatedAt: -1 };
 
-    // If this is a page post, send page comment notification
-    if (post.page) {
-      await notifyPageComment(post.page, comment._id, req.user.id, content);
-    }
+    const [drafts, total] = await Promise.all([
+      PostDraft.find(query)
+        .populate("tags", "name username profilePicture")
+        .populate("group", "name profilePicture")
+        .populate("page", "name username profilePicture")
+        .sort(sort)
+        .skip(Number(skip))
+        .limit(Number(limit)),
+      PostDraft.countDocuments(query),
+    ]);
 
-    res.status(201).json({
+    res.status(200).json({
       status: "success",
-      message: "Comment added successfully",
-      data: { comment },
+      data: {
+        drafts,
+        pagination: {
+          page: Number(page),
+          limit: Number(limit),
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      },
     });
   } catch (error) {
-    console.log("Comment Error: ", error);
     res.status(500).json({
       status: "error",
-      message: "Error adding comment",
+      message: "Error fetching drafts",
       error: error.message,
     });
   }
 };
 
-// @desc    Get comments for a post
-// @route   GET /api/posts/:id/comments
+// @desc    Get one of the user's drafts
+// @route   GET /api/posts/drafts/:draftId
 // @access  Private
-export const getComments = async (req, res) => {
+export const getDraft = async (req, res) => {
   try {
-    const post = await Post.findById(req.params.id);
-    if (!post || !post.isActive) {
+    const draft = await PostDraft.findOne({ _id: req.params.draftId, author: req.user._id })
+      .populate("tags", "name username profilePicture")
+      .populate("group", "name profilePicture")
+      .populate("page", "name username profilePicture");
+
+    if (!draft) {
       return res.status(404).json({
         status: "error",
-        message: "Post not found",
+        message: "Draft not found",
       });
     }
 
-    const comments = await Comment.find({ post: req.params.id })
-      .populate("author", "name username profilePicture")
-      .populate({
-        path: "replies",
-        populate: { path: "author", select: "name username profilePicture" },
-      })
-      .sort({ createdAt: -1 });
-
     res.status(200).json({
       status: "success",
-      data: { comments },
+      data: { draft },
     });
   } catch (error) {
-    console.log("Comment Error: ", error);
     res.status(500).json({
       status: "error",
-      message: "Error fetching comments",
+      message: "Error fetching draft",
       error: error.message,
     });
   }
 };
 
-// @desc    Get media for a post
-// @route   GET /api/posts/:id/media
+// @desc    Update a draft, or schedule, reschedule or unschedule it with publishAt
+// @route   PUT /api/posts/drafts/:draftId
 // @access  Private
-export const getMedia = async (req, res) => {
+export const updateDraft = async (req, res) => {
   try {
-    const post = await Post.findById(req.params.id);
-    if (!post || !post.isActive) {
+    const draft = await PostDraft.findOne({ _id: req.params.draftId, author: req.user._id });
+    if (!draft) {
       return res.status(404).json({
         status: "error",
-        message: "Post not found",
+        message: "Draft not found",
       });
     }
 
-    const media = await Media.find({ post: req.params.id });
+    if (!draft.isEditable()) {
+      return res.status(409).json({
+        status: "error",
+        message: "This post has already been published",
+      });
+    }
 
-    res.status(200).json({
-      status: "success",
-      data: { media },
-    });
-  } catch (error) {
-    console.log("Media Error: ", error);
-    res.status(500).json({
-      status: "error",
-      message: "Error fetching media",
+    const { text, privacy, tags, latitude, longitude, mediaFiles, publishAt, timezone } = req.body;
+
+    if (privacy !== undefined && !POST_PRIVACY_OPTIONS.includes(privacy)) {
+      return res.status(400).json({
+        status: "error",
+        message: `Privacy must be one of: ${POST_PRIVACY_OPTIONS.join(", ")}`,
+      });
+    }
+
+    if (text !== undefined) draft.content.text = text;
+    if (privacy !== undefined) draft.privacy = privacy;
+
+    if (tags !== undefined) {
+      const tagResult = await resolvePostTags(req.user._id, tags);
+      if (tagResult.error) return sendServiceError(res, tagResult.error);
+      draft.tags = tagResult.tags;
+    }
+
+    if (latitude !== undefined || longitude !== undefined) {
+      draft.location = await buildPostLocation(latitude, longitude);
+    }
+
+    // publishAt null turns a scheduled post back into a draft
+    if (publishAt === null) {
+      draft.status = "draft";
+      draft.publishAt = null;
+      draft.localPublishAt = undefined;
+    } else if (publishAt !== undefined || (timezone !== undefined && draft.localPublishAt)) {
+      // A new time zone alone keeps the local time the author picked
+      const schedule = resolvePublishAt(publishAt ?? draft.localPublishAt, timezone ?? draft.timezone);
+      if (schedule.error) return sendServiceError(res, schedule.error);
+
+      Object.assign(draft, schedule, { status: "scheduled" });
+    } else if (draft.status === "failed") {
+      draft.status = draft.publishAt && draft.publishAt > new Date() ? "scheduled" : "draft";
+    }
+    draft.failureReason = undefined;
+
+    // New media replaces the media the draft had
+    if (mediaFiles && mediaFiles.length > 0) {
+      draft.content.media = await uploadPostMedia(mediaFiles, req.user._id);
+    }
+
+    const { postType, poll, event, checkIn } = req.body;
+    if (postType !== undefined || poll !== undefined || event !== undefined || checkIn !== undefined) {
+      draft.typeInput = pickTypeInput({ ...draft.typeInput, ...req.body });
+    }
+
+    const typeError = checkDraftTypeInput(draft.typeInput || {}, draft.status === "scheduled" ? draft.publishAt : null);
+    if (typeError) return sendServiceError(res, typeError);
+
+    await draft.save();
+
+    res.status(200).json({
+      status: "success",
+      message: draft.status === "scheduled" ? "Scheduled post updated successfully" : "Draft updated successfully",
+      data: { draft },
+    });
+  } catch (error) {
+    // The publishing job claimed the draft while it was being edited
+    if (error.name === "VersionError") {
+      return res.status(409).json({
+        status: "error",
+        message: "This post is being published and can no longer be changed",
+      });
+    }
+    res.status(500).json({
+      status: "error",
+      message: "Error updating draft",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Publish a draft or scheduled post now
+// @route   POST /api/posts/drafts/:draftId/publish
+// @access  Private
+export const publishDraftNow = async (req, res) => {
+  try {
+    const draft = await PostDraft.claimForPublishing({
+      _id: req.params.draftId,
+      author: req.user._id,
+      status: { $in: ["draft", "scheduled", "failed"] },
+    });
+
+    if (!draft) {
+      return res.status(404).json({
+        status: "error",
+        message: "Draft not found",
+      });
+    }
+
+    const { error, post } = await publishDraft(draft);
+    if (error) return sendServiceError(res, error);
+
+    await post.populate("author", "name username profilePicture");
+    await post.populate("authorPage", "name username profilePicture isVerified");
+
+    res.status(201).json({
+      status: "success",
+      message:
+        post.approval?.status === "pending"
+          ? "Post submitted for admin approval"
+          : "Post published successfully",
+      data: { post },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Error publishing draft",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Delete a draft or cancel a scheduled post
+// @route   DELETE /api/posts/drafts/:draftId
+// @access  Private
+export const deleteDraft = async (req, res) => {
+  try {
+    const draft = await PostDraft.findOneAndDelete({
+      _id: req.params.draftId,
+      author: req.user._id,
+      status: { $in: ["draft", "scheduled", "failed"] },
+    });
+
+    if (!draft) {
+      return res.status(404).json({
+        status: "error",
+        message: "Draft not found",
+      });
+    }
+
+    res.status(200).json({
+      status: "success",
+      message: "Draft deleted successfully",
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Error deleting draft",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    React to a post
+// @route   POST /api/posts/:id/react
+// @access  Private
+export const reactToPost = async (req, res) => {
+  try {
+    const { type = "like" } = req.body;
+    const validTypes = ["like", "love", "haha", "wow", "sad", "angry"];
+
+    if (!validTypes.includes(type)) {
+      return res.status(400).json({
+        status: "error",
+        message: "Invalid reaction type",
+      });
+    }
+
+    const post = await Post.findById(req.params.id);
+    if (!post || !post.isActive) {
+      return res.status(404).json({
+        status: "error",
+        message: "Post not found",
+      });
+    }
+
+    // Check if user already reacted
+    const existingReaction = post.reactions.find(
+      (reaction) => reaction.user.toString() === req.user.id.toString()
+    );
+
+    if (existingReaction) {
+      if (existingReaction.type === type) {
+        // Remove reaction if same type
+        post.reactions = post.reactions.filter(
+          (reaction) => reaction.user.toString() !== req.user.id.toString()
+        );
+      } else {
+        // Update reaction type
+        existingReaction.type = type;
+        existingReaction.createdAt = new Date();
+      }
+    } else {
+      // Add new reaction
+      post.reactions.push({
+        user: req.user.id,
+        type,
+        createdAt: new Date(),
+      });
+    }
+
+    await post.save();
+
+    // Track interaction for recommendations
+    recommendationEngine.trackInteraction(
+      req.user.id,
+      "post",
+      req.params.id,
+      "like",
+      {
+        reactionType: type,
+        postAuthor: post.author.toString(),
+      }
+    );
+
+    if (
+      post.author.toString() !== req.user.id.toString() &&
+      !existingReaction
+    ) {
+      await NotificationHelper.notifyLike(
+        req.params.id,
+        req.user.id,
+        post.author
+      );
+    }
+
+    res.status(200).json({
+      status: "success",
+      message: "Reaction updated successfully",
+      data: {
+        reactionsCount: post.reactionsCount,
+        userReaction: existingReaction ? existingReaction.type : null,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Error updating reaction",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get media for a post
+// @route   GET /api/posts/:id/media
+// @access  Private
+export const getMedia = async (req, res) => {
+  try {
+    const post = await Post.findById(req.params.id);
+    if (!post || !post.isActive) {
+      return res.status(404).json({
+        status: "error",
+        message: "Post not found",
+      });
+    }
+
+    const media = await Media.find({ post: req.params.id });
+
+    res.status(200).json({
+      status: "success",
+      data: { media },
+    });
+  } catch (error) {
+    console.log("Media Error: ", error);
+    res.status(500).json({
+      status: "error",
+      message: "Error fetching media",
       error: error.message,
     });
   }
@@ -823,33 +1120,28 @@ export const sharePost = async (req, res) => {
   }
 };
 
-// @desc    Save a post
+// @desc    Save a post, optionally into one of the user's collections
 // @route   POST /api/posts/:id/save
 // @access  Private
 export const savePost = async (req, res) => {
   try {
-    const post = await Post.findById(req.params.id);
-    if (!post || !post.isActive) {
-      return res.status(404).json({
-        status: "error",
-        message: "Post not found",
-      });
-    }
-
-    // Track save interaction
-    recommendationEngine.trackInteraction(
+    const { error, savedItem, created } = await savedItemService.save(
       req.user.id,
       "post",
       req.params.id,
-      "save",
-      {
-        postAuthor: post.author.toString(),
-      }
+      req.body.collectionId
     );
+    if (error) {
+      return res.status(error.status).json({
+        status: "error",
+        message: error.status === 404 ? "Post not found" : error.message,
+      });
+    }
 
     res.status(200).json({
       status: "success",
-      message: "Post saved successfully",
+      message: created ? "Post saved successfully" : "Post was already saved",
+      data: { savedItem },
     });
   } catch (error) {
     res.status(500).json({
@@ -860,6 +1152,38 @@ export const savePost = async (req, res) => {
   }
 };
 
+// @desc    Remove a post from saved items
+// @route   DELETE /api/posts/:id/save
+// @access  Private
+export const unsavePost = async (req, res) => {
+  try {
+    const { error, removed } = await savedItemService.unsave(req.user.id, "post", req.params.id);
+    if (error) {
+      return res.status(error.status).json({
+        status: "error",
+        message: error.message,
+      });
+    }
+    if (!removed) {
+      return res.status(404).json({
+        status: "error",
+        message: "Post is not saved",
+      });
+    }
+
+    res.status(200).json({
+      status: "success",
+      message: "Post removed from saved items",
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Error unsaving post",
+      error: error.message,
+    });
+  }
+};
+
 // @desc    Hide a post from feed
 // @route   POST /api/posts/:id/hide
 // @access  Private
@@ -899,3 +1223,369 @@ export const hidePost = async (req, res) => {
     });
   }
 };
+
+// Load a post of the given type that the user can see. Returns { post } or
+// { error: { status, message } }
+const loadTypedPost = async (postId, user, postType) => {
+  const post = await Post.findById(postId).populate("author", "name username profilePicture");
+
+  const accessError = await checkPostAccess(post, user);
+  if (accessError) return { error: accessError };
+
+  if (post.postType !== postType) {
+    return {
+      error: {
+        status: 400,
+        message: postType === "poll" ? "This post is not a poll" : "This post is not an event",
+      },
+    };
+  }
+
+  return { post };
+};
+
+// Fresh poll or event data for a post, as the user sees it
+const renderTypedPost = async (postId, userId) => {
+  const post = await Post.findById(postId).select("author postType poll event");
+  const [rendered] = await postTypeService.renderPosts([post], userId);
+  return rendered;
+};
+
+// @desc    Vote in a poll, replacing any earlier vote
+// @route   POST /api/posts/:id/poll/vote
+// @access  Private
+export const votePoll = async (req, res) => {
+  try {
+    const { error, post } = await loadTypedPost(req.params.id, req.user, "poll");
+    if (error) return sendServiceError(res, error);
+
+    const result = await postTypeService.vote(post, req.user._id, req.body.optionIndexes);
+    if (result.error) return sendServiceError(res, result.error);
+
+    const { poll } = await renderTypedPost(post._id, req.user.id);
+
+    res.status(200).json({
+      status: "success",
+      message: "Vote recorded",
+      data: { poll },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Error voting in poll",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Take back a poll vote
+// @route   DELETE /api/posts/:id/poll/vote
+// @access  Private
+export const retractPollVote = async (req, res) => {
+  try {
+    const { error, post } = await loadTypedPost(req.params.id, req.user, "poll");
+    if (error) return sendServiceError(res, error);
+
+    const result = await postTypeService.retractVote(post, req.user._id);
+    if (result.error) return sendServiceError(res, result.error);
+    if (!result.removed) {
+      return res.status(404).json({
+        status: "error",
+        message: "You have not voted in this poll",
+      });
+    }
+
+    const { poll } = await renderTypedPost(post._id, req.user.id);
+
+    res.status(200).json({
+      status: "success",
+      message: "Vote removed",
+      data: { poll },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Error removing vote",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get who voted in a poll that is not anonymous
+// @route   GET /api/posts/:id/poll/voters?option=<index>
+// @access  Private
+export const getPollVoters = async (req, res) => {
+  try {
+    const { option, limit = 20, page = 1 } = req.query;
+    const skip = (page - 1) * limit;
+
+    const { error, post } = await loadTypedPost(req.params.id, req.user, "poll");
+    if (error) return sendServiceError(res, error);
+
+    const result = await postTypeService.getVoters(post, {
+      optionIndex: option,
+      skip: Number(skip),
+      limit: Number(limit),
+    });
+    if (result.error) return sendServiceError(res, result.error);
+
+    res.status(200).json({
+      status: "success",
+      data: {
+        voters: result.voters,
+        pagination: {
+          page: Number(page),
+          limit: Number(limit),
+          total: result.total,
+          pages: Math.ceil(result.total / limit),
+        },
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Error fetching poll voters",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Close a poll before it expires
+// @route   POST /api/posts/:id/poll/close
+// @access  Private
+export const closePoll = async (req, res) => {
+  try {
+    const { error, post } = await loadTypedPost(req.params.id, req.user, "poll");
+    if (error) return sendServiceError(res, error);
+
+    if (post.author._id.toString() !== req.user.id.toString()) {
+      return res.status(403).json({
+        status: "error",
+        message: "Only the author can close this poll",
+      });
+    }
+
+    if (!postTypeService.isPollOpen(post)) {
+      return res.status(400).json({
+        status: "error",
+        message: "This poll is already closed",
+      });
+    }
+
+    await Post.updateOne({ _id: post._id }, { $set: { "poll.closedAt": new Date() } });
+    const { poll } = await renderTypedPost(post._id, req.user.id);
+
+    res.status(200).json({
+      status: "success",
+      message: "Poll closed",
+      data: { poll },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Error closing poll",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    RSVP to an event as going or interested
+// @route   POST /api/posts/:id/event/rsvp
+// @access  Private
+export const rsvpEvent = async (req, res) => {
+  try {
+    const { error, post } = await loadTypedPost(req.params.id, req.user, "event");
+    if (error) return sendServiceError(res, error);
+
+    const result = await postTypeService.rsvp(post, req.user._id, req.body.status);
+    if (result.error) return sendServiceError(res, result.error);
+
+    const { event } = await renderTypedPost(post._id, req.user.id);
+
+    res.status(200).json({
+      status: "success",
+      message: result.changed ? "RSVP saved" : "RSVP unchanged",
+      data: { event },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Error saving RSVP",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Withdraw an RSVP
+// @route   DELETE /api/posts/:id/event/rsvp
+// @access  Private
+export const cancelEventRsvp = async (req, res) => {
+  try {
+    const { error, post } = await loadTypedPost(req.params.id, req.user, "event");
+    if (error) return sendServiceError(res, error);
+
+    const { removed } = await postTypeService.cancelRsvp(post, req.user._id);
+    if (!removed) {
+      return res.status(404).json({
+        status: "error",
+        message: "You have not answered this event",
+      });
+    }
+
+    const { event } = await renderTypedPost(post._id, req.user.id);
+
+    res.status(200).json({
+      status: "success",
+      message: "RSVP withdrawn",
+      data: { event },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Error withdrawing RSVP",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get the people going to or interested in an event
+// @route   GET /api/posts/:id/event/attendees?status=going|interested
+// @access  Private
+export const getEventAttendees = async (req, res) => {
+  try {
+    const { status, limit = 20, page = 1 } = req.query;
+    const skip = (page - 1) * limit;
+
+    if (status && !RSVP_STATUSES.includes(status)) {
+      return res.status(400).json({
+        status: "error",
+        message: `Status must be one of: ${RSVP_STATUSES.join(", ")}`,
+      });
+    }
+
+    const { error, post } = await loadTypedPost(req.params.id, req.user, "event");
+    if (error) return sendServiceError(res, error);
+
+    const { attendees, total } = await postTypeService.getAttendees(post, {
+      status,
+      skip: Number(skip),
+      limit: Number(limit),
+    });
+
+    res.status(200).json({
+      status: "success",
+      data: {
+        attendees,
+        pagination: {
+          page: Number(page),
+          limit: Number(limit),
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Error fetching attendees",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Cancel an event
+// @route   POST /api/posts/:id/event/cancel
+// @access  Private
+export const cancelEvent = async (req, res) => {
+  try {
+    const { error, post } = await loadTypedPost(req.params.id, req.user, "event");
+    if (error) return sendServiceError(res, error);
+
+    if (post.author._id.toString() !== req.user.id.toString()) {
+      return res.status(403).json({
+        status: "error",
+        message: "Only the host can cancel this event",
+      });
+    }
+
+    if (post.event.cancelledAt) {
+      return res.status(400).json({
+        status: "error",
+        message: "This event is already cancelled",
+      });
+    }
+
+    await Post.updateOne({ _id: post._id }, { $set: { "event.cancelledAt": new Date() } });
+    const { event } = await renderTypedPost(post._id, req.user.id);
+
+    res.status(200).json({
+      status: "success",
+      message: "Event cancelled",
+      data: { event },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Error cancelling event",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get check-ins near a place or by one user
+// @route   GET /api/posts/check-ins?latitude=&longitude=&radius=<km>&userId=
+// @access  Private
+export const getCheckIns = async (req, res) => {
+  try {
+    const { latitude, longitude, radius, userId, limit = 20, page = 1 } = req.query;
+    const skip = (page - 1) * limit;
+
+    const hasPoint = latitude !== undefined && longitude !== undefined;
+    if (!hasPoint && !userId) {
+      return res.status(400).json({
+        status: "error",
+        message: "Give latitude and longitude, a userId, or both",
+      });
+    }
+    if (hasPoint && (Number.isNaN(parseFloat(latitude)) || Number.isNaN(parseFloat(longitude)))) {
+      return res.status(400).json({
+        status: "error",
+        message: "Invalid coordinates",
+      });
+    }
+    if (userId && !mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({
+        status: "error",
+        message: "Invalid user id",
+      });
+    }
+
+    const { checkIns, total } = await postTypeService.getCheckIns(req.user.id, {
+      latitude: hasPoint ? parseFloat(latitude) : undefined,
+      longitude: hasPoint ? parseFloat(longitude) : undefined,
+      radiusKm: radius,
+      authorId: userId,
+      skip: Number(skip),
+      limit: Number(limit),
+    });
+
+    res.status(200).json({
+      status: "success",
+      data: {
+        checkIns,
+        pagination: {
+          page: Number(page),
+          limit: Number(limit),
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Error fetching check-ins",
+      error: error.message,
+    });
+  }
+};
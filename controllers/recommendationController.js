@@ -2,6 +2,7 @@
 import RecommendationEngine from '../services/RecommendationEngine.js';
 import UserInteraction from '../models/UserInteraction.js';
 import UserPreference from '../models/UserPreference.js';
+import postTypeService from '../services/PostTypeService.js';
 
 const recommendationEngine = new RecommendationEngine();
 
@@ -35,6 +36,15 @@ export const getRecommendedFeed = async (req, res) => {
       }
     );
 
+    // Poll results, RSVPs and the viewer's own votes; the fallback feed returns bare posts
+    const rendered = await postTypeService.renderPosts(
+      recommendations.posts.map(item => item.post || item),
+      req.user.id
+    );
+    recommendations.posts = recommendations.posts.map((item, index) =>
+      item.post ? { ...item, post: rendered[index] } : rendered[index]
+    );
+
     res.status(200).json({
       status: 'success',
       data: recommendations
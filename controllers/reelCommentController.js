@@ -2,7 +2,7 @@ import ReelComment from "../models/ReelComment.js";
 import Reel from "../models/Reel.js";
 import ReelAnalytics from "../models/ReelAnalytics.js";
 import User from "../models/User.js";
-import { extractHashtags, extractMentions } from "../utils/contentAnalysis.js";
+import hashtagService from "../services/HashtagService.js";
 
 // Create a new comment on a reel
 export const createComment = async (req, res) => {
@@ -10,6 +10,7 @@ export const createComment = async (req, res) => {
     const { reelId } = req.params;
     const { content, parentCommentId } = req.body;
     const userId = req.user.id;
+    const actingPage = req.actingPage;
 
     // Validate required fields
     if (!content || content.trim().length === 0) {
@@ -50,6 +51,13 @@ export const createComment = async (req, res) => {
       });
     }
 
+    if (await User.isBlockedBetween(userId, reel.author)) {
+      return res.status(403).json({
+        success: false,
+        message: "You cannot comment on this reel",
+      });
+    }
+
     // Check if parent comment exists (for replies)
     let parentComment = null;
     if (parentCommentId) {
@@ -68,14 +76,14 @@ export const createComment = async (req, res) => {
       }
     }
 
-    // Extract hashtags and mentions
-    const hashtags = extractHashtags(content);
-    const mentions = extractMentions(content);
+    // Extract hashtags and resolve mentions to users
+    const { hashtags, mentions } = await hashtagService.analyzeText(userId, content);
 
     // Create new comment
     const newComment = new ReelComment({
       reel: reelId,
       author: userId,
+      authorPage: actingPage ? actingPage._id : null,
       content: content.trim(),
       parentComment: parentCommentId || null,
       hashtags,
@@ -98,8 +106,15 @@ export const createComment = async (req, res) => {
       await parentComment.addReply(savedComment._id);
     }
 
+    await hashtagService.notifyMentions(userId, savedComment.mentions, {
+      data: { metadata: { reelId: reel._id, reelCommentId: savedComment._id } },
+      contentLabel: "reel comment",
+      audience: { itemType: "reel", item: reel },
+    });
+
     // Populate author information
     await savedComment.populate("author", "name profilePicture username isVerified");
+    await savedComment.populate("authorPage", "name profilePicture username isVerified");
 
     res.status(201).json({
       success: true,
@@ -147,9 +162,19 @@ export const getReelComments = async (req, res) => {
       });
     }
 
+    if (await User.isBlockedBetween(req.user._id, reel.author)) {
+      return res.status(404).json({
+        success: false,
+        message: "Reel not found",
+      });
+    }
+
+    const blockedIds = await User.getBlockedUserIds(req.user._id);
+
     // Build query for cursor-based pagination
     let query = {
       reel: reelId,
+      author: { $nin: blockedIds },
       parentComment: null, // Only top-level comments
       isDeleted: false,
       isHidden: false,
@@ -169,6 +194,7 @@ export const getReelComments = async (req, res) => {
       .sort({ isPinned: -1, createdAt: -1 })
       .limit(parseInt(limit) + 1) // Get one extra to check if there are more
       .populate("author", "name profilePicture username isVerified")
+      .populate("authorPage", "name profilePicture username isVerified")
       .populate("reactions.user", "name profilePicture");
 
     // Check if there are more comments
@@ -249,16 +275,20 @@ export const getCommentReplies = async (req, res) => {
       });
     }
 
+    const blockedIds = await User.getBlockedUserIds(req.user._id);
+
     // Get replies
     const replies = await ReelComment.getCommentReplies(
       commentId,
       parseInt(limit),
-      skip
+      skip,
+      blockedIds
     );
 
     // Get total count for pagination
     const total = await ReelComment.countDocuments({
       parentComment: commentId,
+      author: { $nin: blockedIds },
       isDeleted: false,
       isHidden: false,
       moderationStatus: "approved",
@@ -355,9 +385,9 @@ export const updateComment = async (req, res) => {
       },
     ];
 
-    // Extract new hashtags and mentions
-    const hashtags = extractHashtags(content);
-    const mentions = extractMentions(content);
+    // Extract new hashtags and resolve mentions to users
+    const previousMentions = [...comment.mentions];
+    const { hashtags, mentions } = await hashtagService.analyzeText(userId, content);
 
     // Update comment
     const updatedComment = await ReelComment.findByIdAndUpdate(
@@ -372,6 +402,13 @@ export const updateComment = async (req, res) => {
       { new: true, runValidators: true }
     ).populate("author", "name profilePicture username isVerified");
 
+    await hashtagService.notifyMentions(userId, updatedComment.mentions, {
+      previous: previousMentions,
+      data: { metadata: { reelId: updatedComment.reel, reelCommentId: updatedComment._id } },
+      contentLabel: "reel comment",
+      audience: { itemType: "reel", item: { _id: updatedComment.reel } },
+    });
+
     res.status(200).json({
       success: true,
       message: "Comment updated successfully",
@@ -707,12 +744,8 @@ export const getUserComments = async (req, res) => {
 export const getFlaggedComments = async (req, res) => {
   try {
     const { page = 1, limit = 50 } = req.query;
-    const userId = req.user.id;
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
-    // Check if user has admin privileges (you can implement this logic)
-    // For now, we'll allow any authenticated user to view flagged comments
-
     const comments = await ReelComment.getFlaggedComments(
       parseInt(limit),
       skip
@@ -774,9 +807,6 @@ export const moderateComment = async (req, res) => {
       });
     }
 
-    // Check if user has admin privileges (you can implement this logic)
-    // For now, we'll allow any authenticated user to moderate comments
-
     await comment.moderate(status, notes, userId);
 
     res.status(200).json({
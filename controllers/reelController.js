@@ -1,12 +1,14 @@
 import Reel from "../models/Reel.js";
 import ReelComment from "../models/ReelComment.js";
 import ReelAnalytics from "../models/ReelAnalytics.js";
-import ReelReport from "../models/ReelReport.js";
 import User from "../models/User.js";
 import { validationResult } from "express-validator";
 import cloudinary from "../utils/cloudinary.js";
 import { getMimeTypeFromBase64, getFileCategory } from "../services/ImageUrlCreate.js";
-import { extractHashtags, extractMentions, extractUrls } from "../utils/contentAnalysis.js";
+import { extractHashtags, extractUrls } from "../utils/contentAnalysis.js";
+import { fileReport } from "./reportController.js";
+import savedItemService from "../services/SavedItemService.js";
+import hashtagService from "../services/HashtagService.js";
 
 // Create a new reel
 export const createReel = async (req, res) => {
@@ -28,8 +30,7 @@ export const createReel = async (req, res) => {
       privacy, 
       location, 
       tags, 
-      hashtags, 
-      mentions 
+      hashtags 
     } = req.body;
 
     // Handle base64 media upload
@@ -62,9 +63,11 @@ export const createReel = async (req, res) => {
       };
     }
 
-    // Extract hashtags and mentions from caption if not provided
-    const extractedHashtags = hashtags || extractHashtags(caption || '');
-    const extractedMentions = mentions || extractMentions(caption || '');
+    // Extract hashtags from caption if not provided. Hashtags are stored lowercase
+    // so the reel shows up on its hashtag pages; mentions are always the users
+    // @mentioned in the caption who may be mentioned by the author
+    const extractedHashtags = hashtagService.normalize(hashtags || extractHashtags(caption || ''));
+    const extractedMentions = await hashtagService.resolveMentions(req.user._id, caption || '');
     const extractedUrls = extractUrls(caption || '');
 
     const reelData = {
@@ -89,6 +92,12 @@ export const createReel = async (req, res) => {
     const reel = await Reel.create(reelData);
     await reel.populate("author", "name username profilePicture isVerified");
 
+    await hashtagService.notifyMentions(req.user._id, reel.mentions, {
+      data: { metadata: { reelId: reel._id } },
+      contentLabel: "reel",
+      audience: { itemType: "reel", item: reel },
+    });
+
     // Create analytics entry
     await ReelAnalytics.create({
       reel: reel._id,
@@ -137,10 +146,14 @@ export const getReels = async (req, res) => {
     // Build query
     let query = { isDeleted: false, isArchived: false };
 
+    if (userId) {
+      query.author = { $nin: await User.getBlockedUserIds(userId) };
+    }
+
     if (category) query.category = category;
     if (privacy) query.privacy = privacy;
-    if (author) query.author = author;
-    if (hashtag) query.hashtags = hashtag;
+    if (author) query.author = { ...query.author, $eq: author };
+    if (hashtag) query.hashtags = hashtagService.normalizeName(hashtag) || hashtag;
     if (search) {
       query.$or = [
         { caption: { $regex: search, $options: "i" } },
@@ -231,7 +244,8 @@ export const getTrendingReels = async (req, res) => {
     const { limit = 20, category } = req.query;
     const userId = req.user?._id;
 
-    const reels = await Reel.getTrendingReels(parseInt(limit), category);
+    const blockedIds = userId ? await User.getBlockedUserIds(userId) : [];
+    const reels = await Reel.getTrendingReels(parseInt(limit), category, blockedIds);
 
     // Add user interaction data if authenticated
     if (userId) {
@@ -281,7 +295,8 @@ export const getUserFeed = async (req, res) => {
     }
 
     const followingIds = user.following || [];
-    const reels = await Reel.getUserFeed(userId, followingIds, parseInt(limit), skip);
+    const blockedIds = await User.getBlockedUserIds(userId);
+    const reels = await Reel.getUserFeed(userId, followingIds, parseInt(limit), skip, blockedIds);
 
     // Get total count for pagination
     const total = await Reel.countDocuments({
@@ -289,6 +304,7 @@ export const getUserFeed = async (req, res) => {
         { author: { $in: followingIds } },
         { privacy: "public" },
       ],
+      author: { $nin: blockedIds },
       isDeleted: false,
       isArchived: false,
     });
@@ -350,7 +366,11 @@ export const getReelById = async (req, res) => {
       });
     }
 
-    if (reel.isDeleted || reel.isArchived) {
+    if (
+      reel.isDeleted ||
+      reel.isArchived ||
+      (userId && (await User.isBlockedBetween(userId, reel.author._id)))
+    ) {
       return res.status(404).json({
         success: false,
         message: "Reel not found",
@@ -367,7 +387,7 @@ export const getReelById = async (req, res) => {
 
     if (reel.privacy === "friends" && userId) {
       const user = await User.findById(userId);
-      if (!user.friends.includes(reel.author._id)) {
+      if (!user.isFriendWith(reel.author._id)) {
         return res.status(403).json({
           success: false,
           message: "Access denied",
@@ -375,6 +395,17 @@ export const getReelById = async (req, res) => {
       }
     }
 
+    if (
+      reel.privacy === "close_friends" &&
+      (!userId || reel.author._id.toString() !== userId) &&
+      !(await User.exists({ _id: reel.author._id, closeFriends: userId }))
+    ) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied",
+      });
+    }
+
     if (reel.privacy === "followers" && userId) {
       const user = await User.findById(userId);
       if (!user.following.includes(reel.author._id)) {
@@ -452,13 +483,17 @@ export const updateReel = async (req, res) => {
       });
     }
 
-    // Extract hashtags and mentions from caption if updated
+    // Extract hashtags and mentions from caption if updated; mentions only ever come from the caption
+    delete updateData.mentions;
     if (updateData.caption) {
       const extractedHashtags = extractHashtags(updateData.caption);
-      const extractedMentions = extractMentions(updateData.caption);
+      const extractedMentions = await hashtagService.resolveMentions(userId, updateData.caption);
       updateData.hashtags = extractedHashtags;
       updateData.mentions = extractedMentions;
     }
+    if (updateData.hashtags) {
+      updateData.hashtags = hashtagService.normalize(updateData.hashtags);
+    }
 
     // Store edit history
     if (updateData.caption && updateData.caption !== reel.caption) {
@@ -478,6 +513,14 @@ export const updateReel = async (req, res) => {
       { new: true, runValidators: true }
     ).populate("author", "name profilePicture username isVerified");
 
+    // Only users newly mentioned by the edit are notified
+    await hashtagService.notifyMentions(userId, updatedReel.mentions, {
+      previous: reel.mentions,
+      data: { metadata: { reelId: updatedReel._id } },
+      contentLabel: "reel",
+      audience: { itemType: "reel", item: updatedReel },
+    });
+
     res.status(200).json({
       success: true,
       message: "Reel updated successfully",
@@ -664,16 +707,11 @@ export const toggleSaveReel = async (req, res) => {
       });
     }
 
-    const hasSaved = reel.hasUserSaved(userId);
+    const hasSaved = reel.hasUserSaved(userId) ||
+      (await savedItemService.isSaved(userId, "reel", reel._id));
 
     if (hasSaved) {
-      await reel.removeSave(userId);
-      
-      // Update analytics
-      const analytics = await ReelAnalytics.findOne({ reel: reel._id });
-      if (analytics) {
-        await analytics.addEngagement("save", -1);
-      }
+      await savedItemService.unsave(userId, "reel", reel._id);
 
       res.status(200).json({
         success: true,
@@ -681,12 +719,12 @@ export const toggleSaveReel = async (req, res) => {
         data: { hasSaved: false },
       });
     } else {
-      await reel.addSave(userId);
-      
-      // Update analytics
-      const analytics = await ReelAnalytics.findOne({ reel: reel._id });
-      if (analytics) {
-        await analytics.addEngagement("save", 1);
+      const { error } = await savedItemService.save(userId, "reel", reel._id, req.body.collectionId);
+      if (error) {
+        return res.status(error.status).json({
+          success: false,
+          message: error.status === 404 ? "Reel not found" : error.message,
+        });
       }
 
       res.status(200).json({
@@ -820,7 +858,10 @@ export const getUserReels = async (req, res) => {
 
     // Check if user exists
     const targetUser = await User.findById(targetUserId);
-    if (!targetUser) {
+    if (
+      !targetUser ||
+      (currentUserId && (await User.isBlockedBetween(currentUserId, targetUserId)))
+    ) {
       return res.status(404).json({
         success: false,
         message: "User not found",
@@ -841,8 +882,11 @@ export const getUserReels = async (req, res) => {
       // For other users, only show public reels or reels based on relationship
       const currentUser = await User.findById(currentUserId);
       if (currentUser) {
-        if (currentUser.friends.includes(targetUserId)) {
+        if (currentUser.isFriendWith(targetUserId)) {
           query.$or = [{ privacy: "public" }, { privacy: "friends" }];
+          if (targetUser.hasCloseFriend(currentUserId)) {
+            query.$or.push({ privacy: "close_friends" });
+          }
         } else if (currentUser.following.includes(targetUserId)) {
           query.$or = [{ privacy: "public" }, { privacy: "followers" }];
         } else {
@@ -979,44 +1023,31 @@ export const getUserAnalyticsSummary = async (req, res) => {
   }
 };
 
-// Report a reel
+// Report a reel through the shared moderation queue
 export const reportReel = async (req, res) => {
   try {
     const { id } = req.params;
-    const { reason, details } = req.body;
+    const { reason, details, category, evidence } = req.body;
     const userId = req.user.id;
 
-    const reel = await Reel.findById(id);
-    if (!reel) {
-      return res.status(404).json({
-        success: false,
-        message: "Reel not found",
-      });
-    }
-
-    // Check if user has already reported this reel
-    const existingReport = await ReelReport.findOne({
-      reel: id,
-      reporter: userId,
+    const result = await fileReport({
+      targetType: "reel",
+      targetId: id,
+      reporterId: userId,
+      reason,
+      details,
+      category,
+      evidence,
     });
 
-    if (existingReport) {
-      return res.status(400).json({
+    if (result.error) {
+      return res.status(result.error.status).json({
         success: false,
-        message: "You have already reported this reel",
+        message:
+          result.error.status === 404 ? "Reel not found" : result.error.message,
       });
     }
 
-    // Create report
-    const report = new ReelReport({
-      reel: id,
-      reporter: userId,
-      reason,
-      details,
-    });
-
-    await report.save();
-
     res.status(200).json({
       success: true,
       message: "Reel reported successfully",
@@ -0,0 +1,803 @@
+import mongoose from "mongoose";
+import Report from "../models/Report.js";
+import Post from "../models/Post.js";
+import Comment from "../models/Comment.js";
+import Reel from "../models/Reel.js";
+import ReelComment from "../models/ReelComment.js";
+import Story from "../models/Story.js";
+import Message from "../models/Message.js";
+import Conversation from "../models/Conversation.js";
+import Product from "../models/Product.js";
+import Page from "../models/Page.js";
+import Group from "../models/Group.js";
+import User from "../models/User.js";
+import NotificationHelper from "../utils/notificationHelper.js";
+import { announceSuspension, validateSuspensionInput } from "../utils/suspension.js";
+
+// How each reportable type is looked up, attributed, taken down and restored
+const REPORT_TARGETS = {
+  post: {
+    model: Post,
+    getOwner: (doc) => doc.author,
+    isAvailable: (doc) => doc.isActive,
+    takeDown: (doc) => {
+      doc.isActive = false;
+    },
+    restore: (doc) => {
+      doc.isActive = true;
+    },
+  },
+  comment: {
+    model: Comment,
+    getOwner: (doc) => doc.author,
+    isAvailable: (doc) => doc.isActive,
+    takeDown: (doc) => {
+      doc.isActive = false;
+    },
+    restore: (doc) => {
+      doc.isActive = true;
+    },
+  },
+  reel: {
+    model: Reel,
+    getOwner: (doc) => doc.author,
+    isAvailable: (doc) => !doc.isDeleted,
+    takeDown: (doc) => {
+      doc.isDeleted = true;
+      doc.deletedAt = new Date();
+    },
+    restore: (doc) => {
+      doc.isDeleted = false;
+      doc.deletedAt = undefined;
+    },
+  },
+  reel_comment: {
+    model: ReelComment,
+    getOwner: (doc) => doc.author,
+    isAvailable: (doc) => !doc.isDeleted,
+    takeDown: (doc) => {
+      doc.isDeleted = true;
+      doc.deletedAt = new Date();
+    },
+    restore: (doc) => {
+      doc.isDeleted = false;
+      doc.deletedAt = undefined;
+    },
+  },
+  story: {
+    model: Story,
+    getOwner: (doc) => doc.author,
+    isAvailable: (doc) => doc.isActive,
+    takeDown: (doc) => {
+      doc.isActive = false;
+    },
+    restore: (doc) => {
+      doc.isActive = true;
+    },
+  },
+  message: {
+    model: Message,
+    getOwner: (doc) => doc.sender,
+    isAvailable: (doc) => !doc.isDeleted,
+    takeDown: (doc) => {
+      doc.isDeleted = true;
+      doc.deletedAt = new Date();
+    },
+    restore: (doc) => {
+      doc.isDeleted = false;
+      doc.deletedAt = undefined;
+    },
+  },
+  product: {
+    model: Product,
+    getOwner: (doc) => doc.seller,
+    isAvailable: (doc) => doc.isActive,
+    takeDown: (doc) => {
+      doc.isActive = false;
+    },
+    restore: (doc) => {
+      doc.isActive = true;
+    },
+  },
+  page: {
+    model: Page,
+    getOwner: (doc) => doc.owner,
+    isAvailable: (doc) => doc.isActive,
+    takeDown: (doc) => {
+      doc.isActive = false;
+    },
+    restore: (doc) => {
+      doc.isActive = true;
+    },
+  },
+  group: {
+    model: Group,
+    getOwner: (doc) => doc.creator,
+    isAvailable: (doc) => doc.isActive,
+    takeDown: (doc) => {
+      doc.isActive = false;
+    },
+    restore: (doc) => {
+      doc.isActive = true;
+    },
+  },
+  user: {
+    model: User,
+    getOwner: (doc) => doc._id,
+    isAvailable: (doc) => doc.isActive,
+    takeDown: (doc) => {
+      doc.isActive = false;
+    },
+    restore: (doc) => {
+      doc.isActive = true;
+    },
+  },
+};
+
+// Take reported content offline; returns false if it no longer exists
+export const takeDownContent = async (targetType, targetId) => {
+  const handler = REPORT_TARGETS[targetType];
+  if (!handler) return false;
+
+  const doc = await handler.model.findById(targetId);
+  if (!doc) return false;
+
+  handler.takeDown(doc);
+  await doc.save();
+  return true;
+};
+
+// Bring content back after a takedown is reversed; returns false if it no longer exists
+export const restoreContent = async (targetType, targetId) => {
+  const handler = REPORT_TARGETS[targetType];
+  if (!handler) return false;
+
+  const doc = await handler.model.findById(targetId);
+  if (!doc) return false;
+
+  handler.restore(doc);
+  await doc.save();
+  return true;
+};
+
+// File a report against any supported content type. Reports on content that
+// already has an open report are attached to it as duplicates so moderators
+// review each piece of content once.
+export const fileReport = async ({
+  targetType,
+  targetId,
+  reporterId,
+  reason,
+  details,
+  category,
+  evidence,
+}) => {
+  const handler = REPORT_TARGETS[targetType];
+  if (!handler) {
+    return { error: { status: 400, message: "Unsupported report type" } };
+  }
+
+  if (!mongoose.Types.ObjectId.isValid(targetId)) {
+    return { error: { status: 400, message: "Invalid content ID" } };
+  }
+
+  if (category != null && !Report.schema.path("category").enumValues.includes(category)) {
+    return { error: { status: 400, message: "Invalid report category" } };
+  }
+
+  const target = await handler.model.findById(targetId);
+  if (!target || !handler.isAvailable(target)) {
+    return { error: { status: 404, message: "Content not found" } };
+  }
+
+  // Messages can only be reported by people who could read them
+  if (targetType === "message") {
+    const conversation = await Conversation.findById(target.conversation);
+    if (!conversation || !conversation.isParticipant(reporterId)) {
+      return { error: { status: 404, message: "Content not found" } };
+    }
+  }
+
+  const ownerId = handler.getOwner(target);
+  if (ownerId && ownerId.toString() === reporterId.toString()) {
+    return { error: { status: 400, message: "You cannot report your own content" } };
+  }
+
+  const existingReport = await Report.findOne({
+    targetType,
+    target: targetId,
+    reporter: reporterId,
+    status: { $in: ["pending", "reviewing"] },
+  });
+
+  if (existingReport) {
+    return { error: { status: 400, message: "You have already reported this content" } };
+  }
+
+  const primary = await Report.findOpenReport(targetType, targetId);
+
+  const report = await Report.create({
+    targetType,
+    target: targetId,
+    targetModel: Report.getTargetModelName(targetType),
+    targetOwner: ownerId,
+    reporter: reporterId,
+    reason,
+    details,
+    category,
+    severity: Report.getSeverityForCategory(category),
+    evidence,
+    isDuplicate: !!primary,
+    duplicateOf: primary ? primary._id : undefined,
+  });
+
+  if (primary) {
+    await Report.recordDuplicate(primary._id, report._id);
+  }
+
+  return { report, primary };
+};
+
+// @desc    Report a post, comment, reel, story, message, product, page, group or user
+// @route   POST /api/reports
+// @access  Private
+export const createReport = async (req, res) => {
+  try {
+    const { targetType, targetId, reason, details, category, evidence } = req.body;
+
+    if (!reason || !reason.trim()) {
+      return res.status(400).json({
+        status: "error",
+        message: "Report reason is required",
+      });
+    }
+
+    const result = await fileReport({
+      targetType,
+      targetId,
+      reporterId: req.user.id,
+      reason,
+      details,
+      category,
+      evidence,
+    });
+
+    if (result.error) {
+      return res.status(result.error.status).json({
+        status: "error",
+        message: result.error.message,
+      });
+    }
+
+    res.status(201).json({
+      status: "success",
+      message: "Report submitted successfully",
+      data: {
+        reportId: result.report._id,
+        status: result.report.status,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Error submitting report",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get reports filed by the current user
+// @route   GET /api/reports/mine
+// @access  Private
+export const getMyReports = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const query = { reporter: req.user.id };
+
+    const [reports, total] = await Promise.all([
+      Report.find(query)
+        .select("targetType target reason category status resolution createdAt resolvedAt")
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      Report.countDocuments(query),
+    ]);
+
+    res.status(200).json({
+      status: "success",
+      data: {
+        reports,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Error fetching your reports",
+      error: error.message,
+    });
+  }
+};
+
+// Values of a comma-separated filter; a repeated query param arrives as an array
+const parseListParam = (value) =>
+  [].concat(value).join(",").split(",").filter(Boolean);
+
+// @desc    Get the moderation queue
+// @route   GET /api/reports/queue
+// @access  Private (moderators and admins)
+export const getModerationQueue = async (req, res) => {
+  try {
+    const {
+      status,
+      severity,
+      category,
+      targetType,
+      assigned,
+      overdue,
+      escalated,
+      sort = "priority",
+    } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const skip = (page - 1) * limit;
+
+    const query = {
+      isDuplicate: false,
+      status: { $in: status ? parseListParam(status) : ["pending", "reviewing"] },
+    };
+
+    if (severity) query.severity = { $in: parseListParam(severity) };
+    if (category) query.category = { $in: parseListParam(category) };
+    if (targetType) query.targetType = { $in: parseListParam(targetType) };
+    if (escalated === "true") query.isEscalated = true;
+    if (overdue === "true") query.reviewDeadline = { $lt: new Date() };
+
+    if (assigned === "me") {
+      query.assignedTo = req.user._id;
+    } else if (assigned === "unassigned") {
+      query.assignedTo = null;
+    }
+
+    const sortOptions = {
+      priority: { priority: -1, reviewDeadline: 1 },
+      deadline: { reviewDeadline: 1 },
+      newest: { createdAt: -1 },
+      oldest: { createdAt: 1 },
+    };
+
+    const [reports, total] = await Promise.all([
+      Report.find(query)
+        .populate("target")
+        .populate("targetOwner", "name username profilePicture")
+        .populate("reporter", "name username profilePicture")
+        .populate("assignedTo", "name username")
+        .sort(sortOptions[sort] || sortOptions.priority)
+        .skip(skip)
+        .limit(limit),
+      Report.countDocuments(query),
+    ]);
+
+    res.status(200).json({
+      status: "success",
+      data: {
+        reports: reports.map((report) => ({
+          ...report.toObject(),
+          isOverdue: report.isOverdue,
+        })),
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Error fetching moderation queue",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get queue size and SLA statistics
+// @route   GET /api/reports/stats
+// @access  Private (moderators and admins)
+export const getModerationStats = async (req, res) => {
+  try {
+    const days = { "24h": 1, "7d": 7, "30d": 30 }[req.query.timeframe] || 7;
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+    const stats = await Report.getSlaStatistics(since);
+
+    res.status(200).json({
+      status: "success",
+      data: { stats },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Error fetching moderation statistics",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get a report with its duplicates
+// @route   GET /api/reports/:id
+// @access  Private (moderators and admins)
+export const getReport = async (req, res) => {
+  try {
+    const report = await Report.findById(req.params.id)
+      .populate("target")
+      .populate("targetOwner", "name username profilePicture")
+      .populate("reporter", "name username profilePicture")
+      .populate("assignedTo", "name username")
+      .populate("moderatedBy", "name username")
+      .populate({
+        path: "relatedReports",
+        select: "reporter reason details category evidence createdAt",
+        populate: { path: "reporter", select: "name username profilePicture" },
+      });
+
+    if (!report) {
+      return res.status(404).json({
+        status: "error",
+        message: "Report not found",
+      });
+    }
+
+    const previousReports = await Report.countDocuments({
+      targetOwner: report.targetOwner,
+      isDuplicate: false,
+      status: "resolved",
+      resolution: { $ne: "no_action" },
+    });
+
+    res.status(200).json({
+      status: "success",
+      data: {
+        report: { ...report.toObject(), isOverdue: report.isOverdue },
+        ownerHistory: { upheldReports: previousReports },
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Error fetching report",
+      error: error.message,
+    });
+  }
+};
+
+// Load an open primary report for a moderator action
+const loadOpenReport = async (req, res) => {
+  const report = await Report.findById(req.params.id);
+
+  if (!report) {
+    res.status(404).json({
+      status: "error",
+      message: "Report not found",
+    });
+    return null;
+  }
+
+  if (report.isDuplicate) {
+    res.status(400).json({
+      status: "error",
+      message: "This report was merged into another report",
+      data: { duplicateOf: report.duplicateOf },
+    });
+    return null;
+  }
+
+  if (!report.isOpen()) {
+    res.status(400).json({
+      status: "error",
+      message: "This report has already been closed",
+    });
+    return null;
+  }
+
+  return report;
+};
+
+// @desc    Claim a report for review
+// @route   POST /api/reports/:id/claim
+// @access  Private (moderators and admins)
+export const claimReport = async (req, res) => {
+  try {
+    const report = await loadOpenReport(req, res);
+    if (!report) return;
+
+    const claimed = await report.claim(req.user._id, { force: req.query.force === "true" });
+    if (!claimed) {
+      return res.status(409).json({
+        status: "error",
+        message: "This report is already claimed by another moderator",
+      });
+    }
+
+    res.status(200).json({
+      status: "success",
+      message: "Report claimed",
+      data: { report: claimed },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Error claiming report",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Return a claimed report to the queue
+// @route   POST /api/reports/:id/release
+// @access  Private (moderators and admins)
+export const releaseReport = async (req, res) => {
+  try {
+    const report = await loadOpenReport(req, res);
+    if (!report) return;
+
+    if (report.assignedTo?.toString() !== req.user.id.toString()) {
+      return res.status(403).json({
+        status: "error",
+        message: "You can only release reports you have claimed",
+      });
+    }
+
+    await report.release();
+
+    res.status(200).json({
+      status: "success",
+      message: "Report returned to the queue",
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Error releasing report",
+      error: error.message,
+    });
+  }
+};
+
+// Apply a decision to a primary report, its duplicates and the reported content
+const closeReport = async (report, moderatorId, status, { resolution, details, notes, suspension = {} }) => {
+  await report.close(status, moderatorId, { resolution, details, notes });
+
+  if (status === "resolved" && resolution === "content_removed") {
+    await takeDownContent(report.targetType, report.target);
+  }
+
+  // Suspensions default to a full week; bans are full suspensions with no end date
+  if (
+    status === "resolved" &&
+    ["user_suspended", "user_banned"].includes(resolution) &&
+    report.targetOwner
+  ) {
+    const owner = await User.findById(report.targetOwner).select("+suspensions");
+    if (owner) {
+      const banned = resolution === "user_banned";
+      const imposed = await owner.suspend({
+        scope: banned ? "full" : suspension.scope || "full",
+        reason: details || report.reason,
+        durationHours: banned ? null : suspension.durationHours || 7 * 24,
+        suspendedBy: moderatorId,
+      });
+      await announceSuspension(owner._id, moderatorId, imposed);
+    }
+  }
+
+  await Report.updateMany(
+    { duplicateOf: report._id },
+    {
+      $set: {
+        status: report.status,
+        resolution: report.resolution,
+        moderatedBy: moderatorId,
+        moderatedAt: report.moderatedAt,
+        resolvedAt: report.resolvedAt,
+      },
+    }
+  );
+
+  // Let every reporter know their report was reviewed
+  const reporters = await Report.find({
+    $or: [{ _id: report._id }, { duplicateOf: report._id }],
+  }).distinct("reporter");
+
+  await Promise.all(
+    reporters.map((reporterId) =>
+      NotificationHelper.notifyReportReviewed(
+        reporterId,
+        moderatorId,
+        report.targetType,
+        status === "resolved" && report.resolution !== "no_action"
+      )
+    )
+  );
+};
+
+// @desc    Resolve a report with a moderation action
+// @route   POST /api/reports/:id/resolve
+// @access  Private (moderators and admins)
+export const resolveReport = async (req, res) => {
+  try {
+    const { resolution, details, notes, suspension } = req.body;
+
+    const resolutions = Report.schema.path("resolution").enumValues;
+    if (!resolutions.includes(resolution)) {
+      return res.status(400).json({
+        status: "error",
+        message: `Resolution must be one of: ${resolutions.join(", ")}`,
+      });
+    }
+
+    const suspensionError = suspension && validateSuspensionInput(suspension);
+    if (suspensionError) {
+      return res.status(400).json({
+        status: "error",
+        message: suspensionError,
+      });
+    }
+
+    const report = await loadOpenReport(req, res);
+    if (!report) return;
+
+    await closeReport(report, req.user._id, "resolved", { resolution, details, notes, suspension });
+
+    res.status(200).json({
+      status: "success",
+      message: "Report resolved",
+      data: { report },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Error resolving report",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Dismiss a report without action
+// @route   POST /api/reports/:id/dismiss
+// @access  Private (moderators and admins)
+export const dismissReport = async (req, res) => {
+  try {
+    const { details, notes } = req.body;
+
+    const report = await loadOpenReport(req, res);
+    if (!report) return;
+
+    await closeReport(report, req.user._id, "dismissed", { details, notes });
+
+    res.status(200).json({
+      status: "success",
+      message: "Report dismissed",
+      data: { report },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Error dismissing report",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Escalate a report
+// @route   POST /api/reports/:id/escalate
+// @access  Private (moderators and admins)
+export const escalateReport = async (req, res) => {
+  try {
+    const { reason = "", escalatedTo = "senior_moderator" } = req.body;
+
+    const report = await loadOpenReport(req, res);
+    if (!report) return;
+
+    await report.escalate(report.escalationLevel + 1, reason, escalatedTo);
+
+    res.status(200).json({
+      status: "success",
+      message: "Report escalated",
+      data: { report },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Error escalating report",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Merge other open reports about the same content into this one
+// @route   POST /api/reports/:id/merge
+// @access  Private (moderators and admins)
+export const mergeReports = async (req, res) => {
+  try {
+    const { duplicateIds } = req.body;
+
+    if (!Array.isArray(duplicateIds) || duplicateIds.length === 0) {
+      return res.status(400).json({
+        status: "error",
+        message: "duplicateIds must be a non-empty array",
+      });
+    }
+
+    const report = await loadOpenReport(req, res);
+    if (!report) return;
+
+    const duplicates = await Report.find({
+      _id: { $in: duplicateIds, $ne: report._id },
+      targetType: report.targetType,
+      target: report.target,
+      isDuplicate: false,
+      status: { $in: ["pending", "reviewing"] },
+    });
+
+    if (duplicates.length === 0) {
+      return res.status(400).json({
+        status: "error",
+        message: "No open reports about the same content to merge",
+      });
+    }
+
+    const duplicateReportIds = duplicates.map((duplicate) => duplicate._id);
+
+    // Re-point anything already merged into the duplicates
+    await Report.updateMany(
+      { duplicateOf: { $in: duplicateReportIds } },
+      { $set: { duplicateOf: report._id } }
+    );
+    await Report.updateMany(
+      { _id: { $in: duplicateReportIds } },
+      {
+        $set: {
+          isDuplicate: true,
+          duplicateOf: report._id,
+          assignedTo: null,
+          status: "pending",
+        },
+      }
+    );
+
+    for (const duplicate of duplicates) {
+      report.reportCount += duplicate.reportCount;
+      report.relatedReports.addToSet(duplicate._id, ...duplicate.relatedReports);
+      if (duplicate.lastReportedAt > report.lastReportedAt) {
+        report.lastReportedAt = duplicate.lastReportedAt;
+      }
+      // Keep the most severe assessment
+      const severities = Report.schema.path("severity").enumValues;
+      if (severities.indexOf(duplicate.severity) > severities.indexOf(report.severity)) {
+        report.severity = duplicate.severity;
+      }
+    }
+    await report.save();
+
+    res.status(200).json({
+      status: "success",
+      message: `${duplicates.length} report(s) merged`,
+      data: { report },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Error merging reports",
+      error: error.message,
+    });
+  }
+};
@@ -0,0 +1,351 @@
+import mongoose from "mongoose";
+import SavedItem from "../models/SavedItem.js";
+import SavedCollection from "../models/SavedCollection.js";
+import savedItemService, { SAVED_ITEM_TYPES } from "../services/SavedItemService.js";
+
+const MAX_COLLECTIONS = 100;
+
+// @desc    Get saved items, newest first, optionally by type or collection
+// @route   GET /api/saved?type=post|reel|product&collection=<id>|none
+// @access  Private
+export const getSavedItems = async (req, res) => {
+  try {
+    const { type, collection } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 50);
+
+    if (type && !SAVED_ITEM_TYPES.includes(type)) {
+      return res.status(400).json({
+        status: "error",
+        message: `Type must be one of: ${SAVED_ITEM_TYPES.join(", ")}`,
+      });
+    }
+
+    // "none" lists items that are in no collection
+    let collectionId;
+    if (collection === "none") {
+      collectionId = null;
+    } else if (collection) {
+      if (!mongoose.Types.ObjectId.isValid(collection)) {
+        return res.status(400).json({
+          status: "error",
+          message: "Invalid collection id",
+        });
+      }
+
+      const owned = await SavedCollection.exists({ _id: collection, user: req.user.id });
+      if (!owned) {
+        return res.status(404).json({
+          status: "error",
+          message: "Collection not found",
+        });
+      }
+      collectionId = collection;
+    }
+
+    const { savedItems, total } = await savedItemService.list(req.user.id, {
+      itemType: type,
+      collectionId,
+      skip: (page - 1) * limit,
+      limit,
+    });
+
+    res.status(200).json({
+      status: "success",
+      data: {
+        savedItems,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Error fetching saved items",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Save a post, reel or product, optionally into a collection
+// @route   POST /api/saved
+// @access  Private
+export const saveItem = async (req, res) => {
+  try {
+    const { itemType, itemId, collectionId } = req.body;
+
+    const { error, savedItem, created } = await savedItemService.save(
+      req.user.id,
+      itemType,
+      itemId,
+      collectionId
+    );
+    if (error) {
+      return res.status(error.status).json({
+        status: "error",
+        message: error.message,
+      });
+    }
+
+    res.status(created ? 201 : 200).json({
+      status: "success",
+      message: created ? "Item saved successfully" : "Item was already saved",
+      data: { savedItem },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Error saving item",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Move a saved item to another collection, or out of its collection with null
+// @route   PUT /api/saved/:itemType/:itemId
+// @access  Private
+export const moveSavedItem = async (req, res) => {
+  try {
+    const { itemType, itemId } = req.params;
+    const { collectionId = null } = req.body;
+
+    const { error, savedItem } = await savedItemService.move(
+      req.user.id,
+      itemType,
+      itemId,
+      collectionId
+    );
+    if (error) {
+      return res.status(error.status).json({
+        status: "error",
+        message: error.message,
+      });
+    }
+
+    res.status(200).json({
+      status: "success",
+      message: "Saved item moved successfully",
+      data: { savedItem },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Error moving saved item",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Remove an item from saved items
+// @route   DELETE /api/saved/:itemType/:itemId
+// @access  Private
+export const unsaveItem = async (req, res) => {
+  try {
+    const { itemType, itemId } = req.params;
+
+    const { error, removed } = await savedItemService.unsave(req.user.id, itemType, itemId);
+    if (error) {
+      return res.status(error.status).json({
+        status: "error",
+        message: error.message,
+      });
+    }
+    if (!removed) {
+      return res.status(404).json({
+        status: "error",
+        message: "Item is not saved",
+      });
+    }
+
+    res.status(200).json({
+      status: "success",
+      message: "Item removed from saved items",
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Error removing saved item",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get the user's collections with their item counts
+// @route   GET /api/saved/collections
+// @access  Private
+export const getCollections = async (req, res) => {
+  try {
+    const [collections, counts] = await Promise.all([
+      SavedCollection.find({ user: req.user.id }).sort({ createdAt: 1 }),
+      SavedItem.countByCollection(req.user.id),
+    ]);
+
+    const totalSaved = [...counts.values()].reduce((sum, count) => sum + count, 0);
+
+    res.status(200).json({
+      status: "success",
+      data: {
+        collections: collections.map((collection) => ({
+          ...collection.toObject(),
+          itemsCount: counts.get(collection._id.toString()) || 0,
+        })),
+        unsortedCount: counts.get(null) || 0,
+        totalSaved,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Error fetching collections",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Create a collection
+// @route   POST /api/saved/collections
+// @access  Private
+export const createCollection = async (req, res) => {
+  try {
+    const name = typeof req.body.name === "string" ? req.body.name.trim() : "";
+    if (!name) {
+      return res.status(400).json({
+        status: "error",
+        message: "Collection name is required",
+      });
+    }
+
+    const count = await SavedCollection.countDocuments({ user: req.user.id });
+    if (count >= MAX_COLLECTIONS) {
+      return res.status(400).json({
+        status: "error",
+        message: `You can have at most ${MAX_COLLECTIONS} collections`,
+      });
+    }
+
+    const collection = await SavedCollection.create({ user: req.user.id, name });
+
+    res.status(201).json({
+      status: "success",
+      message: "Collection created successfully",
+      data: { collection },
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        status: "error",
+        message: "You already have a collection with this name",
+      });
+    }
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        status: "error",
+        message: error.message,
+      });
+    }
+    res.status(500).json({
+      status: "error",
+      message: "Error creating collection",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Rename a collection
+// @route   PUT /api/saved/collections/:id
+// @access  Private
+export const renameCollection = async (req, res) => {
+  try {
+    const name = typeof req.body.name === "string" ? req.body.name.trim() : "";
+    if (!name) {
+      return res.status(400).json({
+        status: "error",
+        message: "Collection name is required",
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        status: "error",
+        message: "Invalid collection id",
+      });
+    }
+
+    const collection = await SavedCollection.findOne({ _id: req.params.id, user: req.user.id });
+    if (!collection) {
+      return res.status(404).json({
+        status: "error",
+        message: "Collection not found",
+      });
+    }
+
+    collection.name = name;
+    await collection.save();
+
+    res.status(200).json({
+      status: "success",
+      message: "Collection renamed successfully",
+      data: { collection },
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        status: "error",
+        message: "You already have a collection with this name",
+      });
+    }
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        status: "error",
+        message: error.message,
+      });
+    }
+    res.status(500).json({
+      status: "error",
+      message: "Error renaming collection",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Delete a collection; its items stay saved without a collection
+// @route   DELETE /api/saved/collections/:id
+// @access  Private
+export const deleteCollection = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        status: "error",
+        message: "Invalid collection id",
+      });
+    }
+
+    const collection = await SavedCollection.findOneAndDelete({ _id: req.params.id, user: req.user.id });
+    if (!collection) {
+      return res.status(404).json({
+        status: "error",
+        message: "Collection not found",
+      });
+    }
+
+    await SavedItem.updateMany(
+      { user: req.user.id, savedCollection: collection._id },
+      { $set: { savedCollection: null } }
+    );
+
+    res.status(200).json({
+      status: "success",
+      message: "Collection deleted successfully",
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Error deleting collection",
+      error: error.message,
+    });
+  }
+};
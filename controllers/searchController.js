@@ -56,6 +56,8 @@ export const globalSearch = async (req, res) => {
 
     let totalCount = 0;
 
+    const blockedIds = await User.getBlockedUserIds(req.user.id);
+
     // Search Users
     if (searchFilters?.includes("users")) {
       const users = await User.find({
@@ -67,6 +69,7 @@ export const globalSearch = async (req, res) => {
               { bio: searchRegex },
             ],
           },
+          { _id: { $nin: blockedIds } },
           { isActive: true },
           { "privacy.profileVisibility": { $in: ["public", "friends"] } },
         ],
@@ -183,6 +186,7 @@ export const globalSearch = async (req, res) => {
             ],
           },
           { "availability.status": "available" },
+          { seller: { $nin: blockedIds } },
           { isActive: true },
         ],
       })
@@ -1,3 +1,4 @@
+import mongoose from 'mongoose';
 import UserSession from '../models/UserSession.js';
 import User from '../models/User.js';
 
@@ -20,34 +21,39 @@ export const getOnlineUsers = async (req, res) => {
 
     console.log("Contact IDs: ", contactIds)
 
-    // Get online sessions for contacts
-    const onlineSessions = await UserSession.find({
-      userId: { $in: contactIds },
-      status: { $in: ['online', 'away', 'busy'] },
-      isActive: true,
-      lastSeen: { $gte: new Date(Date.now() - 5 * 60 * 1000) } // Last 5 minutes
-    })
-    .populate('userId', 'name username profilePicture isVerified _id')
-    .sort({ lastSeen: -1 })
-    .limit(Number(limit));
+    // Presence comes from the realtime registry shared by every server instance;
+    // sessions only add the chosen status (away, busy) and device
+    const onlineIds = global.socketHandlers
+      ? await global.socketHandlers.filterOnlineUsers([...new Set(contactIds)])
+      : [];
+
+    const [users, sessions] = await Promise.all([
+      User.find({ _id: { $in: onlineIds } }).select('name username profilePicture isVerified _id'),
+      UserSession.find({ userId: { $in: onlineIds }, isActive: true }).sort({ lastSeen: -1 })
+    ]);
 
     // Group by user (in case of multiple sessions)
-    const onlineUsers = [];
-    const seenUsers = new Set();
-
-    onlineSessions.forEach(session => {
-      const userId = session.userId._id.toString();
-      if (!seenUsers.has(userId)) {
-        seenUsers.add(userId);
-        onlineUsers.push({
-          user: session.userId,
-          status: session.status,
-          lastSeen: session.lastSeen,
-          device: session.device
-        });
+    const sessionByUser = new Map();
+    sessions.forEach(session => {
+      const userId = session.userId.toString();
+      if (!sessionByUser.has(userId)) {
+        sessionByUser.set(userId, session);
       }
     });
 
+    const onlineUsers = users
+      .map(onlineUser => {
+        const session = sessionByUser.get(onlineUser._id.toString());
+        return {
+          user: onlineUser,
+          status: session && session.status !== 'offline' ? session.status : 'online',
+          lastSeen: session ? session.lastSeen : new Date(),
+          device: session ? session.device : undefined
+        };
+      })
+      .sort((a, b) => b.lastSeen - a.lastSeen)
+      .slice(0, Number(limit));
+
     res.status(200).json({
       status: 'success',
       data: {
@@ -177,11 +183,17 @@ export const getSessions = async (req, res) => {
 // @access  Private
 export const getStatusStats = async (req, res) => {
   try {
+    // Everyone connected to any server instance, split by the status they picked
+    const onlineIds = global.socketHandlers
+      ? await global.socketHandlers.getOnlineUsers()
+      : [];
+
     const stats = await UserSession.aggregate([
       {
         $match: {
+          userId: { $in: onlineIds.map(id => new mongoose.Types.ObjectId(id)) },
           isActive: true,
-          lastSeen: { $gte: new Date(Date.now() - 24 * 60 * 60 * 1000) } // Last 24 hours
+          status: { $ne: 'offline' }
         }
       },
       {
@@ -192,9 +204,7 @@ export const getStatusStats = async (req, res) => {
       }
     ]);
 
-    const totalOnline = stats.reduce((sum, stat) => 
-      stat._id !== 'offline' ? sum + stat.count : sum, 0
-    );
+    const totalOnline = onlineIds.length;
 
     res.status(200).json({
       status: 'success',
@@ -6,6 +6,7 @@ import {
 } from "../services/ImageUrlCreate.js";
 import cloudinary from "../utils/cloudinary.js";
 import NotificationHelper from "../utils/notificationHelper.js";
+import hashtagService from "../services/HashtagService.js";
 import { validationResult } from "express-validator";
 
 // @desc    Create a new story
@@ -99,6 +100,12 @@ export const createStory = async (req, res) => {
       mediaData.push(mediaItem);
     }
 
+    // Hashtags and mentions can be in any item's caption
+    const { hashtags, mentions } = await hashtagService.analyzeText(
+      req.user._id,
+      mediaData.map((item) => item.caption).join(" ")
+    );
+
     const story = await Story.create({
       author: req.user._id,
       content: {
@@ -106,6 +113,14 @@ export const createStory = async (req, res) => {
         media: mediaData,
       },
       privacy: privacy || "friends",
+      hashtags,
+      mentions,
+    });
+
+    await hashtagService.notifyMentions(req.user._id, story.mentions, {
+      data: { metadata: { storyId: story._id } },
+      contentLabel: "story",
+      audience: { itemType: "story", item: story },
     });
 
     await story.populate("author", "name username profilePicture isVerified");
@@ -133,20 +148,27 @@ export const getTimelineStories = async (req, res) => {
     const { limit = 20, page = 1 } = req.query;
     const skip = (page - 1) * limit;
 
-    // Get user's following list
+    // Get user's following and friends lists
     const user = await User.findById(req.user.id);
-    const followingIds = [...user.following, req.user.id]; // Include own stories
+    const friendIds = user.getFriendIds();
+    const authorIds = [...user.following, ...friendIds, req.user.id]; // Include own stories
+    const blockedIds = await User.getBlockedUserIds(req.user.id);
+    const closeFriendOfIds = await User.getCloseFriendOfIds(req.user.id);
 
-    // Get active stories from followed users
+    // Get active stories from followed users and friends
     const stories = await Story.find({
-      author: { $in: followingIds },
+      author: { $in: authorIds, $nin: blockedIds },
       isActive: true,
       expiresAt: { $gt: new Date() }, // Not expired
       $or: [
         { privacy: "public" },
         {
           privacy: "friends",
-          author: { $in: followingIds },
+          author: { $in: friendIds },
+        },
+        {
+          privacy: "close_friends",
+          author: { $in: closeFriendOfIds },
         },
         { author: req.user.id }, // Always show own stories
       ],
@@ -180,6 +202,7 @@ export const getTimelineStories = async (req, res) => {
       const storyWithCounts = {
         ...story.toObject(),
         hasViewed,
+        isCloseFriends: story.privacy === "close_friends",
         reactionsCount: story.reactionsCount,
         commentsCount: story.commentsCount,
         viewsCount: story.viewsCount,
@@ -273,6 +296,7 @@ export const getStory = async (req, res) => {
     const storyWithCounts = {
       ...story.toObject(),
       hasViewed: story.hasViewed(req.user.id),
+      isCloseFriends: story.privacy === "close_friends",
       reactionsCount: story.reactionsCount,
       commentsCount: story.commentsCount,
       viewsCount: story.viewsCount,
@@ -316,6 +340,7 @@ export const getMyStories = async (req, res) => {
     // Add counts to each story
     const storiesWithCounts = stories.map(story => ({
       ...story.toObject(),
+      isCloseFriends: story.privacy === "close_friends",
       reactionsCount: story.reactionsCount,
       commentsCount: story.commentsCount,
       viewsCount: story.viewsCount,
@@ -409,11 +434,27 @@ export const getStoryViewers = async (req, res) => {
       });
     }
 
+    // Close friends stories only list viewers who are still on the list
+    const author = await User.findById(req.user.id).select("closeFriends");
+    const viewers = story.viewers
+      .filter(
+        (viewer) =>
+          viewer.user &&
+          (story.privacy !== "close_friends" ||
+            author.hasCloseFriend(viewer.user._id))
+      )
+      .sort((a, b) => b.viewedAt - a.viewedAt)
+      .map((viewer) => ({
+        ...viewer.toObject(),
+        isCloseFriend: author.hasCloseFriend(viewer.user._id),
+      }));
+
     res.status(200).json({
       status: "success",
       data: {
-        viewers: story.viewers.sort((a, b) => b.viewedAt - a.viewedAt),
-        viewsCount: story.viewsCount,
+        viewers,
+        viewsCount: viewers.length,
+        isCloseFriends: story.privacy === "close_friends",
       },
     });
   } catch (error) {
@@ -431,20 +472,25 @@ export const checkStoryViewPermission = async (story, userId) => {
     return true; // Own story
   }
 
+  if (await User.isBlockedBetween(userId, story.author._id)) {
+    return false;
+  }
+
   if (story.privacy === "public") {
     return true;
   }
 
   if (story.privacy === "friends") {
     const user = await User.findById(userId);
-    return user.following.includes(story.author._id);
+    return user.isFriendWith(story.author._id);
   }
 
   if (story.privacy === "close_friends") {
-    // For now, treat close_friends same as friends
-    // In future, implement close friends list
-    const user = await User.findById(userId);
-    return user.following.includes(story.author._id);
+    const isCloseFriend = await User.exists({
+      _id: story.author._id,
+      closeFriends: userId,
+    });
+    return !!isCloseFriend;
   }
 
   return false;
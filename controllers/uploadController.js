@@ -4,7 +4,17 @@ import cloudinary from "./../utils/cloudinary.js";
 import Group from "../models/Group.js";
 import Page from "../models/Page.js";
 import User from "../models/User.js";
+import ChatUpload from "../models/ChatUpload.js";
 import MediaCreation from "../services/MediaCreation.js";
+import {
+  MAX_ATTACHMENT_BYTES,
+  MAX_VOICE_NOTE_SECONDS,
+  VOICE_NOTE_MIME_TYPES,
+  decodeDataUri,
+  sanitizeFilename,
+  summarizeWaveform,
+  validateAttachment,
+} from "../utils/messageMedia.js";
 
 // Configure multer for memory storage
 const storage = multer.memoryStorage();
@@ -369,6 +379,9 @@ export const uploadToCloudinary = async (req, res) => {
       }
     );
 
+    // Chat images are sent with this upload's url and public id
+    await ChatUpload.record(req.user._id, uploadResult);
+
     res.status(200).json({
       status: "success",
       message: "Image uploaded successfully",
@@ -428,3 +441,130 @@ export const deleteFromCloudinary = async (req, res) => {
     });
   }
 };
+
+// @desc    Upload a voice note for a message
+// @route   POST /api/upload/voice-note
+// @access  Private
+export const uploadVoiceNote = async (req, res) => {
+  try {
+    const { audio, waveform } = req.body;
+
+    const decoded = decodeDataUri(audio);
+    if (!decoded) {
+      return res.status(400).json({
+        status: "error",
+        message: "Audio must be sent as a base64 data URI",
+      });
+    }
+
+    if (!VOICE_NOTE_MIME_TYPES.includes(decoded.mimeType)) {
+      return res.status(400).json({
+        status: "error",
+        message: "This audio format is not supported",
+      });
+    }
+
+    if (decoded.buffer.length === 0 || decoded.buffer.length > MAX_ATTACHMENT_BYTES) {
+      return res.status(400).json({
+        status: "error",
+        message: `Voice notes must be between 1 byte and ${MAX_ATTACHMENT_BYTES / (1024 * 1024)}MB`,
+      });
+    }
+
+    // Cloudinary handles audio as a video resource and reports its duration
+    const result = await cloudinary.uploader.upload(audio, {
+      resource_type: "video",
+      folder: "chat/voice-notes",
+    });
+
+    if (!result.duration || result.duration > MAX_VOICE_NOTE_SECONDS) {
+      await cloudinary.uploader.destroy(result.public_id, { resource_type: "video" });
+      return res.status(400).json({
+        status: "error",
+        message: `Voice notes must be between 1 second and ${MAX_VOICE_NOTE_SECONDS / 60} minutes long`,
+      });
+    }
+
+    await ChatUpload.record(req.user._id, result);
+
+    res.status(200).json({
+      status: "success",
+      message: "Voice note uploaded successfully",
+      // Send this as an item of content.media
+      data: {
+        type: "audio",
+        url: result.secure_url,
+        publicId: result.public_id,
+        mimeType: decoded.mimeType,
+        size: result.bytes,
+        duration: Math.round(result.duration * 10) / 10,
+        isVoiceNote: true,
+        waveform: summarizeWaveform(waveform),
+      },
+    });
+  } catch (error) {
+    console.error("Voice note upload error:", error);
+    res.status(500).json({
+      status: "error",
+      message: "Failed to upload voice note",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Upload a document attachment for a message
+// @route   POST /api/upload/attachment
+// @access  Private
+export const uploadAttachment = async (req, res) => {
+  try {
+    const { file } = req.body;
+    const filename = sanitizeFilename(req.body.filename);
+
+    const decoded = decodeDataUri(file);
+    if (!decoded || !filename) {
+      return res.status(400).json({
+        status: "error",
+        message: "A base64 data URI file and a filename are required",
+      });
+    }
+
+    const validationError = validateAttachment({ ...decoded, filename });
+    if (validationError) {
+      return res.status(400).json({
+        status: "error",
+        message: validationError,
+      });
+    }
+
+    const result = await cloudinary.uploader.upload(file, {
+      resource_type: "raw",
+      folder: "chat/files",
+      filename_override: filename,
+      use_filename: true,
+      unique_filename: true,
+    });
+
+    await ChatUpload.record(req.user._id, result);
+
+    res.status(200).json({
+      status: "success",
+      message: "File uploaded successfully",
+      // Send this as an item of content.media
+      data: {
+        type: "document",
+        url: result.secure_url,
+        publicId: result.public_id,
+        filename,
+        mimeType: decoded.mimeType,
+        size: decoded.buffer.length,
+      },
+    });
+  } catch (error) {
+    console.error("Attachment upload error:", error);
+    res.status(500).json({
+      status: "error",
+      message: "Failed to upload file",
+      error: error.message,
+    });
+  }
+};
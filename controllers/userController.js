@@ -3,6 +3,9 @@ import User from "../models/User.js";
 import { validationResult } from "express-validator";
 import NotificationHelper from "../utils/notificationHelper.js";
 import Media from "../models/Media.js";
+import Appeal from "../models/Appeal.js";
+import Group from "../models/Group.js";
+import savedItemService from "../services/SavedItemService.js";
 
 // @desc    Search users
 // @route   GET /api/users/search
@@ -20,6 +23,7 @@ export const searchUsers = async (req, res) => {
 
     const searchRegex = new RegExp(q.trim(), "i");
     const skip = (page - 1) * limit;
+    const blockedIds = await User.getBlockedUserIds(req.user._id);
 
     const users = await User.find({
       $and: [
@@ -30,7 +34,7 @@ export const searchUsers = async (req, res) => {
             { email: searchRegex },
           ],
         },
-        { _id: { $ne: req.user.id } },
+        { _id: { $nin: [req.user._id, ...blockedIds] } },
         { isActive: true },
       ],
     })
@@ -47,7 +51,7 @@ export const searchUsers = async (req, res) => {
             { email: searchRegex },
           ],
         },
-        { _id: { $ne: req.user.id } },
+        { _id: { $nin: [req.user._id, ...blockedIds] } },
         { isActive: true },
       ],
     });
@@ -88,7 +92,8 @@ export const updateProfile = async (req, res) => {
       });
     }
 
-    const updates = req.body;
+    // Account standing and platform role are managed by admins only
+    const { role, isActive, isVerified, suspensions, ...updates } = req.body;
 
     const user = await User.findByIdAndUpdate(req.user._id, updates, {
       new: true,
@@ -101,6 +106,13 @@ export const updateProfile = async (req, res) => {
       data: { user },
     });
   } catch (error) {
+    if (error.code === 11000 && error.keyPattern?.username) {
+      return res.status(400).json({
+        status: "error",
+        message: "This username is already taken",
+      });
+    }
+
     console.log("Error updating profile: ", error);
     res.status(500).json({
       status: "error",
@@ -120,9 +132,37 @@ export const getUserPosts = async (req, res) => {
 
     const skip = (page - 1) * limit;
 
-    const posts = await Post.find({
+    if (await User.isBlockedBetween(req.user._id, id)) {
+      return res.status(404).json({
+        status: "error",
+        message: "User not found",
+      });
+    }
+
+    // Only the posts this viewer's audience settings allow, same as opening them one by one
+    const viewer = await savedItemService.getViewer(req.user._id);
+    const visibility = savedItemService.visibilityQuery("post", viewer);
+
+    // Posts in private and secret groups stay visible to the group's members only
+    const authorGroupIds = await Post.distinct("group", { author: id, group: { $ne: null } });
+    const visibleGroupIds = await Group.find({
+      _id: { $in: authorGroupIds },
+      $or: [
+        { privacy: "public" },
+        { members: { $elemMatch: { user: req.user._id, status: "active" } } },
+      ],
+    }).distinct("_id");
+
+    const query = {
+      ...visibility,
       author: id,
-    })
+      $and: [
+        ...visibility.$and,
+        { $or: [{ group: null }, { group: { $in: visibleGroupIds } }] },
+      ],
+    };
+
+    const posts = await Post.find(query)
       .populate("author", "name username profilePicture isVerified")
       .populate("group", "_id name profilePicture") // optional: populate group info
       .populate("page", "_id name profilePicture") // optional: populate page info
@@ -136,7 +176,7 @@ export const getUserPosts = async (req, res) => {
       isGroup: post.group ? true : false,
     }));
 
-    const total = await Post.countDocuments({ author: req.user._id });
+    const total = await Post.countDocuments(query);
 
     res.status(200).json({
       status: "success",
@@ -180,6 +220,13 @@ export const followUser = async (req, res) => {
       });
     }
 
+    if (await User.isBlockedBetween(req.user._id, userToFollow._id)) {
+      return res.status(403).json({
+        status: "error",
+        message: "You cannot follow this user",
+      });
+    }
+
     const currentUser = await User.findById(req.user.id);
 
     // Check if already following
@@ -271,7 +318,11 @@ export const getUserProfile = async (req, res) => {
       .populate("followers", "name profilePicture username isVerified _id")
       .populate("following", "name profilePicture username isVerified _id");
 
-    if (!user || !user.isActive) {
+    if (
+      !user ||
+      !user.isActive ||
+      (await User.isBlockedBetween(req.user._id, user._id))
+    ) {
       return res.status(404).json({
         status: "error",
         message: "User not found",
@@ -283,6 +334,7 @@ export const getUserProfile = async (req, res) => {
     const isFollowing = user.followers.some(
       (follower) => follower._id.toString() === req.user._id.toString()
     );
+    const isFriend = user.isFriendWith(req.user._id);
 
     if (!isOwnProfile && user.privacy.profileVisibility === "private") {
       return res.status(403).json({
@@ -294,7 +346,7 @@ export const getUserProfile = async (req, res) => {
     if (
       !isOwnProfile &&
       user.privacy.profileVisibility === "friends" &&
-      !isFollowing
+      !isFriend
     ) {
       return res.status(403).json({
         status: "error",
@@ -326,7 +378,12 @@ export const getUserProfile = async (req, res) => {
           privacy: isOwnProfile ? user.privacy : undefined,
           followersCount: user.followers.length,
           followingCount: user.following.length,
+          friendsCount: user.friendsCount,
           isFollowing,
+          isFriend,
+          friendshipStatus: isOwnProfile
+            ? null
+            : getFriendshipStatus(user, req.user._id),
           createdAt: user.createdAt,
           isOwnProfile,
         },
@@ -348,7 +405,8 @@ export const getMyProfile = async (req, res) => {
   try {
     const user = await User.findById(req.user._id)
       .populate("followers", "name profilePicture username isVerified _id")
-      .populate("following", "name profilePicture username isVerified _id");
+      .populate("following", "name profilePicture username isVerified _id")
+      .populate("blockedUsers.user", "name profilePicture username _id");
 
     return res.status(200).json({
       status: "success",
@@ -373,6 +431,7 @@ export const getMyProfile = async (req, res) => {
           privacy: user.privacy,
           followers: user.followers,
           following: user.following,
+          blockedUsers: user.blockedUsers,
           followersCount: user.followersCount,
           followingCount: user.followingCount,
           createdAt: user.createdAt,
@@ -585,4 +644,899 @@ export const getUserVideos = async (req, res) => {
       error: error.message,
     });
   }
-};
\ No newline at end of file
+};
+// Describe the friendship between a user document and another user
+// from the other user's point of view
+const getFriendshipStatus = (user, otherUserId) => {
+  const friendship = user.getFriendship(otherUserId);
+
+  if (!friendship) {
+    return "none";
+  }
+
+  if (friendship.status === "accepted") {
+    return "friends";
+  }
+
+  return friendship.requestedBy?.toString() === otherUserId.toString()
+    ? "request_sent"
+    : "request_received";
+};
+
+// Apply a friendship update to both users so their entries never diverge.
+// The first update is reverted if the second one does not apply.
+const applyFriendshipChange = async ({ first, second, revert }) => {
+  const firstResult = await User.updateOne(first.filter, first.update);
+  if (firstResult.modifiedCount === 0) {
+    return false;
+  }
+
+  try {
+    const secondResult = await User.updateOne(second.filter, second.update);
+    if (secondResult.modifiedCount === 0) {
+      await User.updateOne(revert.filter, revert.update);
+      return false;
+    }
+  } catch (error) {
+    await User.updateOne(revert.filter, revert.update);
+    throw error;
+  }
+
+  return true;
+};
+
+// Accept a pending request sent by requesterId to accepterId
+const acceptFriendship = (accepterId, requesterId) => {
+  const acceptedAt = new Date();
+
+  return applyFriendshipChange({
+    first: {
+      filter: {
+        _id: accepterId,
+        friends: {
+          $elemMatch: {
+            user: requesterId,
+            status: "pending",
+            requestedBy: requesterId,
+          },
+        },
+      },
+      update: {
+        $set: {
+          "friends.$.status": "accepted",
+          "friends.$.acceptedAt": acceptedAt,
+        },
+      },
+    },
+    second: {
+      filter: {
+        _id: requesterId,
+        friends: {
+          $elemMatch: {
+            user: accepterId,
+            status: "pending",
+            requestedBy: requesterId,
+          },
+        },
+      },
+      update: {
+        $set: {
+          "friends.$.status": "accepted",
+          "friends.$.acceptedAt": acceptedAt,
+        },
+      },
+    },
+    revert: {
+      filter: {
+        _id: accepterId,
+        friends: { $elemMatch: { user: requesterId, status: "accepted" } },
+      },
+      update: {
+        $set: { "friends.$.status": "pending" },
+        $unset: { "friends.$.acceptedAt": "" },
+      },
+    },
+  });
+};
+
+// Remove the friendship entries matching status and requester from both users,
+// along with any close friends entries between them
+const removeFriendship = async (userId, otherUserId, match) => {
+  const removed = await User.updateOne(
+    { _id: userId },
+    {
+      $pull: {
+        friends: { user: otherUserId, ...match },
+        closeFriends: otherUserId,
+      },
+    }
+  );
+
+  if (removed.modifiedCount === 0) {
+    return false;
+  }
+
+  await User.updateOne(
+    { _id: otherUserId },
+    { $pull: { friends: { user: userId, ...match }, closeFriends: userId } }
+  );
+
+  return true;
+};
+
+// @desc    Send a friend request
+// @route   POST /api/users/:id/friend-request
+// @access  Private
+export const sendFriendRequest = async (req, res) => {
+  try {
+    if (req.params.id === req.user.id.toString()) {
+      return res.status(400).json({
+        status: "error",
+        message: "You cannot send a friend request to yourself",
+      });
+    }
+
+    const recipient = await User.findById(req.params.id);
+    if (!recipient || !recipient.isActive) {
+      return res.status(404).json({
+        status: "error",
+        message: "User not found",
+      });
+    }
+
+    if (await User.isBlockedBetween(req.user._id, recipient._id)) {
+      return res.status(403).json({
+        status: "error",
+        message: "You cannot send a friend request to this user",
+      });
+    }
+
+    const currentUser = await User.findById(req.user.id);
+    const existing = currentUser.getFriendship(recipient._id);
+
+    if (existing) {
+      if (existing.status === "accepted") {
+        return res.status(400).json({
+          status: "error",
+          message: "You are already friends with this user",
+        });
+      }
+
+      if (existing.requestedBy?.toString() === req.user.id.toString()) {
+        return res.status(400).json({
+          status: "error",
+          message: "Friend request already sent",
+        });
+      }
+
+      // The other user already asked us, so sending back accepts it
+      const accepted = await acceptFriendship(req.user._id, recipient._id);
+      if (!accepted) {
+        return res.status(409).json({
+          status: "error",
+          message: "Friend request has changed, please try again",
+        });
+      }
+
+      await NotificationHelper.notifyFriendAccept(req.user._id, recipient._id);
+
+      return res.status(200).json({
+        status: "success",
+        message: "Friend request accepted",
+        data: { friendshipStatus: "friends" },
+      });
+    }
+
+    const requestedAt = new Date();
+    const sent = await applyFriendshipChange({
+      first: {
+        filter: { _id: req.user._id, "friends.user": { $ne: recipient._id } },
+        update: {
+          $push: {
+            friends: {
+              user: recipient._id,
+              status: "pending",
+              requestedBy: req.user._id,
+              requestedAt,
+            },
+          },
+        },
+      },
+      second: {
+        filter: { _id: recipient._id, "friends.user": { $ne: req.user._id } },
+        update: {
+          $push: {
+            friends: {
+              user: req.user._id,
+              status: "pending",
+              requestedBy: req.user._id,
+              requestedAt,
+            },
+          },
+        },
+      },
+      revert: {
+        filter: { _id: req.user._id },
+        update: {
+          $pull: {
+            friends: {
+              user: recipient._id,
+              status: "pending",
+              requestedBy: req.user._id,
+            },
+          },
+        },
+      },
+    });
+
+    if (!sent) {
+      return res.status(409).json({
+        status: "error",
+        message: "Friend request has changed, please try again",
+      });
+    }
+
+    await NotificationHelper.notifyFriendRequest(req.user._id, recipient._id);
+
+    res.status(201).json({
+      status: "success",
+      message: "Friend request sent",
+      data: { friendshipStatus: "request_sent" },
+    });
+  } catch (error) {
+    console.error("Error sending friend request:", error);
+    res.status(500).json({
+      status: "error",
+      message: "Error sending friend request",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Accept a friend request
+// @route   POST /api/users/:id/friend-request/accept
+// @access  Private
+export const acceptFriendRequest = async (req, res) => {
+  try {
+    const requester = await User.findById(req.params.id);
+    if (!requester || !requester.isActive) {
+      return res.status(404).json({
+        status: "error",
+        message: "User not found",
+      });
+    }
+
+    const accepted = await acceptFriendship(req.user._id, requester._id);
+    if (!accepted) {
+      return res.status(404).json({
+        status: "error",
+        message: "Friend request not found",
+      });
+    }
+
+    await NotificationHelper.notifyFriendAccept(req.user._id, requester._id);
+
+    res.status(200).json({
+      status: "success",
+      message: "Friend request accepted",
+      data: { friendshipStatus: "friends" },
+    });
+  } catch (error) {
+    console.error("Error accepting friend request:", error);
+    res.status(500).json({
+      status: "error",
+      message: "Error accepting friend request",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Decline a friend request
+// @route   POST /api/users/:id/friend-request/decline
+// @access  Private
+export const declineFriendRequest = async (req, res) => {
+  try {
+    const declined = await removeFriendship(req.user._id, req.params.id, {
+      status: "pending",
+      requestedBy: req.params.id,
+    });
+
+    if (!declined) {
+      return res.status(404).json({
+        status: "error",
+        message: "Friend request not found",
+      });
+    }
+
+    res.status(200).json({
+      status: "success",
+      message: "Friend request declined",
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Error declining friend request",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Cancel a sent friend request
+// @route   DELETE /api/users/:id/friend-request
+// @access  Private
+export const cancelFriendRequest = async (req, res) => {
+  try {
+    const cancelled = await removeFriendship(req.user._id, req.params.id, {
+      status: "pending",
+      requestedBy: req.user._id,
+    });
+
+    if (!cancelled) {
+      return res.status(404).json({
+        status: "error",
+        message: "Friend request not found",
+      });
+    }
+
+    res.status(200).json({
+      status: "success",
+      message: "Friend request cancelled",
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Error cancelling friend request",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Remove a friend
+// @route   DELETE /api/users/:id/unfriend
+// @access  Private
+export const unfriendUser = async (req, res) => {
+  try {
+    const removed = await removeFriendship(req.user._id, req.params.id, {
+      status: "accepted",
+    });
+
+    if (!removed) {
+      return res.status(400).json({
+        status: "error",
+        message: "You are not friends with this user",
+      });
+    }
+
+    res.status(200).json({
+      status: "success",
+      message: "Friend removed successfully",
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Error removing friend",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get incoming or outgoing friend requests
+// @route   GET /api/users/friend-requests
+// @access  Private
+export const getFriendRequests = async (req, res) => {
+  try {
+    const { type = "incoming", limit = 20, page = 1 } = req.query;
+
+    if (!["incoming", "outgoing"].includes(type)) {
+      return res.status(400).json({
+        status: "error",
+        message: "Type must be either incoming or outgoing",
+      });
+    }
+
+    const skip = (page - 1) * limit;
+
+    const user = await User.findById(req.user._id).populate(
+      "friends.user",
+      "name username profilePicture isVerified _id"
+    );
+
+    const requests = user.friends
+      .filter((friend) => {
+        if (friend.status !== "pending" || !friend.user) return false;
+        const sentByMe =
+          friend.requestedBy?.toString() === req.user._id.toString();
+        return type === "outgoing" ? sentByMe : !sentByMe;
+      })
+      .sort((a, b) => b.requestedAt - a.requestedAt);
+
+    const total = requests.length;
+
+    res.status(200).json({
+      status: "success",
+      data: {
+        requests: requests
+          .slice(skip, skip + Number(limit))
+          .map((request) => ({
+            user: request.user,
+            requestedAt: request.requestedAt,
+          })),
+        pagination: {
+          page: Number(page),
+          limit: Number(limit),
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Error fetching friend requests",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get user's friends
+// @route   GET /api/users/:id/friends
+// @access  Private
+export const getUserFriends = async (req, res) => {
+  try {
+    const { limit = 20, page = 1 } = req.query;
+    const skip = (page - 1) * limit;
+
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        status: "error",
+        message: "User not found",
+      });
+    }
+
+    const friendIds = user.getFriendIds();
+
+    const friends = await User.find({ _id: { $in: friendIds }, isActive: true })
+      .select("name profilePicture username isVerified _id")
+      .sort({ name: 1 })
+      .limit(Number(limit))
+      .skip(skip);
+
+    const total = await User.countDocuments({
+      _id: { $in: friendIds },
+      isActive: true,
+    });
+
+    res.status(200).json({
+      status: "success",
+      data: {
+        friends,
+        pagination: {
+          page: Number(page),
+          limit: Number(limit),
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Error fetching friends",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get mutual friends with a user
+// @route   GET /api/users/:id/mutual-friends
+// @access  Private
+export const getMutualFriends = async (req, res) => {
+  try {
+    const { limit = 20, page = 1 } = req.query;
+    const skip = (page - 1) * limit;
+
+    const [user, currentUser] = await Promise.all([
+      User.findById(req.params.id),
+      User.findById(req.user._id),
+    ]);
+
+    if (!user) {
+      return res.status(404).json({
+        status: "error",
+        message: "User not found",
+      });
+    }
+
+    const myFriendIds = new Set(
+      currentUser.getFriendIds().map((id) => id.toString())
+    );
+    const mutualIds = user
+      .getFriendIds()
+      .filter((id) => myFriendIds.has(id.toString()));
+
+    const mutualFriends = await User.find({
+      _id: { $in: mutualIds },
+      isActive: true,
+    })
+      .select("name profilePicture username isVerified _id")
+      .sort({ name: 1 })
+      .limit(Number(limit))
+      .skip(skip);
+
+    const total = await User.countDocuments({
+      _id: { $in: mutualIds },
+      isActive: true,
+    });
+
+    res.status(200).json({
+      status: "success",
+      data: {
+        mutualFriends,
+        pagination: {
+          page: Number(page),
+          limit: Number(limit),
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Error fetching mutual friends",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Block a user
+// @route   POST /api/users/:id/block
+// @access  Private
+export const blockUser = async (req, res) => {
+  try {
+    if (req.params.id === req.user.id.toString()) {
+      return res.status(400).json({
+        status: "error",
+        message: "You cannot block yourself",
+      });
+    }
+
+    const userToBlock = await User.findById(req.params.id);
+    if (!userToBlock) {
+      return res.status(404).json({
+        status: "error",
+        message: "User not found",
+      });
+    }
+
+    // Blocking ends any follow or friend relationship in both directions. The
+    // block is only added if it isn't there yet, so concurrent requests add one
+    const { modifiedCount } = await User.updateOne(
+      { _id: req.user._id, "blockedUsers.user": { $ne: userToBlock._id } },
+      {
+        $push: { blockedUsers: { user: userToBlock._id, blockedAt: new Date() } },
+        $pull: {
+          following: userToBlock._id,
+          followers: userToBlock._id,
+          friends: { user: userToBlock._id },
+          closeFriends: userToBlock._id,
+        },
+      }
+    );
+
+    if (modifiedCount === 0) {
+      return res.status(400).json({
+        status: "error",
+        message: "You have already blocked this user",
+      });
+    }
+
+    await User.updateOne(
+      { _id: userToBlock._id },
+      {
+        $pull: {
+          following: req.user._id,
+          followers: req.user._id,
+          friends: { user: req.user._id },
+          closeFriends: req.user._id,
+        },
+      }
+    );
+
+    res.status(200).json({
+      status: "success",
+      message: "User blocked successfully",
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Error blocking user",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Unblock a user
+// @route   DELETE /api/users/:id/unblock
+// @access  Private
+export const unblockUser = async (req, res) => {
+  try {
+    const result = await User.updateOne(
+      { _id: req.user._id },
+      { $pull: { blockedUsers: { user: req.params.id } } }
+    );
+
+    if (result.modifiedCount === 0) {
+      return res.status(400).json({
+        status: "error",
+        message: "You have not blocked this user",
+      });
+    }
+
+    res.status(200).json({
+      status: "success",
+      message: "User unblocked successfully",
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Error unblocking user",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get users blocked by current user
+// @route   GET /api/users/blocked
+// @access  Private
+export const getBlockedUsers = async (req, res) => {
+  try {
+    const { limit = 20, page = 1 } = req.query;
+    const skip = (page - 1) * limit;
+
+    const user = await User.findById(req.user._id).populate(
+      "blockedUsers.user",
+      "name profilePicture username isVerified _id"
+    );
+
+    const blockedUsers = user.blockedUsers
+      .filter((blocked) => blocked.user)
+      .sort((a, b) => b.blockedAt - a.blockedAt);
+
+    const total = blockedUsers.length;
+
+    res.status(200).json({
+      status: "success",
+      data: {
+        blockedUsers: blockedUsers.slice(skip, skip + Number(limit)),
+        pagination: {
+          page: Number(page),
+          limit: Number(limit),
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Error fetching blocked users",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Add a friend to close friends list
+// @route   POST /api/users/:id/close-friend
+// @access  Private
+export const addCloseFriend = async (req, res) => {
+  try {
+    const currentUser = await User.findById(req.user.id);
+
+    if (!currentUser.isFriendWith(req.params.id)) {
+      return res.status(400).json({
+        status: "error",
+        message: "Only friends can be added to close friends",
+      });
+    }
+
+    if (currentUser.hasCloseFriend(req.params.id)) {
+      return res.status(400).json({
+        status: "error",
+        message: "User is already in your close friends",
+      });
+    }
+
+    currentUser.closeFriends.push(req.params.id);
+    await currentUser.save();
+
+    res.status(200).json({
+      status: "success",
+      message: "Added to close friends",
+      data: { closeFriendsCount: currentUser.closeFriends.length },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Error adding close friend",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Remove a user from close friends list
+// @route   DELETE /api/users/:id/close-friend
+// @access  Private
+export const removeCloseFriend = async (req, res) => {
+  try {
+    const currentUser = await User.findById(req.user.id);
+
+    if (!currentUser.hasCloseFriend(req.params.id)) {
+      return res.status(400).json({
+        status: "error",
+        message: "User is not in your close friends",
+      });
+    }
+
+    currentUser.closeFriends = currentUser.closeFriends.filter(
+      (id) => id.toString() !== req.params.id
+    );
+    await currentUser.save();
+
+    res.status(200).json({
+      status: "success",
+      message: "Removed from close friends",
+      data: { closeFriendsCount: currentUser.closeFriends.length },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Error removing close friend",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get current user's close friends
+// @route   GET /api/users/close-friends
+// @access  Private
+export const getCloseFriends = async (req, res) => {
+  try {
+    const { limit = 20, page = 1 } = req.query;
+    const skip = (page - 1) * limit;
+
+    const user = await User.findById(req.user._id).select("closeFriends");
+
+    const closeFriends = await User.find({
+      _id: { $in: user.closeFriends },
+      isActive: true,
+    })
+      .select("name profilePicture username isVerified _id")
+      .sort({ name: 1 })
+      .limit(Number(limit))
+      .skip(skip);
+
+    const total = await User.countDocuments({
+      _id: { $in: user.closeFriends },
+      isActive: true,
+    });
+
+    res.status(200).json({
+      status: "success",
+      data: {
+        closeFriends,
+        pagination: {
+          page: Number(page),
+          limit: Number(limit),
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Error fetching close friends",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get my suspensions and the state of their appeals
+// @route   GET /api/users/suspensions
+// @access  Private (available while suspended)
+export const getMySuspensions = async (req, res) => {
+  try {
+    const appeals = await Appeal.find({ user: req.user._id }).select(
+      "suspension status decisionNote reviewedAt createdAt"
+    );
+
+    const suspensions = req.user.suspensions
+      .map((suspension) => {
+        const appeal = appeals.find(
+          (item) => item.suspension.toString() === suspension._id.toString()
+        );
+        return {
+          _id: suspension._id,
+          scope: suspension.scope,
+          reason: suspension.reason,
+          startsAt: suspension.startsAt,
+          endsAt: suspension.endsAt,
+          liftedAt: suspension.liftedAt,
+          liftReason: suspension.liftReason,
+          isActive:
+            !suspension.liftedAt &&
+            (!suspension.endsAt || suspension.endsAt > new Date()),
+          appeal: appeal || null,
+        };
+      })
+      .reverse();
+
+    res.status(200).json({
+      status: "success",
+      data: { suspensions },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Error fetching suspensions",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Appeal an active suspension
+// @route   POST /api/users/suspensions/:suspensionId/appeal
+// @access  Private (available while suspended)
+export const appealSuspension = async (req, res) => {
+  try {
+    const { message } = req.body;
+
+    if (!message || !message.trim()) {
+      return res.status(400).json({
+        status: "error",
+        message: "Appeal message is required",
+      });
+    }
+
+    const suspension = req.user.suspensions.id(req.params.suspensionId);
+    if (
+      !suspension ||
+      suspension.liftedAt ||
+      (suspension.endsAt && suspension.endsAt <= new Date())
+    ) {
+      return res.status(404).json({
+        status: "error",
+        message: "Active suspension not found",
+      });
+    }
+
+    if (await Appeal.exists({ suspension: suspension._id })) {
+      return res.status(400).json({
+        status: "error",
+        message: "This suspension has already been appealed",
+      });
+    }
+
+    const appeal = await Appeal.create({
+      user: req.user._id,
+      suspension: suspension._id,
+      scope: suspension.scope,
+      message,
+    });
+
+    res.status(201).json({
+      status: "success",
+      message: "Appeal submitted for review",
+      data: { appeal },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Error submitting appeal",
+      error: error.message,
+    });
+  }
+};
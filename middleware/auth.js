@@ -1,5 +1,7 @@
 import User from '../models/User.js';
+import Page from '../models/Page.js';
 import jwt from "jsonwebtoken"
+import { buildSuspensionError } from '../utils/suspension.js';
 
 export const protect = async (req, res, next) => {
   try {
@@ -18,7 +20,7 @@ export const protect = async (req, res, next) => {
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
-    const user = await User.findById(decoded.userId).select('-password');
+    const user = await User.findById(decoded.userId).select('-password +suspensions');
 
     if (!user) {
       return res.status(401).json({
@@ -34,6 +36,11 @@ export const protect = async (req, res, next) => {
       });
     }
 
+    const suspension = user.getActiveSuspension();
+    if (suspension && !req.allowSuspended) {
+      return res.status(403).json(buildSuspensionError(suspension));
+    }
+
     req.user = user;
     next();
   } catch (error) {
@@ -55,4 +62,58 @@ export const authorize = (...roles) => {
     }
     next();
   };
-};
\ No newline at end of file
+};
+
+// Lets fully suspended users through protect, for the routes they need to review and appeal a suspension
+export const allowSuspended = (req, res, next) => {
+  req.allowSuspended = true;
+  next();
+};
+
+// Rejects users suspended from an activity (posting, messaging or marketplace)
+export const checkSuspension = (scope) => {
+  return (req, res, next) => {
+    const suspension = req.user.getActiveSuspension(scope);
+    if (suspension) {
+      return res.status(403).json(buildSuspensionError(suspension));
+    }
+    next();
+  };
+};
+
+// Lets page admins act as a page by sending its id in the X-Acting-As-Page header
+export const actAsPage = (capability) => {
+  return async (req, res, next) => {
+    const pageId = req.headers['x-acting-as-page'];
+
+    if (!pageId) {
+      return next();
+    }
+
+    try {
+      const page = await Page.findById(pageId);
+
+      if (!page || !page.isActive) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Page not found'
+        });
+      }
+
+      if (!page.can(req.user._id, capability)) {
+        return res.status(403).json({
+          status: 'error',
+          message: 'You are not allowed to act as this page'
+        });
+      }
+
+      req.actingPage = page;
+      next();
+    } catch (error) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid acting page'
+      });
+    }
+  };
+};
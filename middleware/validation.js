@@ -34,6 +34,7 @@ export const loginSchema = Joi.object({
 
 export const updateProfileSchema = Joi.object({
   name: Joi.string().trim().min(2).max(50).optional(),
+  username: Joi.string().trim().pattern(/^[\w\u0590-\u05ff]+$/).min(3).max(30).optional(),
   currentJob: Joi.string().trim().min(2).max(50).optional(),
   worksAt: Joi.string().trim().min(2).max(50).optional(),
   livesIn: Joi.string().trim().min(2).max(50).optional(),
@@ -44,7 +45,8 @@ export const updateProfileSchema = Joi.object({
   website: Joi.string().max(200).allow('').optional(),
   privacy: Joi.object({
     profileVisibility: Joi.string().valid('public', 'friends', 'private').optional(),
-    postVisibility: Joi.string().valid('public', 'friends', 'private').optional()
+    postVisibility: Joi.string().valid('public', 'friends', 'private').optional(),
+    mentions: Joi.string().valid('everyone', 'following', 'friends', 'no_one').optional()
   }).optional()
 });
 
@@ -60,7 +62,7 @@ export const createPostSchema = Joi.object({
       })
     ).optional()
   }).required(),
-  privacy: Joi.string().valid('public', 'friends', 'private').optional(),
+  privacy: Joi.string().valid('public', 'friends', 'close_friends', 'private').optional(),
   location: Joi.object({
     name: Joi.string().optional(),
     coordinates: Joi.object({
@@ -77,6 +79,18 @@ export const createCommentSchema = Joi.object({
   parentComment: Joi.string().optional()
 });
 
+export const updateCommentSchema = Joi.object({
+  content: Joi.string().trim().min(1).max(1000).required()
+});
+
+export const commentReactionSchema = Joi.object({
+  reactionType: Joi.string().valid('like', 'love', 'haha', 'wow', 'sad', 'angry').optional()
+});
+
+export const hideCommentSchema = Joi.object({
+  reason: Joi.string().max(200).allow('').optional()
+});
+
 // Group validation schemas
 export const createGroupSchema = Joi.object({
   name: Joi.string().trim().min(3).max(100).required(),
@@ -150,6 +164,7 @@ export const createStorySchema = Joi.object({
 export const createCampaignSchema = Joi.object({
   name: Joi.string().trim().min(1).max(100).required(),
   image: Joi.string().optional(), // Accept base64 data
+  pageId: Joi.string().hex().length(24).optional(),
   objective: Joi.string().valid(
     'awareness', 'reach', 'traffic', 'engagement', 'app_installs',
     'video_views', 'lead_generation', 'messages', 'conversions', 'catalog_sales'
@@ -394,7 +409,7 @@ export const validateReel = [
   
   body("privacy")
     .optional()
-    .isIn(["public", "friends", "private", "followers"])
+    .isIn(["public", "friends", "close_friends", "private", "followers"])
     .withMessage("Invalid privacy setting"),
   
   body("location")
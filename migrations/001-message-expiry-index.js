@@ -0,0 +1,27 @@
+import Message from '../models/Message.js';
+
+// Disappearing messages used to expire through a TTL index on expiresAt, which
+// deleted them without their media. BackgroundJobManager purges them now, and the
+// plain index that replaced it has the same key and name, so the TTL one has to be
+// dropped before it can be built
+export default {
+  name: '001-message-expiry-index',
+
+  async up() {
+    const indexes = await Message.collection.indexes().catch(error => {
+      // No messages collection yet
+      if (error.codeName === 'NamespaceNotFound') return [];
+      throw error;
+    });
+
+    const ttlIndex = indexes.find(
+      index => index.key.expiresAt === 1 && Object.keys(index.key).length === 1 && index.expireAfterSeconds !== undefined
+    );
+    if (ttlIndex) {
+      await Message.collection.dropIndex(ttlIndex.name);
+    }
+
+    await Message.createIndexes();
+    return { droppedTtlIndex: !!ttlIndex };
+  }
+};
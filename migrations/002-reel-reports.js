@@ -0,0 +1,88 @@
+import ReelReport from '../models/ReelReport.js';
+import Report from '../models/Report.js';
+import Reel from '../models/Reel.js';
+
+const BATCH_SIZE = 500;
+
+// Fields a reel report carries over unchanged into the unified reports
+const COPIED_FIELDS = [
+  'reporter', 'reason', 'details', 'category', 'severity', 'status', 'moderatorNotes',
+  'moderatedBy', 'moderatedAt', 'resolution', 'resolutionDetails', 'resolvedAt', 'isUrgent',
+  'priority', 'relatedReports', 'reportCount', 'lastReportedAt', 'isDuplicate', 'duplicateOf',
+  'evidence', 'escalationLevel', 'isEscalated', 'escalatedTo', 'escalatedAt', 'escalationReason',
+  'reviewDeadline', 'timeToResolution', 'createdAt', 'updatedAt'
+];
+
+// Reel reports were filed in their own collection before every report went into
+// reports. Each keeps its id, so links between reel reports stay valid; an open
+// one on a reel that already has an open report is queued as its duplicate
+export default {
+  name: '002-reel-reports',
+
+  async up() {
+    let migrated = 0;
+    let lastId = null;
+
+    for (;;) {
+      const legacyReports = await ReelReport.find(lastId ? { _id: { $gt: lastId } } : {})
+        .sort({ _id: 1 })
+        .limit(BATCH_SIZE)
+        .lean();
+      if (legacyReports.length === 0) break;
+      lastId = legacyReports[legacyReports.length - 1]._id;
+
+      const reels = await Reel.find({ _id: { $in: legacyReports.map(report => report.reel) } }).select('author');
+      const authors = new Map(reels.map(reel => [reel._id.toString(), reel.author]));
+
+      for (const legacy of legacyReports) {
+        const report = {
+          targetType: 'reel',
+          target: legacy.reel,
+          targetModel: 'Reel',
+          targetOwner: authors.get(legacy.reel.toString()),
+          assignedTo: null,
+          slaBreached: !!legacy.reviewDeadline && !!legacy.resolvedAt && legacy.resolvedAt > legacy.reviewDeadline
+        };
+        COPIED_FIELDS.forEach(field => {
+          if (legacy[field] !== undefined) report[field] = legacy[field];
+        });
+
+        const isOpenPrimary = ['pending', 'reviewing'].includes(report.status) && !report.isDuplicate;
+        const primary = isOpenPrimary
+          ? await Report.findOne({
+              _id: { $ne: legacy._id },
+              targetType: 'reel',
+              target: legacy.reel,
+              isDuplicate: false,
+              status: { $in: ['pending', 'reviewing'] }
+            }).sort({ createdAt: 1 })
+          : null;
+        if (primary) {
+          report.isDuplicate = true;
+          report.duplicateOf = primary._id;
+        }
+
+        const { upsertedCount } = await Report.collection.updateOne(
+          { _id: legacy._id },
+          { $setOnInsert: report },
+          { upsert: true }
+        );
+        if (upsertedCount === 0) continue;
+
+        if (primary) {
+          await Report.collection.updateOne(
+            { _id: primary._id },
+            {
+              $inc: { reportCount: 1 },
+              $max: { lastReportedAt: legacy.lastReportedAt || legacy.createdAt },
+              $addToSet: { relatedReports: legacy._id }
+            }
+          );
+        }
+        migrated++;
+      }
+    }
+
+    return { migrated };
+  }
+};
@@ -0,0 +1,66 @@
+import Reel from '../models/Reel.js';
+import User from '../models/User.js';
+import hashtagService from '../services/HashtagService.js';
+
+const BATCH_SIZE = 500;
+
+const sameList = (a, b) => a.length === b.length && a.every((value, index) => value === b[index]);
+
+// Reels used to keep hashtags as typed and mentions as usernames. Hashtag pages
+// look hashtags up lowercase, and mentions are now the mentioned users' ids;
+// usernames that no longer match a user are dropped. Nobody is notified
+export default {
+  name: '003-reel-hashtags-mentions',
+
+  async up() {
+    let updated = 0;
+    let lastId = null;
+
+    for (;;) {
+      // Read raw documents, since old mentions no longer fit the schema
+      const reels = await Reel.collection
+        .find({
+          ...(lastId ? { _id: { $gt: lastId } } : {}),
+          $or: [{ 'hashtags.0': { $exists: true } }, { mentions: { $type: 'string' } }]
+        })
+        .project({ hashtags: 1, mentions: 1 })
+        .sort({ _id: 1 })
+        .limit(BATCH_SIZE)
+        .toArray();
+      if (reels.length === 0) break;
+      lastId = reels[reels.length - 1]._id;
+
+      const usernames = reels.flatMap(reel =>
+        (reel.mentions || [])
+          .filter(mention => typeof mention === 'string')
+          .map(mention => mention.replace(/^@/, '').toLowerCase())
+      );
+      const users = usernames.length
+        ? await User.find({ username: { $in: [...new Set(usernames)] } }).select('username')
+        : [];
+      const userIds = new Map(users.map(user => [user.username, user._id]));
+
+      for (const reel of reels) {
+        const hashtags = hashtagService.normalize(reel.hashtags || []);
+        const mentions = (reel.mentions || [])
+          .map(mention =>
+            typeof mention === 'string' ? userIds.get(mention.replace(/^@/, '').toLowerCase()) : mention
+          )
+          .filter(Boolean);
+        const uniqueMentions = [...new Map(mentions.map(id => [id.toString(), id])).values()];
+
+        const hashtagsChanged = !sameList(hashtags, reel.hashtags || []);
+        const mentionsChanged = (reel.mentions || []).some(mention => typeof mention === 'string');
+        if (!hashtagsChanged && !mentionsChanged) continue;
+
+        await Reel.collection.updateOne(
+          { _id: reel._id },
+          { $set: { hashtags, mentions: uniqueMentions } }
+        );
+        updated++;
+      }
+    }
+
+    return { updated };
+  }
+};
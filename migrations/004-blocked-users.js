@@ -0,0 +1,75 @@
+import User from '../models/User.js';
+import UserPreference from '../models/UserPreference.js';
+
+// Record a block in User.blockedUsers and end the relationships blocking ends,
+// the same way blocking a user does
+const applyBlock = async (blockerId, blockedId, blockedAt = new Date()) => {
+  if (!blockedId || blockerId.toString() === blockedId.toString()) return;
+
+  await User.collection.updateOne(
+    { _id: blockerId, 'blockedUsers.user': { $ne: blockedId } },
+    { $push: { blockedUsers: { user: blockedId, blockedAt } } }
+  );
+  await User.collection.updateOne(
+    { _id: blockerId },
+    {
+      $pull: {
+        following: blockedId,
+        followers: blockedId,
+        friends: { user: blockedId },
+        closeFriends: blockedId
+      }
+    }
+  );
+  await User.collection.updateOne(
+    { _id: blockedId },
+    {
+      $pull: {
+        following: blockerId,
+        followers: blockerId,
+        friends: { user: blockerId },
+        closeFriends: blockerId
+      }
+    }
+  );
+};
+
+// Blocks used to be kept in three places: User.blockedUsers, friendships with a
+// "blocked" status and the recommendation preferences' blockedUsers. Only
+// User.blockedUsers is checked, so the other two are folded into it and removed
+export default {
+  name: '004-blocked-users',
+
+  async up() {
+    let friendshipBlocks = 0;
+    let preferenceBlocks = 0;
+
+    // Raw documents, since "blocked" is no longer a friendship status
+    const usersWithBlockedFriends = User.collection
+      .find({ 'friends.status': 'blocked' })
+      .project({ friends: 1 });
+    for await (const user of usersWithBlockedFriends) {
+      for (const friendship of user.friends.filter(entry => entry.status === 'blocked')) {
+        await applyBlock(user._id, friendship.user, friendship.requestedAt);
+        friendshipBlocks++;
+      }
+    }
+
+    const preferencesWithBlocks = UserPreference.collection
+      .find({ 'explicitPreferences.blockedUsers.0': { $exists: true } })
+      .project({ user: 1, 'explicitPreferences.blockedUsers': 1 });
+    for await (const preference of preferencesWithBlocks) {
+      for (const blockedId of preference.explicitPreferences.blockedUsers) {
+        await applyBlock(preference.user, blockedId);
+        preferenceBlocks++;
+      }
+    }
+
+    await UserPreference.collection.updateMany(
+      { 'explicitPreferences.blockedUsers': { $exists: true } },
+      { $unset: { 'explicitPreferences.blockedUsers': '' } }
+    );
+
+    return { friendshipBlocks, preferenceBlocks };
+  }
+};
@@ -0,0 +1,16 @@
+import Ad from '../models/Ad.js';
+
+// Ads only deliver once a moderator approved them. Ads that were already running
+// before ad review existed never went through it, so they count as approved
+export default {
+  name: '005-approve-live-ads',
+
+  async up() {
+    const { modifiedCount } = await Ad.collection.updateMany(
+      { status: 'active', 'review.status': { $in: ['pending', null] } },
+      { $set: { 'review.status': 'approved', 'review.reviewedAt': new Date() } }
+    );
+
+    return { approved: modifiedCount };
+  }
+};
@@ -0,0 +1,48 @@
+import Reel from '../models/Reel.js';
+import SavedItem from '../models/SavedItem.js';
+
+const BATCH_SIZE = 500;
+
+// Saved reels used to be listed only in Reel.saves. Saved items are now where
+// "All saved" is read from, so every earlier save gets one, outside any
+// collection and dated when the reel was saved. Reel.saves keeps the count
+export default {
+  name: '006-reel-saves',
+
+  async up() {
+    let saved = 0;
+    let lastId = null;
+
+    for (;;) {
+      const reels = await Reel.collection
+        .find({
+          ...(lastId ? { _id: { $gt: lastId } } : {}),
+          'saves.0': { $exists: true }
+        })
+        .project({ saves: 1 })
+        .sort({ _id: 1 })
+        .limit(BATCH_SIZE)
+        .toArray();
+      if (reels.length === 0) break;
+      lastId = reels[reels.length - 1]._id;
+
+      const upserts = reels.flatMap(reel =>
+        reel.saves
+          .filter(save => save.user)
+          .map(save => ({
+            updateOne: {
+              filter: { user: save.user, itemType: 'reel', item: reel._id },
+              update: { $setOnInsert: { savedCollection: null, savedAt: save.savedAt || new Date() } },
+              upsert: true
+            }
+          }))
+      );
+      if (upserts.length === 0) continue;
+
+      const { upsertedCount } = await SavedItem.collection.bulkWrite(upserts, { ordered: false });
+      saved += upsertedCount;
+    }
+
+    return { saved };
+  }
+};
@@ -0,0 +1,38 @@
+import Migration from '../models/Migration.js';
+import messageExpiryIndex from './001-message-expiry-index.js';
+import reelReports from './002-reel-reports.js';
+import reelHashtagsMentions from './003-reel-hashtags-mentions.js';
+import blockedUsers from './004-blocked-users.js';
+import approveLiveAds from './005-approve-live-ads.js';
+import reelSaves from './006-reel-saves.js';
+
+// Applied in this order; a migration's name must never change once it has shipped
+const MIGRATIONS = [
+  messageExpiryIndex,
+  reelReports,
+  reelHashtagsMentions,
+  blockedUsers,
+  approveLiveAds,
+  reelSaves
+];
+
+// Apply the migrations this database has not had yet. Each one is safe to run
+// again, so instances starting together at worst repeat one
+export const runMigrations = async () => {
+  const applied = new Set(await Migration.distinct('name'));
+
+  for (const migration of MIGRATIONS) {
+    if (applied.has(migration.name)) continue;
+
+    console.log(`🔧 Running migration ${migration.name}`);
+    const result = await migration.up();
+
+    try {
+      await Migration.create({ name: migration.name });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+
+    console.log(`✅ Migration ${migration.name} applied`, result ?? '');
+  }
+};
@@ -0,0 +1,63 @@
+import mongoose from "mongoose";
+
+const appealSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Id of the entry in the user's suspensions array being appealed
+    suspension: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    scope: {
+      type: String,
+      enum: ["full", "posting", "messaging", "marketplace"],
+      required: true,
+    },
+    message: {
+      type: String,
+      required: [true, "Appeal message is required"],
+      maxlength: [1000, "Appeal message cannot exceed 1000 characters"],
+      trim: true,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "approved", "rejected"],
+      default: "pending",
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    reviewedAt: Date,
+    decisionNote: {
+      type: String,
+      maxlength: [500, "Decision note cannot exceed 500 characters"],
+      trim: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Each suspension can be appealed once
+appealSchema.index({ suspension: 1 }, { unique: true });
+appealSchema.index({ status: 1, createdAt: 1 });
+appealSchema.index({ user: 1, createdAt: -1 });
+
+// Method to record the moderator's decision
+appealSchema.methods.decide = function (approved, moderatorId, note = "") {
+  this.status = approved ? "approved" : "rejected";
+  this.reviewedBy = moderatorId;
+  this.reviewedAt = new Date();
+  this.decisionNote = note;
+  return this.save();
+};
+
+const Appeal = mongoose.model("Appeal", appealSchema);
+
+export default Appeal;
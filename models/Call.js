@@ -0,0 +1,159 @@
+import mongoose from 'mongoose';
+
+const ACTIVE_STATUSES = ['ringing', 'ongoing'];
+
+const callSchema = new mongoose.Schema({
+  conversation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation',
+    required: true
+  },
+  initiator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['voice', 'video'],
+    default: 'voice'
+  },
+  isGroup: {
+    type: Boolean,
+    default: false
+  },
+  participants: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    status: {
+      type: String,
+      enum: ['ringing', 'joined', 'declined', 'missed', 'busy', 'left'],
+      default: 'ringing'
+    },
+    // Socket the participant joined from; signaling is relayed to this socket only
+    socketId: String,
+    joinedAt: Date,
+    leftAt: Date
+  }],
+  status: {
+    type: String,
+    enum: ['ringing', 'ongoing', 'ended'],
+    default: 'ringing'
+  },
+  outcome: {
+    type: String,
+    enum: ['completed', 'missed', 'declined', 'busy', 'failed']
+  },
+  // Set when the first callee answers
+  startedAt: Date,
+  endedAt: Date,
+  duration: {
+    type: Number, // in seconds, from the first answer to the end of the call
+    default: 0
+  },
+  // System message posted into the conversation for a missed call
+  missedCallMessage: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+callSchema.index({ conversation: 1, createdAt: -1 });
+callSchema.index({ 'participants.user': 1, createdAt: -1 });
+callSchema.index({ status: 1, 'participants.user': 1 });
+
+// Method to get a participant entry
+callSchema.methods.getParticipant = function(userId) {
+  return this.participants.find(p => p.user.toString() === userId.toString());
+};
+
+// Method to check if the call is still ringing or in progress
+callSchema.methods.isActive = function() {
+  return ACTIVE_STATUSES.includes(this.status);
+};
+
+// Method to get participants currently connected to the call
+callSchema.methods.getJoinedParticipants = function() {
+  return this.participants.filter(p => p.status === 'joined');
+};
+
+// Method to end the call and work out its outcome
+callSchema.methods.finish = function() {
+  const now = new Date();
+
+  this.participants.forEach(p => {
+    if (p.status === 'ringing') {
+      p.status = 'missed';
+    } else if (p.status === 'joined') {
+      p.status = 'left';
+      p.leftAt = now;
+    }
+  });
+
+  const callees = this.participants.filter(
+    p => p.user.toString() !== this.initiator.toString()
+  );
+
+  if (this.startedAt) {
+    this.outcome = 'completed';
+    this.duration = Math.round((now - this.startedAt) / 1000);
+  } else if (callees.length > 0 && callees.every(p => p.status === 'busy')) {
+    this.outcome = 'busy';
+  } else if (callees.length > 0 && callees.every(p => p.status === 'declined')) {
+    this.outcome = 'declined';
+  } else {
+    this.outcome = 'missed';
+  }
+
+  this.status = 'ended';
+  this.endedAt = now;
+  return this.save();
+};
+
+// Static method to find the call a user is ringing for or connected to. Pass
+// statuses to only look for some of those, and excludeCallId to skip a call
+callSchema.statics.findActiveCallForUser = function(userId, { statuses = ['ringing', 'joined'], excludeCallId = null } = {}) {
+  return this.findOne({
+    ...(excludeCallId ? { _id: { $ne: excludeCallId } } : {}),
+    status: { $in: ACTIVE_STATUSES },
+    participants: {
+      $elemMatch: { user: userId, status: { $in: statuses } }
+    }
+  });
+};
+
+// Static method to join a participant to an active call, only if their status is
+// still the one it was read as. Resolves to the updated call, or null when the
+// call ended or another device of theirs answered first
+callSchema.statics.joinParticipant = function(callId, userId, fromStatus, socketId) {
+  const now = new Date();
+
+  return this.findOneAndUpdate(
+    {
+      _id: callId,
+      status: { $in: ACTIVE_STATUSES },
+      participants: { $elemMatch: { user: userId, status: fromStatus } }
+    },
+    {
+      $set: {
+        'participants.$.status': 'joined',
+        'participants.$.socketId': socketId,
+        'participants.$.joinedAt': now,
+        status: 'ongoing'
+      },
+      $unset: { 'participants.$.leftAt': 1 },
+      // The call starts when the first callee answers
+      $min: { startedAt: now }
+    },
+    { new: true }
+  );
+};
+
+const Call = mongoose.model('Call', callSchema);
+export default Call;
@@ -17,6 +17,11 @@ const campaignSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  page: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Page',
+    default: null
+  },
   objective: {
     type: String,
     enum: [
@@ -0,0 +1,64 @@
+import mongoose from 'mongoose';
+
+// A file a user uploaded for a chat message. Messages only point at uploads their
+// sender made, so expiring a message can only ever delete its sender's own files
+const chatUploadSchema = new mongoose.Schema({
+  uploader: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  publicId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  resourceType: {
+    type: String,
+    enum: ['image', 'video', 'raw'],
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+chatUploadSchema.index({ uploader: 1, url: 1 });
+
+// Static method to record an upload from its Cloudinary result
+chatUploadSchema.statics.record = function(uploaderId, result) {
+  return this.create({
+    uploader: uploaderId,
+    url: result.secure_url,
+    publicId: result.public_id,
+    resourceType: result.resource_type
+  });
+};
+
+// Static method to link the media of a new message to the sender's own uploads.
+// Whatever the client sent as upload is replaced; media that is not one of the
+// sender's uploads keeps no link and its file is never deleted with the message
+chatUploadSchema.statics.linkMedia = async function(uploaderId, media = []) {
+  if (!Array.isArray(media) || media.length === 0) return media;
+
+  const uploads = await this.find({
+    uploader: uploaderId,
+    $or: [
+      { publicId: { $in: media.map(item => item.publicId).filter(id => typeof id === 'string') } },
+      { url: { $in: media.map(item => item.url).filter(url => typeof url === 'string') } }
+    ]
+  });
+
+  return media.map(item => {
+    const upload = uploads.find(upload =>
+      item.publicId ? upload.publicId === item.publicId : upload.url === item.url
+    );
+    return { ...item, upload: upload ? upload._id : null };
+  });
+};
+
+const ChatUpload = mongoose.model('ChatUpload', chatUploadSchema);
+export default ChatUpload;
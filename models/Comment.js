@@ -6,6 +6,12 @@ const commentSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // Set when a page admin commented as the page itself
+  authorPage: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Page',
+    default: null
+  },
   post: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Post',
@@ -25,6 +31,12 @@ const commentSchema = new mongoose.Schema({
     type: String,
     url: String
   },
+  // Lowercased #hashtags and the users @mentioned in the comment
+  hashtags: [String],
+  mentions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
   reactions: [{
     user: {
       type: mongoose.Schema.Types.ObjectId,
@@ -60,6 +72,27 @@ const commentSchema = new mongoose.Schema({
       default: Date.now
     }
   }],
+  // Hidden by the post's owner: only they and the comment's author still see it
+  isHidden: {
+    type: Boolean,
+    default: false
+  },
+  hiddenBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  hiddenAt: Date,
+  hiddenReason: String,
+  // Pinned by the post's owner to the top of the comments
+  isPinned: {
+    type: Boolean,
+    default: false
+  },
+  pinnedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  pinnedAt: Date,
   isActive: {
     type: Boolean,
     default: true
@@ -72,6 +105,7 @@ const commentSchema = new mongoose.Schema({
 commentSchema.index({ post: 1, createdAt: -1 });
 commentSchema.index({ author: 1, createdAt: -1 });
 commentSchema.index({ parentComment: 1, createdAt: -1 });
+commentSchema.index({ post: 1, parentComment: 1, isPinned: -1, createdAt: -1 });
 
 // Virtual for reactions count
 commentSchema.virtual('reactionsCount').get(function() {
@@ -83,5 +117,97 @@ commentSchema.virtual('repliesCount').get(function() {
   return this.replies.length;
 });
 
+// Method to get a user's reaction type, or null when they have not reacted
+commentSchema.methods.getUserReactionType = function(userId) {
+  const reaction = this.reactions.find(
+    reaction => reaction.user && reaction.user.toString() === userId.toString()
+  );
+  return reaction ? reaction.type : null;
+};
+
+// Method to hide comment
+commentSchema.methods.hide = function(userId, reason = '') {
+  this.isHidden = true;
+  this.hiddenBy = userId;
+  this.hiddenAt = new Date();
+  this.hiddenReason = reason;
+  return this.save();
+};
+
+// Method to unhide comment
+commentSchema.methods.unhide = function() {
+  this.isHidden = false;
+  this.hiddenBy = undefined;
+  this.hiddenAt = undefined;
+  this.hiddenReason = undefined;
+  return this.save();
+};
+
+// Method to pin comment
+commentSchema.methods.pin = function(userId) {
+  this.isPinned = true;
+  this.pinnedBy = userId;
+  this.pinnedAt = new Date();
+  return this.save();
+};
+
+// Method to unpin comment
+commentSchema.methods.unpin = function() {
+  this.isPinned = false;
+  this.pinnedBy = undefined;
+  this.pinnedAt = undefined;
+  return this.save();
+};
+
+// Static method to get the ids of every reply under a comment, at any depth
+commentSchema.statics.getThreadReplyIds = async function(commentId) {
+  const ids = [];
+  let parentIds = [commentId];
+
+  while (parentIds.length > 0) {
+    const replies = await this.find({ parentComment: { $in: parentIds } }).select('_id');
+    parentIds = replies.map(reply => reply._id);
+    ids.push(...parentIds);
+  }
+
+  return ids;
+};
+
+// Static method to toggle a user's reaction: the same type again removes it, another
+// type replaces it. Each step only applies to the reaction state it expects, so
+// concurrent toggles cannot duplicate or lose a reaction.
+// Returns { action, type, reactionsCount }, or null when the comment is gone
+commentSchema.statics.toggleReaction = async function(commentId, userId, reactionType = 'like') {
+  const withReactions = { new: true, projection: { reactions: 1 } };
+  const result = (action, type, comment) => ({ action, type, reactionsCount: comment.reactions.length });
+
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const removed = await this.findOneAndUpdate(
+      { _id: commentId, reactions: { $elemMatch: { user: userId, type: reactionType } } },
+      { $pull: { reactions: { user: userId } } },
+      withReactions
+    );
+    if (removed) return result('removed', null, removed);
+
+    const updated = await this.findOneAndUpdate(
+      { _id: commentId, 'reactions.user': userId },
+      { $set: { 'reactions.$.type': reactionType, 'reactions.$.createdAt': new Date() } },
+      withReactions
+    );
+    if (updated) return result('updated', reactionType, updated);
+
+    const added = await this.findOneAndUpdate(
+      { _id: commentId, 'reactions.user': { $ne: userId } },
+      { $push: { reactions: { user: userId, type: reactionType, createdAt: new Date() } } },
+      withReactions
+    );
+    if (added) return result('added', reactionType, added);
+
+    if (!(await this.exists({ _id: commentId }))) return null;
+  }
+
+  throw new Error('Reaction changed concurrently, please try again');
+};
+
 const Comment = mongoose.model('Comment', commentSchema);
 export default Comment;
\ No newline at end of file
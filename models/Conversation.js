@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import User from './User.js';
 
 const conversationSchema = new mongoose.Schema({
   type: {
@@ -33,6 +34,11 @@ const conversationSchema = new mongoose.Schema({
     unreadCount: {
       type: Number,
       default: 0
+    },
+    // Message notifications are suppressed for this participant until then
+    mutedUntil: {
+      type: Date,
+      default: null
     }
   }],
   name: {
@@ -47,14 +53,109 @@ const conversationSchema = new mongoose.Schema({
     type: String,
     default: ''
   },
+  // Page whose inbox this conversation was addressed to
+  page: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Page',
+    default: null
+  },
+  pageUnreadCount: {
+    type: Number,
+    default: 0
+  },
   lastMessage: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Message'
   },
+  pinnedMessages: [{
+    message: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Message',
+      required: true
+    },
+    pinnedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    pinnedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  inviteLinks: [{
+    code: {
+      type: String,
+      required: true
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    expiresAt: {
+      type: Date,
+      default: null // never expires
+    },
+    maxUses: {
+      type: Number,
+      default: null // unlimited
+    },
+    uses: {
+      type: Number,
+      default: 0
+    },
+    revokedAt: {
+      type: Date,
+      default: null
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   lastActivity: {
     type: Date,
     default: Date.now
   },
+  // Sequence number of the latest entry in the conversation's SyncEvent log
+  syncSeq: {
+    type: Number,
+    default: 0
+  },
+  // Data keys for message encryption at rest, wrapped by a master key.
+  // Never selected unless asked for with +encryption
+  encryption: {
+    type: new mongoose.Schema({
+      currentVersion: Number,
+      keys: [{
+        _id: false,
+        version: {
+          type: Number,
+          required: true
+        },
+        wrappedKey: {
+          type: String,
+          required: true
+        },
+        masterKeyId: {
+          type: String,
+          required: true
+        },
+        createdAt: {
+          type: Date,
+          default: Date.now
+        },
+        // Set once a newer key takes over; the key is dropped when no message uses it
+        retiredAt: Date
+      }],
+      // Key for the blind index used to search sealed messages; not rotated with data keys
+      searchKey: {
+        wrappedKey: String,
+        masterKeyId: String
+      }
+    }, { _id: false }),
+    select: false
+  },
   settings: {
     allowMemberInvites: {
       type: Boolean,
@@ -87,6 +188,8 @@ const conversationSchema = new mongoose.Schema({
 conversationSchema.index({ participants: 1, lastActivity: -1 });
 conversationSchema.index({ type: 1, isActive: 1 });
 conversationSchema.index({ lastActivity: -1 });
+conversationSchema.index({ page: 1, lastActivity: -1 });
+conversationSchema.index({ 'inviteLinks.code': 1 });
 
 // Virtual for active participants count
 conversationSchema.virtual('activeParticipantsCount').get(function() {
@@ -100,6 +203,33 @@ conversationSchema.methods.isParticipant = function(userId) {
   );
 };
 
+// Method to check if the other member of a direct conversation has a block with the user
+conversationSchema.methods.isBlockedBetweenMembers = async function(userId) {
+  if (this.type !== 'direct' || this.page) {
+    return false;
+  }
+
+  const other = this.participants.find(p => p.user.toString() !== userId.toString());
+  return other ? User.isBlockedBetween(userId, other.user) : false;
+};
+
+// Method to check if a page inbox owns this conversation
+conversationSchema.methods.isPageInbox = function(pageId) {
+  return !!this.page && !!pageId && this.page.toString() === pageId.toString();
+};
+
+// Method to get the expiry for a message sent now, if disappearing messages are on
+conversationSchema.methods.getMessageExpiry = function(sentAt = new Date()) {
+  const { enabled, duration } = this.settings.disappearingMessages;
+  if (!enabled) return undefined;
+  return new Date(sentAt.getTime() + duration * 60 * 60 * 1000);
+};
+
+// Method to check if a message is pinned
+conversationSchema.methods.isPinned = function(messageId) {
+  return this.pinnedMessages.some(pin => pin.message.toString() === messageId.toString());
+};
+
 // Method to get participant info
 conversationSchema.methods.getParticipant = function(userId) {
   return this.participants.find(p => 
@@ -107,5 +237,51 @@ conversationSchema.methods.getParticipant = function(userId) {
   );
 };
 
+// Method to check if a participant has muted the conversation
+conversationSchema.methods.isMutedFor = function(userId, at = new Date()) {
+  const participant = this.getParticipant(userId);
+  return !!participant && !!participant.mutedUntil && participant.mutedUntil > at;
+};
+
+// Method to add a user to the group, or bring back a former participant
+conversationSchema.methods.addMember = function(userId) {
+  const existing = this.getParticipant(userId);
+
+  if (existing) {
+    existing.isActive = true;
+    existing.role = 'member';
+    existing.joinedAt = new Date();
+    existing.leftAt = undefined;
+    existing.unreadCount = 0;
+    return existing;
+  }
+
+  this.participants.push({ user: userId, role: 'member', joinedAt: new Date() });
+  return this.participants[this.participants.length - 1];
+};
+
+// Method to promote the longest-standing member when a group has no admin left
+conversationSchema.methods.handOverAdmin = function() {
+  const active = this.participants.filter(p => p.isActive);
+  if (this.type !== 'group' || active.length === 0 || active.some(p => p.role === 'admin')) {
+    return null;
+  }
+
+  const successor = active.reduce((oldest, p) => (p.joinedAt < oldest.joinedAt ? p : oldest));
+  successor.role = 'admin';
+  return successor;
+};
+
+// Method to find an invite link that can still be used to join
+conversationSchema.methods.getUsableInviteLink = function(code) {
+  const now = new Date();
+  return this.inviteLinks.find(link =>
+    link.code === code &&
+    !link.revokedAt &&
+    (!link.expiresAt || link.expiresAt > now) &&
+    (link.maxUses === null || link.uses < link.maxUses)
+  );
+};
+
 const Conversation = mongoose.model('Conversation', conversationSchema);
 export default Conversation;
\ No newline at end of file
@@ -0,0 +1,29 @@
+import mongoose from 'mongoose';
+
+// A user's answer to an event post
+const eventRsvpSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['going', 'interested'],
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+eventRsvpSchema.index({ post: 1, user: 1 }, { unique: true });
+eventRsvpSchema.index({ post: 1, status: 1, createdAt: -1 });
+eventRsvpSchema.index({ user: 1, status: 1 });
+
+const EventRsvp = mongoose.model('EventRsvp', eventRsvpSchema);
+export default EventRsvp;
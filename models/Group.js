@@ -91,6 +91,10 @@ const groupSchema = new mongoose.Schema({
       type: Boolean,
       default: true
     },
+    requirePostApproval: {
+      type: Boolean,
+      default: false
+    },
     allowMemberInvites: {
       type: Boolean,
       default: true
@@ -120,5 +124,23 @@ groupSchema.virtual('postsCount').get(function() {
   return this.posts ? this.posts.length : 0;
 });
 
+// Method to get member info
+groupSchema.methods.getMember = function(userId) {
+  return this.members.find(member =>
+    member.user && member.user.toString() === userId.toString()
+  );
+};
+
+// Method to check if user is an active member with one of the given roles
+groupSchema.methods.hasRole = function(userId, roles) {
+  const member = this.getMember(userId);
+  return !!member && member.status === 'active' && roles.includes(member.role);
+};
+
+// Method to check if user is the group creator
+groupSchema.methods.isCreator = function(userId) {
+  return this.creator.toString() === userId.toString();
+};
+
 const Group = mongoose.model('Group', groupSchema);
 export default Group;
\ No newline at end of file
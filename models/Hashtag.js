@@ -0,0 +1,24 @@
+import mongoose from 'mongoose';
+
+// A hashtag users can follow. Created the first time someone follows it; posts
+// and reels keep their own lowercased hashtags and are found through those
+const hashtagSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Hashtag name is required'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    maxlength: [100, 'Hashtag cannot exceed 100 characters']
+  },
+  followersCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, {
+  timestamps: true
+});
+
+const Hashtag = mongoose.model('Hashtag', hashtagSchema);
+export default Hashtag;
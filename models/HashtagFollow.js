@@ -0,0 +1,23 @@
+import mongoose from 'mongoose';
+
+// A user following a hashtag; one per user and hashtag
+const hashtagFollowSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  hashtag: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hashtag',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+hashtagFollowSchema.index({ user: 1, hashtag: 1 }, { unique: true });
+hashtagFollowSchema.index({ user: 1, createdAt: -1 });
+
+const HashtagFollow = mongoose.model('HashtagFollow', hashtagFollowSchema);
+export default HashtagFollow;
@@ -1,4 +1,17 @@
 import mongoose from 'mongoose';
+import encryptionService from '../services/EncryptionService.js';
+
+// Messages a page sent show the page as their author: the admin who wrote them
+// stays internal, and so do the thread repliers used to notify followers
+const hidePageSender = (ret) => {
+  if (ret.senderPage) {
+    delete ret.sender;
+  }
+  if (ret.thread) {
+    delete ret.thread.participants;
+  }
+  return ret;
+};
 
 const messageSchema = new mongoose.Schema({
   conversation: {
@@ -11,6 +24,12 @@ const messageSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // Set when a page admin replied from the page inbox
+  senderPage: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Page',
+    default: null
+  },
   content: {
     text: {
       type: String,
@@ -26,14 +45,55 @@ const messageSchema = new mongoose.Schema({
         type: String,
         required: true
       },
-      filename: String,
+      publicId: String, // Cloudinary public id, used to delete the file
+      // The sender's upload this is, set by the server; only linked files are deleted with the message
+      upload: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ChatUpload',
+        default: null
+      },
+      filename: {
+        type: String,
+        maxlength: [255, 'Filename cannot exceed 255 characters']
+      },
+      mimeType: String,
       size: Number,
-      duration: Number // for audio/video
+      duration: Number, // for audio/video, in seconds
+      isVoiceNote: {
+        type: Boolean,
+        default: false
+      },
+      // Voice note loudness summary, one 0-100 value per bar
+      waveform: {
+        type: [Number],
+        default: undefined,
+        validate: {
+          validator: values => values.length <= 64 && values.every(v => v >= 0 && v <= 100),
+          message: 'Waveform must have at most 64 values between 0 and 100'
+        }
+      }
+    }],
+    // Previews for links in the text, filled in after the message is sent
+    linkPreviews: [{
+      _id: false,
+      url: String,
+      title: String,
+      description: String,
+      image: String,
+      siteName: String
     }],
     location: {
       latitude: Number,
       longitude: Number,
-      address: String
+      address: String,
+      // Coordinates and address together, when the message is encrypted
+      sealed: String
+    },
+    // Blind index of the words in an encrypted message's text
+    searchTokens: {
+      type: [String],
+      default: undefined,
+      select: false
     }
   },
   type: {
@@ -45,6 +105,55 @@ const messageSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Message'
   },
+  // Root message of the thread this reply was posted in; threads are one level deep
+  threadRoot: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message',
+    default: null
+  },
+  // Thread summary, kept on the root message
+  thread: {
+    replyCount: {
+      type: Number,
+      default: 0
+    },
+    lastReplyAt: Date,
+    participants: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+    // When each user last opened the thread, for unread counts
+    reads: [{
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      readAt: {
+        type: Date,
+        default: Date.now
+      }
+    }]
+  },
+  forwarded: {
+    isForwarded: {
+      type: Boolean,
+      default: false
+    },
+    // How many hops the content has travelled through forwards
+    count: {
+      type: Number,
+      default: 0
+    },
+    originalMessage: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Message'
+    }
+  },
+  // Call a system message is about, such as a missed call
+  call: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Call'
+  },
   reactions: [{
     user: {
       type: mongoose.Schema.Types.ObjectId,
@@ -95,15 +204,29 @@ const messageSchema = new mongoose.Schema({
     default: false
   },
   deletedAt: Date,
-  expiresAt: Date // for disappearing messages
+  expiresAt: Date, // for disappearing messages
+  // Version of the conversation data key the content is sealed with; null for plaintext
+  encryptedWith: {
+    type: Number,
+    default: null
+  }
 }, {
-  timestamps: true
+  timestamps: true,
+  toJSON: { transform: (doc, ret) => hidePageSender(ret) },
+  toObject: { transform: (doc, ret) => hidePageSender(ret) }
 });
 
 // Indexes for performance
 messageSchema.index({ conversation: 1, createdAt: -1 });
 messageSchema.index({ sender: 1, createdAt: -1 });
-messageSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+messageSchema.index({ threadRoot: 1, createdAt: 1 });
+messageSchema.index({ conversation: 1, 'content.media.type': 1, createdAt: -1 });
+messageSchema.index({ 'content.text': 'text' });
+messageSchema.index({ conversation: 1, 'content.searchTokens': 1 });
+messageSchema.index({ encryptedWith: 1, conversation: 1 });
+messageSchema.index({ 'content.media.upload': 1 });
+// Expired messages are purged by BackgroundJobManager so their media can be removed too
+messageSchema.index({ expiresAt: 1 });
 
 // Virtual for reactions count
 messageSchema.virtual('reactionsCount').get(function() {
@@ -127,5 +250,71 @@ messageSchema.methods.markAsRead = function(userId) {
   }
 };
 
+// Static method to record when a user last opened a thread
+messageSchema.statics.markThreadRead = async function(rootId, userId, readAt = new Date()) {
+  const result = await this.updateOne(
+    { _id: rootId, 'thread.reads.user': userId },
+    { $set: { 'thread.reads.$.readAt': readAt } }
+  );
+
+  if (result.matchedCount === 0) {
+    await this.updateOne(
+      { _id: rootId, 'thread.reads.user': { $ne: userId } },
+      { $push: { 'thread.reads': { user: userId, readAt } } }
+    );
+  }
+};
+
+// Static method to count unread thread replies for a user, keyed by root message id
+messageSchema.statics.getThreadUnreadCounts = async function(roots, userId) {
+  const threads = roots.filter(root => root.thread && root.thread.replyCount > 0);
+  if (threads.length === 0) return new Map();
+
+  const conditions = threads.map(root => {
+    const read = root.thread.reads.find(r => r.user.toString() === userId.toString());
+    return read
+      ? { threadRoot: root._id, createdAt: { $gt: read.readAt } }
+      : { threadRoot: root._id };
+  });
+
+  const counts = await this.aggregate([
+    {
+      $match: {
+        $or: conditions,
+        sender: { $ne: new mongoose.Types.ObjectId(userId.toString()) },
+        isDeleted: false
+      }
+    },
+    { $group: { _id: '$threadRoot', count: { $sum: 1 } } }
+  ]);
+
+  return new Map(counts.map(item => [item._id.toString(), item.count]));
+};
+
+// Static method to hide the admin behind a page-sent message read without the model,
+// such as from an aggregation
+messageSchema.statics.hidePageSender = hidePageSender;
+
+// Seal new or changed content before it is written when a master key is configured
+messageSchema.pre('save', async function() {
+  if (!encryptionService.isEnabled()) return;
+  if (!this.isNew && !this.isModified('content') && !this.isModified('editHistory')) return;
+
+  await encryptionService.sealMessage(this);
+});
+
+// Hand the saved message back readable, for the socket and REST responses
+messageSchema.post('save', async function() {
+  if (this.encryptedWith !== null) {
+    await encryptionService.openMessages([this]);
+  }
+});
+
+// Open sealed content on every read, populated messages included
+messageSchema.post(['find', 'findOne', 'findOneAndUpdate'], async function(result) {
+  if (!result) return;
+  await encryptionService.openMessages(Array.isArray(result) ? result : [result]);
+});
+
 const Message = mongoose.model('Message', messageSchema);
 export default Message;
\ No newline at end of file
@@ -0,0 +1,17 @@
+import mongoose from 'mongoose';
+
+// A data migration that has been applied, so it only runs once
+const migrationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  appliedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const Migration = mongoose.model('Migration', migrationSchema);
+export default Migration;
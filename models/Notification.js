@@ -16,9 +16,10 @@ const notificationSchema = new mongoose.Schema({
     enum: [
       'like', 'comment', 'share', 'follow', 'unfollow',
       'friend_request', 'friend_accept', 'group_invite',
-      'group_join', 'page_follow', 'page_comment', 'page_post',
-      'message', 'mention', 'post_tag', 'comment_reply', 
-      'reaction', 'system'
+      'group_join', 'group_request', 'group_role', 'group_ban',
+      'group_removal', 'group_post', 'page_follow', 'page_comment', 'page_post',
+      'page_admin', 'message', 'missed_call', 'mention', 'post_tag', 'comment_reply', 
+      'reaction', 'poll_vote', 'event_rsvp', 'event_reminder', 'system'
     ],
     required: true
   },
@@ -50,6 +50,25 @@ const pageSchema = new mongoose.Schema({
       default: Date.now
     }
   }],
+  adminInvites: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    role: {
+      type: String,
+      enum: ['admin', 'editor', 'moderator'],
+      default: 'editor'
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    invitedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   followers: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
@@ -141,6 +160,8 @@ const pageSchema = new mongoose.Schema({
 pageSchema.index({ username: 1 });
 pageSchema.index({ category: 1, isActive: 1 });
 pageSchema.index({ owner: 1 });
+pageSchema.index({ 'admins.user': 1 });
+pageSchema.index({ 'adminInvites.user': 1 });
 pageSchema.index({ name: 'text', description: 'text' });
 
 // Virtual for followers count
@@ -153,5 +174,44 @@ pageSchema.virtual('postsCount').get(function() {
   return this.posts ? this.posts.length : 0;
 });
 
+// Capabilities granted to each page role
+const PAGE_ROLE_CAPABILITIES = {
+  owner: ['manage_admins', 'edit_page', 'post_as_page', 'moderate_comments', 'manage_inbox', 'view_analytics', 'run_ads'],
+  admin: ['manage_admins', 'edit_page', 'post_as_page', 'moderate_comments', 'manage_inbox', 'view_analytics', 'run_ads'],
+  editor: ['post_as_page', 'moderate_comments', 'manage_inbox', 'view_analytics', 'run_ads'],
+  moderator: ['moderate_comments', 'manage_inbox', 'view_analytics', 'run_ads']
+};
+
+// Ordered from most to least privileged
+const PAGE_ROLE_RANK = ['owner', 'admin', 'editor', 'moderator'];
+
+// Method to get a user's page role
+pageSchema.methods.getAdminRole = function(userId) {
+  if (this.owner && (this.owner._id || this.owner).toString() === userId.toString()) {
+    return 'owner';
+  }
+
+  const admin = this.admins.find(
+    admin => admin.user && (admin.user._id || admin.user).toString() === userId.toString()
+  );
+  return admin ? admin.role : null;
+};
+
+// Method to check whether a user's page role grants a capability
+pageSchema.methods.can = function(userId, capability) {
+  const role = this.getAdminRole(userId);
+  return !!role && PAGE_ROLE_CAPABILITIES[role].includes(capability);
+};
+
+// Static method to list the capabilities of a role
+pageSchema.statics.getRoleCapabilities = function(role) {
+  return PAGE_ROLE_CAPABILITIES[role] || [];
+};
+
+// Static method to check whether one role outranks another
+pageSchema.statics.outranks = function(role, otherRole) {
+  return PAGE_ROLE_RANK.indexOf(role) < PAGE_ROLE_RANK.indexOf(otherRole);
+};
+
 const Page = mongoose.model('Page', pageSchema);
 export default Page;
\ No newline at end of file
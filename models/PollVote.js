@@ -0,0 +1,27 @@
+import mongoose from 'mongoose';
+
+// A user's vote in a poll post; one per user, holding every option they picked
+const pollVoteSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  optionIndexes: {
+    type: [Number],
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+pollVoteSchema.index({ post: 1, user: 1 }, { unique: true });
+pollVoteSchema.index({ post: 1, optionIndexes: 1, createdAt: -1 });
+
+const PollVote = mongoose.model('PollVote', pollVoteSchema);
+export default PollVote;
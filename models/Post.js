@@ -1,5 +1,101 @@
 import mongoose from "mongoose";
 
+// A poll attached to a post. Votes live in PollVote; the counts here are kept in step
+const pollSchema = new mongoose.Schema(
+  {
+    question: {
+      type: String,
+      required: true,
+      maxlength: [300, "Poll question cannot exceed 300 characters"],
+    },
+    options: [
+      {
+        text: {
+          type: String,
+          required: true,
+          maxlength: [100, "Poll option cannot exceed 100 characters"],
+        },
+        votesCount: {
+          type: Number,
+          default: 0,
+        },
+      },
+    ],
+    allowMultiple: {
+      type: Boolean,
+      default: false,
+    },
+    // Voters are never shown, to the author either
+    isAnonymous: {
+      type: Boolean,
+      default: false,
+    },
+    expiresAt: {
+      type: Date,
+      default: null, // open until the author closes it
+    },
+    closedAt: {
+      type: Date,
+      default: null,
+    },
+    votersCount: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { _id: false }
+);
+
+// An event announced by a post. RSVPs live in EventRsvp; the counts here are kept in step
+const eventSchema = new mongoose.Schema(
+  {
+    title: {
+      type: String,
+      required: true,
+      maxlength: [200, "Event title cannot exceed 200 characters"],
+    },
+    startsAt: {
+      type: Date,
+      required: true,
+    },
+    endsAt: Date,
+    timezone: {
+      type: String,
+      default: "UTC",
+    },
+    venue: {
+      name: String,
+      address: String,
+      isOnline: {
+        type: Boolean,
+        default: false,
+      },
+      url: String,
+    },
+    capacity: {
+      type: Number,
+      default: null, // unlimited
+    },
+    goingCount: {
+      type: Number,
+      default: 0,
+    },
+    interestedCount: {
+      type: Number,
+      default: 0,
+    },
+    reminderSentAt: {
+      type: Date,
+      default: null,
+    },
+    cancelledAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { _id: false }
+);
+
 const postSchema = new mongoose.Schema(
   {
     author: {
@@ -31,11 +127,27 @@ const postSchema = new mongoose.Schema(
     },
     privacy: {
       type: String,
-      enum: ["public", "friends", "private"],
+      enum: ["public", "friends", "close_friends", "private"],
       default: "friends",
     },
+    postType: {
+      type: String,
+      enum: ["standard", "poll", "event", "check_in"],
+      default: "standard",
+    },
+    poll: {
+      type: pollSchema,
+      default: undefined,
+    },
+    event: {
+      type: eventSchema,
+      default: undefined,
+    },
+    // Where the post was made; for check-ins, the place checked in at
     location: {
       name: String,
+      address: String,
+      category: String,
       coordinates: {
         latitude: Number,
         longitude: Number,
@@ -47,6 +159,14 @@ const postSchema = new mongoose.Schema(
         ref: "User",
       },
     ],
+    // Lowercased #hashtags and the users @mentioned in the text
+    hashtags: [String],
+    mentions: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
     reactions: [
       {
         user: {
@@ -107,6 +227,28 @@ const postSchema = new mongoose.Schema(
       type: mongoose.Schema.Types.ObjectId,
       ref: "Page",
     },
+    // Set when a page admin published the post as the page itself
+    authorPage: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Page",
+      default: null,
+    },
+    approval: {
+      status: {
+        type: String,
+        enum: ["approved", "pending", "rejected"],
+        default: "approved",
+      },
+      reviewedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      reviewedAt: Date,
+      rejectionReason: {
+        type: String,
+        maxlength: [500, "Rejection reason cannot exceed 500 characters"],
+      },
+    },
     isEdited: {
       type: Boolean,
       default: false,
@@ -138,9 +280,14 @@ const postSchema = new mongoose.Schema(
 postSchema.index({ author: 1, createdAt: -1 });
 postSchema.index({ privacy: 1, isActive: 1 });
 postSchema.index({ group: 1, createdAt: -1 });
+postSchema.index({ group: 1, "approval.status": 1, createdAt: -1 });
 postSchema.index({ page: 1, createdAt: -1 });
 postSchema.index({ "location.coordinates": "2dsphere" });
 postSchema.index({ "content.text": "text" });
+postSchema.index({ postType: 1, createdAt: -1 });
+postSchema.index({ hashtags: 1, createdAt: -1 });
+postSchema.index({ "event.startsAt": 1, "event.reminderSentAt": 1 });
+postSchema.index({ postType: 1, "location.coordinates.latitude": 1, "location.coordinates.longitude": 1 });
 
 // Virtual for reactions count
 postSchema.virtual("reactionsCount").get(function () {
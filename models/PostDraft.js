@@ -0,0 +1,141 @@
+import mongoose from "mongoose";
+
+// A post that is not published yet: a draft, or a post scheduled for publishAt.
+// The real Post is only created when it goes out, so feeds never see it before
+const postDraftSchema = new mongoose.Schema(
+  {
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    content: {
+      text: {
+        type: String,
+        maxlength: [5000, "Post content cannot exceed 5000 characters"],
+      },
+      media: [
+        {
+          type: {
+            type: String,
+            enum: ["image", "video", "document"],
+            required: true,
+          },
+          url: {
+            type: String,
+            required: true,
+          },
+          caption: String,
+          size: Number,
+          duration: Number, // for videos
+        },
+      ],
+    },
+    privacy: {
+      type: String,
+      enum: ["public", "friends", "close_friends", "private"],
+      default: "friends",
+    },
+    location: {
+      name: String,
+      coordinates: {
+        latitude: Number,
+        longitude: Number,
+      },
+    },
+    tags: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
+    // Poll, event or check-in details as the author sent them; they are checked
+    // again at publish time, so a poll's duration counts from then
+    typeInput: {
+      type: mongoose.Schema.Types.Mixed,
+      default: undefined,
+    },
+    group: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Group",
+      default: null,
+    },
+    page: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Page",
+      default: null,
+    },
+    // Set when the post goes out as the page itself
+    authorPage: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Page",
+      default: null,
+    },
+    status: {
+      type: String,
+      enum: ["draft", "scheduled", "publishing", "published", "failed"],
+      default: "draft",
+    },
+    publishAt: {
+      type: Date,
+      default: null,
+    },
+    // IANA time zone the author scheduled in, and the wall-clock time they picked
+    timezone: {
+      type: String,
+      default: "UTC",
+    },
+    localPublishAt: String,
+    // Id the published post gets, fixed when publishing starts so a retry cannot post twice
+    publishedPost: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Post",
+      default: null,
+    },
+    publishingStartedAt: Date,
+    publishedAt: Date,
+    failureReason: String,
+  },
+  {
+    timestamps: true,
+    optimisticConcurrency: true,
+  }
+);
+
+postDraftSchema.index({ status: 1, publishAt: 1 });
+postDraftSchema.index({ author: 1, status: 1, updatedAt: -1 });
+
+// Method to check if the author can still change the draft
+postDraftSchema.methods.isEditable = function () {
+  return ["draft", "scheduled", "failed"].includes(this.status);
+};
+
+// Static method to claim a draft for publishing. Claims left behind by a crashed
+// publisher are taken over after staleAfterMs. The __v bump makes concurrent edits fail
+postDraftSchema.statics.claimForPublishing = function (filter, staleAfterMs = 10 * 60 * 1000) {
+  const now = new Date();
+
+  return this.findOneAndUpdate(
+    {
+      ...filter,
+      $or: [
+        { status: { $in: ["draft", "scheduled", "failed"] } },
+        { status: "publishing", publishingStartedAt: { $lte: new Date(now.getTime() - staleAfterMs) } },
+      ],
+    },
+    [
+      {
+        $set: {
+          status: "publishing",
+          publishingStartedAt: now,
+          publishedPost: { $ifNull: ["$publishedPost", new mongoose.Types.ObjectId()] },
+          __v: { $add: [{ $ifNull: ["$__v", 0] }, 1] },
+        },
+      },
+    ],
+    { new: true, sort: { publishAt: 1 } }
+  );
+};
+
+const PostDraft = mongoose.model("PostDraft", postDraftSchema);
+export default PostDraft;
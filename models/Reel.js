@@ -41,7 +41,7 @@ const reelSchema = new mongoose.Schema(
     },
     privacy: {
       type: String,
-        enum: ["public", "friends", "private", "followers"],
+        enum: ["public", "friends", "close_friends", "private", "followers"],
         default: "public",
     },
     location: {
@@ -53,7 +53,13 @@ const reelSchema = new mongoose.Schema(
     },
     tags: [String],
     hashtags: [String],
-    mentions: [String],
+    // Users @mentioned in the caption
+    mentions: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
     reactions: [
       {
         user: {
@@ -422,9 +428,10 @@ reelSchema.methods.getUserReactionType = function (userId) {
 };
 
 // Static method to get trending reels
-reelSchema.statics.getTrendingReels = function (limit = 20, category = null) {
+reelSchema.statics.getTrendingReels = function (limit = 20, category = null, excludedAuthorIds = []) {
   const query = {
     "trending.isTrending": true,
+    author: { $nin: excludedAuthorIds },
     isDeleted: false,
     isArchived: false,
   };
@@ -459,12 +466,13 @@ reelSchema.statics.getReelsByCategory = function (category, limit = 20, skip = 0
 };
 
 // Static method to get reels for user feed
-reelSchema.statics.getUserFeed = function (userId, followingIds, limit = 20, skip = 0) {
+reelSchema.statics.getUserFeed = function (userId, followingIds, limit = 20, skip = 0, excludedAuthorIds = []) {
   const query = {
     $or: [
       { author: { $in: followingIds } },
       { privacy: "public" },
     ],
+    author: { $nin: excludedAuthorIds },
     isDeleted: false,
     isArchived: false,
   };
@@ -12,6 +12,12 @@ const reelCommentSchema = new mongoose.Schema(
       ref: "User",
       required: true,
     },
+    // Set when a page admin commented as the page itself
+    authorPage: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Page",
+      default: null,
+    },
     content: {
       type: String,
       required: [true, "Comment content is required"],
@@ -313,6 +319,7 @@ reelCommentSchema.statics.getReelComments = function (reelId, limit = 20, skip =
     .skip(skip)
     .limit(limit)
     .populate("author", "name profilePicture username isVerified")
+    .populate("authorPage", "name profilePicture username isVerified")
     .populate("reactions.user", "name profilePicture");
   
   if (includeReplies) {
@@ -333,9 +340,10 @@ reelCommentSchema.statics.getReelComments = function (reelId, limit = 20, skip =
 };
 
 // Static method to get replies for a comment
-reelCommentSchema.statics.getCommentReplies = function (commentId, limit = 20, skip = 0) {
+reelCommentSchema.statics.getCommentReplies = function (commentId, limit = 20, skip = 0, excludedAuthorIds = []) {
   return this.find({
     parentComment: commentId,
+    author: { $nin: excludedAuthorIds },
     isDeleted: false,
     isHidden: false,
     moderationStatus: "approved",
@@ -344,6 +352,7 @@ reelCommentSchema.statics.getCommentReplies = function (commentId, limit = 20, s
     .skip(skip)
     .limit(limit)
     .populate("author", "name profilePicture username isVerified")
+    .populate("authorPage", "name profilePicture username isVerified")
     .populate("reactions.user", "name profilePicture");
 };
 
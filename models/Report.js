@@ -0,0 +1,475 @@
+import mongoose from "mongoose";
+
+// Reportable content types and the model each one points at
+const REPORT_TARGET_MODELS = {
+  post: "Post",
+  comment: "Comment",
+  reel: "Reel",
+  reel_comment: "ReelComment",
+  story: "Story",
+  message: "Message",
+  product: "Product",
+  page: "Page",
+  group: "Group",
+  user: "User",
+};
+
+const OPEN_STATUSES = ["pending", "reviewing"];
+
+// How serious a report is follows from its category; reporters don't pick it
+const CATEGORY_SEVERITY = {
+  violence: "critical",
+  sexual_content: "critical",
+  harassment: "high",
+  hate_speech: "high",
+  scam: "high",
+  impersonation: "high",
+  inappropriate: "medium",
+  copyright: "medium",
+  fake_news: "medium",
+  spam: "low",
+  other: "low",
+};
+
+const reportSchema = new mongoose.Schema(
+  {
+    targetType: {
+      type: String,
+      enum: Object.keys(REPORT_TARGET_MODELS),
+      required: true,
+    },
+    target: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: "targetModel",
+      required: true,
+    },
+    targetModel: {
+      type: String,
+      enum: Object.values(REPORT_TARGET_MODELS),
+      required: true,
+    },
+    // Author, seller, owner or account behind the reported content
+    targetOwner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    reporter: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    reason: {
+      type: String,
+      required: [true, "Report reason is required"],
+      maxlength: [200, "Report reason cannot exceed 200 characters"],
+      trim: true,
+    },
+    details: {
+      type: String,
+      maxlength: [1000, "Report details cannot exceed 1000 characters"],
+      trim: true,
+    },
+    category: {
+      type: String,
+      enum: [
+        "spam",
+        "inappropriate",
+        "violence",
+        "harassment",
+        "copyright",
+        "fake_news",
+        "hate_speech",
+        "sexual_content",
+        "scam",
+        "impersonation",
+        "other",
+      ],
+      default: "other",
+    },
+    severity: {
+      type: String,
+      enum: ["low", "medium", "high", "critical"],
+      default: "medium",
+    },
+    status: {
+      type: String,
+      enum: ["pending", "reviewing", "resolved", "dismissed"],
+      default: "pending",
+    },
+    assignedTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    claimedAt: Date,
+    moderatorNotes: String,
+    moderatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    moderatedAt: Date,
+    resolution: {
+      type: String,
+      enum: [
+        "no_action",
+        "warning_issued",
+        "content_removed",
+        "user_suspended",
+        "user_banned",
+        "other",
+      ],
+    },
+    resolutionDetails: String,
+    resolvedAt: Date,
+    isUrgent: {
+      type: Boolean,
+      default: false,
+    },
+    priority: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: 10,
+    },
+    relatedReports: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Report",
+      },
+    ],
+    reportCount: {
+      type: Number,
+      default: 1,
+    },
+    lastReportedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    isDuplicate: {
+      type: Boolean,
+      default: false,
+    },
+    duplicateOf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Report",
+    },
+    evidence: [
+      {
+        type: {
+          type: String,
+          enum: ["screenshot", "link", "text", "other"],
+        },
+        url: String,
+        description: String,
+        uploadedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    escalationLevel: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: 5,
+    },
+    isEscalated: {
+      type: Boolean,
+      default: false,
+    },
+    escalatedTo: {
+      type: String,
+      enum: ["senior_moderator", "admin", "legal_team", "other"],
+    },
+    escalatedAt: Date,
+    escalationReason: String,
+    reviewDeadline: Date,
+    slaBreached: {
+      type: Boolean,
+      default: false,
+    },
+    timeToResolution: Number, // in milliseconds
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for better query performance
+reportSchema.index({ targetType: 1, target: 1, status: 1 });
+reportSchema.index({ reporter: 1, createdAt: -1 });
+reportSchema.index({ status: 1, isDuplicate: 1, priority: -1, reviewDeadline: 1 });
+reportSchema.index({ severity: 1, status: 1 });
+reportSchema.index({ assignedTo: 1, status: 1 });
+reportSchema.index({ targetOwner: 1, createdAt: -1 });
+reportSchema.index({ reviewDeadline: 1, status: 1 });
+
+// Virtual for isOverdue
+reportSchema.virtual("isOverdue").get(function () {
+  if (this.reviewDeadline && OPEN_STATUSES.includes(this.status)) {
+    return new Date() > this.reviewDeadline;
+  }
+  return false;
+});
+
+// Method to work out priority, urgency, escalation level and the review deadline
+// from the report's severity, category and how often it was filed. The
+// escalation level is null when the priority doesn't call for one
+reportSchema.methods.assess = function () {
+  let priority = 0;
+
+  switch (this.severity) {
+    case "critical":
+      priority += 8;
+      break;
+    case "high":
+      priority += 6;
+      break;
+    case "medium":
+      priority += 4;
+      break;
+    case "low":
+      priority += 2;
+      break;
+  }
+
+  // Add priority for urgent categories
+  if (["violence", "harassment", "hate_speech", "sexual_content"].includes(this.category)) {
+    priority += 3;
+  }
+
+  // Add priority for copyright, misinformation and fraud
+  if (["copyright", "fake_news", "scam", "impersonation"].includes(this.category)) {
+    priority += 2;
+  }
+
+  // Widely reported content moves up the queue
+  if (this.reportCount >= 10) {
+    priority += 2;
+  } else if (this.reportCount >= 3) {
+    priority += 1;
+  }
+
+  let escalationLevel = null;
+  if (priority >= 9) {
+    escalationLevel = 3;
+  } else if (priority >= 7) {
+    escalationLevel = 2;
+  } else if (priority >= 5) {
+    escalationLevel = 1;
+  }
+
+  // The SLA is measured from when the report was filed
+  const filedAt = (this.createdAt || new Date()).getTime();
+  let hours = 72;
+  if (priority >= 8) {
+    hours = 2;
+  } else if (priority >= 6) {
+    hours = 6;
+  } else if (priority >= 4) {
+    hours = 24;
+  }
+
+  return {
+    priority: Math.min(10, priority),
+    isUrgent: priority >= 8,
+    escalationLevel,
+    reviewDeadline: new Date(filedAt + hours * 60 * 60 * 1000),
+  };
+};
+
+// Pre-save middleware to update priority, urgency and the review deadline
+reportSchema.pre("save", function (next) {
+  const assessment = this.assess();
+
+  this.isUrgent = assessment.isUrgent;
+  this.priority = assessment.priority;
+
+  if (!this.isEscalated && assessment.escalationLevel !== null) {
+    this.escalationLevel = assessment.escalationLevel;
+  }
+
+  // The review deadline only tightens
+  if (this.isNew || this.isModified("severity") || this.isModified("category") || this.isModified("reportCount")) {
+    if (!this.reviewDeadline || assessment.reviewDeadline < this.reviewDeadline) {
+      this.reviewDeadline = assessment.reviewDeadline;
+    }
+  }
+
+  next();
+});
+
+// Method to check whether the report still needs a decision
+reportSchema.methods.isOpen = function () {
+  return OPEN_STATUSES.includes(this.status);
+};
+
+// Method to claim the report for review. The claim only goes through while the
+// report is open and unclaimed or already ours, unless forced; resolves to the
+// claimed report, or null when another moderator got there first
+reportSchema.methods.claim = function (moderatorId, { force = false } = {}) {
+  const filter = { _id: this._id, status: { $in: OPEN_STATUSES } };
+  if (!force) {
+    filter.$or = [{ assignedTo: null }, { assignedTo: moderatorId }];
+  }
+
+  return this.constructor.findOneAndUpdate(
+    filter,
+    { $set: { assignedTo: moderatorId, claimedAt: new Date(), status: "reviewing" } },
+    { new: true }
+  );
+};
+
+// Method to return the report to the queue
+reportSchema.methods.release = function () {
+  this.assignedTo = null;
+  this.claimedAt = undefined;
+  this.status = "pending";
+  return this.save();
+};
+
+// Method to close the report with a decision
+reportSchema.methods.close = function (status, moderatorId, { resolution, details = "", notes = "" } = {}) {
+  this.status = status;
+  this.moderatedBy = moderatorId;
+  this.moderatedAt = new Date();
+  this.resolution = status === "dismissed" ? "no_action" : resolution;
+  this.resolutionDetails = details;
+  if (notes) {
+    this.moderatorNotes = notes;
+  }
+  this.resolvedAt = new Date();
+  this.timeToResolution = this.resolvedAt - this.createdAt;
+  this.slaBreached = !!this.reviewDeadline && this.resolvedAt > this.reviewDeadline;
+  return this.save();
+};
+
+// Method to escalate report
+reportSchema.methods.escalate = function (level, reason = "", escalatedTo = "senior_moderator") {
+  this.escalationLevel = Math.min(5, Math.max(0, level));
+  this.isEscalated = true;
+  this.escalatedTo = escalatedTo;
+  this.escalatedAt = new Date();
+  this.escalationReason = reason;
+  return this.save();
+};
+
+// Static method to get the model name behind a target type
+reportSchema.statics.getTargetModelName = function (targetType) {
+  return REPORT_TARGET_MODELS[targetType] || null;
+};
+
+// Static method to get the severity a report category is filed with
+reportSchema.statics.getSeverityForCategory = function (category) {
+  return CATEGORY_SEVERITY[category] || CATEGORY_SEVERITY.other;
+};
+
+// Static method to find the open primary report for a piece of content
+reportSchema.statics.findOpenReport = function (targetType, targetId) {
+  return this.findOne({
+    targetType,
+    target: targetId,
+    isDuplicate: false,
+    status: { $in: OPEN_STATUSES },
+  }).sort({ createdAt: 1 });
+};
+
+// Static method to count another report of the same content towards its
+// primary report. Everything is applied with atomic updates so concurrent
+// reports all count; priority, escalation and the deadline only move one way
+// as reports come in, so they are raised with $max and tightened with $min
+reportSchema.statics.recordDuplicate = async function (primaryId, duplicateId) {
+  const primary = await this.findOneAndUpdate(
+    { _id: primaryId },
+    {
+      $inc: { reportCount: 1 },
+      $set: { lastReportedAt: new Date() },
+      $addToSet: { relatedReports: duplicateId },
+    },
+    { new: true }
+  );
+  if (!primary) return null;
+
+  const { priority, isUrgent, escalationLevel, reviewDeadline } = primary.assess();
+
+  const update = { $max: { priority } };
+  if (isUrgent) {
+    update.$set = { isUrgent: true };
+  }
+  if (primary.reviewDeadline) {
+    update.$min = { reviewDeadline };
+  } else {
+    update.$set = { ...update.$set, reviewDeadline };
+  }
+  await this.updateOne({ _id: primaryId }, update);
+
+  if (escalationLevel !== null) {
+    await this.updateOne(
+      { _id: primaryId, isEscalated: false },
+      { $max: { escalationLevel } }
+    );
+  }
+
+  return primary;
+};
+
+// Static method to get open reports past their review deadline
+reportSchema.statics.getOverdueReports = function (limit = 50) {
+  return this.find({
+    reviewDeadline: { $lt: new Date() },
+    status: { $in: OPEN_STATUSES },
+    isDuplicate: false,
+  })
+    .sort({ reviewDeadline: 1 })
+    .limit(limit);
+};
+
+// Static method to get SLA statistics for the moderation queue
+reportSchema.statics.getSlaStatistics = async function (since) {
+  const now = new Date();
+
+  const [open] = await this.aggregate([
+    { $match: { status: { $in: OPEN_STATUSES }, isDuplicate: false } },
+    {
+      $group: {
+        _id: null,
+        open: { $sum: 1 },
+        unassigned: { $sum: { $cond: [{ $eq: ["$assignedTo", null] }, 1, 0] } },
+        overdue: { $sum: { $cond: [{ $lt: ["$reviewDeadline", now] }, 1, 0] } },
+        critical: { $sum: { $cond: [{ $eq: ["$severity", "critical"] }, 1, 0] } },
+        high: { $sum: { $cond: [{ $eq: ["$severity", "high"] }, 1, 0] } },
+        medium: { $sum: { $cond: [{ $eq: ["$severity", "medium"] }, 1, 0] } },
+        low: { $sum: { $cond: [{ $eq: ["$severity", "low"] }, 1, 0] } },
+      },
+    },
+    { $project: { _id: 0 } },
+  ]);
+
+  const [closed] = await this.aggregate([
+    {
+      $match: {
+        status: { $in: ["resolved", "dismissed"] },
+        isDuplicate: false,
+        resolvedAt: { $gte: since },
+      },
+    },
+    {
+      $group: {
+        _id: null,
+        closed: { $sum: 1 },
+        breached: { $sum: { $cond: ["$slaBreached", 1, 0] } },
+        avgTimeToResolution: { $avg: "$timeToResolution" },
+      },
+    },
+    { $project: { _id: 0 } },
+  ]);
+
+  return {
+    open: open || { open: 0, unassigned: 0, overdue: 0, critical: 0, high: 0, medium: 0, low: 0 },
+    closed: closed || { closed: 0, breached: 0, avgTimeToResolution: null },
+  };
+};
+
+const Report = mongoose.model("Report", reportSchema);
+
+export default Report;
@@ -0,0 +1,27 @@
+import mongoose from 'mongoose';
+
+// A named folder a user sorts their saved posts, reels and products into
+const savedCollectionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Collection name is required'],
+    trim: true,
+    maxlength: [100, 'Collection name cannot exceed 100 characters']
+  }
+}, {
+  timestamps: true
+});
+
+// Names are unique per user, ignoring case
+savedCollectionSchema.index(
+  { user: 1, name: 1 },
+  { unique: true, collation: { locale: 'en', strength: 2 } }
+);
+
+const SavedCollection = mongoose.model('SavedCollection', savedCollectionSchema);
+export default SavedCollection;
@@ -0,0 +1,46 @@
+import mongoose from 'mongoose';
+
+// A post, reel or product a user saved, optionally filed in one of their collections
+const savedItemSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  itemType: {
+    type: String,
+    enum: ['post', 'reel', 'product'],
+    required: true
+  },
+  item: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // null while the item is only in "All saved"
+  savedCollection: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SavedCollection',
+    default: null
+  },
+  savedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+savedItemSchema.index({ user: 1, itemType: 1, item: 1 }, { unique: true });
+savedItemSchema.index({ user: 1, savedCollection: 1, savedAt: -1 });
+savedItemSchema.index({ user: 1, savedAt: -1 });
+
+// Static method to count saved items per collection for a user
+savedItemSchema.statics.countByCollection = async function(userId) {
+  const counts = await this.aggregate([
+    { $match: { user: new mongoose.Types.ObjectId(userId.toString()) } },
+    { $group: { _id: '$savedCollection', count: { $sum: 1 } } }
+  ]);
+
+  return new Map(counts.map(c => [c._id ? c._id.toString() : null, c.count]));
+};
+
+const SavedItem = mongoose.model('SavedItem', savedItemSchema);
+export default SavedItem;
@@ -41,6 +41,14 @@ const storySchema = new mongoose.Schema(
         },
       ],
     },
+    // Lowercased #hashtags and the users @mentioned in the captions
+    hashtags: [String],
+    mentions: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
     privacy: {
       type: String,
       enum: ["public", "friends", "close_friends"],
@@ -0,0 +1,79 @@
+import mongoose from 'mongoose';
+
+// How long the change log is kept; clients further behind must reload the conversation
+const RETENTION_DAYS = 30;
+
+// Ordered log of message changes in a conversation, replayed to clients that
+// reconnect with the last sequence number they saw
+const syncEventSchema = new mongoose.Schema({
+  conversation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation',
+    required: true
+  },
+  // Position in the conversation's log, allocated from Conversation.syncSeq
+  seq: {
+    type: Number,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['message_created', 'message_updated', 'message_deleted', 'reaction_updated'],
+    required: true
+  },
+  message: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message',
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes for performance
+syncEventSchema.index({ conversation: 1, seq: 1 }, { unique: true });
+syncEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+// Static method to append a change to a conversation's log; returns its sequence number
+syncEventSchema.statics.record = async function(conversationId, type, messageId) {
+  const conversation = await mongoose.model('Conversation').findByIdAndUpdate(
+    conversationId,
+    { $inc: { syncSeq: 1 } },
+    { new: true, select: 'syncSeq' }
+  );
+  if (!conversation) return null;
+
+  await this.create({
+    conversation: conversationId,
+    seq: conversation.syncSeq,
+    type,
+    message: messageId
+  });
+  return conversation.syncSeq;
+};
+
+// Static method to record the same change for several messages of one conversation
+syncEventSchema.statics.recordMany = async function(conversationId, type, messageIds) {
+  if (messageIds.length === 0) return null;
+
+  const conversation = await mongoose.model('Conversation').findByIdAndUpdate(
+    conversationId,
+    { $inc: { syncSeq: messageIds.length } },
+    { new: true, select: 'syncSeq' }
+  );
+  if (!conversation) return null;
+
+  const firstSeq = conversation.syncSeq - messageIds.length + 1;
+  await this.insertMany(messageIds.map((messageId, index) => ({
+    conversation: conversationId,
+    seq: firstSeq + index,
+    type,
+    message: messageId
+  })));
+  return conversation.syncSeq;
+};
+
+const SyncEvent = mongoose.model('SyncEvent', syncEventSchema);
+export default SyncEvent;
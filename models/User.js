@@ -10,13 +10,20 @@ const userSchema = new mongoose.Schema(
       trim: true,
       maxlength: [50, "Name cannot exceed 50 characters"],
     },
-    // username: {
-    //   type: String,
-    //   required: false,
-    //   unique: true,
-    //   trim: true,
-    //   maxlength: [50, 'Username cannot exceed 50 characters']
-    // },
+    // Handle others @mention the user by; optional for accounts made before it existed
+    username: {
+      type: String,
+      unique: true,
+      sparse: true,
+      trim: true,
+      lowercase: true,
+      minlength: [3, "Username must be at least 3 characters"],
+      maxlength: [30, "Username cannot exceed 30 characters"],
+      match: [
+        /^[\w\u0590-\u05ff]+$/,
+        "Username can only contain letters, numbers and underscores",
+      ],
+    },
     email: {
       type: String,
       required: [true, "Email is required"],
@@ -101,6 +108,53 @@ const userSchema = new mongoose.Schema(
       type: Boolean,
       default: true,
     },
+    // Platform-wide role; page and group roles live on those documents
+    role: {
+      type: String,
+      enum: ["user", "moderator", "admin"],
+      default: "user",
+    },
+    // Moderator-imposed restrictions, kept after they end for appeals and history
+    suspensions: {
+      type: [
+        {
+          scope: {
+            type: String,
+            enum: ["full", "posting", "messaging", "marketplace"],
+            default: "full",
+          },
+          reason: {
+            type: String,
+            required: [true, "Suspension reason is required"],
+            maxlength: [500, "Suspension reason cannot exceed 500 characters"],
+            trim: true,
+          },
+          startsAt: {
+            type: Date,
+            default: Date.now,
+          },
+          // No end date means the suspension lasts until it is lifted
+          endsAt: {
+            type: Date,
+            default: null,
+          },
+          suspendedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+          },
+          liftedAt: Date,
+          liftedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+          },
+          liftReason: {
+            type: String,
+            enum: ["expired", "appeal_approved", "moderator"],
+          },
+        },
+      ],
+      select: false,
+    },
     privacy: {
       profileVisibility: {
         type: String,
@@ -112,6 +166,18 @@ const userSchema = new mongoose.Schema(
         enum: ["public", "friends", "private"],
         default: "friends",
       },
+      // When off, others are not told when this user reads their messages,
+      // and this user cannot see when others read theirs
+      readReceipts: {
+        type: Boolean,
+        default: true,
+      },
+      // Who can @mention this user in posts, comments and stories
+      mentions: {
+        type: String,
+        enum: ["everyone", "following", "friends", "no_one"],
+        default: "everyone",
+      },
     },
     followers: [
       {
@@ -133,13 +199,36 @@ const userSchema = new mongoose.Schema(
         },
         status: {
           type: String,
-          enum: ["pending", "accepted", "blocked"],
+          enum: ["pending", "accepted"],
           default: "pending",
         },
+        requestedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
         requestedAt: {
           type: Date,
           default: Date.now,
         },
+        acceptedAt: Date,
+      },
+    ],
+    closeFriends: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
+    blockedUsers: [
+      {
+        user: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        blockedAt: {
+          type: Date,
+          default: Date.now,
+        },
       },
     ],
     groups: [
@@ -168,6 +257,11 @@ const userSchema = new mongoose.Schema(
 userSchema.index({ email: 1 });
 userSchema.index({ name: 1 });
 userSchema.index({ isActive: 1 });
+userSchema.index({ role: 1 });
+userSchema.index({ "suspensions.liftedAt": 1, "suspensions.endsAt": 1 });
+userSchema.index({ "friends.user": 1, "friends.status": 1 });
+userSchema.index({ "blockedUsers.user": 1 });
+userSchema.index({ closeFriends: 1 });
 
 // Hash password before saving
 userSchema.pre("save", async function (next) {
@@ -214,5 +308,158 @@ userSchema.virtual("followingCount").get(function () {
   return this.following ? this.following.length : 0;
 });
 
+// Get friendship entry with another user
+userSchema.methods.getFriendship = function (userId) {
+  return this.friends.find(
+    (friend) => friend.user && friend.user.toString() === userId.toString()
+  );
+};
+
+// Check if friendship with another user is accepted
+userSchema.methods.isFriendWith = function (userId) {
+  const friendship = this.getFriendship(userId);
+  return !!friendship && friendship.status === "accepted";
+};
+
+// Get ids of accepted friends
+userSchema.methods.getFriendIds = function () {
+  return this.friends
+    .filter((friend) => friend.status === "accepted")
+    .map((friend) => friend.user);
+};
+
+// Check if another user is on this user's close friends list
+userSchema.methods.hasCloseFriend = function (userId) {
+  return this.closeFriends.some((id) => id.toString() === userId.toString());
+};
+
+// Get ids of users who have a user on their close friends list
+userSchema.statics.getCloseFriendOfIds = async function (userId) {
+  const users = await this.find({ closeFriends: userId }).select("_id");
+  return users.map((user) => user._id);
+};
+
+// Check if this user has blocked another user
+userSchema.methods.hasBlocked = function (userId) {
+  return this.blockedUsers.some(
+    (blocked) => blocked.user && blocked.user.toString() === userId.toString()
+  );
+};
+
+// Check if this user's mention setting lets another user @mention them
+userSchema.methods.allowsMentionFrom = function (userId) {
+  switch (this.privacy?.mentions || "everyone") {
+    case "no_one":
+      return false;
+    case "friends":
+      return this.isFriendWith(userId);
+    case "following":
+      return this.following.some((id) => id.toString() === userId.toString());
+    default:
+      return true;
+  }
+};
+
+// Get ids of users hidden from a user: the ones they blocked and the ones who blocked them
+userSchema.statics.getBlockedUserIds = async function (userId) {
+  const [user, blockers] = await Promise.all([
+    this.findById(userId).select("blockedUsers"),
+    this.find({ "blockedUsers.user": userId }).select("_id"),
+  ]);
+
+  const blockedIds = user ? user.blockedUsers.map((blocked) => blocked.user) : [];
+  return [...blockedIds, ...blockers.map((blocker) => blocker._id)];
+};
+
+// Check if either user has blocked the other
+userSchema.statics.isBlockedBetween = async function (userId, otherUserId) {
+  const block = await this.exists({
+    $or: [
+      { _id: userId, "blockedUsers.user": otherUserId },
+      { _id: otherUserId, "blockedUsers.user": userId },
+    ],
+  });
+  return !!block;
+};
+
+// Get the active suspension restricting an activity; full suspensions restrict everything
+userSchema.methods.getActiveSuspension = function (scope = "full") {
+  const now = new Date();
+  const active = (this.suspensions || []).filter(
+    (suspension) =>
+      !suspension.liftedAt &&
+      suspension.startsAt <= now &&
+      (!suspension.endsAt || suspension.endsAt > now) &&
+      (suspension.scope === "full" || suspension.scope === scope)
+  );
+
+  return active.find((suspension) => suspension.scope === "full") || active[0];
+};
+
+// Add a suspension; without a duration it lasts until lifted
+userSchema.methods.suspend = async function ({ scope = "full", reason, durationHours, suspendedBy }) {
+  const startsAt = new Date();
+  this.suspensions.push({
+    scope,
+    reason,
+    startsAt,
+    endsAt: durationHours
+      ? new Date(startsAt.getTime() + Number(durationHours) * 60 * 60 * 1000)
+      : null,
+    suspendedBy,
+  });
+  await this.save();
+  return this.suspensions[this.suspensions.length - 1];
+};
+
+// Lift an active suspension; returns null if it is not active
+userSchema.methods.liftSuspension = async function (suspensionId, liftedBy, liftReason = "moderator") {
+  const suspension = this.suspensions.id(suspensionId);
+  if (!suspension || suspension.liftedAt) return null;
+
+  suspension.liftedAt = new Date();
+  suspension.liftedBy = liftedBy;
+  suspension.liftReason = liftReason;
+  await this.save();
+  return suspension;
+};
+
+// Mark suspensions whose end date has passed as lifted and return what was lifted
+userSchema.statics.liftExpiredSuspensions = async function (limit = 500) {
+  const now = new Date();
+  const users = await this.find({
+    suspensions: {
+      $elemMatch: { liftedAt: null, endsAt: { $ne: null, $lte: now } },
+    },
+  })
+    .select("+suspensions")
+    .limit(limit);
+
+  const lifted = [];
+  for (const user of users) {
+    for (const suspension of user.suspensions) {
+      if (!suspension.liftedAt && suspension.endsAt && suspension.endsAt <= now) {
+        suspension.liftedAt = now;
+        suspension.liftReason = "expired";
+        lifted.push({
+          userId: user._id,
+          scope: suspension.scope,
+          suspendedBy: suspension.suspendedBy,
+        });
+      }
+    }
+    await user.save();
+  }
+
+  return lifted;
+};
+
+// Get friends count
+userSchema.virtual("friendsCount").get(function () {
+  return this.friends
+    ? this.friends.filter((friend) => friend.status === "accepted").length
+    : 0;
+});
+
 const User = mongoose.model("User", userSchema);
 export default User;
@@ -13,7 +13,7 @@ const userPreferenceSchema = new mongoose.Schema({
       score: { type: Number, default: 0 } // -1 to 1 scale
     }],
     postTypes: [{
-      type: { type: String, enum: ['text', 'image', 'video', 'link', 'poll'] },
+      type: { type: String, enum: ['text', 'image', 'video', 'link', 'poll', 'event', 'check_in'] },
       score: { type: Number, default: 0 }
     }],
     topics: [{
@@ -54,7 +54,6 @@ const userPreferenceSchema = new mongoose.Schema({
     contentConsumptionRate: { type: Number, default: 0 } // Posts viewed per minute
   },
   explicitPreferences: {
-    blockedUsers: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
     blockedTopics: [String],
     favoriteTopics: [String],
     contentFilters: {
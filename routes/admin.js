@@ -0,0 +1,37 @@
+import express from 'express';
+import { protect, authorize } from '../middleware/auth.js';
+import * as adminController from '../controllers/adminController.js';
+
+const router = express.Router();
+
+// Every admin route needs an authenticated staff account
+router.use(protect);
+
+// User administration routes
+router.get('/users', authorize('moderator', 'admin'), adminController.getUsers);
+router.put('/users/:id/role', authorize('admin'), adminController.updateUserRole);
+router.get('/users/:id/suspensions', authorize('moderator', 'admin'), adminController.getUserSuspensions);
+router.post('/users/:id/suspend', authorize('moderator', 'admin'), adminController.suspendUser);
+router.post('/users/:id/suspensions/:suspensionId/lift', authorize('moderator', 'admin'), adminController.liftSuspension);
+router.post('/users/:id/reinstate', authorize('moderator', 'admin'), adminController.reinstateUser);
+
+// Suspension appeal routes
+router.get('/appeals', authorize('moderator', 'admin'), adminController.getAppeals);
+router.post('/appeals/:id/approve', authorize('moderator', 'admin'), adminController.approveAppeal);
+router.post('/appeals/:id/reject', authorize('moderator', 'admin'), adminController.rejectAppeal);
+
+// Content takedown routes
+router.post('/content/:type/:id/takedown', authorize('moderator', 'admin'), adminController.takeDownContentItem);
+router.post('/content/:type/:id/restore', authorize('moderator', 'admin'), adminController.restoreContentItem);
+
+// Ad review routes
+router.get('/ads/review', authorize('moderator', 'admin'), adminController.getAdReviewQueue);
+router.post('/ads/:id/review', authorize('moderator', 'admin'), adminController.reviewAd);
+router.get('/creatives/review', authorize('moderator', 'admin'), adminController.getCreativeReviewQueue);
+router.post('/creatives/:id/review', authorize('moderator', 'admin'), adminController.reviewCreative);
+
+// Background job routes
+router.get('/jobs', authorize('admin'), adminController.getJobs);
+router.post('/jobs/:name/run', authorize('admin'), adminController.runJob);
+
+export default router;
@@ -1,19 +1,44 @@
 import express from 'express';
-import { protect } from '../middleware/auth.js';
+import { protect, actAsPage, checkSuspension } from '../middleware/auth.js';
 import * as conversationController from '../controllers/conversationController.js';
 
 const router = express.Router();
 
 // Conversation routes
-router.post('/', protect, conversationController.createConversation);
+router.post('/', protect, checkSuspension('messaging'), conversationController.createConversation);
 router.get('/', protect, conversationController.getConversations);
-router.get('/:id', protect, conversationController.getConversation);
-router.post('/:id/messages', protect, conversationController.sendMessage);
-router.get('/:id/messages', protect, conversationController.getMessages);
-router.put('/:conversationId/messages/:messageId', protect, conversationController.editMessage);
+router.get('/calls', protect, conversationController.getCallHistory);
+router.get('/search', protect, conversationController.searchMessages);
+router.post('/delivered', protect, conversationController.markMessagesDelivered);
+router.post('/sync', protect, conversationController.syncConversations);
+router.get('/invite/:code', protect, conversationController.getInvitePreview);
+router.post('/invite/:code/join', protect, checkSuspension('messaging'), conversationController.joinWithInviteLink);
+router.get('/:id', protect, actAsPage('manage_inbox'), conversationController.getConversation);
+router.put('/:id', protect, conversationController.updateGroupInfo);
+router.post('/:id/leave', protect, conversationController.leaveConversation);
+router.put('/:id/mute', protect, conversationController.muteConversation);
+router.get('/:id/invite-links', protect, conversationController.getInviteLinks);
+router.post('/:id/invite-links', protect, checkSuspension('messaging'), conversationController.createInviteLink);
+router.delete('/:id/invite-links/:linkId', protect, conversationController.revokeInviteLink);
+router.post('/:id/messages', protect, checkSuspension('messaging'), actAsPage('manage_inbox'), conversationController.sendMessage);
+router.get('/:id/messages', protect, actAsPage('manage_inbox'), conversationController.getMessages);
+router.post('/:id/read', protect, conversationController.markConversationRead);
+router.get('/:id/calls', protect, conversationController.getCallHistory);
+router.get('/:id/media', protect, actAsPage('manage_inbox'), conversationController.getConversationMedia);
+router.get('/:id/search', protect, conversationController.searchMessages);
+router.put('/:conversationId/messages/:messageId', protect, checkSuspension('messaging'), conversationController.editMessage);
 router.delete('/:conversationId/messages/:messageId', protect, conversationController.deleteMessage);
 router.post('/:conversationId/messages/:messageId/react', protect, conversationController.reactToMessage);
-router.post('/:id/participants', protect, conversationController.addParticipants);
+router.get('/:id/messages/:messageId/thread', protect, conversationController.getThread);
+router.get('/:conversationId/messages/:messageId/receipts', protect, conversationController.getMessageReceipts);
+router.get('/:id/pins', protect, conversationController.getPinnedMessages);
+router.post('/:conversationId/messages/:messageId/pin', protect, conversationController.pinMessage);
+router.delete('/:conversationId/messages/:messageId/pin', protect, conversationController.unpinMessage);
+router.post('/:conversationId/messages/:messageId/forward', protect, checkSuspension('messaging'), conversationController.forwardMessageToConversations);
+router.put('/:id/disappearing-messages', protect, conversationController.updateDisappearingMessages);
+router.post('/:id/participants', protect, checkSuspension('messaging'), conversationController.addParticipants);
 router.delete('/:id/participants/:userId', protect, conversationController.removeParticipant);
+router.post('/:id/participants/:userId/promote', protect, conversationController.promoteParticipant);
+router.post('/:id/participants/:userId/demote', protect, conversationController.demoteParticipant);
 
 export default router;
\ No newline at end of file
@@ -14,5 +14,17 @@ router.get('/:id', protect, groupController.getGroup);
 router.post('/:id/join', protect, groupController.joinGroup);
 router.delete('/:id/leave', protect, groupController.leaveGroup);
 router.put('/:id', protect, groupController.updateGroup);
+router.get('/:id/requests', protect, groupController.getJoinRequests);
+router.post('/:id/requests/:userId/approve', protect, groupController.approveJoinRequest);
+router.post('/:id/requests/:userId/reject', protect, groupController.rejectJoinRequest);
+router.put('/:id/members/:userId/role', protect, groupController.updateMemberRole);
+router.post('/:id/members/:userId/ban', protect, groupController.banMember);
+router.delete('/:id/members/:userId/ban', protect, groupController.unbanMember);
+router.delete('/:id/members/:userId', protect, groupController.removeMember);
+router.post('/:id/transfer-ownership', protect, groupController.transferOwnership);
+router.get('/:id/pending-posts', protect, groupController.getPendingPosts);
+router.post('/:id/posts/bulk-approve', protect, groupController.bulkApprovePosts);
+router.post('/:id/posts/:postId/approve', protect, groupController.approvePendingPost);
+router.post('/:id/posts/:postId/reject', protect, groupController.rejectPendingPost);
 
 export default router;
\ No newline at end of file
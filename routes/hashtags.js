@@ -0,0 +1,13 @@
+import express from 'express';
+import { protect } from '../middleware/auth.js';
+import * as hashtagController from '../controllers/hashtagController.js';
+
+const router = express.Router();
+
+router.get('/followed', protect, hashtagController.getFollowedHashtags);
+router.get('/:name', protect, hashtagController.getHashtag);
+router.get('/:name/content', protect, hashtagController.getHashtagContent);
+router.post('/:name/follow', protect, hashtagController.followHashtag);
+router.delete('/:name/follow', protect, hashtagController.unfollowHashtag);
+
+export default router;
@@ -15,5 +15,14 @@ router.post('/:id/follow', protect, pageController.followPage);
 router.delete('/:id/unfollow', protect, pageController.unfollowPage);
 router.get('/:id/analytics', protect, pageController.getPageAnalytics);
 router.put('/:id', protect, pageController.updatePage);
+router.get('/:id/admins', protect, pageController.getPageAdmins);
+router.post('/:id/admins/invite', protect, pageController.inviteAdmin);
+router.post('/:id/admins/invite/accept', protect, pageController.acceptAdminInvite);
+router.post('/:id/admins/invite/decline', protect, pageController.declineAdminInvite);
+router.delete('/:id/admins/invite/:userId', protect, pageController.cancelAdminInvite);
+router.put('/:id/admins/:userId/role', protect, pageController.updateAdminRole);
+router.delete('/:id/admins/:userId', protect, pageController.removeAdmin);
+router.delete('/:id/comments/:commentId', protect, pageController.moderatePageComment);
+router.get('/:id/inbox', protect, pageController.getPageInbox);
 
 export default router;
\ No newline at end of file
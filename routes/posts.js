@@ -1,23 +1,62 @@
 import express from 'express';
-import { protect } from '../middleware/auth.js';
-import { validate, createPostSchema, createCommentSchema } from '../middleware/validation.js';
+import { protect, actAsPage, checkSuspension } from '../middleware/auth.js';
+import {
+  validate,
+  createPostSchema,
+  createCommentSchema,
+  updateCommentSchema,
+  commentReactionSchema,
+  hideCommentSchema,
+} from '../middleware/validation.js';
 import * as postController from '../controllers/postController.js';
+import * as commentController from '../controllers/commentController.js';
 
 const router = express.Router();
 
 // Post routes
-router.post('/', protect, postController.createPost);
+router.post('/', protect, checkSuspension('posting'), actAsPage('post_as_page'), postController.createPost);
 router.get('/feed', protect, postController.getFeed);
+
+router.get('/check-ins', protect, postController.getCheckIns);
+
+// Draft and scheduled post routes
+router.post('/drafts', protect, checkSuspension('posting'), actAsPage('post_as_page'), postController.createDraft);
+router.get('/drafts', protect, postController.getDrafts);
+router.get('/drafts/:draftId', protect, postController.getDraft);
+router.put('/drafts/:draftId', protect, checkSuspension('posting'), postController.updateDraft);
+router.delete('/drafts/:draftId', protect, postController.deleteDraft);
+router.post('/drafts/:draftId/publish', protect, checkSuspension('posting'), postController.publishDraftNow);
+
 router.get('/:id', protect, postController.getPost);
-router.put('/:id', protect, postController.updatePost);
+router.put('/:id', protect, checkSuspension('posting'), postController.updatePost);
+router.get('/:id/history', protect, postController.getPostHistory);
 router.delete('/:id', protect, postController.deletePost);
 router.post('/:id/react', protect, postController.reactToPost);
-router.post('/:id/comments', protect, validate(createCommentSchema), postController.addComment);
-router.post('/:id/share', protect, postController.sharePost);
+router.post('/:id/share', protect, checkSuspension('posting'), postController.sharePost);
 router.post('/:id/save', protect, postController.savePost);
+router.delete('/:id/save', protect, postController.unsavePost);
 router.post('/:id/hide', protect, postController.hidePost);
 router.get('/:id/media', protect, postController.getMedia);
-router.get('/:id/comments', protect, postController.getComments)
+
+// Comment routes
+router.get('/:id/comments', protect, commentController.getComments);
+router.post('/:id/comments', protect, checkSuspension('posting'), actAsPage('moderate_comments'), validate(createCommentSchema), commentController.addComment);
+router.get('/:id/comments/:commentId/replies', protect, commentController.getCommentReplies);
+router.put('/:id/comments/:commentId', protect, checkSuspension('posting'), validate(updateCommentSchema), commentController.updateComment);
+router.delete('/:id/comments/:commentId', protect, commentController.deleteComment);
+router.post('/:id/comments/:commentId/react', protect, validate(commentReactionSchema), commentController.reactToComment);
+router.post('/:id/comments/:commentId/hide', protect, validate(hideCommentSchema), commentController.toggleHideComment);
+router.post('/:id/comments/:commentId/pin', protect, commentController.togglePinComment);
+
+// Poll and event routes
+router.post('/:id/poll/vote', protect, postController.votePoll);
+router.delete('/:id/poll/vote', protect, postController.retractPollVote);
+router.get('/:id/poll/voters', protect, postController.getPollVoters);
+router.post('/:id/poll/close', protect, postController.closePoll);
+router.post('/:id/event/rsvp', protect, postController.rsvpEvent);
+router.delete('/:id/event/rsvp', protect, postController.cancelEventRsvp);
+router.get('/:id/event/attendees', protect, postController.getEventAttendees);
+router.post('/:id/event/cancel', protect, postController.cancelEvent);
 
 
 export default router;
\ No newline at end of file
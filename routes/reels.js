@@ -33,7 +33,7 @@ import {
   moderateComment,
 } from "../controllers/reelCommentController.js";
 
-import { protect } from "../middleware/auth.js";
+import { protect, actAsPage, authorize, checkSuspension } from "../middleware/auth.js";
 import { validateReel, validateComment } from "../middleware/validation.js";
 
 const router = express.Router();
@@ -44,7 +44,7 @@ router.use(protect);
 // ==================== COMMENT ROUTES ====================
 
 // Create a comment on a reel
-router.post("/:reelId/comments", validateComment, createComment);
+router.post("/:reelId/comments", checkSuspension("posting"), actAsPage("moderate_comments"), validateComment, createComment);
 
 // Get comments for a reel
 router.get("/:reelId/comments", getReelComments);
@@ -53,7 +53,7 @@ router.get("/:reelId/comments", getReelComments);
 router.get("/comments/:commentId/replies", getCommentReplies);
 
 // Update a comment
-router.put("/comments/:commentId", validateComment, updateComment);
+router.put("/comments/:commentId", checkSuspension("posting"), validateComment, updateComment);
 
 // Delete a comment
 router.delete("/comments/:commentId", deleteComment);
@@ -74,15 +74,15 @@ router.patch("/comments/:commentId/spam", flagCommentSpam);
 router.get("/comments/user", getUserComments);
 
 // Get flagged comments for moderation
-router.get("/comments/flagged", getFlaggedComments);
+router.get("/comments/flagged", authorize("moderator", "admin"), getFlaggedComments);
 
 // Moderate a comment
-router.patch("/comments/:commentId/moderate", moderateComment);
+router.patch("/comments/:commentId/moderate", authorize("moderator", "admin"), moderateComment);
 
 // ==================== REEL ROUTES ====================
 
 // Create a new reel
-router.post("/", validateReel, createReel);
+router.post("/", checkSuspension("posting"), validateReel, createReel);
 
 // Get all reels with filters and pagination
 router.get("/", getReels);
@@ -103,7 +103,7 @@ router.get("/user/:userId", getUserReels);
 router.get("/:id", getReelById);
 
 // Update a reel
-router.put("/:id", validateReel, updateReel);
+router.put("/:id", checkSuspension("posting"), validateReel, updateReel);
 
 // Delete a reel (soft delete)
 router.delete("/:id", deleteReel);
@@ -118,7 +118,7 @@ router.post("/:id/reactions", toggleReaction);
 router.post("/:id/save", toggleSaveReel);
 
 // Share a reel
-router.post("/:id/share", shareReel);
+router.post("/:id/share", checkSuspension("posting"), shareReel);
 
 // Get reel analytics
 router.get("/:id/analytics", getReelAnalytics);
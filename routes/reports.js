@@ -0,0 +1,22 @@
+import express from 'express';
+import { protect, authorize } from '../middleware/auth.js';
+import * as reportController from '../controllers/reportController.js';
+
+const router = express.Router();
+
+// Reporting routes
+router.post('/', protect, reportController.createReport);
+router.get('/mine', protect, reportController.getMyReports);
+
+// Moderation queue routes
+router.get('/queue', protect, authorize('moderator', 'admin'), reportController.getModerationQueue);
+router.get('/stats', protect, authorize('moderator', 'admin'), reportController.getModerationStats);
+router.get('/:id', protect, authorize('moderator', 'admin'), reportController.getReport);
+router.post('/:id/claim', protect, authorize('moderator', 'admin'), reportController.claimReport);
+router.post('/:id/release', protect, authorize('moderator', 'admin'), reportController.releaseReport);
+router.post('/:id/resolve', protect, authorize('moderator', 'admin'), reportController.resolveReport);
+router.post('/:id/dismiss', protect, authorize('moderator', 'admin'), reportController.dismissReport);
+router.post('/:id/escalate', protect, authorize('moderator', 'admin'), reportController.escalateReport);
+router.post('/:id/merge', protect, authorize('moderator', 'admin'), reportController.mergeReports);
+
+export default router;
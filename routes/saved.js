@@ -0,0 +1,19 @@
+import express from 'express';
+import { protect } from '../middleware/auth.js';
+import * as savedController from '../controllers/savedController.js';
+
+const router = express.Router();
+
+// Collection routes
+router.get('/collections', protect, savedController.getCollections);
+router.post('/collections', protect, savedController.createCollection);
+router.put('/collections/:id', protect, savedController.renameCollection);
+router.delete('/collections/:id', protect, savedController.deleteCollection);
+
+// Saved item routes
+router.get('/', protect, savedController.getSavedItems);
+router.post('/', protect, savedController.saveItem);
+router.put('/:itemType/:itemId', protect, savedController.moveSavedItem);
+router.delete('/:itemType/:itemId', protect, savedController.unsaveItem);
+
+export default router;
@@ -1,5 +1,5 @@
 import express from "express";
-import { protect } from "../middleware/auth.js";
+import { protect, authorize, checkSuspension } from "../middleware/auth.js";
 import {
   createStory,
   getTimelineStories,
@@ -16,7 +16,7 @@ import backgroundJobManager from "../services/BackgroundJobManager.js";
 const router = express.Router();
 
 // Story routes
-router.post("/", protect, createStory);
+router.post("/", protect, checkSuspension("posting"), createStory);
 router.get("/timeline", protect, getTimelineStories);
 router.get("/my-stories", protect, getMyStories);
 router.get("/:id", protect, getStory);
@@ -25,11 +25,11 @@ router.get("/:id/viewers", protect, getStoryViewers);
 
 // Story interaction routes
 router.post("/:id/react", protect, addReaction);
-router.post("/:id/comment", protect, addComment);
+router.post("/:id/comment", protect, checkSuspension("posting"), addComment);
 router.get("/:id/interactions", protect, getStoryInteractions);
 
 // Admin/testing routes
-router.post("/cleanup", protect, async (req, res) => {
+router.post("/cleanup", protect, authorize("admin"), async (req, res) => {
   try {
     const deletedCount = await backgroundJobManager.deleteExpiredStoriesNow();
 
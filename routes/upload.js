@@ -9,5 +9,7 @@ router.post('/cloudinary', protect, uploadController.uploadToCloudinary);
 router.delete('/cloudinary/:publicId', protect, uploadController.deleteFromCloudinary);
 router.post('/profile-picture', protect, uploadController.uploadProfilePicture);
 router.post('/cover-photo', protect, uploadController.uploadCoverPhoto);
+router.post('/voice-note', protect, uploadController.uploadVoiceNote);
+router.post('/attachment', protect, uploadController.uploadAttachment);
 
 export default router;
\ No newline at end of file
@@ -1,5 +1,5 @@
 import express from 'express';
-import { protect } from '../middleware/auth.js';
+import { protect, allowSuspended } from '../middleware/auth.js';
 import { validate, updateProfileSchema } from '../middleware/validation.js';
 import * as userController from '../controllers/userController.js';
 
@@ -9,12 +9,28 @@ const router = express.Router();
 router.get('/search', protect, userController.searchUsers);
 router.put('/profile', protect, userController.updateProfile);
 router.get('/my-profile', protect, userController.getMyProfile);
+router.get('/friend-requests', protect, userController.getFriendRequests);
+router.get('/blocked', protect, userController.getBlockedUsers);
+router.get('/close-friends', protect, userController.getCloseFriends);
+router.get('/suspensions', allowSuspended, protect, userController.getMySuspensions);
+router.post('/suspensions/:suspensionId/appeal', allowSuspended, protect, userController.appealSuspension);
 router.get('/:id/posts', protect, userController.getUserPosts);
 router.post('/:id/follow', protect, userController.followUser);
 router.delete('/:id/unfollow', protect, userController.unfollowUser);
+router.post('/:id/friend-request', protect, userController.sendFriendRequest);
+router.delete('/:id/friend-request', protect, userController.cancelFriendRequest);
+router.post('/:id/friend-request/accept', protect, userController.acceptFriendRequest);
+router.post('/:id/friend-request/decline', protect, userController.declineFriendRequest);
+router.delete('/:id/unfriend', protect, userController.unfriendUser);
+router.post('/:id/close-friend', protect, userController.addCloseFriend);
+router.delete('/:id/close-friend', protect, userController.removeCloseFriend);
+router.post('/:id/block', protect, userController.blockUser);
+router.delete('/:id/unblock', protect, userController.unblockUser);
 router.get('/:id', protect, userController.getUserProfile);
 router.get('/:id/followers', protect, userController.getUserFollowers);
 router.get('/:id/following', protect, userController.getUserFollowing);
+router.get('/:id/friends', protect, userController.getUserFriends);
+router.get('/:id/mutual-friends', protect, userController.getMutualFriends);
 router.get('/:id/photos', protect, userController.getUserPhotos);
 router.get('/:id/videos', protect, userController.getUserVideos);
 
@@ -27,6 +27,10 @@ import storyRoutes from "./routes/stories.js";
 import searchRoutes from "./routes/search.js";
 import campaignRoutes from "./routes/campaign.js";
 import reelRoutes from "./routes/reels.js";
+import reportRoutes from "./routes/reports.js";
+import adminRoutes from "./routes/admin.js";
+import savedRoutes from "./routes/saved.js";
+import hashtagRoutes from "./routes/hashtags.js";
 import backgroundJobManager from "./services/BackgroundJobManager.js";
 import initializeSocket from "./socket/index.js";
 
@@ -37,6 +41,7 @@ import errorHandler from "./middleware/errorHandler.js";
 import { initAuth, getAuth } from "./config/auth.js";
 
 import { connectDB } from "./config/database.js";
+import { runMigrations } from "./migrations/index.js";
 
 dotenv.config();
 
@@ -59,13 +64,14 @@ const corsOptions = {
   origin: [process.env.FRONTEND_URL, 'http://localhost:3000', 'http://localhost:3001'],
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Acting-As-Page']
 };
 
 app.use(cors(corsOptions));
 
 
 await connectDB();
+await runMigrations(); // data and index changes the new code relies on
 await initAuth(); // <--- wait for DB, then setup Better Auth
 
 const auth = getAuth();
@@ -83,7 +89,7 @@ app.use(cookieParser());
 const server = http.createServer(app);
 
 // Initialize Socket.IO
-initializeSocket(server);
+await initializeSocket(server);
 
 // Initialize background jobs
 backgroundJobManager.init();
@@ -127,15 +133,19 @@ app.use("/api/stories", storyRoutes);
 app.use('/api/search', searchRoutes);
 app.use("/api/campaigns", campaignRoutes);
 app.use("/api/reels", reelRoutes);
+app.use("/api/reports", reportRoutes);
+app.use("/api/admin", adminRoutes);
+app.use("/api/saved", savedRoutes);
+app.use("/api/hashtags", hashtagRoutes);
 
 // Health check
-app.get("/api/health", (req, res) => {
+app.get("/api/health", async (req, res) => {
   res.status(200).json({
     status: "success",
     message: "Social Networking API is running",
     timestamp: new Date().toISOString(),
     socketConnections: global.socketHandlers
-      ? global.socketHandlers.getOnlineUsers().length
+      ? await global.socketHandlers.countOnlineUsers().catch(() => 0)
       : 0,
     architecture: "MVC Pattern",
   });
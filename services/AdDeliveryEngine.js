@@ -16,6 +16,7 @@ class AdDeliveryEngine {
     try {
       const activeAds = await Ad.find({
         status: 'active',
+        'review.status': 'approved',
         'delivery.isDelivering': true,
         'schedule.startDate': { $lte: new Date() },
         'schedule.endDate': { $gte: new Date() }
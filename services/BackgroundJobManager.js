@@ -3,11 +3,36 @@ import Story from '../models/Story.js';
 import Notification from '../models/Notification.js';
 import UserSession from '../models/UserSession.js';
 import ContentScore from '../models/ContentScore.js';
+import Report from '../models/Report.js';
+import User from '../models/User.js';
+import Message from '../models/Message.js';
+import Conversation from '../models/Conversation.js';
+import PostDraft from '../models/PostDraft.js';
+import ChatUpload from '../models/ChatUpload.js';
+import { deleteByUrl } from '../utils/cloudinary.js';
+import { announceSuspensionLifted } from '../utils/suspension.js';
+import { publishDraft } from '../utils/postPublishing.js';
+import NotificationHelper from '../utils/notificationHelper.js';
+import syncService from './SyncService.js';
+import receiptService from './ReceiptService.js';
+import postTypeService from './PostTypeService.js';
+import encryptionService, { RETIRED_KEY_GRACE_MS } from './EncryptionService.js';
+import { currentMasterKeyId } from '../utils/encryption.js';
+
+// Conversations and messages handled per run of the message key rotation job
+const KEY_BATCH_SIZE = 100;
+const RESEAL_BATCH_SIZE = 500;
+
+// Scheduled posts published per run of the post publishing job
+const PUBLISH_BATCH_SIZE = 100;
 
 class BackgroundJobManager {
   constructor() {
     this.jobs = new Map();
+    this.tasks = new Map();
     this.isRunning = false;
+    // Last message each reseal pass got to, by pass
+    this.resealCursors = new Map();
   }
 
   // Initialize all background jobs
@@ -31,13 +56,34 @@ class BackgroundJobManager {
     // Clean up expired content scores every day
     this.scheduleContentScoreCleanup();
 
+    // Escalate reports that missed their review deadline every 15 minutes
+    this.scheduleReportSlaCheck();
+
+    // Lift suspensions that reached their end date every 5 minutes
+    this.scheduleSuspensionLift();
+
+    // Purge expired disappearing messages every minute
+    this.scheduleMessageExpiry();
+
+    // Encrypt plaintext messages and rotate message keys every 15 minutes
+    this.scheduleMessageKeyRotation();
+
+    // Publish scheduled posts that are due every minute
+    this.schedulePostPublishing();
+
+    // Remind attendees of events starting within a day every 15 minutes
+    this.scheduleEventReminders();
+
+    // End calls left ringing or without connected participants every minute
+    this.scheduleCallSweep();
+
     this.isRunning = true;
     console.log('✅ Background jobs initialized successfully');
   }
 
   // Schedule story cleanup job
   scheduleStoryCleanup() {
-    const job = cron.schedule('0 * * * *', async () => { // Every hour
+    const task = async () => {
       try {
         console.log('🧹 Running story cleanup job...');
         
@@ -64,18 +110,21 @@ class BackgroundJobManager {
       } catch (error) {
         console.error('❌ Error in story cleanup job:', error);
       }
-    }, {
+    };
+
+    const job = cron.schedule('0 * * * *', task, { // Every hour
       scheduled: false
     });
 
     this.jobs.set('storyCleanup', job);
+    this.tasks.set('storyCleanup', task);
     job.start();
     console.log('📅 Story cleanup job scheduled (every hour)');
   }
 
   // Schedule notification cleanup job
   scheduleNotificationCleanup() {
-    const job = cron.schedule('0 2 * * *', async () => { // Every day at 2 AM
+    const task = async () => {
       try {
         console.log('🧹 Running notification cleanup job...');
         
@@ -91,18 +140,21 @@ class BackgroundJobManager {
       } catch (error) {
         console.error('❌ Error in notification cleanup job:', error);
       }
-    }, {
+    };
+
+    const job = cron.schedule('0 2 * * *', task, { // Every day at 2 AM
       scheduled: false
     });
 
     this.jobs.set('notificationCleanup', job);
+    this.tasks.set('notificationCleanup', task);
     job.start();
     console.log('📅 Notification cleanup job scheduled (daily at 2 AM)');
   }
 
   // Schedule user session cleanup job
   scheduleSessionCleanup() {
-    const job = cron.schedule('0 */6 * * *', async () => { // Every 6 hours
+    const task = async () => {
       try {
         console.log('🧹 Running session cleanup job...');
         
@@ -120,18 +172,21 @@ class BackgroundJobManager {
       } catch (error) {
         console.error('❌ Error in session cleanup job:', error);
       }
-    }, {
+    };
+
+    const job = cron.schedule('0 */6 * * *', task, { // Every 6 hours
       scheduled: false
     });
 
     this.jobs.set('sessionCleanup', job);
+    this.tasks.set('sessionCleanup', task);
     job.start();
     console.log('📅 Session cleanup job scheduled (every 6 hours)');
   }
 
   // Schedule content score cleanup job
   scheduleContentScoreCleanup() {
-    const job = cron.schedule('0 3 * * *', async () => { // Every day at 3 AM
+    const task = async () => {
       try {
         console.log('🧹 Running content score cleanup job...');
         
@@ -146,15 +201,496 @@ class BackgroundJobManager {
       } catch (error) {
         console.error('❌ Error in content score cleanup job:', error);
       }
-    }, {
+    };
+
+    const job = cron.schedule('0 3 * * *', task, { // Every day at 3 AM
       scheduled: false
     });
 
     this.jobs.set('contentScoreCleanup', job);
+    this.tasks.set('contentScoreCleanup', task);
     job.start();
     console.log('📅 Content score cleanup job scheduled (daily at 3 AM)');
   }
 
+  // Schedule report SLA check job
+  scheduleReportSlaCheck() {
+    const task = async () => {
+      try {
+        const escalated = await this.escalateOverdueReports();
+        if (escalated > 0) {
+          console.log(`⏰ Escalated ${escalated} overdue reports`);
+        }
+      } catch (error) {
+        console.error('❌ Error in report SLA check job:', error);
+      }
+    };
+
+    const job = cron.schedule('*/15 * * * *', task, { // Every 15 minutes
+      scheduled: false
+    });
+
+    this.jobs.set('reportSlaCheck', job);
+    this.tasks.set('reportSlaCheck', task);
+    job.start();
+    console.log('📅 Report SLA check job scheduled (every 15 minutes)');
+  }
+
+  // Escalate open reports past their review deadline that nobody escalated yet
+  async escalateOverdueReports() {
+    const overdueReports = await Report.find({
+      reviewDeadline: { $lt: new Date() },
+      status: { $in: ['pending', 'reviewing'] },
+      isDuplicate: false,
+      isEscalated: false
+    }).limit(500);
+
+    for (const report of overdueReports) {
+      await report.escalate(
+        report.escalationLevel + 1,
+        'Review deadline missed'
+      );
+    }
+
+    return overdueReports.length;
+  }
+
+  // Schedule suspension lift job
+  scheduleSuspensionLift() {
+    const task = async () => {
+      try {
+        const lifted = await User.liftExpiredSuspensions();
+
+        for (const { userId, scope, suspendedBy } of lifted) {
+          await announceSuspensionLifted(userId, suspendedBy || userId, scope);
+        }
+
+        if (lifted.length > 0) {
+          console.log(`🔓 Lifted ${lifted.length} expired suspensions`);
+        }
+      } catch (error) {
+        console.error('❌ Error in suspension lift job:', error);
+      }
+    };
+
+    const job = cron.schedule('*/5 * * * *', task, { // Every 5 minutes
+      scheduled: false
+    });
+
+    this.jobs.set('suspensionLift', job);
+    this.tasks.set('suspensionLift', task);
+    job.start();
+    console.log('📅 Suspension lift job scheduled (every 5 minutes)');
+  }
+
+  // Schedule disappearing message purge job
+  scheduleMessageExpiry() {
+    const task = async () => {
+      try {
+        const purged = await this.purgeExpiredMessages();
+        if (purged > 0) {
+          console.log(`💨 Purged ${purged} expired messages`);
+        }
+      } catch (error) {
+        console.error('❌ Error in message expiry job:', error);
+      }
+    };
+
+    const job = cron.schedule('* * * * *', task, { // Every minute
+      scheduled: false
+    });
+
+    this.jobs.set('messageExpiry', job);
+    this.tasks.set('messageExpiry', task);
+    job.start();
+    console.log('📅 Message expiry job scheduled (every minute)');
+  }
+
+  // Schedule message encryption key maintenance
+  scheduleMessageKeyRotation() {
+    const task = async () => {
+      try {
+        const result = await this.rotateMessageKeys();
+        if (result.rewrapped || result.rotated || result.resealed || result.dropped) {
+          console.log(
+            `🔐 Message keys: ${result.rewrapped} rewrapped, ${result.rotated} rotated, ` +
+            `${result.resealed} messages resealed, ${result.dropped} retired keys dropped`
+          );
+        }
+      } catch (error) {
+        console.error('❌ Error in message key rotation job:', error);
+      }
+    };
+
+    const job = cron.schedule('*/15 * * * *', task, { // Every 15 minutes
+      scheduled: false
+    });
+
+    this.jobs.set('messageKeyRotation', job);
+    this.tasks.set('messageKeyRotation', task);
+    job.start();
+    console.log('📅 Message key rotation job scheduled (every 15 minutes)');
+  }
+
+  // Schedule publishing of scheduled posts
+  schedulePostPublishing() {
+    const task = async () => {
+      try {
+        const { published, failed } = await this.publishScheduledPosts();
+        if (published > 0 || failed > 0) {
+          console.log(`📰 Published ${published} scheduled posts, ${failed} failed`);
+        }
+      } catch (error) {
+        console.error('❌ Error in post publishing job:', error);
+      }
+    };
+
+    const job = cron.schedule('* * * * *', task, { // Every minute
+      scheduled: false
+    });
+
+    this.jobs.set('postPublishing', job);
+    this.tasks.set('postPublishing', task);
+    job.start();
+    console.log('📅 Post publishing job scheduled (every minute)');
+  }
+
+  // Publish scheduled posts whose time has come. publishAt is stored in UTC, so the
+  // author's time zone only mattered when it was scheduled. Posts left half-published
+  // by a crash are picked up again once their claim goes stale
+  async publishScheduledPosts() {
+    const result = { published: 0, failed: 0 };
+    const now = new Date();
+
+    for (let i = 0; i < PUBLISH_BATCH_SIZE; i++) {
+      const draft = await PostDraft.claimForPublishing({
+        $and: [{
+          $or: [
+            { status: 'scheduled', publishAt: { $lte: now } },
+            { status: 'publishing' }
+          ]
+        }]
+      });
+      if (!draft) break;
+
+      try {
+        const { error } = await publishDraft(draft);
+
+        if (error) {
+          result.failed++;
+          await NotificationHelper.notifyScheduledPostFailed(draft.author, draft._id, error.message);
+        } else {
+          result.published++;
+        }
+      } catch (error) {
+        // Left in publishing, so it is retried once the claim is stale
+        result.failed++;
+        console.error(`❌ Error publishing scheduled post ${draft._id}:`, error);
+      }
+    }
+
+    return result;
+  }
+
+  // Schedule event reminders
+  scheduleEventReminders() {
+    const task = async () => {
+      try {
+        const sent = await postTypeService.sendEventReminders();
+        if (sent > 0) {
+          console.log(`⏰ Sent ${sent} event reminders`);
+        }
+      } catch (error) {
+        console.error('❌ Error in event reminder job:', error);
+      }
+    };
+
+    const job = cron.schedule('*/15 * * * *', task, { // Every 15 minutes
+      scheduled: false
+    });
+
+    this.jobs.set('eventReminders', job);
+    this.tasks.set('eventReminders', task);
+    job.start();
+    console.log('📅 Event reminder job scheduled (every 15 minutes)');
+  }
+
+  // Schedule stale call sweep job
+  scheduleCallSweep() {
+    const task = async () => {
+      try {
+        if (!global.socketHandlers) return;
+
+        const ended = await global.socketHandlers.calls.sweepStaleCalls();
+        if (ended > 0) {
+          console.log(`📞 Ended ${ended} stale calls`);
+        }
+      } catch (error) {
+        console.error('❌ Error in call sweep job:', error);
+      }
+    };
+
+    const job = cron.schedule('* * * * *', task, { // Every minute
+      scheduled: false
+    });
+
+    this.jobs.set('callSweep', job);
+    this.tasks.set('callSweep', task);
+    job.start();
+    console.log('📅 Call sweep job scheduled (every minute)');
+  }
+
+  // Keep message encryption current: rewrap data keys after a master key change,
+  // replace data keys older than MESSAGE_KEY_ROTATION_DAYS, reseal messages still in
+  // plaintext or under a retired key, and drop retired keys no message needs
+  async rotateMessageKeys() {
+    const result = { rewrapped: 0, rotated: 0, resealed: 0, dropped: 0 };
+    if (!encryptionService.isEnabled()) {
+      return result;
+    }
+
+    const masterKeyId = currentMasterKeyId();
+    const outdated = await Conversation.find({
+      'encryption.currentVersion': { $exists: true },
+      $or: [
+        { 'encryption.keys': { $elemMatch: { masterKeyId: { $ne: masterKeyId } } } },
+        { 'encryption.searchKey.masterKeyId': { $ne: masterKeyId } }
+      ]
+    })
+      .select('+encryption')
+      .limit(KEY_BATCH_SIZE);
+
+    for (const conversation of outdated) {
+      try {
+        if (await encryptionService.rewrapKeys(conversation)) {
+          result.rewrapped++;
+        }
+      } catch (error) {
+        console.error(`❌ Error rewrapping keys of conversation ${conversation._id}:`, error.message);
+      }
+    }
+
+    const maxAgeDays = Number(process.env.MESSAGE_KEY_ROTATION_DAYS) || 90;
+    const due = await Conversation.find({
+      'encryption.keys': {
+        $elemMatch: {
+          retiredAt: null,
+          createdAt: { $lt: new Date(Date.now() - maxAgeDays * 24 * 60 * 60 * 1000) }
+        }
+      }
+    })
+      .select('_id')
+      .limit(KEY_BATCH_SIZE);
+
+    for (const conversation of due) {
+      if (await encryptionService.rotateKey(conversation._id)) {
+        result.rotated++;
+      }
+    }
+
+    // Messages written before encryption was turned on
+    let budget = RESEAL_BATCH_SIZE;
+    const plaintext = await this.nextResealBatch('plaintext', { encryptedWith: null }, budget);
+    budget -= plaintext.length;
+    for (const message of plaintext) {
+      if (await this.resealMessage(message)) {
+        result.resealed++;
+      }
+    }
+
+    // Messages still sealed with a retired key
+    const retiring = await Conversation.find({
+      'encryption.keys': { $elemMatch: { retiredAt: { $ne: null } } }
+    })
+      .select('+encryption')
+      .limit(KEY_BATCH_SIZE);
+
+    for (const conversation of retiring) {
+      for (const key of conversation.encryption.keys.filter(k => k.retiredAt)) {
+        const messages = await this.nextResealBatch(
+          `${conversation._id}:${key.version}`,
+          { conversation: conversation._id, encryptedWith: key.version },
+          budget
+        );
+        budget -= messages.length;
+
+        for (const message of messages) {
+          if (await this.resealMessage(message)) {
+            result.resealed++;
+          }
+        }
+
+        // Plaintext messages can carry sealed link previews, so they hold the key too
+        const inUse = await Message.exists({
+          conversation: conversation._id,
+          encryptedWith: { $in: [key.version, null] }
+        });
+        if (!inUse && key.retiredAt < new Date(Date.now() - RETIRED_KEY_GRACE_MS)) {
+          await encryptionService.dropKey(conversation._id, key.version);
+          result.dropped++;
+        }
+      }
+    }
+
+    return result;
+  }
+
+  // Fetch the next messages of a reseal pass in _id order. Messages that could not
+  // be resealed are left behind instead of filling every batch, and a pass starts
+  // over from the beginning once it reaches the end
+  async nextResealBatch(pass, query, limit) {
+    if (limit <= 0) return [];
+
+    const after = this.resealCursors.get(pass);
+    const messages = await Message.find(after ? { ...query, _id: { $gt: after } } : query)
+      .sort({ _id: 1 })
+      .limit(limit);
+
+    if (messages.length < limit) {
+      this.resealCursors.delete(pass);
+    } else {
+      this.resealCursors.set(pass, messages[messages.length - 1]._id);
+    }
+    return messages;
+  }
+
+  // Seal a message again with its conversation's current key. Skipped when it
+  // changed since it was read or holds values that could not be opened
+  async resealMessage(message) {
+    try {
+      const data = message.toObject();
+      if (await encryptionService.openMessage(data) > 0) {
+        console.error(`❌ Message ${message._id} has content that cannot be opened, not resealing`);
+        return false;
+      }
+
+      await encryptionService.sealMessage(data);
+
+      const result = await Message.updateOne(
+        { _id: message._id, updatedAt: message.updatedAt },
+        {
+          $set: {
+            content: data.content,
+            editHistory: data.editHistory,
+            encryptedWith: data.encryptedWith
+          }
+        },
+        { timestamps: false }
+      );
+      return result.modifiedCount > 0;
+    } catch (error) {
+      console.error(`❌ Error resealing message ${message._id}:`, error.message);
+      return false;
+    }
+  }
+
+  // Delete expired disappearing messages with their media and tell participants
+  async purgeExpiredMessages() {
+    const expiredMessages = await Message.find({
+      expiresAt: { $lte: new Date() }
+    })
+      .select('conversation content.media threadRoot isDeleted')
+      .limit(500);
+
+    if (expiredMessages.length === 0) {
+      return 0;
+    }
+
+    const expiredIds = expiredMessages.map(message => message._id);
+
+    for (const message of expiredMessages) {
+      for (const media of message.content.media) {
+        // Only files the sender uploaded for chat are deleted, never what a
+        // client pointed its media at
+        if (!media.upload) continue;
+
+        // Forwarded copies share the original upload
+        const stillUsed = await Message.exists({
+          _id: { $nin: expiredIds },
+          'content.media.upload': media.upload
+        });
+        if (stillUsed) continue;
+
+        try {
+          const upload = await ChatUpload.findById(media.upload);
+          if (!upload) continue;
+
+          await deleteByUrl(upload.url, upload.publicId);
+          await ChatUpload.deleteOne({ _id: upload._id });
+        } catch (error) {
+          console.error(`❌ Error deleting media for message ${message._id}:`, error);
+        }
+      }
+    }
+
+    await Message.deleteMany({
+      _id: { $in: expiredIds }
+    });
+
+    for (const message of expiredMessages) {
+      // Deleted replies were already taken off their thread's count
+      if (message.threadRoot && !message.isDeleted) {
+        await Message.updateOne(
+          { _id: message.threadRoot },
+          { $inc: { 'thread.replyCount': -1 } }
+        );
+      }
+    }
+
+    await Conversation.updateMany(
+      { 'pinnedMessages.message': { $in: expiredIds } },
+      { $pull: { pinnedMessages: { message: { $in: expiredIds } } } }
+    );
+
+    const byConversation = new Map();
+    for (const message of expiredMessages) {
+      const conversationId = message.conversation.toString();
+      if (!byConversation.has(conversationId)) {
+        byConversation.set(conversationId, []);
+      }
+      byConversation.get(conversationId).push(message._id.toString());
+    }
+
+    for (const [conversationId, messageIds] of byConversation) {
+      await syncService.recordMany(conversationId, 'message_deleted', messageIds);
+
+      const conversation = await Conversation.findById(conversationId).select('lastMessage participants');
+      if (!conversation) continue;
+
+      // Expired messages no longer count as unread
+      for (const participant of conversation.participants) {
+        if (participant.isActive) {
+          await receiptService.recomputeUnread(conversationId, participant.user, { seen: false });
+        }
+      }
+
+      // Point the conversation preview at its newest remaining message
+      if (conversation.lastMessage && messageIds.includes(conversation.lastMessage.toString())) {
+        const latest = await Message.findOne({
+          conversation: conversationId,
+          threadRoot: null,
+          isDeleted: false
+        })
+          .sort({ createdAt: -1 })
+          .select('_id');
+
+        await Conversation.updateOne(
+          { _id: conversationId },
+          latest ? { lastMessage: latest._id } : { $unset: { lastMessage: 1 } }
+        );
+      }
+
+      if (global.socketHandlers) {
+        global.socketHandlers.emitToConversation(conversationId, 'message_expired', {
+          conversationId,
+          messageIds
+        });
+      }
+    }
+
+    return expiredMessages.length;
+  }
+
   // Schedule immediate story deletion (for testing or manual cleanup)
   async deleteExpiredStoriesNow() {
     try {
@@ -205,6 +741,18 @@ class BackgroundJobManager {
     };
   }
 
+  // Run a scheduled job immediately, outside its schedule
+  async runJob(jobName) {
+    const task = this.tasks.get(jobName);
+    if (!task) {
+      return false;
+    }
+
+    console.log(`▶️  Manually running ${jobName} job`);
+    await task();
+    return true;
+  }
+
   // Stop all jobs
   stopAllJobs() {
     console.log('🛑 Stopping all background jobs...');
@@ -222,6 +770,7 @@ class BackgroundJobManager {
   restartAllJobs() {
     this.stopAllJobs();
     this.jobs.clear();
+    this.tasks.clear();
     this.init();
   }
 }
@@ -0,0 +1,385 @@
+import mongoose from 'mongoose';
+import Conversation from '../models/Conversation.js';
+import {
+  isEncryptionEnabled,
+  currentMasterKeyId,
+  generateDataKey,
+  wrapKey,
+  unwrapKey,
+  parseSealed,
+  sealString,
+  openString,
+  blindTokens
+} from '../utils/encryption.js';
+
+// Unwrapped keys are cached for this long, so a key retired by rotation must stay
+// around at least twice as long before every server instance has stopped using it
+const KEY_CACHE_TTL_MS = 5 * 60 * 1000;
+export const RETIRED_KEY_GRACE_MS = 2 * KEY_CACHE_TTL_MS;
+
+const PREVIEW_FIELDS = ['url', 'title', 'description', 'image', 'siteName'];
+
+// Encryption at rest for message content. Text, attachment names and URLs, link
+// previews, locations and edit history are sealed with the conversation's data
+// key before they are written and opened again whenever messages are read.
+// Type, size and other metadata stay readable so filters and galleries still work.
+class EncryptionService {
+  constructor() {
+    this.keyRings = new Map(); // conversationId -> { currentVersion, keys, searchKey, expiresAt }
+  }
+
+  isEnabled() {
+    return isEncryptionEnabled();
+  }
+
+  // Unwrap and cache a conversation's stored keys
+  cacheKeyRing(conversationId, encryption) {
+    const ring = {
+      conversationId,
+      currentVersion: null,
+      keys: new Map(), // version -> data key
+      searchKey: null,
+      expiresAt: Date.now() + KEY_CACHE_TTL_MS
+    };
+
+    if (encryption && encryption.currentVersion) {
+      ring.currentVersion = encryption.currentVersion;
+
+      for (const key of encryption.keys) {
+        try {
+          ring.keys.set(key.version, unwrapKey(key));
+        } catch (error) {
+          console.error(`Cannot unwrap key ${key.version} of conversation ${conversationId}:`, error.message);
+        }
+      }
+
+      try {
+        ring.searchKey = unwrapKey(encryption.searchKey);
+      } catch (error) {
+        console.error(`Cannot unwrap search key of conversation ${conversationId}:`, error.message);
+      }
+    }
+
+    this.keyRings.set(conversationId, ring);
+    return ring;
+  }
+
+  // A conversation's keys; currentVersion is null when it has none yet
+  async getKeyRing(conversationId, refresh = false) {
+    const id = conversationId.toString();
+    const cached = this.keyRings.get(id);
+    if (!refresh && cached && cached.expiresAt > Date.now()) {
+      return cached;
+    }
+
+    const conversation = await Conversation.findById(id).select('+encryption');
+    return this.cacheKeyRing(id, conversation && conversation.encryption);
+  }
+
+  // Key rings of the given conversations that have keys, loaded in one query
+  async getKeyRings(conversationIds) {
+    const ids = conversationIds.map(id => id.toString());
+    const stale = ids.filter(id => {
+      const cached = this.keyRings.get(id);
+      return !cached || cached.expiresAt <= Date.now();
+    });
+
+    if (stale.length > 0) {
+      const conversations = await Conversation.find({ _id: { $in: stale } }).select('+encryption');
+      const found = new Map(conversations.map(c => [c._id.toString(), c.encryption]));
+      stale.forEach(id => this.cacheKeyRing(id, found.get(id)));
+    }
+
+    return ids
+      .map(id => this.keyRings.get(id))
+      .filter(ring => ring.currentVersion && ring.searchKey);
+  }
+
+  // Give a conversation its first keys; concurrent callers all end up with the same ones
+  async ensureKeyRing(conversationId) {
+    const ring = await this.getKeyRing(conversationId);
+    if (ring.currentVersion) return ring;
+
+    await Conversation.updateOne(
+      { _id: conversationId, 'encryption.currentVersion': { $exists: false } },
+      {
+        $set: {
+          encryption: {
+            currentVersion: 1,
+            keys: [{ version: 1, ...wrapKey(generateDataKey()), createdAt: new Date() }],
+            searchKey: wrapKey(generateDataKey())
+          }
+        }
+      }
+    );
+
+    const created = await this.getKeyRing(conversationId, true);
+    if (!created.currentVersion) {
+      throw new Error(`Cannot create encryption keys for conversation ${conversationId}`);
+    }
+    return created;
+  }
+
+  // Start sealing with a fresh data key. Older versions stay readable until the
+  // rotation job has resealed their messages
+  async rotateKey(conversationId) {
+    const conversation = await Conversation.findById(conversationId).select('+encryption');
+    if (!conversation || !conversation.encryption || !conversation.encryption.currentVersion) {
+      return null;
+    }
+
+    const { currentVersion, keys } = conversation.encryption;
+    const version = Math.max(...keys.map(key => key.version)) + 1;
+    const now = new Date();
+
+    const result = await Conversation.updateOne(
+      { _id: conversation._id, 'encryption.currentVersion': currentVersion },
+      {
+        $set: { 'encryption.currentVersion': version },
+        $push: { 'encryption.keys': { version, ...wrapKey(generateDataKey()), createdAt: now } }
+      }
+    );
+    if (result.modifiedCount === 0) return null;
+
+    await Conversation.updateOne(
+      { _id: conversation._id },
+      { $set: { 'encryption.keys.$[old].retiredAt': now } },
+      { arrayFilters: [{ 'old.version': { $lt: version }, 'old.retiredAt': null }] }
+    );
+
+    await this.getKeyRing(conversation._id, true);
+    return version;
+  }
+
+  // Rewrap a conversation's keys with the current master key. Returns whether anything changed
+  async rewrapKeys(conversation) {
+    const masterKeyId = currentMasterKeyId();
+    const { currentVersion, keys, searchKey } = conversation.encryption;
+    if (keys.every(key => key.masterKeyId === masterKeyId) && searchKey.masterKeyId === masterKeyId) {
+      return false;
+    }
+
+    // Unwrapping throws when the old master key is missing, leaving the keys as they were
+    const rewrapped = keys.map(key => ({
+      version: key.version,
+      ...wrapKey(unwrapKey(key)),
+      createdAt: key.createdAt,
+      retiredAt: key.retiredAt
+    }));
+
+    const result = await Conversation.updateOne(
+      { _id: conversation._id, 'encryption.currentVersion': currentVersion },
+      {
+        $set: {
+          'encryption.keys': rewrapped,
+          'encryption.searchKey': wrapKey(unwrapKey(searchKey))
+        }
+      }
+    );
+
+    this.keyRings.delete(conversation._id.toString());
+    return result.modifiedCount > 0;
+  }
+
+  // Remove a retired key version once no message is sealed with it
+  async dropKey(conversationId, version) {
+    await Conversation.updateOne(
+      { _id: conversationId },
+      { $pull: { 'encryption.keys': { version, retiredAt: { $ne: null } } } }
+    );
+    this.keyRings.delete(conversationId.toString());
+  }
+
+  // Seal one string with the ring's current key; sealed values are left as they are
+  sealValue(ring, value) {
+    if (typeof value !== 'string' || value === '' || parseSealed(value)) {
+      return value;
+    }
+    return sealString(ring.keys.get(ring.currentVersion), ring.conversationId, ring.currentVersion, value);
+  }
+
+  // Seal a message's content with its conversation's current key and index its
+  // words for search. Works on documents and plain objects
+  async sealMessage(message) {
+    const conversationId = message.conversation._id || message.conversation;
+    const ring = await this.ensureKeyRing(conversationId);
+    if (!ring.keys.has(ring.currentVersion)) {
+      throw new Error(`Current encryption key of conversation ${conversationId} is unavailable`);
+    }
+
+    const seal = value => this.sealValue(ring, value);
+    const { content } = message;
+
+    if (content) {
+      content.searchTokens = content.text && !parseSealed(content.text) && ring.searchKey
+        ? blindTokens(ring.searchKey, content.text)
+        : undefined;
+      content.text = seal(content.text);
+
+      (content.media || []).forEach(item => {
+        item.url = seal(item.url);
+        item.filename = seal(item.filename);
+      });
+
+      (content.linkPreviews || []).forEach(preview => {
+        PREVIEW_FIELDS.forEach(field => {
+          preview[field] = seal(preview[field]);
+        });
+      });
+
+      // Coordinates are numbers, so the whole location is sealed as one value
+      const location = content.location;
+      if (location && (location.latitude != null || location.longitude != null || location.address)) {
+        const { latitude, longitude, address } = location;
+        content.location = { sealed: seal(JSON.stringify({ latitude, longitude, address })) };
+      }
+    }
+
+    (message.editHistory || []).forEach(entry => {
+      entry.content = seal(entry.content);
+    });
+
+    message.encryptedWith = ring.currentVersion;
+  }
+
+  // Sealed copies of link previews for a direct update of an existing message.
+  // Returns { linkPreviews, version }
+  async sealLinkPreviews(conversationId, linkPreviews) {
+    const ring = await this.ensureKeyRing(conversationId);
+    return {
+      linkPreviews: linkPreviews.map(preview => {
+        const sealed = { ...preview };
+        PREVIEW_FIELDS.forEach(field => {
+          sealed[field] = this.sealValue(ring, sealed[field]);
+        });
+        return sealed;
+      }),
+      version: ring.currentVersion
+    };
+  }
+
+  // Open one sealed string; anything else, or a value that cannot be opened, comes back as is
+  async openValue(value) {
+    const sealed = parseSealed(value);
+    if (!sealed) return value;
+
+    let ring = await this.getKeyRing(sealed.conversationId);
+    if (!ring.keys.has(sealed.version)) {
+      // Sealed by a key created since the cache was filled
+      ring = await this.getKeyRing(sealed.conversationId, true);
+    }
+
+    const key = ring.keys.get(sealed.version);
+    if (!key) return value;
+
+    try {
+      return openString(key, sealed);
+    } catch (error) {
+      console.error(`Cannot open sealed value in conversation ${sealed.conversationId}:`, error.message);
+      return value;
+    }
+  }
+
+  // Open every sealed string field of an object in place, such as a gallery item.
+  // Returns how many stayed sealed
+  async openObject(target, fields = Object.keys(target)) {
+    let unopened = 0;
+
+    for (const field of fields) {
+      const value = target[field];
+      if (!parseSealed(value)) continue;
+
+      const opened = await this.openValue(value);
+      if (opened === value) {
+        unopened++;
+      } else {
+        target[field] = opened;
+      }
+    }
+
+    return unopened;
+  }
+
+  // Open a message's sealed content in place. Documents are left unmodified as far
+  // as Mongoose is concerned, so saving them later does not rewrite the content.
+  // Returns how many values stayed sealed
+  async openMessage(message) {
+    const isDocument = message instanceof mongoose.Document;
+    const dirty = isDocument ? new Set(message.modifiedPaths({ includeChildren: true })) : null;
+    const { content } = message;
+    let unopened = 0;
+
+    if (content) {
+      unopened += await this.openObject(content, ['text']);
+
+      for (const item of content.media || []) {
+        unopened += await this.openObject(item, ['url', 'filename']);
+      }
+
+      for (const preview of content.linkPreviews || []) {
+        unopened += await this.openObject(preview, PREVIEW_FIELDS);
+      }
+
+      if (content.location && content.location.sealed) {
+        const opened = await this.openValue(content.location.sealed);
+        if (opened === content.location.sealed) {
+          unopened++;
+        } else {
+          content.location = JSON.parse(opened);
+        }
+      }
+
+      // The blind index is for queries only
+      if (content.searchTokens !== undefined) {
+        content.searchTokens = undefined;
+      }
+    }
+
+    for (const entry of message.editHistory || []) {
+      unopened += await this.openObject(entry, ['content']);
+    }
+
+    if (isDocument) {
+      this.unmarkOpened(message, dirty);
+    }
+
+    return unopened;
+  }
+
+  // Forget changes made by opening, keeping whatever the caller had modified before
+  unmarkOpened(document, dirty) {
+    for (const path of document.modifiedPaths({ includeChildren: true })) {
+      if (!dirty.has(path)) {
+        document.unmarkModified(path);
+      }
+    }
+
+    for (const subdoc of document.$getAllSubdocs()) {
+      for (const path of subdoc.modifiedPaths()) {
+        const fullPath = subdoc.$__fullPath ? subdoc.$__fullPath(path) : path;
+        if (!dirty.has(fullPath)) {
+          subdoc.unmarkModified(path);
+        }
+      }
+    }
+  }
+
+  // Open a batch of messages, documents or plain objects
+  async openMessages(messages) {
+    for (const message of messages) {
+      if (message && typeof message === 'object') {
+        await this.openMessage(message);
+      }
+    }
+  }
+
+  // Blind index tokens to look for in a conversation, from a search query
+  searchTokens(ring, query) {
+    return blindTokens(ring.searchKey, query);
+  }
+}
+
+// Create singleton instance
+const encryptionService = new EncryptionService();
+
+export default encryptionService;
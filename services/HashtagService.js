@@ -0,0 +1,331 @@
+import Post from '../models/Post.js';
+import Reel from '../models/Reel.js';
+import User from '../models/User.js';
+import Story from '../models/Story.js';
+import Group from '../models/Group.js';
+import Hashtag from '../models/Hashtag.js';
+import HashtagFollow from '../models/HashtagFollow.js';
+import NotificationHelper from '../utils/notificationHelper.js';
+import { extractHashtags, extractMentions } from '../utils/contentAnalysis.js';
+import savedItemService from './SavedItemService.js';
+import postTypeService from './PostTypeService.js';
+
+export const HASHTAG_CONTENT_TYPES = ['post', 'reel'];
+export const HASHTAG_SORTS = ['top', 'latest'];
+
+const MAX_HASHTAGS = 30;
+const MAX_MENTIONS = 50;
+const HASHTAG_NAME = /^[\w\u0590-\u05ff]{1,100}$/;
+
+// Posts and reels are merged into one list, so each is ranked up to this far
+const MAX_CONTENT_WINDOW = 500;
+
+const AUTHOR_FIELDS = 'name username profilePicture isVerified';
+
+// What a hashtag's top content is ranked by: reactions, then comments and shares weighing more
+const CONTENT_SOURCES = {
+  post: {
+    model: Post,
+    score: {
+      $add: [
+        { $size: { $ifNull: ['$reactions', []] } },
+        { $multiply: [{ $size: { $ifNull: ['$comments', []] } }, 2] },
+        { $multiply: [{ $size: { $ifNull: ['$shares', []] } }, 3] }
+      ]
+    }
+  },
+  reel: {
+    model: Reel,
+    score: {
+      $add: [
+        { $ifNull: ['$likeCount', 0] },
+        { $multiply: [{ $ifNull: ['$commentCount', 0] }, 2] },
+        { $multiply: [{ $ifNull: ['$shareCount', 0] }, 3] }
+      ]
+    }
+  }
+};
+
+// Hashtags and @mentions in posts, comments and stories, hashtag pages across
+// posts and reels, and the hashtags users follow
+class HashtagService {
+  // A hashtag as it is stored: lowercase and without its #, or null when it is not valid
+  normalizeName(name) {
+    if (typeof name !== 'string') return null;
+
+    const normalized = name.trim().replace(/^#/, '').toLowerCase();
+    return HASHTAG_NAME.test(normalized) ? normalized : null;
+  }
+
+  // Normalize a list of hashtags, dropping invalid ones and duplicates
+  normalize(hashtags = []) {
+    const names = (Array.isArray(hashtags) ? hashtags : [])
+      .map(tag => this.normalizeName(tag))
+      .filter(Boolean);
+
+    return [...new Set(names)].slice(0, MAX_HASHTAGS);
+  }
+
+  // Users @mentioned by username in a text whom the author may mention: active,
+  // not blocked either way and allowing it in their mention setting
+  async resolveMentions(authorId, text) {
+    const usernames = [...new Set(extractMentions(text).map(name => name.toLowerCase()))].slice(0, MAX_MENTIONS);
+    if (usernames.length === 0) return [];
+
+    const [users, blockedIds] = await Promise.all([
+      User.find({
+        username: { $in: usernames },
+        isActive: { $ne: false },
+        _id: { $ne: authorId }
+      }).select('privacy friends following'),
+      User.getBlockedUserIds(authorId)
+    ]);
+    const blocked = new Set(blockedIds.map(id => id.toString()));
+
+    return users
+      .filter(user => !blocked.has(user._id.toString()) && user.allowsMentionFrom(authorId))
+      .map(user => user._id);
+  }
+
+  // Hashtags and mentioned users of a text: { hashtags, mentions }
+  async analyzeText(authorId, text) {
+    return {
+      hashtags: this.normalize(extractHashtags(text)),
+      mentions: await this.resolveMentions(authorId, text)
+    };
+  }
+
+  // Whether a viewer (from savedItemService.getViewer) can open a post, reel or story
+  async canSee(itemType, item, viewer) {
+    switch (itemType) {
+      case 'post': {
+        // Posts in private and secret groups are for the group's members
+        const groupId = item.group?._id || item.group;
+        if (groupId) {
+          const canSeeGroup = await Group.exists({
+            _id: groupId,
+            $or: [
+              { privacy: 'public' },
+              { members: { $elemMatch: { user: viewer.userId, status: 'active' } } }
+            ]
+          });
+          if (!canSeeGroup) return false;
+        }
+        return !!(await Post.exists({ _id: item._id, ...savedItemService.visibilityQuery('post', viewer) }));
+      }
+      case 'reel':
+        return !!(await Reel.exists({ _id: item._id, ...savedItemService.visibilityQuery('reel', viewer) }));
+      case 'story':
+        return !!(await Story.exists({
+          _id: item._id,
+          isActive: true,
+          author: { $nin: viewer.blockedIds },
+          $or: [
+            { privacy: 'public' },
+            { author: viewer.userId },
+            { privacy: 'friends', author: { $in: viewer.friendIds } },
+            { privacy: 'close_friends', author: { $in: viewer.closeFriendOfIds } }
+          ]
+        }));
+      default:
+        throw new Error(`Unknown mention audience type: ${itemType}`);
+    }
+  }
+
+  // Notify mentioned users who can see the post, reel or story the mention is in
+  // (for comments, the one commented on); after an edit, pass the previous
+  // mentions so only new ones are told
+  async notifyMentions(authorId, mentions = [], { previous = [], data = {}, contentLabel = 'post', audience } = {}) {
+    const alreadyNotified = new Set(previous.map(id => id.toString()));
+
+    for (const userId of mentions) {
+      if (alreadyNotified.has(userId.toString())) continue;
+
+      try {
+        const viewer = await savedItemService.getViewer(userId);
+        if (!(await this.canSee(audience.itemType, audience.item, viewer))) continue;
+
+        await NotificationHelper.notifyMention(data, authorId, userId, contentLabel);
+      } catch (error) {
+        console.error('Error sending mention notification:', error);
+      }
+    }
+  }
+
+  // Query conditions for the posts or reels with a hashtag a viewer can see
+  contentQuery(itemType, name, viewer) {
+    const query = { ...savedItemService.visibilityQuery(itemType, viewer), hashtags: name };
+
+    // Group posts stay inside their group
+    if (itemType === 'post') {
+      query.group = null;
+    }
+
+    return query;
+  }
+
+  // A hashtag's page header. Returns { error } or { hashtag }
+  async getHashtag(name, userId) {
+    const tag = this.normalizeName(name);
+    if (!tag) {
+      return { error: { status: 400, message: 'Invalid hashtag' } };
+    }
+
+    const [viewer, hashtag] = await Promise.all([
+      savedItemService.getViewer(userId),
+      Hashtag.findOne({ name: tag })
+    ]);
+
+    const [postsCount, reelsCount, following] = await Promise.all([
+      Post.countDocuments(this.contentQuery('post', tag, viewer)),
+      Reel.countDocuments(this.contentQuery('reel', tag, viewer)),
+      hashtag ? HashtagFollow.exists({ user: userId, hashtag: hashtag._id }) : null
+    ]);
+
+    return {
+      hashtag: {
+        name: tag,
+        followersCount: hashtag ? hashtag.followersCount : 0,
+        postsCount,
+        reelsCount,
+        isFollowing: !!following
+      }
+    };
+  }
+
+  // Posts and reels with a hashtag in one list: "top" ranks them by engagement,
+  // "latest" by date. Only the first MAX_CONTENT_WINDOW of them can be paged
+  // through, and total is capped to match. Returns { error } or { items, total }
+  async getContent(name, userId, { sort = 'top', itemType, skip = 0, limit = 20 } = {}) {
+    const tag = this.normalizeName(name);
+    if (!tag) {
+      return { error: { status: 400, message: 'Invalid hashtag' } };
+    }
+    if (!HASHTAG_SORTS.includes(sort)) {
+      return { error: { status: 400, message: `Sort must be one of: ${HASHTAG_SORTS.join(', ')}` } };
+    }
+    if (itemType && !HASHTAG_CONTENT_TYPES.includes(itemType)) {
+      return { error: { status: 400, message: `Type must be one of: ${HASHTAG_CONTENT_TYPES.join(', ')}` } };
+    }
+
+    const viewer = await savedItemService.getViewer(userId);
+    const window = Math.min(skip + limit, MAX_CONTENT_WINDOW);
+
+    const ranked = await Promise.all(
+      (itemType ? [itemType] : HASHTAG_CONTENT_TYPES).map(async type => {
+        const { model, score } = CONTENT_SOURCES[type];
+        const query = this.contentQuery(type, tag, viewer);
+
+        const [entries, count] = await Promise.all([
+          model.aggregate([
+            { $match: query },
+            { $project: { createdAt: 1, score: sort === 'top' ? score : { $literal: 0 } } },
+            { $sort: { score: -1, createdAt: -1, _id: -1 } },
+            { $limit: window }
+          ]),
+          model.countDocuments(query)
+        ]);
+
+        return { entries: entries.map(entry => ({ ...entry, itemType: type })), count };
+      })
+    );
+
+    const page = ranked
+      .flatMap(result => result.entries)
+      .sort((a, b) => b.score - a.score || b.createdAt - a.createdAt)
+      .slice(skip, window);
+    const idsOf = type => page.filter(entry => entry.itemType === type).map(entry => entry._id);
+
+    const [posts, reels] = await Promise.all([
+      Post.find({ _id: { $in: idsOf('post') } })
+        .populate('author', AUTHOR_FIELDS)
+        .populate('authorPage', AUTHOR_FIELDS)
+        .populate('mentions', 'name username'),
+      Reel.find({ _id: { $in: idsOf('reel') } }).populate('author', AUTHOR_FIELDS)
+    ]);
+
+    const renderedPosts = await postTypeService.renderPosts(posts, userId);
+    const itemsById = new Map(
+      [...renderedPosts, ...reels.map(reel => reel.toObject())].map(item => [item._id.toString(), item])
+    );
+
+    return {
+      items: page
+        .filter(entry => itemsById.has(entry._id.toString()))
+        .map(entry => ({ itemType: entry.itemType, item: itemsById.get(entry._id.toString()) })),
+      total: Math.min(ranked.reduce((sum, result) => sum + result.count, 0), MAX_CONTENT_WINDOW)
+    };
+  }
+
+  // Follow a hashtag. Returns { error } or { hashtag, created }
+  async follow(userId, name) {
+    const tag = this.normalizeName(name);
+    if (!tag) {
+      return { error: { status: 400, message: 'Invalid hashtag' } };
+    }
+
+    let hashtag;
+    try {
+      hashtag = await Hashtag.findOneAndUpdate(
+        { name: tag },
+        { $setOnInsert: { name: tag } },
+        { upsert: true, new: true }
+      );
+    } catch (error) {
+      // Created by another request at the same moment
+      if (error.code !== 11000) throw error;
+      hashtag = await Hashtag.findOne({ name: tag });
+    }
+
+    try {
+      await HashtagFollow.create({ user: userId, hashtag: hashtag._id });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      return { hashtag, created: false };
+    }
+
+    hashtag = await Hashtag.findByIdAndUpdate(hashtag._id, { $inc: { followersCount: 1 } }, { new: true });
+    return { hashtag, created: true };
+  }
+
+  // Unfollow a hashtag. Returns { error } or { hashtag, removed }
+  async unfollow(userId, name) {
+    const tag = this.normalizeName(name);
+    if (!tag) {
+      return { error: { status: 400, message: 'Invalid hashtag' } };
+    }
+
+    const hashtag = await Hashtag.findOne({ name: tag });
+    const follow = hashtag && (await HashtagFollow.findOneAndDelete({ user: userId, hashtag: hashtag._id }));
+    if (!follow) {
+      return { hashtag, removed: false };
+    }
+
+    const updated = await Hashtag.findByIdAndUpdate(hashtag._id, { $inc: { followersCount: -1 } }, { new: true });
+    return { hashtag: updated, removed: true };
+  }
+
+  // Hashtags a user follows, most recently followed first
+  async getFollowed(userId, { skip = 0, limit = 20 } = {}) {
+    const [follows, total] = await Promise.all([
+      HashtagFollow.find({ user: userId })
+        .populate('hashtag')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      HashtagFollow.countDocuments({ user: userId })
+    ]);
+
+    return {
+      hashtags: follows
+        .filter(follow => follow.hashtag)
+        .map(follow => ({ ...follow.hashtag.toObject(), followedAt: follow.createdAt })),
+      total
+    };
+  }
+}
+
+// Create singleton instance
+const hashtagService = new HashtagService();
+
+export default hashtagService;
@@ -0,0 +1,542 @@
+import mongoose from 'mongoose';
+import Post from '../models/Post.js';
+import PollVote from '../models/PollVote.js';
+import EventRsvp from '../models/EventRsvp.js';
+import NotificationHelper from '../utils/notificationHelper.js';
+import { isValidTimeZone, parseTimeInZone } from '../utils/timezone.js';
+import savedItemService from './SavedItemService.js';
+
+export const POST_TYPES = ['standard', 'poll', 'event', 'check_in'];
+export const RSVP_STATUSES = ['going', 'interested'];
+
+const MIN_POLL_OPTIONS = 2;
+const MAX_POLL_OPTIONS = 10;
+const MAX_POLL_HOURS = 30 * 24;
+
+// Attendees are reminded once, this long before an event starts
+const EVENT_REMINDER_LEAD_MS = 24 * 60 * 60 * 1000;
+const REMINDER_BATCH_SIZE = 100;
+
+const MAX_CHECK_IN_RADIUS_KM = 50;
+const EARTH_RADIUS_KM = 6371;
+
+// How often an RSVP is retried when another request for the same user changes it first
+const MAX_RSVP_ATTEMPTS = 2;
+
+const isPollOpen = (post, at = new Date()) =>
+  post.postType === 'poll' &&
+  !!post.poll &&
+  !post.poll.closedAt &&
+  (!post.poll.expiresAt || new Date(post.poll.expiresAt) > at);
+
+const isEventOpen = (post, at = new Date()) =>
+  post.postType === 'event' &&
+  !!post.event &&
+  !post.event.cancelledAt &&
+  new Date(post.event.endsAt || post.event.startsAt) > at;
+
+// Give back a seat reserved for a "going" RSVP that was not recorded
+const releaseSeat = (postId, status) =>
+  status === 'going'
+    ? Post.updateOne({ _id: postId }, { $inc: { 'event.goingCount': -1 } })
+    : null;
+
+const distanceKm = (from, to) => {
+  const toRadians = degrees => (degrees * Math.PI) / 180;
+  const dLat = toRadians(to.latitude - from.latitude);
+  const dLng = toRadians(to.longitude - from.longitude);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
+
+// Polls, events and check-ins: validating what a post of each type carries,
+// votes and RSVPs with their notifications, and the data clients render them with
+class PostTypeService {
+  isPollOpen(post) {
+    return isPollOpen(post);
+  }
+
+  isEventOpen(post) {
+    return isEventOpen(post);
+  }
+
+  // Check the type-specific part of a new post. Returns { error } or { fields } to
+  // merge into the post; check-ins bring their place as the post's location
+  buildTypeFields({ postType = 'standard', poll, event, checkIn } = {}, now = new Date()) {
+    if (!POST_TYPES.includes(postType)) {
+      return { error: { status: 400, message: `Post type must be one of: ${POST_TYPES.join(', ')}` } };
+    }
+
+    switch (postType) {
+      case 'poll':
+        return this.buildPoll(poll, now);
+      case 'event':
+        return this.buildEvent(event, now);
+      case 'check_in':
+        return this.buildCheckIn(checkIn);
+      default:
+        return { fields: { postType } };
+    }
+  }
+
+  buildPoll(poll, now) {
+    if (!poll || typeof poll.question !== 'string' || !poll.question.trim()) {
+      return { error: { status: 400, message: 'A poll needs a question' } };
+    }
+
+    const options = Array.isArray(poll.options)
+      ? poll.options.map(option => (typeof option === 'string' ? option.trim() : ''))
+      : [];
+    if (options.length < MIN_POLL_OPTIONS || options.length > MAX_POLL_OPTIONS || options.some(option => !option)) {
+      return {
+        error: {
+          status: 400,
+          message: `A poll needs between ${MIN_POLL_OPTIONS} and ${MAX_POLL_OPTIONS} non-empty options`
+        }
+      };
+    }
+    if (new Set(options.map(option => option.toLowerCase())).size !== options.length) {
+      return { error: { status: 400, message: 'Poll options must be different from each other' } };
+    }
+
+    let expiresAt = null;
+    if (poll.durationHours != null) {
+      const hours = Number(poll.durationHours);
+      if (!(hours >= 1 && hours <= MAX_POLL_HOURS)) {
+        return { error: { status: 400, message: `Poll duration must be between 1 and ${MAX_POLL_HOURS} hours` } };
+      }
+      expiresAt = new Date(now.getTime() + hours * 60 * 60 * 1000);
+    }
+
+    return {
+      fields: {
+        postType: 'poll',
+        poll: {
+          question: poll.question.trim(),
+          options: options.map(text => ({ text })),
+          allowMultiple: !!poll.allowMultiple,
+          isAnonymous: !!poll.isAnonymous,
+          expiresAt
+        }
+      }
+    };
+  }
+
+  buildEvent(event, now) {
+    if (!event || typeof event.title !== 'string' || !event.title.trim()) {
+      return { error: { status: 400, message: 'An event needs a title' } };
+    }
+
+    const timezone = event.timezone || 'UTC';
+    if (!isValidTimeZone(timezone)) {
+      return { error: { status: 400, message: 'Invalid time zone' } };
+    }
+
+    const startsAt = parseTimeInZone(event.startsAt, timezone);
+    if (!startsAt || startsAt <= now) {
+      return { error: { status: 400, message: 'An event needs a start time in the future' } };
+    }
+
+    let endsAt;
+    if (event.endsAt) {
+      endsAt = parseTimeInZone(event.endsAt, timezone);
+      if (!endsAt || endsAt <= startsAt) {
+        return { error: { status: 400, message: 'An event must end after it starts' } };
+      }
+    }
+
+    let capacity = null;
+    if (event.capacity != null) {
+      capacity = Number(event.capacity);
+      if (!Number.isInteger(capacity) || capacity < 1) {
+        return { error: { status: 400, message: 'Capacity must be a positive whole number' } };
+      }
+    }
+
+    const venue = event.venue || {};
+
+    return {
+      fields: {
+        postType: 'event',
+        event: {
+          title: event.title.trim(),
+          startsAt,
+          endsAt,
+          timezone,
+          venue: {
+            name: venue.name,
+            address: venue.address,
+            isOnline: !!venue.isOnline,
+            url: venue.url
+          },
+          capacity
+        }
+      }
+    };
+  }
+
+  buildCheckIn(checkIn) {
+    const latitude = Number(checkIn?.latitude);
+    const longitude = Number(checkIn?.longitude);
+
+    if (!checkIn || typeof checkIn.name !== 'string' || !checkIn.name.trim()) {
+      return { error: { status: 400, message: 'A check-in needs the name of the place' } };
+    }
+    if (checkIn.latitude == null || checkIn.longitude == null || !(Math.abs(latitude) <= 90) || !(Math.abs(longitude) <= 180)) {
+      return { error: { status: 400, message: 'A check-in needs valid coordinates' } };
+    }
+
+    return {
+      fields: {
+        postType: 'check_in',
+        location: {
+          name: checkIn.name.trim(),
+          address: checkIn.address,
+          category: checkIn.category,
+          coordinates: { latitude, longitude }
+        }
+      }
+    };
+  }
+
+  // Vote in a poll, replacing the user's earlier vote. Returns { error } or { vote }
+  async vote(post, userId, optionIndexes) {
+    if (!isPollOpen(post)) {
+      return { error: { status: 400, message: 'This poll is closed' } };
+    }
+
+    const picked = [...new Set(Array.isArray(optionIndexes) ? optionIndexes.map(Number) : [])];
+    if (
+      picked.length === 0 ||
+      picked.some(index => !Number.isInteger(index) || index < 0 || index >= post.poll.options.length)
+    ) {
+      return { error: { status: 400, message: 'Pick at least one of the poll options' } };
+    }
+    if (picked.length > 1 && !post.poll.allowMultiple) {
+      return { error: { status: 400, message: 'This poll allows only one option' } };
+    }
+
+    const previous = await PollVote.findOneAndUpdate(
+      { post: post._id, user: userId },
+      { $set: { optionIndexes: picked } },
+      { upsert: true, new: false }
+    );
+
+    await this.applyVoteCounts(post._id, previous ? previous.optionIndexes : [], picked, previous ? 0 : 1);
+
+    if (!previous) {
+      try {
+        await NotificationHelper.notifyPollVote(post._id, userId, post.author._id || post.author, post.poll.isAnonymous);
+      } catch (error) {
+        console.error('Error sending poll vote notification:', error);
+      }
+    }
+
+    return { vote: { optionIndexes: picked } };
+  }
+
+  // Take back a vote. Returns { error } or { removed }
+  async retractVote(post, userId) {
+    if (!isPollOpen(post)) {
+      return { error: { status: 400, message: 'This poll is closed' } };
+    }
+
+    const previous = await PollVote.findOneAndDelete({ post: post._id, user: userId });
+    if (!previous) return { removed: false };
+
+    await this.applyVoteCounts(post._id, previous.optionIndexes, [], -1);
+    return { removed: true };
+  }
+
+  // Move the poll's counts from the old options of a vote to the new ones
+  async applyVoteCounts(postId, before, after, votersChange) {
+    const inc = {};
+    before.filter(index => !after.includes(index)).forEach(index => {
+      inc[`poll.options.${index}.votesCount`] = -1;
+    });
+    after.filter(index => !before.includes(index)).forEach(index => {
+      inc[`poll.options.${index}.votesCount`] = 1;
+    });
+    if (votersChange) {
+      inc['poll.votersCount'] = votersChange;
+    }
+
+    if (Object.keys(inc).length > 0) {
+      await Post.updateOne({ _id: postId }, { $inc: inc });
+    }
+  }
+
+  // Voters of a poll, optionally for one option. Returns { error } or { voters, total }
+  async getVoters(post, { optionIndex, skip = 0, limit = 20 } = {}) {
+    if (post.poll.isAnonymous) {
+      return { error: { status: 403, message: 'Votes in this poll are anonymous' } };
+    }
+
+    const query = { post: post._id };
+    if (optionIndex !== undefined) {
+      query.optionIndexes = Number(optionIndex);
+    }
+
+    const [votes, total] = await Promise.all([
+      PollVote.find(query)
+        .populate('user', 'name username profilePicture')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      PollVote.countDocuments(query)
+    ]);
+
+    return {
+      voters: votes.map(vote => ({ user: vote.user, optionIndexes: vote.optionIndexes, votedAt: vote.updatedAt })),
+      total
+    };
+  }
+
+  // Answer an event, or change the answer. A place among those going is taken
+  // before the RSVP is written, so capacity holds with concurrent answers.
+  // Returns { error } or { rsvp, changed }
+  async rsvp(post, userId, status, attempt = 0) {
+    if (!RSVP_STATUSES.includes(status)) {
+      return { error: { status: 400, message: `Status must be one of: ${RSVP_STATUSES.join(', ')}` } };
+    }
+    if (!isEventOpen(post)) {
+      return { error: { status: 400, message: 'This event is no longer taking RSVPs' } };
+    }
+
+    const existing = await EventRsvp.findOne({ post: post._id, user: userId });
+    if (existing && existing.status === status) {
+      return { rsvp: existing, changed: false };
+    }
+
+    if (status === 'going') {
+      const reserved = await Post.updateOne(
+        {
+          _id: post._id,
+          $or: [
+            { 'event.capacity': null },
+            { $expr: { $lt: ['$event.goingCount', '$event.capacity'] } }
+          ]
+        },
+        { $inc: { 'event.goingCount': 1 } }
+      );
+      if (reserved.modifiedCount === 0) {
+        return { error: { status: 409, message: 'This event is full' } };
+      }
+    }
+
+    // Move the RSVP on only from the answer read above, so of two requests
+    // for the same user just one changes it and counts
+    let rsvp = null;
+    try {
+      rsvp = existing
+        ? await EventRsvp.findOneAndUpdate(
+            { _id: existing._id, status: existing.status },
+            { $set: { status } },
+            { new: true }
+          )
+        : await EventRsvp.create({ post: post._id, user: userId, status });
+    } catch (error) {
+      if (error.code !== 11000) {
+        await releaseSeat(post._id, status);
+        throw error;
+      }
+    }
+
+    // Another request answered for this user in the meantime: give the seat back and start over
+    if (!rsvp) {
+      await releaseSeat(post._id, status);
+      if (attempt >= MAX_RSVP_ATTEMPTS) {
+        return { error: { status: 409, message: 'Your RSVP changed at the same time, please try again' } };
+      }
+      return this.rsvp(post, userId, status, attempt + 1);
+    }
+
+    const inc = {};
+    if (existing) {
+      inc[`event.${existing.status}Count`] = -1;
+    }
+    if (status === 'interested') {
+      inc['event.interestedCount'] = 1;
+    }
+    await Post.updateOne({ _id: post._id }, { $inc: inc });
+
+    try {
+      await NotificationHelper.notifyEventRsvp(post._id, userId, post.author._id || post.author, post.event.title, status);
+    } catch (error) {
+      console.error('Error sending event RSVP notification:', error);
+    }
+
+    return { rsvp, changed: true };
+  }
+
+  // Withdraw an RSVP. Returns { removed }
+  async cancelRsvp(post, userId) {
+    const existing = await EventRsvp.findOneAndDelete({ post: post._id, user: userId });
+    if (!existing) return { removed: false };
+
+    await Post.updateOne({ _id: post._id }, { $inc: { [`event.${existing.status}Count`]: -1 } });
+    return { removed: true };
+  }
+
+  // People who answered an event. Returns { attendees, total }
+  async getAttendees(post, { status, skip = 0, limit = 20 } = {}) {
+    const query = { post: post._id };
+    if (status) {
+      query.status = status;
+    }
+
+    const [rsvps, total] = await Promise.all([
+      EventRsvp.find(query)
+        .populate('user', 'name username profilePicture')
+        .sort({ createdAt: 1 })
+        .skip(skip)
+        .limit(limit),
+      EventRsvp.countDocuments(query)
+    ]);
+
+    return {
+      attendees: rsvps.map(rsvp => ({ user: rsvp.user, status: rsvp.status, respondedAt: rsvp.updatedAt })),
+      total
+    };
+  }
+
+  // Check-ins a user can see, newest first, near a point and/or by one author.
+  // Returns { checkIns, total }
+  async getCheckIns(viewerId, { latitude, longitude, radiusKm = 5, authorId, skip = 0, limit = 20 } = {}) {
+    const viewer = await savedItemService.getViewer(viewerId);
+    const query = {
+      ...savedItemService.visibilityQuery('post', viewer),
+      postType: 'check_in',
+      group: null
+    };
+
+    if (authorId) {
+      query.author = { $eq: new mongoose.Types.ObjectId(authorId.toString()), $nin: viewer.blockedIds };
+    }
+
+    const near = latitude != null && longitude != null;
+    const radius = Math.min(Math.max(Number(radiusKm) || 5, 0.1), MAX_CHECK_IN_RADIUS_KM);
+
+    if (near) {
+      // Narrow down with a bounding box, then keep what is inside the circle
+      const latDelta = (radius / EARTH_RADIUS_KM) * (180 / Math.PI);
+      const lngDelta = latDelta / Math.max(Math.cos((latitude * Math.PI) / 180), 0.01);
+      query['location.coordinates.latitude'] = { $gte: latitude - latDelta, $lte: latitude + latDelta };
+      query['location.coordinates.longitude'] = { $gte: longitude - lngDelta, $lte: longitude + lngDelta };
+    }
+
+    let posts = await Post.find(query)
+      .populate('author', 'name username profilePicture isVerified')
+      .sort({ createdAt: -1 })
+      .limit(near ? 1000 : skip + limit);
+
+    if (near) {
+      posts = posts.filter(post => distanceKm({ latitude, longitude }, post.location.coordinates) <= radius);
+    }
+
+    const total = near ? posts.length : await Post.countDocuments(query);
+    const page = posts.slice(skip, skip + limit).map(post => {
+      const checkIn = post.toObject();
+      if (near) {
+        checkIn.distanceKm = Math.round(distanceKm({ latitude, longitude }, post.location.coordinates) * 10) / 10;
+      }
+      return checkIn;
+    });
+
+    return { checkIns: page, total };
+  }
+
+  // Plain copies of posts with what the viewer needs to render polls and events:
+  // results, whether and how they voted, their RSVP and places left
+  async renderPosts(posts, viewerId) {
+    const plain = posts.map(post => (post && typeof post.toObject === 'function' ? post.toObject() : { ...post }));
+
+    const pollIds = plain.filter(post => post.postType === 'poll').map(post => post._id);
+    const eventIds = plain.filter(post => post.postType === 'event').map(post => post._id);
+
+    const [votes, rsvps] = await Promise.all([
+      pollIds.length > 0 ? PollVote.find({ post: { $in: pollIds }, user: viewerId }).lean() : [],
+      eventIds.length > 0 ? EventRsvp.find({ post: { $in: eventIds }, user: viewerId }).lean() : []
+    ]);
+    const votesByPost = new Map(votes.map(vote => [vote.post.toString(), vote.optionIndexes]));
+    const rsvpsByPost = new Map(rsvps.map(rsvp => [rsvp.post.toString(), rsvp.status]));
+    const now = new Date();
+
+    return plain.map(post => {
+      if (post.postType === 'poll' && post.poll) {
+        const votersCount = post.poll.votersCount || 0;
+        const voted = votesByPost.get(post._id.toString());
+
+        post.poll = {
+          ...post.poll,
+          options: post.poll.options.map((option, index) => ({
+            ...option,
+            index,
+            percentage: votersCount > 0 ? Math.round((option.votesCount / votersCount) * 100) : 0
+          })),
+          isOpen: isPollOpen(post, now),
+          hasVoted: !!voted,
+          votedOptionIndexes: voted || []
+        };
+      }
+
+      if (post.postType === 'event' && post.event) {
+        const { capacity, goingCount } = post.event;
+
+        post.event = {
+          ...post.event,
+          isOpen: isEventOpen(post, now),
+          hasStarted: new Date(post.event.startsAt) <= now,
+          spotsLeft: capacity == null ? null : Math.max(capacity - goingCount, 0),
+          isFull: capacity != null && goingCount >= capacity,
+          rsvpStatus: rsvpsByPost.get(post._id.toString()) || null
+        };
+      }
+
+      return post;
+    });
+  }
+
+  // Remind everyone who answered an event that starts soon, once per event.
+  // Returns how many reminders were sent
+  async sendEventReminders(now = new Date()) {
+    const events = await Post.find({
+      postType: 'event',
+      isActive: true,
+      'event.cancelledAt': null,
+      'event.reminderSentAt': null,
+      'event.startsAt': { $gt: now, $lte: new Date(now.getTime() + EVENT_REMINDER_LEAD_MS) }
+    })
+      .select('author event')
+      .limit(REMINDER_BATCH_SIZE);
+
+    let sent = 0;
+    for (const post of events) {
+      // Claim the event so another server does not remind the same people
+      const claimed = await Post.updateOne(
+        { _id: post._id, 'event.reminderSentAt': null },
+        { $set: { 'event.reminderSentAt': now } }
+      );
+      if (claimed.modifiedCount === 0) continue;
+
+      const rsvps = await EventRsvp.find({ post: post._id }).select('user');
+      for (const rsvp of rsvps) {
+        try {
+          await NotificationHelper.notifyEventReminder(post._id, post.author, rsvp.user, post.event.title, post.event.startsAt);
+          sent++;
+        } catch (error) {
+          console.error('Error sending event reminder:', error);
+        }
+      }
+    }
+
+    return sent;
+  }
+}
+
+// Create singleton instance
+const postTypeService = new PostTypeService();
+
+export default postTypeService;
@@ -0,0 +1,262 @@
+import mongoose from 'mongoose';
+import Conversation from '../models/Conversation.js';
+import Message from '../models/Message.js';
+import User from '../models/User.js';
+
+// Delivery and read receipts for conversation messages. REST handlers and socket
+// events both go through here so receipts and unread counts always agree.
+// Thread replies have their own read tracking and are left out of both.
+class ReceiptService {
+  // Messages that count towards a user's unread badge in a conversation
+  unreadQuery(conversationId, userId) {
+    return {
+      conversation: conversationId,
+      threadRoot: null,
+      sender: { $ne: userId },
+      isDeleted: false,
+      'readBy.user': { $ne: userId },
+      $and: [
+        { $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }] },
+        // Group change announcements never count, missed calls do
+        { $or: [{ type: { $ne: 'system' } }, { call: { $ne: null } }] }
+      ]
+    };
+  }
+
+  // Bump unread counts for a new message without overwriting concurrent updates.
+  // Counts go up for every active participant except the sender, or only for userIds
+  async incrementUnread(conversationId, senderId, userIds = null) {
+    const filter = userIds
+      ? { 'p.user': { $in: userIds.map(id => new mongoose.Types.ObjectId(id.toString())) }, 'p.isActive': true }
+      : { 'p.user': { $ne: new mongoose.Types.ObjectId(senderId.toString()) }, 'p.isActive': true };
+
+    await Conversation.updateOne(
+      { _id: conversationId },
+      { $inc: { 'participants.$[p].unreadCount': 1 } },
+      { arrayFilters: [filter] }
+    );
+  }
+
+  // Record that a user's device received messages
+  async markDelivered(userId, messageIds) {
+    const validIds = (messageIds || []).filter(id => mongoose.Types.ObjectId.isValid(id));
+    if (validIds.length === 0) return [];
+
+    const messages = await Message.find({
+      _id: { $in: validIds },
+      sender: { $ne: userId },
+      'deliveredTo.user': { $ne: userId }
+    }).select('conversation');
+
+    // Only messages in conversations the user belongs to
+    const conversations = await Conversation.find({
+      _id: { $in: [...new Set(messages.map(m => m.conversation.toString()))] },
+      participants: { $elemMatch: { user: userId, isActive: true } }
+    }).select('_id');
+    const allowed = new Set(conversations.map(c => c._id.toString()));
+    const delivered = messages.filter(m => allowed.has(m.conversation.toString()));
+
+    if (delivered.length === 0) return [];
+
+    const deliveredAt = new Date();
+    await Message.updateMany(
+      { _id: { $in: delivered.map(m => m._id) }, 'deliveredTo.user': { $ne: userId } },
+      { $push: { deliveredTo: { user: userId, deliveredAt } } }
+    );
+
+    const byConversation = new Map();
+    for (const message of delivered) {
+      const conversationId = message.conversation.toString();
+      if (!byConversation.has(conversationId)) {
+        byConversation.set(conversationId, []);
+      }
+      byConversation.get(conversationId).push(message._id);
+    }
+
+    for (const [conversationId, ids] of byConversation) {
+      this.broadcast(conversationId, 'message_delivered', {
+        conversationId,
+        messageIds: ids,
+        userId,
+        deliveredAt
+      });
+    }
+
+    return delivered.map(m => m._id);
+  }
+
+  // Mark every message up to and including upToMessageId as read (the newest message
+  // when omitted), then recompute the user's unread count from what is left.
+  // Returns { error } or { messageIds, unreadCount }
+  async markReadUpTo(userId, conversationId, upToMessageId = null) {
+    const conversation = mongoose.Types.ObjectId.isValid(conversationId)
+      ? await Conversation.findById(conversationId).select('participants')
+      : null;
+    if (!conversation || !conversation.isParticipant(userId)) {
+      return { error: { status: 403, message: 'Access denied to conversation' } };
+    }
+
+    let upTo = new Date();
+    if (upToMessageId) {
+      const anchor = mongoose.Types.ObjectId.isValid(upToMessageId)
+        ? await Message.findOne({ _id: upToMessageId, conversation: conversation._id }).select('createdAt')
+        : null;
+      if (!anchor) {
+        return { error: { status: 404, message: 'Message not found' } };
+      }
+      upTo = anchor.createdAt;
+    }
+
+    const readQuery = {
+      ...this.unreadQuery(conversation._id, userId),
+      createdAt: { $lte: upTo }
+    };
+
+    const unread = await Message.find(readQuery).select('_id');
+    const readAt = new Date();
+
+    if (unread.length > 0) {
+      const ids = unread.map(m => m._id);
+
+      await Message.updateMany(
+        { _id: { $in: ids }, 'readBy.user': { $ne: userId } },
+        { $push: { readBy: { user: userId, readAt } } }
+      );
+
+      // Reading a message implies it was delivered
+      await Message.updateMany(
+        { _id: { $in: ids }, 'deliveredTo.user': { $ne: userId } },
+        { $push: { deliveredTo: { user: userId, deliveredAt: readAt } } }
+      );
+    }
+
+    const unreadCount = await this.recomputeUnread(conversation._id, userId);
+
+    if (unread.length > 0) {
+      const payload = {
+        conversationId: conversation._id,
+        messageId: upToMessageId,
+        messageIds: unread.map(m => m._id),
+        userId,
+        readAt
+      };
+
+      // Users who turned read receipts off still sync their own devices
+      if (await this.sharesReadReceipts(userId)) {
+        this.broadcast(conversation._id, 'message_read', payload);
+      } else {
+        this.emitToUser(userId, 'message_read', payload);
+      }
+    }
+
+    return { messageIds: unread.map(m => m._id), unreadCount };
+  }
+
+  // Set a participant's unread count from the messages they have not read.
+  // Pass seen: false when the user did not look at the conversation themselves
+  async recomputeUnread(conversationId, userId, { seen = true } = {}) {
+    const unreadCount = await Message.countDocuments(this.unreadQuery(conversationId, userId));
+
+    const update = { 'participants.$.unreadCount': unreadCount };
+    if (seen) {
+      update['participants.$.lastSeen'] = new Date();
+    }
+
+    await Conversation.updateOne(
+      { _id: conversationId, 'participants.user': userId },
+      { $set: update }
+    );
+
+    this.emitToUser(userId, 'unread_count_updated', { conversationId, unreadCount });
+    return unreadCount;
+  }
+
+  // Check whether a user lets others see when they read messages
+  async sharesReadReceipts(userId) {
+    const user = await User.findById(userId).select('privacy.readReceipts');
+    return !user || user.privacy.readReceipts !== false;
+  }
+
+  // Hide read receipts that their readers opted out of sharing. Users who turned
+  // receipts off cannot see anyone else's either. Returns plain objects
+  async redactReadReceipts(messages, viewerId) {
+    const readerIds = new Set();
+    messages.forEach(message => {
+      (message.readBy || []).forEach(read => readerIds.add(read.user.toString()));
+    });
+    readerIds.add(viewerId.toString());
+
+    const hidden = await User.find({
+      _id: { $in: [...readerIds] },
+      'privacy.readReceipts': false
+    }).select('_id');
+    const hiddenIds = new Set(hidden.map(user => user._id.toString()));
+    const viewerHidden = hiddenIds.has(viewerId.toString());
+
+    return messages.map(message => {
+      const data = typeof message.toObject === 'function' ? message.toObject() : message;
+      data.readBy = (data.readBy || []).filter(read => {
+        const readerId = read.user.toString();
+        if (readerId === viewerId.toString()) return true;
+        return !viewerHidden && !hiddenIds.has(readerId);
+      });
+      return data;
+    });
+  }
+
+  // Per-participant delivery and read state of one message, as seen by viewerId.
+  // Returns { error } or { receipts }
+  async getReceipts(messageId, conversationId, viewerId) {
+    const message = mongoose.Types.ObjectId.isValid(messageId)
+      ? await Message.findOne({ _id: messageId, conversation: conversationId, isDeleted: false })
+      : null;
+    if (!message) {
+      return { error: { status: 404, message: 'Message not found' } };
+    }
+
+    const conversation = await Conversation.findById(conversationId)
+      .select('participants')
+      .populate('participants.user', 'name username profilePicture');
+    if (!conversation || !conversation.participants.some(
+      p => p.user && p.user._id.toString() === viewerId.toString() && p.isActive
+    )) {
+      return { error: { status: 403, message: 'Access denied to conversation' } };
+    }
+
+    const [redacted] = await this.redactReadReceipts([message], viewerId);
+
+    const receipts = conversation.participants
+      .filter(p => p.user && p.isActive && p.user._id.toString() !== message.sender.toString())
+      .map(p => {
+        const userId = p.user._id.toString();
+        const read = redacted.readBy.find(r => r.user.toString() === userId);
+        const delivered = message.deliveredTo.find(d => d.user.toString() === userId);
+
+        return {
+          user: p.user,
+          status: read ? 'read' : delivered ? 'delivered' : 'sent',
+          deliveredAt: delivered ? delivered.deliveredAt : null,
+          readAt: read ? read.readAt : null
+        };
+      });
+
+    return { receipts };
+  }
+
+  broadcast(conversationId, event, payload) {
+    if (global.socketHandlers) {
+      global.socketHandlers.emitToConversation(conversationId, event, payload);
+    }
+  }
+
+  emitToUser(userId, event, payload) {
+    if (global.socketHandlers) {
+      global.socketHandlers.emitToUser(userId, event, payload);
+    }
+  }
+}
+
+// Create singleton instance
+const receiptService = new ReceiptService();
+
+export default receiptService;
@@ -102,6 +102,8 @@ class RecommendationEngine {
       socialGraph: {
         following: user.following.map((f) => f._id),
         followers: user.followers.map((f) => f._id),
+        friends: user.getFriendIds(),
+        blocked: await User.getBlockedUserIds(userId),
       },
     };
   }
@@ -114,7 +116,9 @@ class RecommendationEngine {
     const timeWindow = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
 
     const baseQuery = {
+      author: { $nin: socialGraph.blocked },
       isActive: true,
+      "approval.status": { $nin: ["pending", "rejected"] },
       createdAt: { $gte: timeWindow },
     };
 
@@ -122,7 +126,7 @@ class RecommendationEngine {
     const [friendsPosts, popularPosts, localPosts, topicPosts, trendingPosts] =
       await Promise.all([
         // Friends' posts
-        this.getFriendsPosts(socialGraph.following, baseQuery, 100),
+        this.getFriendsPosts(socialGraph, baseQuery, 100),
 
         // Popular posts
         this.getPopularPosts(baseQuery, 50),
@@ -890,11 +894,16 @@ class RecommendationEngine {
   }
 
   // Helper methods
-  async getFriendsPosts(followingIds, baseQuery, limit) {
+  async getFriendsPosts(socialGraph, baseQuery, limit) {
     return Post.find({
       ...baseQuery,
-      author: { $in: followingIds },
-      privacy: { $in: ["public", "friends"] },
+      $or: [
+        {
+          author: { $in: socialGraph.friends },
+          privacy: { $in: ["public", "friends"] },
+        },
+        { author: { $in: socialGraph.following }, privacy: "public" },
+      ],
     })
       .populate("author", "name username profilePicture isVerified")
       .populate({
@@ -1023,6 +1032,10 @@ class RecommendationEngine {
   }
 
   getPostType(post) {
+    // Polls, events and check-ins are their own types whatever media they carry
+    if (post.postType && post.postType !== "standard") {
+      return post.postType;
+    }
     if (post.content.media && post.content.media.length > 0) {
       const mediaType = post.content.media[0].type;
       return mediaType === "image" ? "image" : "video";
@@ -1146,12 +1159,14 @@ class RecommendationEngine {
     const skip = (page - 1) * limit;
 
     const user = await User.findById(userId);
-    const followingIds = user.following;
+    const friendIds = user.getFriendIds();
+    const blockedIds = await User.getBlockedUserIds(userId);
 
     const posts = await Post.find({
+      author: { $nin: blockedIds },
       $or: [
         {
-          author: { $in: followingIds },
+          author: { $in: friendIds },
           privacy: { $in: ["public", "friends"] },
         },
         { privacy: "public" },
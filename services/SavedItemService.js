@@ -0,0 +1,316 @@
+import mongoose from 'mongoose';
+import Post from '../models/Post.js';
+import Reel from '../models/Reel.js';
+import Product from '../models/Product.js';
+import User from '../models/User.js';
+import ReelAnalytics from '../models/ReelAnalytics.js';
+import SavedItem from '../models/SavedItem.js';
+import SavedCollection from '../models/SavedCollection.js';
+import RecommendationEngine from './RecommendationEngine.js';
+
+const recommendationEngine = new RecommendationEngine();
+
+const ITEM_MODELS = { post: Post, reel: Reel, product: Product };
+export const SAVED_ITEM_TYPES = Object.keys(ITEM_MODELS);
+
+const ITEM_POPULATE = {
+  post: [
+    { path: 'author', select: 'name username profilePicture isVerified' },
+    { path: 'authorPage', select: 'name username profilePicture isVerified' }
+  ],
+  reel: [{ path: 'author', select: 'name username profilePicture isVerified' }],
+  product: [{ path: 'seller', select: 'name username profilePicture isVerified' }]
+};
+
+// Saved posts, reels and products. Saving only works for items the user can see,
+// and listings keep hiding items that were deleted or made private since
+class SavedItemService {
+  // The relationships item privacy is checked against
+  async getViewer(userId) {
+    const [user, closeFriendOfIds, blockedIds] = await Promise.all([
+      User.findById(userId).select('friends following'),
+      User.getCloseFriendOfIds(userId),
+      User.getBlockedUserIds(userId)
+    ]);
+
+    return {
+      userId: new mongoose.Types.ObjectId(userId.toString()),
+      friendIds: user ? user.getFriendIds() : [],
+      followingIds: user ? user.following : [],
+      closeFriendOfIds,
+      blockedIds
+    };
+  }
+
+  // Query conditions matching the items of a type a viewer can still see
+  visibilityQuery(itemType, viewer) {
+    const { userId, friendIds, followingIds, closeFriendOfIds, blockedIds } = viewer;
+
+    switch (itemType) {
+      case 'post':
+        return {
+          isActive: true,
+          author: { $nin: blockedIds },
+          $and: [
+            // Group posts waiting for approval are only visible to their author
+            { $or: [{ 'approval.status': { $in: ['approved', null] } }, { author: userId }] },
+            {
+              $or: [
+                { privacy: 'public' },
+                { author: userId },
+                { privacy: 'friends', author: { $in: friendIds } },
+                { privacy: 'close_friends', author: { $in: closeFriendOfIds } }
+              ]
+            }
+          ]
+        };
+      case 'reel':
+        return {
+          isDeleted: false,
+          isArchived: false,
+          author: { $nin: blockedIds },
+          $or: [
+            { privacy: 'public' },
+            { author: userId },
+            { privacy: 'friends', author: { $in: friendIds } },
+            { privacy: 'close_friends', author: { $in: closeFriendOfIds } },
+            { privacy: 'followers', author: { $in: followingIds } }
+          ]
+        };
+      case 'product':
+        return {
+          isActive: true,
+          'availability.status': { $ne: 'removed' },
+          seller: { $nin: blockedIds },
+          $or: [
+            { privacy: 'public' },
+            { seller: userId },
+            { privacy: 'friends', seller: { $in: friendIds } }
+          ]
+        };
+      default:
+        throw new Error(`Unknown saved item type: ${itemType}`);
+    }
+  }
+
+  // Check a type and ids from a request; returns an error or null
+  validate(itemType, itemId, collectionId = null) {
+    if (!SAVED_ITEM_TYPES.includes(itemType)) {
+      return { status: 400, message: `Item type must be one of: ${SAVED_ITEM_TYPES.join(', ')}` };
+    }
+    if (!mongoose.Types.ObjectId.isValid(itemId)) {
+      return { status: 400, message: 'Invalid item id' };
+    }
+    if (collectionId && !mongoose.Types.ObjectId.isValid(collectionId)) {
+      return { status: 400, message: 'Invalid collection id' };
+    }
+    return null;
+  }
+
+  // Load one of the user's collections, or report why it cannot be used
+  async findCollection(userId, collectionId) {
+    const collection = await SavedCollection.findOne({ _id: collectionId, user: userId });
+    return collection
+      ? { collection }
+      : { error: { status: 404, message: 'Collection not found' } };
+  }
+
+  // Save an item, or move it when it was already saved. A collectionId of null
+  // files it under "All saved" only; undefined leaves an existing item where it is.
+  // Returns { error } or { savedItem, created }
+  async save(userId, itemType, itemId, collectionId) {
+    const invalid = this.validate(itemType, itemId, collectionId);
+    if (invalid) return { error: invalid };
+
+    if (collectionId) {
+      const { error } = await this.findCollection(userId, collectionId);
+      if (error) return { error };
+    }
+
+    const viewer = await this.getViewer(userId);
+    const item = await ITEM_MODELS[itemType].findOne({
+      _id: itemId,
+      ...this.visibilityQuery(itemType, viewer)
+    });
+    if (!item) {
+      return { error: { status: 404, message: 'Item not found' } };
+    }
+
+    const existing = await SavedItem.findOne({ user: userId, itemType, item: item._id });
+    if (existing) {
+      if (collectionId !== undefined) {
+        existing.savedCollection = collectionId || null;
+        await existing.save();
+      }
+      return { savedItem: existing, created: false };
+    }
+
+    let savedItem;
+    try {
+      savedItem = await SavedItem.create({
+        user: userId,
+        itemType,
+        item: item._id,
+        savedCollection: collectionId || null
+      });
+    } catch (error) {
+      // Saved twice at once: the other request won
+      if (error.code === 11000) {
+        return { savedItem: await SavedItem.findOne({ user: userId, itemType, item: item._id }), created: false };
+      }
+      throw error;
+    }
+
+    await this.onSaved(userId, itemType, item);
+    return { savedItem, created: true };
+  }
+
+  // Move a saved item to a collection, or out of all collections with null.
+  // Returns { error } or { savedItem }
+  async move(userId, itemType, itemId, collectionId) {
+    const invalid = this.validate(itemType, itemId, collectionId);
+    if (invalid) return { error: invalid };
+
+    if (collectionId) {
+      const { error } = await this.findCollection(userId, collectionId);
+      if (error) return { error };
+    }
+
+    const savedItem = await SavedItem.findOneAndUpdate(
+      { user: userId, itemType, item: itemId },
+      { $set: { savedCollection: collectionId || null } },
+      { new: true }
+    );
+    if (!savedItem) {
+      return { error: { status: 404, message: 'Item is not saved' } };
+    }
+
+    return { savedItem };
+  }
+
+  // Remove an item from the user's saved items, whatever state the item is in now.
+  // Returns { error } or { removed }
+  async unsave(userId, itemType, itemId) {
+    const invalid = this.validate(itemType, itemId);
+    if (invalid) return { error: invalid };
+
+    const result = await SavedItem.deleteOne({ user: userId, itemType, item: itemId });
+    let removed = result.deletedCount > 0;
+
+    // Reels also keep their own list of who saved them
+    if (itemType === 'reel') {
+      const reel = await Reel.findById(itemId);
+      if (reel && reel.hasUserSaved(userId)) {
+        await reel.removeSave(userId);
+        await this.addReelSaveEngagement(reel._id, -1);
+        removed = true;
+      }
+    }
+
+    return { removed };
+  }
+
+  // Keep recommendations and reel save counts in step with saves
+  async onSaved(userId, itemType, item) {
+    if (itemType === 'post') {
+      recommendationEngine.trackInteraction(userId, 'post', item._id, 'save', {
+        postAuthor: item.author.toString()
+      });
+    } else if (itemType === 'product') {
+      recommendationEngine.trackInteraction(userId, 'product', item._id, 'save', {
+        seller: item.seller.toString()
+      });
+    } else if (itemType === 'reel' && !item.hasUserSaved(userId)) {
+      await item.addSave(userId);
+      await this.addReelSaveEngagement(item._id, 1);
+    }
+  }
+
+  async addReelSaveEngagement(reelId, count) {
+    const analytics = await ReelAnalytics.findOne({ reel: reelId });
+    if (analytics) {
+      await analytics.addEngagement('save', count);
+    }
+  }
+
+  // Check whether a user saved an item
+  async isSaved(userId, itemType, itemId) {
+    return !!(await SavedItem.exists({ user: userId, itemType, item: itemId }));
+  }
+
+  // A page of saved items, newest first, without the ones the user can no longer see.
+  // collectionId narrows to one collection; null lists items in no collection.
+  // Returns { savedItems, total }
+  async list(userId, { itemType, collectionId, skip = 0, limit = 20 } = {}) {
+    const viewer = await this.getViewer(userId);
+    const types = itemType ? [itemType] : SAVED_ITEM_TYPES;
+
+    const match = { user: viewer.userId, itemType: { $in: types } };
+    if (collectionId !== undefined) {
+      match.savedCollection = collectionId ? new mongoose.Types.ObjectId(collectionId) : null;
+    }
+
+    // Join each saved entry with its item, if the viewer can still see it
+    const lookups = types.map(type => ({
+      $lookup: {
+        from: ITEM_MODELS[type].collection.name,
+        let: { itemId: '$item', itemType: '$itemType' },
+        pipeline: [
+          {
+            $match: {
+              $expr: { $and: [{ $eq: ['$$itemType', type] }, { $eq: ['$_id', '$$itemId'] }] },
+              ...this.visibilityQuery(type, viewer)
+            }
+          },
+          { $project: { _id: 1 } }
+        ],
+        as: `visible_${type}`
+      }
+    }));
+
+    const [result] = await SavedItem.aggregate([
+      { $match: match },
+      { $sort: { savedAt: -1, _id: -1 } },
+      ...lookups,
+      {
+        $match: {
+          $or: types.map(type => ({ [`visible_${type}.0`]: { $exists: true } }))
+        }
+      },
+      {
+        $facet: {
+          items: [
+            { $skip: skip },
+            { $limit: limit },
+            { $project: { itemType: 1, item: 1, savedCollection: 1, savedAt: 1 } }
+          ],
+          total: [{ $count: 'count' }]
+        }
+      }
+    ]);
+
+    // Load the items themselves in one query per type
+    const docs = new Map();
+    for (const type of types) {
+      const ids = result.items.filter(entry => entry.itemType === type).map(entry => entry.item);
+      if (ids.length === 0) continue;
+
+      const items = await ITEM_MODELS[type].find({ _id: { $in: ids } }).populate(ITEM_POPULATE[type]);
+      items.forEach(item => docs.set(`${type}:${item._id}`, item));
+    }
+
+    const savedItems = result.items
+      .map(entry => ({ ...entry, item: docs.get(`${entry.itemType}:${entry.item}`) }))
+      .filter(entry => entry.item);
+
+    return {
+      savedItems,
+      total: result.total.length > 0 ? result.total[0].count : 0
+    };
+  }
+}
+
+// Create singleton instance
+const savedItemService = new SavedItemService();
+
+export default savedItemService;
@@ -0,0 +1,162 @@
+import mongoose from 'mongoose';
+import Conversation from '../models/Conversation.js';
+import Message from '../models/Message.js';
+import SyncEvent from '../models/SyncEvent.js';
+import receiptService from './ReceiptService.js';
+
+const DEFAULT_BATCH_SIZE = 200;
+const MAX_BATCH_SIZE = 500;
+// A missing sequence number this recent is probably a write still in flight
+const GAP_SETTLE_MS = 10 * 1000;
+
+// Catch-up sync for reconnecting clients. Clients keep the last sequence number
+// they saw per conversation; the server replays what changed after it, in order,
+// in bounded batches the client can resume from the returned cursors.
+class SyncService {
+  // Record a change and return its sequence number; never fails the caller
+  async record(conversationId, type, messageId) {
+    try {
+      return await SyncEvent.record(conversationId, type, messageId);
+    } catch (error) {
+      console.error(`Error recording ${type} sync event:`, error);
+      return null;
+    }
+  }
+
+  // Record the same change for several messages; never fails the caller
+  async recordMany(conversationId, type, messageIds) {
+    try {
+      return await SyncEvent.recordMany(conversationId, type, messageIds);
+    } catch (error) {
+      console.error(`Error recording ${type} sync events:`, error);
+      return null;
+    }
+  }
+
+  // Replay changes after the given cursors ({ conversationId: seq }).
+  // Returns { batches, cursors, hasMore, resetRequired, newConversations }
+  async collect(userId, cursors = {}, limit = DEFAULT_BATCH_SIZE) {
+    const budget = Math.min(Math.max(Number(limit) || DEFAULT_BATCH_SIZE, 1), MAX_BATCH_SIZE);
+
+    const conversations = await Conversation.find({
+      participants: { $elemMatch: { user: userId, isActive: true } },
+      isActive: true
+    })
+      .select('_id syncSeq lastActivity')
+      .sort({ lastActivity: -1 });
+
+    const known = conversations.filter(c => cursors[c._id.toString()] !== undefined);
+    // Conversations the client has never synced are announced, not replayed
+    const newConversations = conversations
+      .filter(c => cursors[c._id.toString()] === undefined && c.syncSeq > 0)
+      .map(c => ({ conversationId: c._id, seq: c.syncSeq }));
+
+    const nextCursors = {};
+    const batches = [];
+    const resetRequired = [];
+    let remaining = budget;
+    let hasMore = false;
+
+    for (const conversation of known) {
+      const conversationId = conversation._id.toString();
+      const cursor = Math.max(Number(cursors[conversationId]) || 0, 0);
+      nextCursors[conversationId] = cursor;
+
+      if (conversation.syncSeq <= cursor) continue;
+
+      if (remaining === 0) {
+        hasMore = true;
+        continue;
+      }
+
+      // The log was trimmed past the client's cursor
+      const oldest = await SyncEvent.findOne({ conversation: conversation._id })
+        .sort({ seq: 1 })
+        .select('seq');
+      if (!oldest || oldest.seq > cursor + 1) {
+        resetRequired.push({ conversationId, seq: conversation.syncSeq });
+        nextCursors[conversationId] = conversation.syncSeq;
+        continue;
+      }
+
+      const events = await SyncEvent.find({
+        conversation: conversation._id,
+        seq: { $gt: cursor }
+      })
+        .sort({ seq: 1 })
+        .limit(remaining);
+
+      // Stop at a recent gap so a slow write is not skipped for good
+      const contiguous = [];
+      let expected = cursor + 1;
+      for (const event of events) {
+        if (event.seq !== expected && Date.now() - event.createdAt < GAP_SETTLE_MS) {
+          hasMore = true;
+          break;
+        }
+        contiguous.push(event);
+        expected = event.seq + 1;
+      }
+
+      if (contiguous.length === 0) continue;
+
+      batches.push({
+        conversationId,
+        events: await this.buildEvents(contiguous, userId),
+        cursor: contiguous[contiguous.length - 1].seq
+      });
+
+      nextCursors[conversationId] = contiguous[contiguous.length - 1].seq;
+      remaining -= contiguous.length;
+      if (nextCursors[conversationId] < conversation.syncSeq) {
+        hasMore = true;
+      }
+    }
+
+    return { batches, cursors: nextCursors, hasMore, resetRequired, newConversations };
+  }
+
+  // Attach the current state of each message to its events
+  async buildEvents(events, userId) {
+    const messageIds = [...new Set(events.map(e => e.message.toString()))];
+
+    const messages = await Message.find({
+      _id: { $in: messageIds.map(id => new mongoose.Types.ObjectId(id)) }
+    })
+      .populate('sender', 'name username profilePicture')
+      .populate('senderPage', 'name username profilePicture isVerified')
+      .populate('replyTo', 'content sender senderPage')
+      .populate('reactions.user', 'name username profilePicture');
+
+    const visible = await receiptService.redactReadReceipts(messages, userId);
+    const byId = new Map(visible.map(m => [m._id.toString(), m]));
+    const now = new Date();
+
+    return events.map(event => {
+      const message = byId.get(event.message.toString());
+      const gone = !message || message.isDeleted || (message.expiresAt && message.expiresAt <= now);
+
+      // Deletions and messages that no longer exist replay as tombstones
+      if (event.type === 'message_deleted' || gone) {
+        return { seq: event.seq, type: 'message_deleted', messageId: event.message, at: event.createdAt };
+      }
+
+      if (event.type === 'reaction_updated') {
+        return {
+          seq: event.seq,
+          type: event.type,
+          messageId: event.message,
+          reactions: message.reactions,
+          at: event.createdAt
+        };
+      }
+
+      return { seq: event.seq, type: event.type, messageId: event.message, message, at: event.createdAt };
+    });
+  }
+}
+
+// Create singleton instance
+const syncService = new SyncService();
+
+export default syncService;
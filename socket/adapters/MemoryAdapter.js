@@ -0,0 +1,64 @@
+// Single-process realtime adapter: presence lives in this process and there
+// are no other nodes to forward room commands to. Used when REDIS_URL is unset.
+class MemoryAdapter {
+  constructor() {
+    this.sockets = new Map(); // userId -> Set of socketIds
+  }
+
+  async init() {}
+
+  // Nothing to forward without other nodes
+  async publish() {}
+
+  // Register a socket; returns true when this is the user's first connection
+  async addSocket(userId, socketId) {
+    if (!this.sockets.has(userId)) {
+      this.sockets.set(userId, new Set());
+    }
+    const sockets = this.sockets.get(userId);
+    sockets.add(socketId);
+    return sockets.size === 1;
+  }
+
+  // Unregister a socket; returns true when the user has no connections left
+  async removeSocket(userId, socketId) {
+    const sockets = this.sockets.get(userId);
+    if (!sockets) return false;
+
+    sockets.delete(socketId);
+    if (sockets.size > 0) return false;
+
+    this.sockets.delete(userId);
+    return true;
+  }
+
+  // Presence is exact in a single process, so heartbeats have nothing to refresh
+  async heartbeat() {}
+
+  async isOnline(userId) {
+    return this.sockets.has(userId.toString());
+  }
+
+  async filterOnline(userIds) {
+    return userIds.map(String).filter(userId => this.sockets.has(userId));
+  }
+
+  async hasSocket(userId, socketId) {
+    const sockets = this.sockets.get(userId.toString());
+    return !!sockets && sockets.has(socketId);
+  }
+
+  async getOnlineUsers() {
+    return Array.from(this.sockets.keys());
+  }
+
+  async countOnline() {
+    return this.sockets.size;
+  }
+
+  async close() {
+    this.sockets.clear();
+  }
+}
+
+export default MemoryAdapter;
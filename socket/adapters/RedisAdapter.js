@@ -0,0 +1,141 @@
+// Realtime adapter for running several server instances behind a load balancer.
+// Works with node-redis v4 clients against Redis or any server speaking its
+// protocol (Valkey, KeyDB, a local container). Both clients are injected, so a
+// stand-in with the same commands can be passed in tests.
+//
+// Keys, all under the configured prefix:
+//   <prefix>:online          sorted set of userId scored by last heartbeat (ms)
+//   <prefix>:sockets:<user>  hash of socketId -> nodeId
+//   <prefix>:node:<nodeId>   liveness key, expires unless the node keeps beating
+//   <prefix>:commands        pub/sub channel for room broadcasts between nodes
+class RedisAdapter {
+  constructor({ client, subscriber, prefix = 'realtime', presenceTtlMs = 45 * 1000 }) {
+    this.client = client;
+    this.subscriber = subscriber;
+    this.prefix = prefix;
+    this.presenceTtlMs = presenceTtlMs;
+    this.nodeId = null;
+  }
+
+  key(...parts) {
+    return [this.prefix, ...parts].join(':');
+  }
+
+  // Mark this node alive and start receiving commands published by the others
+  async init(nodeId, onCommand) {
+    this.nodeId = nodeId;
+    await this.client.set(this.key('node', nodeId), '1', { PX: this.presenceTtlMs });
+
+    await this.subscriber.subscribe(this.key('commands'), (raw) => {
+      try {
+        const command = JSON.parse(raw);
+        if (command.nodeId !== this.nodeId) {
+          onCommand(command);
+        }
+      } catch (error) {
+        console.error('Error handling realtime command:', error);
+      }
+    });
+  }
+
+  // Forward a room command to every other node
+  async publish(command) {
+    await this.client.publish(
+      this.key('commands'),
+      JSON.stringify({ ...command, nodeId: this.nodeId })
+    );
+  }
+
+  // Register a socket; returns true when the user was not online on any node
+  async addSocket(userId, socketId) {
+    const wasOnline = await this.isOnline(userId);
+
+    await this.client.hSet(this.key('sockets', userId), socketId, this.nodeId);
+    await this.client.zAdd(this.key('online'), { score: Date.now(), value: userId });
+
+    return !wasOnline;
+  }
+
+  // Unregister a socket; returns true when the user has no live connections left.
+  // Sockets left behind by nodes that stopped beating are dropped along the way
+  async removeSocket(userId, socketId) {
+    const socketsKey = this.key('sockets', userId);
+    await this.client.hDel(socketsKey, socketId);
+
+    const remaining = await this.client.hGetAll(socketsKey);
+    const nodeIds = [...new Set(Object.values(remaining))];
+    const alive = await Promise.all(
+      nodeIds.map(nodeId => this.client.exists(this.key('node', nodeId)))
+    );
+    const liveNodes = new Set(nodeIds.filter((nodeId, index) => alive[index]));
+
+    const stale = Object.keys(remaining).filter(id => !liveNodes.has(remaining[id]));
+    if (stale.length > 0) {
+      await this.client.hDel(socketsKey, stale);
+    }
+
+    if (liveNodes.size > 0) return false;
+
+    await this.client.zRem(this.key('online'), userId);
+    return true;
+  }
+
+  // Keep this node and its connected users alive, and expire everyone else's
+  async heartbeat(localUserIds) {
+    const now = Date.now();
+
+    await this.client.set(this.key('node', this.nodeId), '1', { PX: this.presenceTtlMs });
+
+    if (localUserIds.length > 0) {
+      await this.client.zAdd(
+        this.key('online'),
+        localUserIds.map(userId => ({ score: now, value: userId }))
+      );
+    }
+
+    await this.client.zRemRangeByScore(this.key('online'), '-inf', now - this.presenceTtlMs);
+  }
+
+  async isOnline(userId) {
+    const score = await this.client.zScore(this.key('online'), userId.toString());
+    return score !== null && score >= Date.now() - this.presenceTtlMs;
+  }
+
+  async filterOnline(userIds) {
+    const ids = userIds.map(String);
+    if (ids.length === 0) return [];
+
+    const scores = await this.client.zmScore(this.key('online'), ids);
+    const cutoff = Date.now() - this.presenceTtlMs;
+    return ids.filter((userId, index) => scores[index] !== null && scores[index] >= cutoff);
+  }
+
+  // Whether a socket is still connected to a node that keeps beating
+  async hasSocket(userId, socketId) {
+    const nodeId = await this.client.hGet(this.key('sockets', userId.toString()), socketId);
+    if (!nodeId) return false;
+
+    return (await this.client.exists(this.key('node', nodeId))) > 0;
+  }
+
+  async getOnlineUsers() {
+    return this.client.zRangeByScore(
+      this.key('online'),
+      Date.now() - this.presenceTtlMs,
+      '+inf'
+    );
+  }
+
+  async countOnline() {
+    return this.client.zCount(this.key('online'), Date.now() - this.presenceTtlMs, '+inf');
+  }
+
+  // Drop this node's liveness key so its sockets stop counting right away
+  async close() {
+    await this.client.del(this.key('node', this.nodeId));
+    await this.subscriber.unsubscribe(this.key('commands'));
+    await Promise.all([this.subscriber.quit(), this.client.quit()]);
+  }
+}
+
+export default RedisAdapter;
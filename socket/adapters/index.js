@@ -0,0 +1,32 @@
+import MemoryAdapter from './MemoryAdapter.js';
+import RedisAdapter from './RedisAdapter.js';
+
+// Pick the realtime adapter from the environment: Redis when REDIS_URL is set,
+// otherwise the single-process default
+export const createRealtimeAdapter = async () => {
+  if (!process.env.REDIS_URL) {
+    return new MemoryAdapter();
+  }
+
+  let createClient;
+  try {
+    ({ createClient } = await import('redis'));
+  } catch (error) {
+    throw new Error('REDIS_URL is set but the "redis" package is not installed (npm install redis)');
+  }
+
+  const client = createClient({ url: process.env.REDIS_URL });
+  const subscriber = client.duplicate();
+  client.on('error', (error) => console.error('Redis client error:', error));
+  subscriber.on('error', (error) => console.error('Redis subscriber error:', error));
+  await Promise.all([client.connect(), subscriber.connect()]);
+
+  console.log('🔗 Realtime adapter: Redis');
+  return new RedisAdapter({
+    client,
+    subscriber,
+    prefix: process.env.REDIS_PREFIX || 'realtime'
+  });
+};
+
+export { MemoryAdapter, RedisAdapter };
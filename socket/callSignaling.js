@@ -0,0 +1,521 @@
+import Call from "../models/Call.js";
+import Conversation from "../models/Conversation.js";
+import Message from "../models/Message.js";
+import User from "../models/User.js";
+import NotificationHelper from "../utils/notificationHelper.js";
+import receiptService from "../services/ReceiptService.js";
+import syncService from "../services/SyncService.js";
+import { buildSuspensionError } from "../utils/suspension.js";
+
+// How long callees ring before the call counts as missed
+const RING_TIMEOUT_MS = 45 * 1000;
+
+// WebRTC signaling for voice and video calls. The server never touches media:
+// it authorizes calls, relays SDP offers/answers and ICE candidates between
+// the sockets that joined a call, and keeps a Call record of what happened.
+// Group calls are a mesh: whoever joins sends an offer to everyone already in.
+class CallSignaling {
+  // rooms is the SocketHandlers instance, whose room operations reach every node
+  constructor(rooms) {
+    this.rooms = rooms;
+    this.ringTimers = new Map(); // callId -> timeout
+  }
+
+  // Register call events on a connected socket
+  register(socket) {
+    socket.on("call_user", (data) => this.handleCallUser(socket, data));
+    socket.on("call_response", (data) => this.handleCallResponse(socket, data));
+    socket.on("call_offer", (data) => this.relaySignal(socket, "call_offer", data));
+    socket.on("call_answer", (data) => this.relaySignal(socket, "call_answer", data));
+    socket.on("ice_candidate", (data) => this.relaySignal(socket, "ice_candidate", data));
+    socket.on("call_end", (data) => this.handleCallEnd(socket, data));
+  }
+
+  // Start a call in a conversation
+  async handleCallUser(socket, data) {
+    try {
+      const { conversationId, type = "voice" } = data;
+
+      if (!["voice", "video"].includes(type)) {
+        socket.emit("call_error", { message: "Call type must be voice or video" });
+        return;
+      }
+
+      const conversation = await Conversation.findById(conversationId);
+      if (
+        !conversation ||
+        !conversation.isActive ||
+        conversation.page ||
+        !conversation.isParticipant(socket.userId)
+      ) {
+        socket.emit("call_error", { message: "Access denied to conversation" });
+        return;
+      }
+
+      if (await conversation.isBlockedBetweenMembers(socket.userId)) {
+        socket.emit("call_error", { message: "You cannot call this user" });
+        return;
+      }
+
+      const caller = await User.findById(socket.userId).select(
+        "name username profilePicture suspensions"
+      );
+      const suspension = caller.getActiveSuspension("messaging");
+      if (suspension) {
+        socket.emit("call_error", buildSuspensionError(suspension));
+        return;
+      }
+
+      if (await Call.findActiveCallForUser(socket.userId)) {
+        socket.emit("call_error", { message: "You are already in a call" });
+        return;
+      }
+
+      const existingCall = await Call.findOne({
+        conversation: conversation._id,
+        status: { $in: ["ringing", "ongoing"] },
+      });
+      if (existingCall) {
+        socket.emit("call_error", {
+          message: "A call is already in progress in this conversation",
+          callId: existingCall._id,
+        });
+        return;
+      }
+
+      const calleeIds = conversation.participants
+        .filter((p) => p.isActive && p.user.toString() !== socket.userId)
+        .map((p) => p.user);
+
+      if (calleeIds.length === 0) {
+        socket.emit("call_error", { message: "There is nobody to call" });
+        return;
+      }
+
+      // Anyone ringing for or connected to another call is busy
+      const busy = await Promise.all(
+        calleeIds.map((userId) => Call.findActiveCallForUser(userId))
+      );
+
+      const call = await Call.create({
+        conversation: conversation._id,
+        initiator: socket.userId,
+        type,
+        isGroup: conversation.type === "group",
+        participants: [
+          {
+            user: socket.userId,
+            status: "joined",
+            socketId: socket.id,
+            joinedAt: new Date(),
+          },
+          ...calleeIds.map((userId, index) => ({
+            user: userId,
+            status: busy[index] ? "busy" : "ringing",
+          })),
+        ],
+      });
+
+      const ringing = call.participants.filter((p) => p.status === "ringing");
+
+      if (ringing.length === 0) {
+        await call.finish();
+        socket.emit("call_busy", { callId: call._id });
+        return;
+      }
+
+      socket.join(`call:${call._id}`);
+      socket.emit("call_initiated", {
+        callId: call._id,
+        conversationId: conversation._id,
+        type,
+        participants: call.participants.map((p) => ({
+          userId: p.user,
+          status: p.status,
+        })),
+      });
+
+      for (const participant of ringing) {
+        this.rooms.emitToRoom(`user:${participant.user}`, "incoming_call", {
+          callId: call._id,
+          conversationId: conversation._id,
+          type,
+          isGroup: call.isGroup,
+          from: {
+            _id: caller._id,
+            name: caller.name,
+            username: caller.username,
+            profilePicture: caller.profilePicture,
+          },
+        });
+      }
+
+      this.ringTimers.set(
+        call._id.toString(),
+        setTimeout(() => this.handleRingTimeout(call._id), RING_TIMEOUT_MS)
+      );
+    } catch (error) {
+      console.error("Error starting call:", error);
+      socket.emit("call_error", { message: "Failed to start call" });
+    }
+  }
+
+  // Answer or decline a call; group members can also join a call already in progress
+  async handleCallResponse(socket, data) {
+    try {
+      const { callId, accepted } = data;
+
+      const call = await Call.findById(callId);
+      const participant = call && call.getParticipant(socket.userId);
+
+      const canJoinLate =
+        call &&
+        call.isGroup &&
+        call.status === "ongoing" &&
+        participant &&
+        participant.status !== "joined";
+
+      if (!participant || !call.isActive() || (participant.status !== "ringing" && !canJoinLate)) {
+        socket.emit("call_error", { callId, message: "This call is no longer available" });
+        return;
+      }
+
+      if (!accepted) {
+        this.notifyOtherDevices(socket, call._id, false);
+        participant.status = "declined";
+        await call.save();
+
+        this.rooms.emitToRoom(`call:${call._id}`, "call_participant_update", {
+          callId: call._id,
+          userId: socket.userId,
+          status: "declined",
+        });
+
+        const waiting = call.participants.some(
+          (p) => p.status === "ringing" || (p.status === "joined" && p.user.toString() !== call.initiator.toString())
+        );
+        if (!call.startedAt && !waiting) {
+          await this.endCall(call);
+        }
+        return;
+      }
+
+      // Ringing for other calls is fine, being connected to one is not
+      const otherCall = await Call.findActiveCallForUser(socket.userId, {
+        statuses: ["joined"],
+        excludeCallId: call._id,
+      });
+      if (otherCall) {
+        socket.emit("call_error", { callId, message: "You are already in a call" });
+        return;
+      }
+
+      // Two devices answering at once only let one of them in
+      const joined = await Call.joinParticipant(call._id, socket.userId, participant.status, socket.id);
+      if (!joined) {
+        socket.emit("call_error", { callId, message: "This call is no longer available" });
+        return;
+      }
+      this.notifyOtherDevices(socket, call._id, true);
+
+      const peers = joined
+        .getJoinedParticipants()
+        .filter((p) => p.user.toString() !== socket.userId)
+        .map((p) => p.user);
+
+      this.rooms.emitToRoom(`call:${call._id}`, "call_participant_update", {
+        callId: call._id,
+        userId: socket.userId,
+        status: "joined",
+      });
+
+      socket.join(`call:${call._id}`);
+
+      // The joining socket sends an offer to each peer already in the call
+      socket.emit("call_accepted", { callId: call._id, peers });
+    } catch (error) {
+      console.error("Error responding to call:", error);
+      socket.emit("call_error", { message: "Failed to respond to call" });
+    }
+  }
+
+  // Stop the user's other devices from ringing
+  notifyOtherDevices(socket, callId, accepted) {
+    this.rooms.emitToRoom(
+      `user:${socket.userId}`,
+      "call_answered_elsewhere",
+      { callId, accepted },
+      socket.id
+    );
+  }
+
+  // Relay an SDP offer/answer or ICE candidate to one peer in the same call
+  async relaySignal(socket, event, data) {
+    try {
+      const { callId, to, sdp, candidate } = data;
+
+      const call = await Call.findById(callId).select("status participants");
+      const sender = call && call.getParticipant(socket.userId);
+      const recipient = call && to && call.getParticipant(to);
+
+      if (
+        !call ||
+        !call.isActive() ||
+        !sender ||
+        sender.status !== "joined" ||
+        sender.socketId !== socket.id ||
+        !recipient ||
+        recipient.status !== "joined"
+      ) {
+        socket.emit("call_error", { callId, message: "Cannot signal this participant" });
+        return;
+      }
+
+      this.rooms.emitToRoom(recipient.socketId, event, {
+        callId,
+        from: socket.userId,
+        sdp,
+        candidate,
+      });
+    } catch (error) {
+      console.error(`Error relaying ${event}:`, error);
+    }
+  }
+
+  // Hang up, or cancel a call that has not been answered yet
+  async handleCallEnd(socket, data) {
+    try {
+      const { callId } = data;
+
+      const call = await Call.findById(callId);
+      const participant = call && call.getParticipant(socket.userId);
+
+      if (!participant || !call.isActive()) {
+        return;
+      }
+
+      // A callee hanging up while ringing is a decline
+      if (participant.status === "ringing") {
+        await this.handleCallResponse(socket, { callId, accepted: false });
+        return;
+      }
+
+      if (participant.status !== "joined" || participant.socketId !== socket.id) {
+        return;
+      }
+
+      socket.leave(`call:${call._id}`);
+      await this.leaveCall(call, socket.userId);
+    } catch (error) {
+      console.error("Error ending call:", error);
+    }
+  }
+
+  // Drop a user from the call they joined from a socket that disconnected
+  async handleSocketDisconnect(socket) {
+    try {
+      const call = await Call.findActiveCallForUser(socket.userId);
+      const participant = call && call.getParticipant(socket.userId);
+
+      if (participant && participant.status === "joined" && participant.socketId === socket.id) {
+        await this.leaveCall(call, socket.userId);
+      }
+    } catch (error) {
+      console.error("Error removing disconnected socket from call:", error);
+    }
+  }
+
+  // End or clean up calls that nothing on any node is looking after anymore:
+  // unanswered past the ring timeout, or with joined participants whose sockets
+  // are gone. Ring timers only live in the process that started the call, so
+  // this runs at startup and on a schedule. Returns how many calls were ended
+  async sweepStaleCalls() {
+    const ringCutoff = new Date(Date.now() - RING_TIMEOUT_MS);
+    const calls = await Call.find({ status: { $in: ["ringing", "ongoing"] } });
+    let ended = 0;
+
+    for (const call of calls) {
+      try {
+        const ringExpired =
+          call.createdAt <= ringCutoff &&
+          !this.ringTimers.has(call._id.toString()) &&
+          call.participants.some((p) => p.status === "ringing");
+
+        if (!call.startedAt && ringExpired) {
+          await this.endCall(call);
+          ended++;
+          continue;
+        }
+
+        const joined = call.getJoinedParticipants();
+        const connected = await Promise.all(
+          joined.map((p) => this.rooms.isSocketConnected(p.user, p.socketId))
+        );
+
+        if (!connected.some(Boolean)) {
+          await this.endCall(call);
+          ended++;
+          continue;
+        }
+
+        for (const participant of joined.filter((p, index) => !connected[index])) {
+          await this.leaveCall(call, participant.user);
+          if (!call.isActive()) break;
+        }
+
+        if (!call.isActive()) {
+          ended++;
+        } else if (ringExpired) {
+          await this.handleRingTimeout(call._id);
+        }
+      } catch (error) {
+        console.error(`Error sweeping call ${call._id}:`, error);
+      }
+    }
+
+    return ended;
+  }
+
+  // Remove a joined participant and end the call once nobody is left to talk to
+  async leaveCall(call, userId) {
+    const participant = call.getParticipant(userId);
+    participant.status = "left";
+    participant.leftAt = new Date();
+
+    const isInitiator = call.initiator.toString() === userId.toString();
+
+    // The caller hanging up before anyone answered cancels the call
+    if (!call.startedAt && isInitiator) {
+      await this.endCall(call);
+      return;
+    }
+
+    if (call.getJoinedParticipants().length < 2) {
+      await this.endCall(call);
+      return;
+    }
+
+    await call.save();
+
+    this.rooms.emitToRoom(`call:${call._id}`, "call_participant_update", {
+      callId: call._id,
+      userId,
+      status: "left",
+    });
+  }
+
+  // Stop ringing for callees who did not answer in time
+  async handleRingTimeout(callId) {
+    try {
+      this.ringTimers.delete(callId.toString());
+
+      const call = await Call.findById(callId);
+      if (!call || !call.isActive()) return;
+
+      if (!call.startedAt) {
+        await this.endCall(call);
+        return;
+      }
+
+      // Group call in progress: whoever is still ringing missed it
+      const missed = call.participants.filter((p) => p.status === "ringing");
+      if (missed.length === 0) return;
+
+      missed.forEach((p) => {
+        p.status = "missed";
+      });
+      await call.save();
+
+      for (const participant of missed) {
+        this.rooms.emitToRoom(`user:${participant.user}`, "call_ended", {
+          callId: call._id,
+          outcome: "missed",
+        });
+        this.rooms.emitToRoom(`call:${call._id}`, "call_participant_update", {
+          callId: call._id,
+          userId: participant.user,
+          status: "missed",
+        });
+      }
+
+      await this.notifyMissedCall(call, missed.map((p) => p.user), false);
+    } catch (error) {
+      console.error("Error handling ring timeout:", error);
+    }
+  }
+
+  // End a call, tell everyone involved and record missed calls
+  async endCall(call) {
+    const timer = this.ringTimers.get(call._id.toString());
+    if (timer) {
+      clearTimeout(timer);
+      this.ringTimers.delete(call._id.toString());
+    }
+
+    const ringing = call.participants
+      .filter((p) => p.status === "ringing")
+      .map((p) => p.user);
+
+    await call.finish();
+
+    for (const participant of call.participants) {
+      this.rooms.emitToRoom(`user:${participant.user}`, "call_ended", {
+        callId: call._id,
+        outcome: call.outcome,
+        duration: call.duration,
+      });
+    }
+    this.rooms.leaveRoom(`call:${call._id}`, `call:${call._id}`);
+
+    if (ringing.length > 0) {
+      await this.notifyMissedCall(call, ringing, call.outcome === "missed");
+    }
+  }
+
+  // Notify users who missed a call; unanswered calls also leave a system message in the chat
+  async notifyMissedCall(call, userIds, postMessage) {
+    try {
+      if (postMessage) {
+        const conversation = await Conversation.findById(call.conversation);
+        const message = await Message.create({
+          conversation: call.conversation,
+          sender: call.initiator,
+          type: "system",
+          content: { text: `Missed ${call.type} call` },
+          call: call._id,
+          expiresAt: conversation.getMessageExpiry(),
+        });
+        await message.populate("sender", "name username profilePicture");
+
+        call.missedCallMessage = message._id;
+        await call.save();
+
+        conversation.lastMessage = message._id;
+        conversation.lastActivity = new Date();
+        await conversation.save();
+        await receiptService.incrementUnread(conversation._id, call.initiator, userIds);
+        const seq = await syncService.record(call.conversation, "message_created", message._id);
+
+        this.rooms.emitToRoom(`conversation:${call.conversation}`, "new_message", {
+          message,
+          conversationId: call.conversation,
+          seq,
+        });
+      }
+
+      for (const userId of userIds) {
+        await NotificationHelper.notifyMissedCall(
+          call.conversation,
+          call._id,
+          call.initiator,
+          userId,
+          call.type
+        );
+      }
+    } catch (error) {
+      console.error("Error recording missed call:", error);
+    }
+  }
+}
+
+export default CallSignaling;
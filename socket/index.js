@@ -1,8 +1,9 @@
 import { Server } from 'socket.io';
 import socketAuth from './socketAuth.js';
 import SocketHandlers from './socketHandlers.js';
+import { createRealtimeAdapter } from './adapters/index.js';
 
-const initializeSocket = (server) => {
+const initializeSocket = async (server) => {
   const io = new Server(server, {
     cors: {
       origin: process.env.FRONTEND_URL || "http://localhost:3000",
@@ -13,8 +14,11 @@ const initializeSocket = (server) => {
     pingInterval: 25000
   });
 
-  // Initialize socket handlers
-  const socketHandlers = new SocketHandlers(io);
+  // Initialize socket handlers; presence and room broadcasts go through the
+  // realtime adapter so several server instances can share them
+  const adapter = await createRealtimeAdapter();
+  const socketHandlers = new SocketHandlers(io, adapter);
+  await socketHandlers.start();
 
   // Authentication middleware
   io.use(socketAuth);
@@ -1,5 +1,6 @@
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import { buildSuspensionError } from '../utils/suspension.js';
 
 const socketAuth = async (socket, next) => {
   try {
@@ -10,12 +11,19 @@ const socketAuth = async (socket, next) => {
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.userId).select('-password');
+    const user = await User.findById(decoded.userId).select('-password +suspensions');
 
     if (!user || !user.isActive) {
       return next(new Error('Authentication error: Invalid user'));
     }
 
+    const suspension = user.getActiveSuspension();
+    if (suspension) {
+      const error = new Error('Authentication error: Account suspended');
+      error.data = buildSuspensionError(suspension);
+      return next(error);
+    }
+
     socket.userId = user._id.toString();
     socket.user = user;
     next();
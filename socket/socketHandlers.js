@@ -3,12 +3,64 @@ import Message from "../models/Message.js";
 import Notification from "../models/Notification.js";
 import UserSession from "../models/UserSession.js";
 import User from "../models/User.js";
+import Page from "../models/Page.js";
+import ChatUpload from "../models/ChatUpload.js";
 import NotificationHelper from "./../utils/notificationHelper.js";
+import { randomUUID } from "crypto";
+import { buildSuspensionError } from "../utils/suspension.js";
+import CallSignaling from "./callSignaling.js";
+import { MemoryAdapter } from "./adapters/index.js";
+import receiptService from "../services/ReceiptService.js";
+import syncService from "../services/SyncService.js";
+import {
+  canAccessConversation,
+  notifyPageInbox,
+  findThreadRoot,
+  recordThreadReply,
+  getThreadFollowerIds,
+  setMessagePinned,
+  forwardMessage,
+  attachLinkPreviews,
+} from "../controllers/conversationController.js";
+
+// How often this node refreshes presence for the users connected to it
+const HEARTBEAT_INTERVAL_MS = 15 * 1000;
 
 class SocketHandlers {
-  constructor(io) {
+  constructor(io, adapter = new MemoryAdapter()) {
     this.io = io;
-    this.onlineUsers = new Map(); // userId -> Set of socketIds
+    this.adapter = adapter;
+    this.nodeId = randomUUID();
+    this.localUsers = new Map(); // userId -> Set of socketIds on this node
+    this.heartbeatTimer = null;
+    this.calls = new CallSignaling(this);
+  }
+
+  // Start receiving room commands from other nodes and keep presence fresh
+  async start() {
+    await this.adapter.init(this.nodeId, (command) => this.applyCommand(command));
+
+    // Calls left behind by a restart have no ring timers or sockets anymore
+    try {
+      const ended = await this.calls.sweepStaleCalls();
+      if (ended > 0) {
+        console.log(`Ended ${ended} stale calls`);
+      }
+    } catch (error) {
+      console.error("Error sweeping stale calls:", error);
+    }
+
+    this.heartbeatTimer = setInterval(() => {
+      this.adapter
+        .heartbeat(Array.from(this.localUsers.keys()))
+        .catch((error) => console.error("Presence heartbeat error:", error));
+    }, HEARTBEAT_INTERVAL_MS);
+    this.heartbeatTimer.unref();
+  }
+
+  async stop() {
+    clearInterval(this.heartbeatTimer);
+    await this.adapter.close();
   }
 
   // Handle user connection
@@ -18,10 +70,11 @@ class SocketHandlers {
       console.log(`User ${userId} connected with socket ${socket.id}`);
 
       // Add to online users
-      if (!this.onlineUsers.has(userId)) {
-        this.onlineUsers.set(userId, new Set());
+      if (!this.localUsers.has(userId)) {
+        this.localUsers.set(userId, new Set());
       }
-      this.onlineUsers.get(userId).add(socket.id);
+      this.localUsers.get(userId).add(socket.id);
+      await this.adapter.addSocket(userId, socket.id);
 
       // Create or update user session
       await this.createUserSession(socket);
@@ -53,16 +106,23 @@ class SocketHandlers {
       console.log(`User ${userId} disconnected from socket ${socket.id}`);
 
       // Remove from online users
-      if (this.onlineUsers.has(userId)) {
-        this.onlineUsers.get(userId).delete(socket.id);
-
-        // If no more sockets for this user, mark as offline
-        if (this.onlineUsers.get(userId).size === 0) {
-          this.onlineUsers.delete(userId);
-          await this.broadcastUserStatus(userId, "offline");
+      const localSockets = this.localUsers.get(userId);
+      if (localSockets) {
+        localSockets.delete(socket.id);
+        if (localSockets.size === 0) {
+          this.localUsers.delete(userId);
         }
       }
 
+      // If no more sockets for this user on any node, mark as offline
+      const wentOffline = await this.adapter.removeSocket(userId, socket.id);
+      if (wentOffline) {
+        await this.broadcastUserStatus(userId, "offline");
+      }
+
+      // Other devices staying online do not keep this socket in its call
+      await this.calls.handleSocketDisconnect(socket);
+
       // Update user session
       await this.updateUserSession(socket, false);
     } catch (error) {
@@ -152,7 +212,7 @@ class SocketHandlers {
 
       // Broadcast to contacts
       contactIds.forEach((contactId) => {
-        this.io.to(`user:${contactId}`).emit("user_status_change", {
+        this.emitToRoom(`user:${contactId}`, "user_status_change", {
           userId,
           status,
           timestamp: new Date(),
@@ -192,8 +252,16 @@ class SocketHandlers {
     // Message events
     socket.on("send_message", (data) => this.handleSendMessage(socket, data));
     socket.on("message_read", (data) => this.handleMessageRead(socket, data));
+    socket.on("message_delivered", (data) => this.handleMessageDelivered(socket, data));
     socket.on("typing_start", (data) => this.handleTypingStart(socket, data));
     socket.on("typing_stop", (data) => this.handleTypingStop(socket, data));
+    socket.on("thread_read", (data) => this.handleThreadRead(socket, data));
+    socket.on("pin_message", (data) => this.handlePinMessage(socket, data, true));
+    socket.on("unpin_message", (data) => this.handlePinMessage(socket, data, false));
+    socket.on("forward_message", (data) => this.handleForwardMessage(socket, data));
+
+    // Catch-up sync after reconnecting
+    socket.on("sync_request", (data) => this.handleSyncRequest(socket, data));
 
     // Conversation events
     socket.on("join_conversation", (data) =>
@@ -214,88 +282,169 @@ class SocketHandlers {
       this.handleMarkAllNotificationsRead(socket)
     );
 
-    // Call events (for future video/voice calls)
-    socket.on("call_user", (data) => this.handleCallUser(socket, data));
-    socket.on("call_response", (data) => this.handleCallResponse(socket, data));
-    socket.on("call_end", (data) => this.handleCallEnd(socket, data));
+    // Call signaling events
+    this.calls.register(socket);
 
     // Disconnect handler
     socket.on("disconnect", () => this.handleDisconnection(socket));
   }
 
+  // Resolve the page a user wants to answer the inbox as (undefined if not allowed)
+  async resolveActingPage(userId, pageId) {
+    if (!pageId) return null;
+
+    const page = await Page.findById(pageId);
+    if (!page || !page.isActive || !page.can(userId, "manage_inbox")) {
+      return undefined;
+    }
+    return page;
+  }
+
   // Handle send message
   async handleSendMessage(socket, data) {
     try {
-      const { conversationId, content, type = "text", replyTo } = data;
+      const {
+        conversationId,
+        content,
+        type = "text",
+        replyTo,
+        threadRoot,
+        actingAsPage,
+      } = data;
+
+      // Suspensions can start after the socket connected, so check them per message
+      const sender = await User.findById(socket.userId).select("suspensions");
+      const suspension = sender && sender.getActiveSuspension("messaging");
+      if (suspension) {
+        socket.emit("error", buildSuspensionError(suspension));
+        return;
+      }
+
+      const actingPage = await this.resolveActingPage(
+        socket.userId,
+        actingAsPage
+      );
+      if (actingPage === undefined) {
+        socket.emit("error", { message: "You are not allowed to act as this page" });
+        return;
+      }
 
       // Validate conversation access
       const conversation = await Conversation.findById(conversationId);
       if (
         !conversation ||
-        !conversation.participants.some(
-          (p) => p.user.toString() === socket.userId
-        )
+        !canAccessConversation(conversation, socket.userId, actingPage)
       ) {
         socket.emit("error", { message: "Access denied to conversation" });
         return;
       }
 
+      if (await conversation.isBlockedBetweenMembers(socket.userId)) {
+        socket.emit("error", { message: "You cannot send messages to this user" });
+        return;
+      }
+
+      const thread = threadRoot
+        ? await findThreadRoot(conversation._id, threadRoot)
+        : null;
+      if (threadRoot && !thread) {
+        socket.emit("error", { message: "Thread not found" });
+        return;
+      }
+
       // Create message (this would typically go through the API route)
       const messageData = {
         conversation: conversationId,
         sender: socket.userId,
-        content,
+        senderPage: actingPage ? actingPage._id : null,
+        content: {
+          ...content,
+          media: await ChatUpload.linkMedia(socket.userId, content?.media),
+          linkPreviews: [],
+        },
         type,
         replyTo,
+        threadRoot: thread ? thread._id : null,
+        expiresAt: conversation.getMessageExpiry(),
       };
 
       const message = await Message.create(messageData);
       await message.populate("sender", "name username profilePicture");
+      await message.populate("senderPage", "name username profilePicture isVerified");
+
+      attachLinkPreviews(message).catch((error) =>
+        console.error("Error attaching link previews:", error)
+      );
 
       if (replyTo) {
-        await message.populate("replyTo", "content sender");
+        await message.populate("replyTo", "content sender senderPage");
       }
 
-      // Update conversation
-      conversation.lastMessage = message._id;
-      conversation.lastActivity = new Date();
+      // Thread replies keep their own counts instead of the conversation's
+      if (thread) {
+        await recordThreadReply(thread, message);
+      } else {
+        conversation.lastMessage = message._id;
 
-      // Update unread counts
-      conversation.participants.forEach((participant) => {
-        if (
-          participant.user.toString() !== socket.userId &&
-          participant.isActive
-        ) {
-          participant.unreadCount += 1;
+        if (conversation.page && !actingPage) {
+          conversation.pageUnreadCount += 1;
         }
-      });
+      }
 
+      conversation.lastActivity = new Date();
       await conversation.save();
 
+      if (!thread) {
+        await receiptService.incrementUnread(conversation._id, socket.userId);
+      }
+      const seq = await syncService.record(conversation._id, "message_created", message._id);
+
       // Emit to conversation room
-      this.io.to(`conversation:${conversationId}`).emit("new_message", {
+      this.emitToRoom(`conversation:${conversationId}`, "new_message", {
         message,
         conversationId,
+        seq,
       });
 
+      // Thread replies only notify the people following the thread
+      const followerIds = thread ? getThreadFollowerIds(thread) : null;
+
       // Send push notifications to offline users
-      await this.sendMessageNotifications(message, conversation);
+      await this.sendMessageNotifications(message, conversation, followerIds, actingPage);
 
       // Also use NotificationHelper for consistent notification creation
+      const onlineIds = new Set(
+        await this.filterOnlineUsers(conversation.participants.map((p) => p.user))
+      );
       const offlineParticipants = conversation.participants.filter(
         (p) =>
           p.user.toString() !== socket.userId &&
           p.isActive &&
-          !this.onlineUsers.has(p.user.toString())
+          (!followerIds || followerIds.includes(p.user.toString())) &&
+          !conversation.isMutedFor(p.user) &&
+          !onlineIds.has(p.user.toString())
       );
 
       for (const participant of offlineParticipants) {
-        await NotificationHelper.notifyMessage(
-          conversationId,
-          message._id,
-          socket.userId,
-          participant.user
-        );
+        if (actingPage) {
+          await NotificationHelper.notifyPageMessage(
+            actingPage,
+            conversationId,
+            message._id,
+            participant.user
+          );
+        } else {
+          await NotificationHelper.notifyMessage(
+            conversationId,
+            message._id,
+            socket.userId,
+            participant.user
+          );
+        }
+      }
+
+      if (conversation.page && !actingPage) {
+        await notifyPageInbox(conversation, message._id, socket.userId);
       }
     } catch (error) {
       console.error("Error handling send message:", error);
@@ -303,28 +452,155 @@ class SocketHandlers {
     }
   }
 
-  // Handle message read
+  // Handle message read: everything up to messageId counts as read
   async handleMessageRead(socket, data) {
     try {
       const { messageId, conversationId } = data;
 
-      const message = await Message.findById(messageId);
-      if (!message) return;
+      const { error } = await receiptService.markReadUpTo(
+        socket.userId,
+        conversationId,
+        messageId
+      );
+      if (error) {
+        socket.emit("error", { message: error.message });
+      }
+    } catch (error) {
+      console.error("Error handling message read:", error);
+    }
+  }
 
-      // Mark as read
-      if (!message.isReadBy(socket.userId)) {
-        message.markAsRead(socket.userId);
-        await message.save();
+  // Handle a reconnecting client replaying what it missed. Batches go to the
+  // requesting socket only; the client sends another sync_request with the
+  // returned cursors while hasMore is true
+  async handleSyncRequest(socket, data = {}) {
+    const { cursors = {}, limit, syncId } = data;
 
-        // Emit read receipt to conversation
-        this.io.to(`conversation:${conversationId}`).emit("message_read", {
-          messageId,
-          userId: socket.userId,
-          readAt: new Date(),
-        });
+    try {
+      if (!cursors || typeof cursors !== "object" || Array.isArray(cursors)) {
+        socket.emit("sync_error", { syncId, message: "cursors must map conversation ids to sequence numbers" });
+        return;
       }
+
+      const result = await syncService.collect(socket.userId, cursors, limit);
+
+      for (const batch of result.batches) {
+        socket.emit("sync_batch", { syncId, ...batch });
+      }
+
+      socket.emit("sync_complete", {
+        syncId,
+        cursors: result.cursors,
+        hasMore: result.hasMore,
+        resetRequired: result.resetRequired,
+        newConversations: result.newConversations,
+      });
     } catch (error) {
-      console.error("Error handling message read:", error);
+      console.error("Error handling sync request:", error);
+      socket.emit("sync_error", { syncId, message: "Sync failed, retry with the same cursors" });
+    }
+  }
+
+  // Handle a device acknowledging new_message events it received
+  async handleMessageDelivered(socket, data) {
+    try {
+      const { messageIds } = data;
+      await receiptService.markDelivered(
+        socket.userId,
+        Array.isArray(messageIds) ? messageIds.slice(0, 100) : []
+      );
+    } catch (error) {
+      console.error("Error handling message delivered:", error);
+    }
+  }
+
+  // Handle a thread being opened on another device
+  async handleThreadRead(socket, data) {
+    try {
+      const { conversationId, threadRoot } = data;
+
+      const conversation = await Conversation.findById(conversationId);
+      if (!conversation || !conversation.isParticipant(socket.userId)) return;
+
+      const root = await findThreadRoot(conversation._id, threadRoot);
+      if (!root) return;
+
+      const readAt = new Date();
+      await Message.markThreadRead(root._id, socket.userId, readAt);
+
+      // Clear the thread badge on the user's other devices
+      this.emitToRoom(`user:${socket.userId}`, "thread_read", {
+        conversationId,
+        threadRoot: root._id,
+        readAt,
+      });
+    } catch (error) {
+      console.error("Error handling thread read:", error);
+    }
+  }
+
+  // Handle pinning and unpinning a message
+  async handlePinMessage(socket, data, pinned) {
+    try {
+      const { conversationId, messageId } = data;
+
+      const [conversation, user] = await Promise.all([
+        Conversation.findById(conversationId),
+        User.findById(socket.userId).select("name username"),
+      ]);
+      if (!conversation || !conversation.isActive) {
+        socket.emit("error", { message: "Conversation not found" });
+        return;
+      }
+
+      const { error } = await setMessagePinned({
+        conversation,
+        messageId,
+        user,
+        pinned,
+      });
+      if (error) {
+        socket.emit("error", { message: error.message });
+      }
+    } catch (error) {
+      console.error("Error updating pinned messages:", error);
+      socket.emit("error", { message: "Failed to update pinned messages" });
+    }
+  }
+
+  // Handle forwarding a message to other conversations
+  async handleForwardMessage(socket, data) {
+    try {
+      const { conversationId, messageId, targetConversationIds } = data;
+
+      const user = await User.findById(socket.userId).select("name username suspensions");
+      const suspension = user && user.getActiveSuspension("messaging");
+      if (suspension) {
+        socket.emit("error", buildSuspensionError(suspension));
+        return;
+      }
+
+      const { error, messages } = await forwardMessage({
+        user,
+        sourceConversationId: conversationId,
+        messageId,
+        targetConversationIds,
+      });
+      if (error) {
+        socket.emit("error", { message: error.message });
+        return;
+      }
+
+      socket.emit("message_forwarded", {
+        messageId,
+        messages: messages.map((message) => ({
+          messageId: message._id,
+          conversationId: message.conversation,
+        })),
+      });
+    } catch (error) {
+      console.error("Error forwarding message:", error);
+      socket.emit("error", { message: "Failed to forward message" });
     }
   }
 
@@ -332,34 +608,48 @@ class SocketHandlers {
   async handleTypingStart(socket, data) {
     const { conversationId } = data;
     const user = await User.findById(socket.userId);
-    socket.to(`conversation:${conversationId}`).emit("user_typing", {
-      name: user.name,
-      username: user.username,
-      profilePicture: user.profilePicture,
-      userId: socket.userId,
-      conversationId,
-      isTyping: true,
-    });
+    this.emitToRoom(
+      `conversation:${conversationId}`,
+      "user_typing",
+      {
+        name: user.name,
+        username: user.username,
+        profilePicture: user.profilePicture,
+        userId: socket.userId,
+        conversationId,
+        isTyping: true,
+      },
+      socket.id
+    );
   }
 
   async handleTypingStop(socket, data) {
     const { conversationId } = data;
-    socket.to(`conversation:${conversationId}`).emit("user_typing", {
-      userId: socket.userId,
-      conversationId,
-      isTyping: false,
-    });
+    this.emitToRoom(
+      `conversation:${conversationId}`,
+      "user_typing",
+      {
+        userId: socket.userId,
+        conversationId,
+        isTyping: false,
+      },
+      socket.id
+    );
   }
 
   // Handle join conversation
   async handleJoinConversation(socket, data) {
-    const { conversationId } = data;
+    const { conversationId, actingAsPage } = data;
     console.log("Triggered join conversation");
     // Validate access
+    const actingPage = await this.resolveActingPage(socket.userId, actingAsPage);
     const conversation = await Conversation.findById(conversationId);
     if (
       conversation &&
-      conversation.participants.some((p) => p.user.toString() === socket.userId)
+      actingPage !== undefined &&
+      (actingPage
+        ? conversation.isPageInbox(actingPage._id)
+        : conversation.isParticipant(socket.userId))
     ) {
       socket.join(`conversation:${conversationId}`);
       socket.emit("conversation_joined", { conversationId });
@@ -427,58 +717,34 @@ class SocketHandlers {
     }
   }
 
-  // Handle call user (for future implementation)
-  async handleCallUser(socket, data) {
-    const { userId, type = "voice" } = data;
-
-    this.io.to(`user:${userId}`).emit("incoming_call", {
-      from: socket.userId,
-      type,
-      callId: data.callId,
-    });
-  }
-
-  // Handle call response
-  async handleCallResponse(socket, data) {
-    const { callId, accepted, userId } = data;
-
-    this.io.to(`user:${userId}`).emit("call_response", {
-      callId,
-      accepted,
-      from: socket.userId,
-    });
-  }
-
-  // Handle call end
-  async handleCallEnd(socket, data) {
-    const { callId, userId } = data;
-
-    this.io.to(`user:${userId}`).emit("call_ended", {
-      callId,
-      from: socket.userId,
-    });
-  }
-
   // Send message notifications to offline users
-  async sendMessageNotifications(message, conversation) {
+  async sendMessageNotifications(message, conversation, recipientIds = null, actingPage = null) {
     try {
+      const senderId = message.sender._id || message.sender;
+      const onlineIds = new Set(
+        await this.filterOnlineUsers(conversation.participants.map((p) => p.user))
+      );
       const offlineParticipants = conversation.participants.filter(
         (p) =>
-          p.user.toString() !== message.sender.toString() &&
+          p.user.toString() !== senderId.toString() &&
           p.isActive &&
-          !this.onlineUsers.has(p.user.toString())
+          (!recipientIds || recipientIds.includes(p.user.toString())) &&
+          !conversation.isMutedFor(p.user) &&
+          !onlineIds.has(p.user.toString())
       );
 
       for (const participant of offlineParticipants) {
+        // Page messages name the page's owner, not the admin who wrote them
         await Notification.create({
           recipient: participant.user,
-          sender: message.sender,
+          sender: actingPage ? actingPage.owner : senderId,
           type: "message",
           title: "New Message",
           message: `You have a new message`,
           data: {
             conversationId: conversation._id,
             messageId: message._id,
+            ...(actingPage && { pageId: actingPage._id }),
           },
         });
       }
@@ -487,14 +753,111 @@ class SocketHandlers {
     }
   }
 
-  // Get online users
-  getOnlineUsers() {
-    return Array.from(this.onlineUsers.keys());
+  // Get online users across all nodes
+  async getOnlineUsers() {
+    return this.adapter.getOnlineUsers();
+  }
+
+  // Count online users across all nodes
+  async countOnlineUsers() {
+    return this.adapter.countOnline();
+  }
+
+  // Check if user is online on any node
+  async isUserOnline(userId) {
+    return this.adapter.isOnline(userId.toString());
+  }
+
+  // Check if a socket is still connected on any node
+  async isSocketConnected(userId, socketId) {
+    if (!socketId) return false;
+    return this.adapter.hasSocket(userId.toString(), socketId);
+  }
+
+  // Narrow a list of user ids down to the ones online on any node
+  async filterOnlineUsers(userIds) {
+    return this.adapter.filterOnline(userIds.map((id) => id.toString()));
+  }
+
+  // Room operations are applied on this node and published for the others.
+  // except skips one socket id or room, like socket.to() skipping the sender
+  emitToRoom(room, event, payload, except = null) {
+    this.applyCommand({ type: "emit", room, event, payload, except });
+    this.publishCommand({ type: "emit", room, event, payload, except });
+  }
+
+  // Make every socket in a room leave another room
+  leaveRoom(room, target) {
+    this.applyCommand({ type: "leave", room, target });
+    this.publishCommand({ type: "leave", room, target });
+  }
+
+  // Disconnect every socket in a room
+  disconnectRoom(room) {
+    this.applyCommand({ type: "disconnect", room });
+    this.publishCommand({ type: "disconnect", room });
+  }
+
+  publishCommand(command) {
+    this.adapter
+      .publish(command)
+      .catch((error) => console.error(`Error publishing ${command.type} command:`, error));
+  }
+
+  // Apply a room command to the sockets connected to this node only
+  applyCommand(command) {
+    const operator = this.io.local.in(command.room);
+
+    switch (command.type) {
+      case "emit":
+        (command.except ? operator.except(command.except) : operator).emit(
+          command.event,
+          command.payload
+        );
+        break;
+      case "leave":
+        operator.socketsLeave(command.target);
+        break;
+      case "disconnect":
+        operator.disconnectSockets(true);
+        break;
+      default:
+        console.error(`Unknown realtime command: ${command.type}`);
+    }
+  }
+
+  // Emit an event to every device a user is connected from
+  emitToUser(userId, event, payload) {
+    this.emitToRoom(`user:${userId}`, event, payload);
+  }
+
+  // Emit an event to everyone who joined a conversation room
+  emitToConversation(conversationId, event, payload) {
+    this.emitToRoom(`conversation:${conversationId}`, event, payload);
+  }
+
+  // Take a user who left or was removed out of the conversation room on all their devices
+  removeUserFromConversation(userId, conversationId) {
+    this.emitToRoom(`user:${userId}`, "conversation_removed", { conversationId });
+    this.leaveRoom(`user:${userId}`, `conversation:${conversationId}`);
+  }
+
+  // Tell a suspended user's clients about the restriction; full suspensions also end their sockets
+  notifySuspension(userId, suspension) {
+    this.emitToRoom(
+      `user:${userId}`,
+      "account_suspended",
+      buildSuspensionError(suspension)
+    );
+
+    if (suspension.scope === "full") {
+      this.disconnectRoom(`user:${userId}`);
+    }
   }
 
-  // Check if user is online
-  isUserOnline(userId) {
-    return this.onlineUsers.has(userId);
+  // Tell a user's clients that a suspension has been lifted
+  notifySuspensionLifted(userId, scope) {
+    this.emitToRoom(`user:${userId}`, "suspension_lifted", { scope });
   }
 
   // Send notification to user
@@ -507,8 +870,8 @@ class SocketHandlers {
         "firstName lastName profilePicture"
       );
 
-      // Send to online user
-      this.io.to(`user:${userId}`).emit("new_notification", savedNotification);
+      // Send to the user's devices on whichever node they are connected to
+      this.emitToUser(userId, "new_notification", savedNotification);
 
       return savedNotification;
     } catch (error) {
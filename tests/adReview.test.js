@@ -0,0 +1,82 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import Ad from '../models/Ad.js';
+import { updateAd } from '../controllers/adController.js';
+
+const advertiserId = new mongoose.Types.ObjectId();
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+// An ad as it was loaded from the database
+const storedAd = (fields = {}) => {
+  const ad = Ad.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    advertiser: advertiserId,
+    title: 'Summer sale',
+    description: 'Everything half off',
+    tags: ['sale'],
+    status: 'paused',
+    isActive: true,
+    budget: { amount: 100, currency: 'USD' },
+    review: { status: 'approved' },
+    ...fields
+  });
+  jest.spyOn(ad, 'save').mockResolvedValue(ad);
+  jest.spyOn(ad, 'populate').mockResolvedValue(ad);
+  return ad;
+};
+
+const editAd = async (ad, body) => {
+  jest.spyOn(Ad, 'findById').mockResolvedValue(ad);
+  const res = mockResponse();
+  await updateAd({ params: { id: ad._id.toString() }, user: { _id: advertiserId }, body }, res);
+  return res;
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('updateAd review', () => {
+  test('sends an ad back for review when what moderators saw changes', async () => {
+    const ad = storedAd();
+
+    const res = await editAd(ad, { title: 'Winter sale' });
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(ad.review.status).toBe('pending');
+    expect(ad.status).toBe('paused');
+  });
+
+  test('keeps the approval for edits moderators did not review', async () => {
+    const ad = storedAd();
+
+    await editAd(ad, { title: 'Summer sale', budget: { amount: 250, currency: 'USD' } });
+
+    expect(ad.review.status).toBe('approved');
+    expect(ad.save).toHaveBeenCalled();
+  });
+
+  test('puts an edited rejected ad back in the review queue', async () => {
+    const ad = storedAd({ status: 'rejected', review: { status: 'rejected', feedback: 'Misleading' } });
+
+    await editAd(ad, { description: 'Up to half off' });
+
+    expect(ad.review.status).toBe('pending');
+    expect(ad.status).toBe('pending_review');
+  });
+
+  test('ignores review decisions and status sent by the advertiser', async () => {
+    const ad = storedAd({ status: 'draft', review: { status: 'pending' } });
+
+    await editAd(ad, { status: 'active', review: { status: 'approved' } });
+
+    expect(ad.review.status).toBe('pending');
+    expect(ad.status).toBe('draft');
+  });
+});
@@ -0,0 +1,54 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import { blockUser } from '../controllers/userController.js';
+
+const userId = new mongoose.Types.ObjectId();
+const blockedId = new mongoose.Types.ObjectId();
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+const blockRequest = () => ({
+  params: { id: blockedId.toString() },
+  user: { _id: userId, id: userId.toString() }
+});
+
+beforeEach(() => {
+  jest.spyOn(User, 'findById').mockResolvedValue({ _id: blockedId });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('blockUser', () => {
+  test('adds the block only if it is not there yet and ends relationships both ways', async () => {
+    const updateOne = jest.spyOn(User, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    const res = mockResponse();
+
+    await blockUser(blockRequest(), res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(updateOne).toHaveBeenCalledTimes(2);
+    const [filter, update] = updateOne.mock.calls[0];
+    expect(filter).toEqual({ _id: userId, 'blockedUsers.user': { $ne: blockedId } });
+    expect(update.$push).toEqual({ blockedUsers: { user: blockedId, blockedAt: expect.any(Date) } });
+    expect(updateOne.mock.calls[1][0]).toEqual({ _id: blockedId });
+  });
+
+  test('reports an existing block, including one a concurrent request just added', async () => {
+    const updateOne = jest.spyOn(User, 'updateOne').mockResolvedValue({ modifiedCount: 0 });
+    const res = mockResponse();
+
+    await blockUser(blockRequest(), res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ status: 'error', message: 'You have already blocked this user' });
+    expect(updateOne).toHaveBeenCalledTimes(1);
+  });
+});
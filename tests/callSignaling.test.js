@@ -0,0 +1,97 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import Call from '../models/Call.js';
+import CallSignaling from '../socket/callSignaling.js';
+
+const callerId = new mongoose.Types.ObjectId();
+const calleeId = new mongoose.Types.ObjectId();
+
+const ringingCall = () => Call.hydrate({
+  _id: new mongoose.Types.ObjectId(),
+  conversation: new mongoose.Types.ObjectId(),
+  initiator: callerId,
+  type: 'voice',
+  status: 'ringing',
+  participants: [
+    { user: callerId, status: 'joined', socketId: 'caller-socket' },
+    { user: calleeId, status: 'ringing' }
+  ]
+});
+
+const calleeSocket = id => ({
+  id,
+  userId: calleeId.toString(),
+  emit: jest.fn(),
+  join: jest.fn()
+});
+
+let rooms;
+let signaling;
+
+beforeEach(() => {
+  rooms = { emitToRoom: jest.fn() };
+  signaling = new CallSignaling(rooms);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('accepting a call', () => {
+  test('joins only if the callee is still ringing', async () => {
+    const call = ringingCall();
+    const joined = ringingCall();
+    joined._id = call._id;
+    joined.participants[1].status = 'joined';
+    jest.spyOn(Call, 'findById').mockResolvedValue(call);
+    jest.spyOn(Call, 'findOne').mockResolvedValue(null);
+    const findOneAndUpdate = jest.spyOn(Call, 'findOneAndUpdate').mockResolvedValue(joined);
+    const socket = calleeSocket('phone');
+
+    await signaling.handleCallResponse(socket, { callId: call._id.toString(), accepted: true });
+
+    const [filter, update] = findOneAndUpdate.mock.calls[0];
+    expect(filter).toEqual({
+      _id: call._id,
+      status: { $in: ['ringing', 'ongoing'] },
+      participants: { $elemMatch: { user: calleeId.toString(), status: 'ringing' } }
+    });
+    expect(update.$set).toMatchObject({ 'participants.$.status': 'joined', 'participants.$.socketId': 'phone' });
+    expect(socket.emit).toHaveBeenCalledWith('call_accepted', { callId: call._id, peers: [callerId] });
+    expect(rooms.emitToRoom).toHaveBeenCalledWith(
+      `user:${calleeId}`, 'call_answered_elsewhere', { callId: call._id, accepted: true }, 'phone'
+    );
+  });
+
+  test('lets only the first of two devices in', async () => {
+    jest.spyOn(Call, 'findById').mockResolvedValue(ringingCall());
+    jest.spyOn(Call, 'findOne').mockResolvedValue(null);
+    // The other device's update already moved the callee out of ringing
+    jest.spyOn(Call, 'findOneAndUpdate').mockResolvedValue(null);
+    const socket = calleeSocket('laptop');
+
+    await signaling.handleCallResponse(socket, { callId: 'call', accepted: true });
+
+    expect(socket.emit).toHaveBeenCalledWith('call_error', expect.objectContaining({ message: 'This call is no longer available' }));
+    expect(socket.join).not.toHaveBeenCalled();
+    expect(rooms.emitToRoom).not.toHaveBeenCalled();
+  });
+
+  test('refuses users already connected to another call', async () => {
+    const call = ringingCall();
+    jest.spyOn(Call, 'findById').mockResolvedValue(call);
+    const findOne = jest.spyOn(Call, 'findOne').mockResolvedValue({ _id: new mongoose.Types.ObjectId() });
+    const findOneAndUpdate = jest.spyOn(Call, 'findOneAndUpdate');
+    const socket = calleeSocket('phone');
+
+    await signaling.handleCallResponse(socket, { callId: call._id.toString(), accepted: true });
+
+    expect(findOne).toHaveBeenCalledWith({
+      _id: { $ne: call._id },
+      status: { $in: ['ringing', 'ongoing'] },
+      participants: { $elemMatch: { user: calleeId.toString(), status: { $in: ['joined'] } } }
+    });
+    expect(socket.emit).toHaveBeenCalledWith('call_error', expect.objectContaining({ message: 'You are already in a call' }));
+    expect(findOneAndUpdate).not.toHaveBeenCalled();
+  });
+});
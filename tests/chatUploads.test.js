@@ -0,0 +1,81 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import Message from '../models/Message.js';
+import ChatUpload from '../models/ChatUpload.js';
+import syncService from '../services/SyncService.js';
+import { editMessage } from '../controllers/conversationController.js';
+
+const userId = new mongoose.Types.ObjectId();
+const otherUserId = new mongoose.Types.ObjectId();
+const conversationId = new mongoose.Types.ObjectId();
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+const storedMessage = () => ({
+  _id: new mongoose.Types.ObjectId(),
+  conversation: conversationId,
+  sender: userId,
+  content: { text: 'photos', media: [], linkPreviews: [] },
+  editHistory: [],
+  createdAt: new Date(),
+  save: jest.fn().mockResolvedValue(),
+  populate: jest.fn().mockResolvedValue()
+});
+
+const editRequest = (message, content) => ({
+  params: { conversationId: conversationId.toString(), messageId: message._id.toString() },
+  user: { _id: userId, id: userId.toString() },
+  body: { content }
+});
+
+beforeEach(() => {
+  jest.spyOn(syncService, 'record').mockResolvedValue(1);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('editMessage media', () => {
+  test('links edited media to the sender\'s own uploads only', async () => {
+    const ownUpload = { _id: new mongoose.Types.ObjectId(), uploader: userId, publicId: 'chat/own', url: 'https://cdn/own.jpg' };
+    const foreignUploadId = new mongoose.Types.ObjectId();
+    const find = jest.spyOn(ChatUpload, 'find').mockResolvedValue([ownUpload]);
+    const message = storedMessage();
+    jest.spyOn(Message, 'findOne').mockResolvedValue(message);
+    const res = mockResponse();
+
+    await editMessage(editRequest(message, {
+      text: 'photos',
+      media: [
+        // Resent without its link, which the server puts back
+        { type: 'image', url: 'https://cdn/own.jpg', publicId: 'chat/own' },
+        // Pointing at another user's upload, which the server drops
+        { type: 'image', url: 'https://cdn/theirs.jpg', publicId: 'chat/theirs', upload: foreignUploadId }
+      ]
+    }), res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(find).toHaveBeenCalledWith(expect.objectContaining({ uploader: userId }));
+    expect(message.content.media.map(item => item.upload)).toEqual([ownUpload._id, null]);
+    expect(message.save).toHaveBeenCalled();
+  });
+
+  test('refuses to edit someone else\'s message', async () => {
+    const message = { ...storedMessage(), sender: otherUserId };
+    jest.spyOn(Message, 'findOne').mockResolvedValue(message);
+    const find = jest.spyOn(ChatUpload, 'find');
+    const res = mockResponse();
+
+    await editMessage(editRequest(message, { text: 'changed', media: [] }), res);
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(find).not.toHaveBeenCalled();
+    expect(message.save).not.toHaveBeenCalled();
+  });
+});
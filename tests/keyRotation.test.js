@@ -0,0 +1,59 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import Message from '../models/Message.js';
+import backgroundJobManager from '../services/BackgroundJobManager.js';
+
+const messages = count => Array.from({ length: count }, () => ({ _id: new mongoose.Types.ObjectId() }));
+
+// Stand-in for Message.find(...).sort(...).limit(...) that records each query
+const stubFind = (...batches) => {
+  const find = jest.spyOn(Message, 'find');
+  batches.forEach(batch => {
+    find.mockReturnValueOnce({ sort: () => ({ limit: () => Promise.resolve(batch) }) });
+  });
+  return find;
+};
+
+beforeEach(() => {
+  backgroundJobManager.resealCursors.clear();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('nextResealBatch', () => {
+  test('moves past messages it already handed out, even when they were not resealed', async () => {
+    const first = messages(2);
+    const find = stubFind(first, messages(1), messages(2));
+
+    await backgroundJobManager.nextResealBatch('plaintext', { encryptedWith: null }, 2);
+    await backgroundJobManager.nextResealBatch('plaintext', { encryptedWith: null }, 2);
+    // The second batch ran out, so the next pass starts over
+    await backgroundJobManager.nextResealBatch('plaintext', { encryptedWith: null }, 2);
+
+    expect(find.mock.calls.map(([query]) => query)).toEqual([
+      { encryptedWith: null },
+      { encryptedWith: null, _id: { $gt: first[1]._id } },
+      { encryptedWith: null }
+    ]);
+  });
+
+  test('keeps a cursor per pass', async () => {
+    const plaintext = messages(1);
+    const find = stubFind(plaintext, messages(1));
+
+    await backgroundJobManager.nextResealBatch('plaintext', { encryptedWith: null }, 1);
+    await backgroundJobManager.nextResealBatch('conversation:1', { encryptedWith: 1 }, 1);
+
+    expect(find.mock.calls[1][0]).toEqual({ encryptedWith: 1 });
+    expect(backgroundJobManager.resealCursors.get('plaintext')).toBe(plaintext[0]._id);
+  });
+
+  test('fetches nothing once the batch budget is spent', async () => {
+    const find = jest.spyOn(Message, 'find');
+
+    await expect(backgroundJobManager.nextResealBatch('plaintext', { encryptedWith: null }, 0)).resolves.toEqual([]);
+    expect(find).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,47 @@
+import { jest } from '@jest/globals';
+import { EventEmitter } from 'events';
+import http from 'http';
+import { getLinkPreview, setLinkPreviewFetcher } from '../utils/linkPreview.js';
+
+let get;
+
+beforeEach(() => {
+  setLinkPreviewFetcher(null);
+  // Stands in for the network: every request fails once it is made
+  get = jest.spyOn(http, 'get').mockImplementation(() => {
+    const request = new EventEmitter();
+    process.nextTick(() => request.emit('error', new Error('offline')));
+    return request;
+  });
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('link preview address checks', () => {
+  test.each([
+    ['loopback', 'http://127.0.0.1/'],
+    ['cloud metadata', 'http://169.254.169.254/latest/meta-data/'],
+    ['private network', 'http://10.1.2.3/'],
+    ['IPv6 loopback', 'http://[::1]/'],
+    ['IPv6 unique local', 'http://[fd00::1]/'],
+    ['IPv4-mapped loopback', 'http://[::ffff:127.0.0.1]/'],
+    ['IPv4-mapped metadata in hex', 'http://[::ffff:a9fe:a9fe]/'],
+    ['NAT64 loopback', 'http://[64:ff9b::7f00:1]/'],
+    ['6to4 private network', 'http://[2002:a00:1::1]/'],
+    ['localhost', 'http://localhost:8080/'],
+  ])('never requests %s addresses', async (label, url) => {
+    await expect(getLinkPreview(url)).resolves.toBeNull();
+    expect(get).not.toHaveBeenCalled();
+  });
+
+  test.each([
+    ['IPv4', 'http://1.1.1.1/'],
+    ['IPv6', 'http://[2606:4700:4700::1111]/'],
+  ])('requests public %s addresses', async (label, url) => {
+    await expect(getLinkPreview(url)).resolves.toBeNull();
+    expect(get).toHaveBeenCalledTimes(1);
+  });
+});
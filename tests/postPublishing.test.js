@@ -0,0 +1,95 @@
+import { jest } from '@jest/globals';
+
+const publishDraft = jest.fn();
+jest.unstable_mockModule('../utils/postPublishing.js', () => ({ publishDraft }));
+
+const { default: PostDraft } = await import('../models/PostDraft.js');
+const { default: NotificationHelper } = await import('../utils/notificationHelper.js');
+const { default: backgroundJobManager } = await import('../services/BackgroundJobManager.js');
+
+const NOW = new Date('2024-05-01T12:00:00Z');
+
+beforeEach(() => {
+  jest.useFakeTimers({ now: NOW });
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+  publishDraft.mockReset();
+});
+
+describe('PostDraft.claimForPublishing', () => {
+  test('claims unpublished drafts and publishing claims that went stale', async () => {
+    const claimed = { _id: 'draft' };
+    const findOneAndUpdate = jest.spyOn(PostDraft, 'findOneAndUpdate').mockResolvedValue(claimed);
+
+    await expect(PostDraft.claimForPublishing({ _id: 'draft' }, 60 * 1000)).resolves.toBe(claimed);
+
+    const [filter, update, options] = findOneAndUpdate.mock.calls[0];
+    expect(filter._id).toBe('draft');
+    expect(filter.$or).toEqual([
+      { status: { $in: ['draft', 'scheduled', 'failed'] } },
+      { status: 'publishing', publishingStartedAt: { $lte: new Date(NOW.getTime() - 60 * 1000) } }
+    ]);
+    expect(options).toEqual({ new: true, sort: { publishAt: 1 } });
+
+    const [{ $set }] = update;
+    expect($set.status).toBe('publishing');
+    expect($set.publishingStartedAt).toEqual(NOW);
+    // A claim taken over keeps the post id reserved by the first attempt
+    expect($set.publishedPost.$ifNull[0]).toBe('$publishedPost');
+    expect($set.__v).toEqual({ $add: [{ $ifNull: ['$__v', 0] }, 1] });
+  });
+
+  test('waits ten minutes before taking over a claim by default', async () => {
+    const findOneAndUpdate = jest.spyOn(PostDraft, 'findOneAndUpdate').mockResolvedValue(null);
+
+    await expect(PostDraft.claimForPublishing({})).resolves.toBeNull();
+
+    const [filter] = findOneAndUpdate.mock.calls[0];
+    expect(filter.$or[1].publishingStartedAt.$lte).toEqual(new Date(NOW.getTime() - 10 * 60 * 1000));
+  });
+});
+
+describe('BackgroundJobManager.publishScheduledPosts', () => {
+  test('claims scheduled drafts that are due and claims left behind by a crash', async () => {
+    const claim = jest.spyOn(PostDraft, 'claimForPublishing').mockResolvedValueOnce(null);
+
+    await backgroundJobManager.publishScheduledPosts();
+
+    expect(claim.mock.calls[0][0]).toEqual({
+      $and: [{
+        $or: [
+          { status: 'scheduled', publishAt: { $lte: NOW } },
+          { status: 'publishing' }
+        ]
+      }]
+    });
+  });
+
+  test('counts failures and only notifies authors of drafts that cannot be published', async () => {
+    const drafts = [
+      { _id: 'published', author: 'author-1' },
+      { _id: 'crashed', author: 'author-2' },
+      { _id: 'rejected', author: 'author-3' }
+    ];
+    const claim = jest.spyOn(PostDraft, 'claimForPublishing');
+    drafts.forEach(draft => claim.mockResolvedValueOnce(draft));
+    claim.mockResolvedValueOnce(null);
+
+    publishDraft
+      .mockResolvedValueOnce({ post: {} })
+      .mockRejectedValueOnce(new Error('connection lost'))
+      .mockResolvedValueOnce({ error: { status: 403, message: 'You are suspended from posting' } });
+    const notify = jest.spyOn(NotificationHelper, 'notifyScheduledPostFailed').mockResolvedValue(null);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await expect(backgroundJobManager.publishScheduledPosts()).resolves.toEqual({ published: 1, failed: 2 });
+
+    expect(publishDraft).toHaveBeenCalledTimes(3);
+    // The crashed draft stays claimed and is picked up again once the claim is stale
+    expect(notify).toHaveBeenCalledTimes(1);
+    expect(notify).toHaveBeenCalledWith('author-3', 'rejected', 'You are suspended from posting');
+  });
+});
@@ -0,0 +1,199 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import Post from '../models/Post.js';
+import PollVote from '../models/PollVote.js';
+import EventRsvp from '../models/EventRsvp.js';
+import NotificationHelper from '../utils/notificationHelper.js';
+import postTypeService from '../services/PostTypeService.js';
+
+const userId = new mongoose.Types.ObjectId();
+const authorId = new mongoose.Types.ObjectId();
+
+const pollPost = () => ({
+  _id: new mongoose.Types.ObjectId(),
+  author: authorId,
+  postType: 'poll',
+  poll: {
+    options: [{ text: 'Yes' }, { text: 'No' }, { text: 'Maybe' }],
+    allowMultiple: true,
+    isAnonymous: false
+  }
+});
+
+const eventPost = () => ({
+  _id: new mongoose.Types.ObjectId(),
+  author: authorId,
+  postType: 'event',
+  event: { title: 'Launch', startsAt: new Date(Date.now() + 24 * 60 * 60 * 1000) }
+});
+
+let updateOne;
+
+beforeEach(() => {
+  updateOne = jest.spyOn(Post, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  jest.spyOn(NotificationHelper, 'notifyPollVote').mockResolvedValue(null);
+  jest.spyOn(NotificationHelper, 'notifyEventRsvp').mockResolvedValue(null);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('poll vote counts', () => {
+  test('a first vote counts its options and the voter', async () => {
+    const post = pollPost();
+    jest.spyOn(PollVote, 'findOneAndUpdate').mockResolvedValue(null);
+
+    await expect(postTypeService.vote(post, userId, [0, 2])).resolves.toEqual({ vote: { optionIndexes: [0, 2] } });
+
+    expect(updateOne).toHaveBeenCalledWith(
+      { _id: post._id },
+      { $inc: { 'poll.options.0.votesCount': 1, 'poll.options.2.votesCount': 1, 'poll.votersCount': 1 } }
+    );
+    expect(NotificationHelper.notifyPollVote).toHaveBeenCalledTimes(1);
+  });
+
+  test('changing a vote moves only the options that changed', async () => {
+    const post = pollPost();
+    jest.spyOn(PollVote, 'findOneAndUpdate').mockResolvedValue({ optionIndexes: [0, 1] });
+
+    await postTypeService.vote(post, userId, [1, 2]);
+
+    expect(updateOne).toHaveBeenCalledWith(
+      { _id: post._id },
+      { $inc: { 'poll.options.0.votesCount': -1, 'poll.options.2.votesCount': 1 } }
+    );
+    expect(NotificationHelper.notifyPollVote).not.toHaveBeenCalled();
+  });
+
+  test('voting the same options again changes no counts', async () => {
+    jest.spyOn(PollVote, 'findOneAndUpdate').mockResolvedValue({ optionIndexes: [1] });
+
+    await postTypeService.vote(pollPost(), userId, [1]);
+
+    expect(updateOne).not.toHaveBeenCalled();
+  });
+
+  test('retracting a vote takes back its options and the voter', async () => {
+    const post = pollPost();
+    jest.spyOn(PollVote, 'findOneAndDelete').mockResolvedValue({ optionIndexes: [2] });
+
+    await expect(postTypeService.retractVote(post, userId)).resolves.toEqual({ removed: true });
+
+    expect(updateOne).toHaveBeenCalledWith(
+      { _id: post._id },
+      { $inc: { 'poll.options.2.votesCount': -1, 'poll.votersCount': -1 } }
+    );
+  });
+
+  test('closed polls take no votes', async () => {
+    const post = { ...pollPost(), poll: { ...pollPost().poll, closedAt: new Date() } };
+    const findOneAndUpdate = jest.spyOn(PollVote, 'findOneAndUpdate');
+
+    const result = await postTypeService.vote(post, userId, [0]);
+
+    expect(result.error.status).toBe(400);
+    expect(findOneAndUpdate).not.toHaveBeenCalled();
+    expect(updateOne).not.toHaveBeenCalled();
+  });
+});
+
+describe('event RSVP counts', () => {
+  test('going reserves a seat before the RSVP is written', async () => {
+    const post = eventPost();
+    jest.spyOn(EventRsvp, 'findOne').mockResolvedValue(null);
+    jest.spyOn(EventRsvp, 'create').mockResolvedValue({ status: 'going' });
+
+    const result = await postTypeService.rsvp(post, userId, 'going');
+
+    expect(result.changed).toBe(true);
+    expect(updateOne).toHaveBeenNthCalledWith(1, expect.objectContaining({ _id: post._id }), {
+      $inc: { 'event.goingCount': 1 }
+    });
+    // The seat is the only count a new going RSVP adds
+    const counts = updateOne.mock.calls.map(([, update]) => update.$inc);
+    expect(Object.assign({}, ...counts)).toEqual({ 'event.goingCount': 1 });
+  });
+
+  test('a full event turns going away without writing anything', async () => {
+    jest.spyOn(EventRsvp, 'findOne').mockResolvedValue(null);
+    const create = jest.spyOn(EventRsvp, 'create');
+    updateOne.mockResolvedValueOnce({ modifiedCount: 0 });
+
+    const result = await postTypeService.rsvp(eventPost(), userId, 'going');
+
+    expect(result.error.status).toBe(409);
+    expect(create).not.toHaveBeenCalled();
+    expect(updateOne).toHaveBeenCalledTimes(1);
+  });
+
+  test('moving from interested to going swaps the counts', async () => {
+    const post = eventPost();
+    const existing = { _id: new mongoose.Types.ObjectId(), status: 'interested' };
+    jest.spyOn(EventRsvp, 'findOne').mockResolvedValue(existing);
+    const findOneAndUpdate = jest.spyOn(EventRsvp, 'findOneAndUpdate').mockResolvedValue({ status: 'going' });
+
+    await postTypeService.rsvp(post, userId, 'going');
+
+    expect(findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: existing._id, status: 'interested' },
+      { $set: { status: 'going' } },
+      { new: true }
+    );
+    expect(updateOne).toHaveBeenLastCalledWith({ _id: post._id }, { $inc: { 'event.interestedCount': -1 } });
+  });
+
+  test('gives the seat back and retries when another request changed the RSVP first', async () => {
+    const post = eventPost();
+    const existing = { _id: new mongoose.Types.ObjectId(), status: 'interested' };
+    jest.spyOn(EventRsvp, 'findOne')
+      .mockResolvedValueOnce(existing)
+      .mockResolvedValueOnce({ ...existing, status: 'going' });
+    jest.spyOn(EventRsvp, 'findOneAndUpdate').mockResolvedValue(null);
+
+    const result = await postTypeService.rsvp(post, userId, 'going');
+
+    // The retry finds the RSVP already going and leaves the counts as they are
+    expect(result.changed).toBe(false);
+    expect(updateOne.mock.calls.map(([, update]) => update)).toEqual([
+      { $inc: { 'event.goingCount': 1 } },
+      { $inc: { 'event.goingCount': -1 } }
+    ]);
+  });
+
+  test('stops retrying after a few attempts with every seat given back', async () => {
+    const existing = { _id: new mongoose.Types.ObjectId(), status: 'interested' };
+    jest.spyOn(EventRsvp, 'findOne').mockResolvedValue(existing);
+    jest.spyOn(EventRsvp, 'findOneAndUpdate').mockResolvedValue(null);
+
+    const result = await postTypeService.rsvp(eventPost(), userId, 'going');
+
+    expect(result.error.status).toBe(409);
+    const seats = updateOne.mock.calls.map(([, update]) => update.$inc['event.goingCount']);
+    expect(seats.reduce((sum, change) => sum + change, 0)).toBe(0);
+    expect(seats.filter(change => change === 1)).toHaveLength(3);
+  });
+
+  test('a duplicate first RSVP from a concurrent request is retried, not counted twice', async () => {
+    const post = eventPost();
+    const duplicate = Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+    jest.spyOn(EventRsvp, 'findOne')
+      .mockResolvedValueOnce(null)
+      .mockResolvedValueOnce({ _id: new mongoose.Types.ObjectId(), status: 'interested' });
+    jest.spyOn(EventRsvp, 'create').mockRejectedValue(duplicate);
+
+    const result = await postTypeService.rsvp(post, userId, 'interested');
+
+    expect(result.changed).toBe(false);
+    expect(updateOne).not.toHaveBeenCalled();
+  });
+
+  test('cancelling takes the RSVP off its count', async () => {
+    const post = eventPost();
+    jest.spyOn(EventRsvp, 'findOneAndDelete').mockResolvedValue({ status: 'going' });
+
+    await expect(postTypeService.cancelRsvp(post, userId)).resolves.toEqual({ removed: true });
+
+    expect(updateOne).toHaveBeenCalledWith({ _id: post._id }, { $inc: { 'event.goingCount': -1 } });
+  });
+});
@@ -0,0 +1,160 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import Message from '../models/Message.js';
+import Conversation from '../models/Conversation.js';
+import User from '../models/User.js';
+import receiptService from '../services/ReceiptService.js';
+import syncService from '../services/SyncService.js';
+import backgroundJobManager from '../services/BackgroundJobManager.js';
+
+const senderId = new mongoose.Types.ObjectId();
+const readerId = new mongoose.Types.ObjectId();
+const conversationId = new mongoose.Types.ObjectId();
+
+const conversation = new Conversation({
+  _id: conversationId,
+  participants: [{ user: senderId }, { user: readerId }]
+});
+
+// Stand-in for a query that is awaited after .select()
+const selecting = value => ({ select: () => Promise.resolve(value) });
+
+beforeEach(() => {
+  jest.spyOn(receiptService, 'broadcast').mockImplementation(() => {});
+  jest.spyOn(receiptService, 'emitToUser').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('incrementUnread', () => {
+  test('bumps every active participant but the sender in one update', async () => {
+    const updateOne = jest.spyOn(Conversation, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    await receiptService.incrementUnread(conversationId, senderId);
+
+    expect(updateOne).toHaveBeenCalledWith(
+      { _id: conversationId },
+      { $inc: { 'participants.$[p].unreadCount': 1 } },
+      { arrayFilters: [{ 'p.user': { $ne: senderId }, 'p.isActive': true }] }
+    );
+  });
+
+  test('bumps only the given users when there are some', async () => {
+    const updateOne = jest.spyOn(Conversation, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    await receiptService.incrementUnread(conversationId, senderId, [readerId.toString()]);
+
+    const [, , { arrayFilters }] = updateOne.mock.calls[0];
+    expect(arrayFilters).toEqual([{ 'p.user': { $in: [readerId] }, 'p.isActive': true }]);
+  });
+});
+
+describe('markReadUpTo', () => {
+  test('marks unread messages read and sets the count from what is left', async () => {
+    const unread = [{ _id: new mongoose.Types.ObjectId() }, { _id: new mongoose.Types.ObjectId() }];
+    jest.spyOn(Conversation, 'findById').mockReturnValue(selecting(conversation));
+    const find = jest.spyOn(Message, 'find').mockReturnValue(selecting(unread));
+    const updateMany = jest.spyOn(Message, 'updateMany').mockResolvedValue({ modifiedCount: 2 });
+    jest.spyOn(Message, 'countDocuments').mockResolvedValue(3);
+    const updateOne = jest.spyOn(Conversation, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(User, 'findById').mockReturnValue(selecting({ privacy: { readReceipts: true } }));
+
+    const result = await receiptService.markReadUpTo(readerId, conversationId.toString());
+
+    expect(result).toEqual({ messageIds: unread.map(m => m._id), unreadCount: 3 });
+
+    // Thread replies and the reader's own messages never count
+    const [readQuery] = find.mock.calls[0];
+    expect(readQuery).toMatchObject({ threadRoot: null, sender: { $ne: readerId }, isDeleted: false });
+
+    expect(updateMany).toHaveBeenCalledWith(
+      { _id: { $in: unread.map(m => m._id) }, 'readBy.user': { $ne: readerId } },
+      { $push: { readBy: { user: readerId, readAt: expect.any(Date) } } }
+    );
+    expect(updateOne).toHaveBeenCalledWith(
+      { _id: conversationId, 'participants.user': readerId },
+      { $set: { 'participants.$.unreadCount': 3, 'participants.$.lastSeen': expect.any(Date) } }
+    );
+    expect(receiptService.broadcast).toHaveBeenCalledWith(conversationId, 'message_read', expect.any(Object));
+  });
+
+  test('only syncs the reader\'s own devices when they hide read receipts', async () => {
+    jest.spyOn(Conversation, 'findById').mockReturnValue(selecting(conversation));
+    jest.spyOn(Message, 'find').mockReturnValue(selecting([{ _id: new mongoose.Types.ObjectId() }]));
+    jest.spyOn(Message, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(Message, 'countDocuments').mockResolvedValue(0);
+    jest.spyOn(Conversation, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(User, 'findById').mockReturnValue(selecting({ privacy: { readReceipts: false } }));
+
+    await receiptService.markReadUpTo(readerId, conversationId.toString());
+
+    expect(receiptService.broadcast).not.toHaveBeenCalled();
+    expect(receiptService.emitToUser).toHaveBeenCalledWith(readerId, 'message_read', expect.any(Object));
+  });
+
+  test('recomputes the count without writing receipts when nothing is unread', async () => {
+    jest.spyOn(Conversation, 'findById').mockReturnValue(selecting(conversation));
+    jest.spyOn(Message, 'find').mockReturnValue(selecting([]));
+    const updateMany = jest.spyOn(Message, 'updateMany');
+    jest.spyOn(Message, 'countDocuments').mockResolvedValue(0);
+    jest.spyOn(Conversation, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    await expect(receiptService.markReadUpTo(readerId, conversationId.toString()))
+      .resolves.toEqual({ messageIds: [], unreadCount: 0 });
+
+    expect(updateMany).not.toHaveBeenCalled();
+    expect(receiptService.emitToUser).toHaveBeenCalledWith(
+      readerId,
+      'unread_count_updated',
+      { conversationId, unreadCount: 0 }
+    );
+  });
+
+  test('refuses users outside the conversation', async () => {
+    jest.spyOn(Conversation, 'findById').mockReturnValue(selecting(conversation));
+    const countDocuments = jest.spyOn(Message, 'countDocuments');
+
+    const result = await receiptService.markReadUpTo(new mongoose.Types.ObjectId(), conversationId.toString());
+
+    expect(result.error.status).toBe(403);
+    expect(countDocuments).not.toHaveBeenCalled();
+  });
+});
+
+describe('purgeExpiredMessages', () => {
+  test('recomputes unread counts of active participants without marking them seen', async () => {
+    const leftId = new mongoose.Types.ObjectId();
+    const withLeaver = new Conversation({
+      _id: conversationId,
+      participants: [{ user: senderId }, { user: readerId }, { user: leftId, isActive: false }]
+    });
+    const expired = [{
+      _id: new mongoose.Types.ObjectId(),
+      conversation: conversationId,
+      content: { media: [] },
+      threadRoot: null,
+      isDeleted: false
+    }];
+    jest.spyOn(Message, 'find').mockReturnValue({
+      select: () => ({ limit: () => Promise.resolve(expired) })
+    });
+    jest.spyOn(Message, 'deleteMany').mockResolvedValue({ deletedCount: 1 });
+    jest.spyOn(Conversation, 'updateMany').mockResolvedValue({ modifiedCount: 0 });
+    jest.spyOn(Conversation, 'findById').mockReturnValue(selecting(withLeaver));
+    jest.spyOn(syncService, 'recordMany').mockResolvedValue([]);
+    jest.spyOn(Message, 'countDocuments').mockResolvedValue(0);
+    const updateOne = jest.spyOn(Conversation, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    await expect(backgroundJobManager.purgeExpiredMessages()).resolves.toBe(1);
+
+    expect(updateOne).toHaveBeenCalledTimes(2);
+    for (const userId of [senderId, readerId]) {
+      expect(updateOne).toHaveBeenCalledWith(
+        { _id: conversationId.toString(), 'participants.user': userId },
+        { $set: { 'participants.$.unreadCount': 0 } }
+      );
+    }
+  });
+});
@@ -0,0 +1,112 @@
+import { jest } from '@jest/globals';
+import { RedisAdapter } from '../socket/adapters/index.js';
+import { createMemoryRedis } from './support/memoryRedis.js';
+
+const PRESENCE_TTL_MS = 45 * 1000;
+
+let redis;
+
+// One server instance: its own clients on a Redis server shared with the others
+const startNode = async (nodeId, onCommand = () => {}) => {
+  const adapter = new RedisAdapter({
+    client: redis.createClient(),
+    subscriber: redis.createClient(),
+    prefix: 'test'
+  });
+  await adapter.init(nodeId, onCommand);
+  return adapter;
+};
+
+beforeEach(() => {
+  jest.useFakeTimers({ now: new Date('2024-05-01T12:00:00Z') });
+  redis = createMemoryRedis();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('RedisAdapter presence', () => {
+  test('tracks a user across sockets on different nodes', async () => {
+    const nodeA = await startNode('a');
+    const nodeB = await startNode('b');
+
+    await expect(nodeA.addSocket('user-1', 'socket-1')).resolves.toBe(true);
+    await expect(nodeB.addSocket('user-1', 'socket-2')).resolves.toBe(false);
+
+    await expect(nodeB.isOnline('user-1')).resolves.toBe(true);
+    await expect(nodeA.hasSocket('user-1', 'socket-2')).resolves.toBe(true);
+    await expect(nodeA.countOnline()).resolves.toBe(1);
+
+    // Still connected through node B
+    await expect(nodeA.removeSocket('user-1', 'socket-1')).resolves.toBe(false);
+    await expect(nodeA.hasSocket('user-1', 'socket-1')).resolves.toBe(false);
+
+    await expect(nodeB.removeSocket('user-1', 'socket-2')).resolves.toBe(true);
+    await expect(nodeA.isOnline('user-1')).resolves.toBe(false);
+  });
+
+  test('drops sockets of a node that stopped beating', async () => {
+    const crashed = await startNode('crashed');
+    const nodeB = await startNode('b');
+    await crashed.addSocket('user-1', 'socket-1');
+    await nodeB.addSocket('user-1', 'socket-2');
+
+    jest.advanceTimersByTime(PRESENCE_TTL_MS);
+    await nodeB.heartbeat(['user-1']);
+
+    await expect(nodeB.hasSocket('user-1', 'socket-1')).resolves.toBe(false);
+    await expect(nodeB.hasSocket('user-1', 'socket-2')).resolves.toBe(true);
+
+    // The last live socket going away takes the user offline despite the stale one
+    await expect(nodeB.removeSocket('user-1', 'socket-2')).resolves.toBe(true);
+    await expect(nodeB.isOnline('user-1')).resolves.toBe(false);
+    expect(redis.keys.get('test:sockets:user-1').value.size).toBe(0);
+  });
+
+  test('expires users whose node no longer refreshes them', async () => {
+    const nodeA = await startNode('a');
+    const nodeB = await startNode('b');
+    await nodeA.addSocket('user-1', 'socket-1');
+    await nodeB.addSocket('user-2', 'socket-2');
+
+    jest.advanceTimersByTime(PRESENCE_TTL_MS / 2);
+    await nodeB.heartbeat(['user-2']);
+    jest.advanceTimersByTime(PRESENCE_TTL_MS / 2 + 1);
+
+    await expect(nodeB.filterOnline(['user-1', 'user-2', 'user-3'])).resolves.toEqual(['user-2']);
+    await expect(nodeB.getOnlineUsers()).resolves.toEqual(['user-2']);
+
+    await nodeB.heartbeat(['user-2']);
+    await expect(nodeB.countOnline()).resolves.toBe(1);
+  });
+});
+
+describe('RedisAdapter commands', () => {
+  test('delivers published commands to every other node', async () => {
+    const received = { a: [], b: [], c: [] };
+    const nodeA = await startNode('a', command => received.a.push(command));
+    await startNode('b', command => received.b.push(command));
+    await startNode('c', command => received.c.push(command));
+
+    const command = { type: 'emit', room: 'user:1', event: 'new_message', payload: { text: 'hi' } };
+    await nodeA.publish(command);
+
+    expect(received.a).toEqual([]);
+    expect(received.b).toEqual([{ ...command, nodeId: 'a' }]);
+    expect(received.c).toEqual([{ ...command, nodeId: 'a' }]);
+  });
+
+  test('a closed node stops receiving commands and its sockets stop counting', async () => {
+    const received = [];
+    const nodeA = await startNode('a');
+    const nodeB = await startNode('b', command => received.push(command));
+    await nodeB.addSocket('user-1', 'socket-1');
+
+    await nodeB.close();
+    await nodeA.publish({ type: 'leave', room: 'user:1', target: 'conversation:1' });
+
+    expect(received).toEqual([]);
+    await expect(nodeA.hasSocket('user-1', 'socket-1')).resolves.toBe(false);
+  });
+});
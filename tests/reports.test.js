@@ -0,0 +1,151 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import Report from '../models/Report.js';
+import Post from '../models/Post.js';
+import { claimReport, createReport } from '../controllers/reportController.js';
+
+const moderatorId = new mongoose.Types.ObjectId();
+const otherModeratorId = new mongoose.Types.ObjectId();
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+const openReport = (fields = {}) => Report.hydrate({
+  _id: new mongoose.Types.ObjectId(),
+  targetType: 'post',
+  target: new mongoose.Types.ObjectId(),
+  targetModel: 'Post',
+  reporter: new mongoose.Types.ObjectId(),
+  reason: 'Spam',
+  category: 'spam',
+  status: 'pending',
+  assignedTo: null,
+  isDuplicate: false,
+  ...fields
+});
+
+const moderatorRequest = (report, query = {}) => ({
+  params: { id: report._id.toString() },
+  user: { _id: moderatorId, id: moderatorId.toString() },
+  query
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('claimReport', () => {
+  test('claims an open report only while nobody else holds it', async () => {
+    const report = openReport();
+    const claimed = openReport({ _id: report._id, status: 'reviewing', assignedTo: moderatorId });
+    jest.spyOn(Report, 'findById').mockResolvedValue(report);
+    const findOneAndUpdate = jest.spyOn(Report, 'findOneAndUpdate').mockResolvedValue(claimed);
+    const res = mockResponse();
+
+    await claimReport(moderatorRequest(report), res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json.mock.calls[0][0].data.report).toBe(claimed);
+    expect(findOneAndUpdate).toHaveBeenCalledWith(
+      {
+        _id: report._id,
+        status: { $in: ['pending', 'reviewing'] },
+        $or: [{ assignedTo: null }, { assignedTo: moderatorId }]
+      },
+      { $set: { assignedTo: moderatorId, claimedAt: expect.any(Date), status: 'reviewing' } },
+      { new: true }
+    );
+  });
+
+  test('answers 409 when another moderator claimed the report first', async () => {
+    // Loaded while still unclaimed; the claim lost the race
+    const report = openReport();
+    jest.spyOn(Report, 'findById').mockResolvedValue(report);
+    jest.spyOn(Report, 'findOneAndUpdate').mockResolvedValue(null);
+    const res = mockResponse();
+
+    await claimReport(moderatorRequest(report), res);
+
+    expect(res.status).toHaveBeenCalledWith(409);
+  });
+
+  test('takes over a claimed report when forced', async () => {
+    const report = openReport({ status: 'reviewing', assignedTo: otherModeratorId });
+    jest.spyOn(Report, 'findById').mockResolvedValue(report);
+    const findOneAndUpdate = jest.spyOn(Report, 'findOneAndUpdate')
+      .mockResolvedValue(openReport({ _id: report._id, status: 'reviewing', assignedTo: moderatorId }));
+    const res = mockResponse();
+
+    await claimReport(moderatorRequest(report, { force: 'true' }), res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    const [filter] = findOneAndUpdate.mock.calls[0];
+    expect(filter).toEqual({ _id: report._id, status: { $in: ['pending', 'reviewing'] } });
+  });
+});
+
+describe('Report.recordDuplicate', () => {
+  test('counts the duplicate atomically and only ever raises the triage', async () => {
+    const createdAt = new Date('2024-05-01T12:00:00Z');
+    const duplicateId = new mongoose.Types.ObjectId();
+    // Already counted: the third report of a harassment report makes it urgent
+    const primary = openReport({
+      category: 'harassment',
+      severity: 'high',
+      reportCount: 3,
+      createdAt,
+      reviewDeadline: new Date('2024-05-01T18:00:00Z')
+    });
+    const findOneAndUpdate = jest.spyOn(Report, 'findOneAndUpdate').mockResolvedValue(primary);
+    const updateOne = jest.spyOn(Report, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    await expect(Report.recordDuplicate(primary._id, duplicateId)).resolves.toBe(primary);
+
+    expect(findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: primary._id },
+      {
+        $inc: { reportCount: 1 },
+        $set: { lastReportedAt: expect.any(Date) },
+        $addToSet: { relatedReports: duplicateId }
+      },
+      { new: true }
+    );
+    expect(updateOne).toHaveBeenNthCalledWith(1, { _id: primary._id }, {
+      $max: { priority: 10 },
+      $set: { isUrgent: true },
+      $min: { reviewDeadline: new Date('2024-05-01T14:00:00Z') }
+    });
+    // Moderators' own escalations are left alone
+    expect(updateOne).toHaveBeenNthCalledWith(2, { _id: primary._id, isEscalated: false }, { $max: { escalationLevel: 3 } });
+  });
+
+  test('does nothing when the primary report is gone', async () => {
+    jest.spyOn(Report, 'findOneAndUpdate').mockResolvedValue(null);
+    const updateOne = jest.spyOn(Report, 'updateOne');
+
+    await expect(Report.recordDuplicate(new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId())).resolves.toBeNull();
+    expect(updateOne).not.toHaveBeenCalled();
+  });
+});
+
+describe('createReport', () => {
+  test('refuses categories reports cannot be filed under', async () => {
+    const findById = jest.spyOn(Post, 'findById');
+    const create = jest.spyOn(Report, 'create');
+    const res = mockResponse();
+
+    await createReport({
+      user: { _id: moderatorId, id: moderatorId.toString() },
+      body: { targetType: 'post', targetId: new mongoose.Types.ObjectId().toString(), reason: 'Spam', category: 'boring' }
+    }, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ status: 'error', message: 'Invalid report category' });
+    expect(findById).not.toHaveBeenCalled();
+    expect(create).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,9 @@
+import mongoose from 'mongoose';
+
+// Tests run without a database: model statics are stubbed, and nothing may
+// wait on a connection to create collections or build indexes
+mongoose.set('autoCreate', false);
+mongoose.set('autoIndex', false);
+
+// models/Product.js syncs its indexes as soon as it is imported
+mongoose.Model.syncIndexes = async () => [];
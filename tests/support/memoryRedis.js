@@ -0,0 +1,132 @@
+// In-memory stand-in for the part of a Redis server RedisAdapter uses, with
+// clients shaped like node-redis v4. Clients of one server share its keys and
+// pub/sub channels, so several adapters behave like nodes of one deployment.
+// Expiry follows Date.now(), so tests can move it with Jest's fake timers.
+export const createMemoryRedis = () => {
+  const keys = new Map(); // key -> { value, expiresAt }
+  const channels = new Map(); // channel -> Set of listeners
+
+  const read = key => {
+    const entry = keys.get(key);
+    if (!entry) return undefined;
+    if (entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      keys.delete(key);
+      return undefined;
+    }
+    return entry.value;
+  };
+
+  const write = (key, value, expiresAt = null) => {
+    keys.set(key, { value, expiresAt });
+  };
+
+  // Hashes and sorted sets are both kept as Maps (field -> value, member -> score)
+  const collection = key => {
+    let value = read(key);
+    if (!value) {
+      value = new Map();
+      write(key, value);
+    }
+    return value;
+  };
+
+  const inRange = (score, min, max) =>
+    (min === '-inf' || score >= Number(min)) && (max === '+inf' || score <= Number(max));
+
+  const createClient = () => {
+    const subscriptions = new Map(); // channel -> listener
+
+    return {
+      async set(key, value, { PX } = {}) {
+        write(key, String(value), PX ? Date.now() + PX : null);
+        return 'OK';
+      },
+      async exists(key) {
+        return read(key) === undefined ? 0 : 1;
+      },
+      async del(key) {
+        return keys.delete(key) ? 1 : 0;
+      },
+
+      async hSet(key, field, value) {
+        collection(key).set(field, String(value));
+        return 1;
+      },
+      async hGet(key, field) {
+        const value = read(key);
+        return value && value.has(field) ? value.get(field) : null;
+      },
+      async hGetAll(key) {
+        return Object.fromEntries(read(key) || []);
+      },
+      async hDel(key, fields) {
+        const value = read(key);
+        if (!value) return 0;
+        return [].concat(fields).filter(field => value.delete(field)).length;
+      },
+
+      async zAdd(key, members) {
+        const value = collection(key);
+        [].concat(members).forEach(({ score, value: member }) => value.set(member, score));
+        return [].concat(members).length;
+      },
+      async zRem(key, member) {
+        const value = read(key);
+        return value && value.delete(member) ? 1 : 0;
+      },
+      async zScore(key, member) {
+        const value = read(key);
+        return value && value.has(member) ? value.get(member) : null;
+      },
+      async zmScore(key, members) {
+        const value = read(key);
+        return members.map(member => (value && value.has(member) ? value.get(member) : null));
+      },
+      async zRangeByScore(key, min, max) {
+        return [...(read(key) || [])]
+          .filter(([, score]) => inRange(score, min, max))
+          .sort(([, a], [, b]) => a - b)
+          .map(([member]) => member);
+      },
+      async zCount(key, min, max) {
+        return [...(read(key) || [])].filter(([, score]) => inRange(score, min, max)).length;
+      },
+      async zRemRangeByScore(key, min, max) {
+        const value = read(key);
+        if (!value) return 0;
+        const removed = [...value].filter(([, score]) => inRange(score, min, max));
+        removed.forEach(([member]) => value.delete(member));
+        return removed.length;
+      },
+
+      async publish(channel, message) {
+        const listeners = channels.get(channel) || new Set();
+        listeners.forEach(listener => listener(message));
+        return listeners.size;
+      },
+      async subscribe(channel, listener) {
+        if (!channels.has(channel)) {
+          channels.set(channel, new Set());
+        }
+        channels.get(channel).add(listener);
+        subscriptions.set(channel, listener);
+      },
+      async unsubscribe(channel) {
+        const listener = subscriptions.get(channel);
+        if (listener) {
+          channels.get(channel).delete(listener);
+          subscriptions.delete(channel);
+        }
+      },
+
+      async quit() {
+        for (const channel of [...subscriptions.keys()]) {
+          await this.unsubscribe(channel);
+        }
+        return 'OK';
+      }
+    };
+  };
+
+  return { createClient, keys };
+};
@@ -0,0 +1,119 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import Message from '../models/Message.js';
+import Conversation from '../models/Conversation.js';
+import syncService from '../services/SyncService.js';
+import backgroundJobManager from '../services/BackgroundJobManager.js';
+import { deleteMessage } from '../controllers/conversationController.js';
+
+const userId = new mongoose.Types.ObjectId();
+const conversationId = new mongoose.Types.ObjectId();
+const rootId = new mongoose.Types.ObjectId();
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+const deleteRequest = reply => ({
+  params: { conversationId: conversationId.toString(), messageId: reply._id.toString() },
+  user: { id: userId.toString() }
+});
+
+const threadReply = () => ({
+  _id: new mongoose.Types.ObjectId(),
+  conversation: conversationId,
+  sender: userId,
+  threadRoot: rootId
+});
+
+beforeEach(() => {
+  jest.spyOn(Conversation, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  jest.spyOn(syncService, 'record').mockResolvedValue(1);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('deleteMessage thread reply counts', () => {
+  test('takes a deleted reply off its thread root once', async () => {
+    const reply = threadReply();
+    jest.spyOn(Message, 'findOne').mockResolvedValue(reply);
+    const updateOne = jest.spyOn(Message, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    const res = mockResponse();
+
+    await deleteMessage(deleteRequest(reply), res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(updateOne).toHaveBeenCalledTimes(2);
+    expect(updateOne).toHaveBeenNthCalledWith(
+      1,
+      { _id: reply._id, isDeleted: false },
+      expect.objectContaining({ isDeleted: true })
+    );
+    expect(updateOne).toHaveBeenNthCalledWith(2, { _id: rootId }, { $inc: { 'thread.replyCount': -1 } });
+  });
+
+  test('leaves the count alone when a concurrent request deleted the reply first', async () => {
+    const reply = threadReply();
+    jest.spyOn(Message, 'findOne').mockResolvedValue(reply);
+    const updateOne = jest.spyOn(Message, 'updateOne').mockResolvedValue({ modifiedCount: 0 });
+    const res = mockResponse();
+
+    await deleteMessage(deleteRequest(reply), res);
+
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(updateOne).toHaveBeenCalledTimes(1);
+    expect(syncService.record).not.toHaveBeenCalled();
+  });
+
+  test('does not touch any thread for messages in the main timeline', async () => {
+    const message = { ...threadReply(), threadRoot: null };
+    jest.spyOn(Message, 'findOne').mockResolvedValue(message);
+    const updateOne = jest.spyOn(Message, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    const res = mockResponse();
+
+    await deleteMessage(deleteRequest(message), res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(updateOne).toHaveBeenCalledTimes(1);
+  });
+
+  test('refuses to delete someone else\'s reply', async () => {
+    const reply = { ...threadReply(), sender: new mongoose.Types.ObjectId() };
+    jest.spyOn(Message, 'findOne').mockResolvedValue(reply);
+    const updateOne = jest.spyOn(Message, 'updateOne');
+    const res = mockResponse();
+
+    await deleteMessage(deleteRequest(reply), res);
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(updateOne).not.toHaveBeenCalled();
+  });
+});
+
+describe('purgeExpiredMessages thread reply counts', () => {
+  test('takes expired replies off their thread unless they were deleted before', async () => {
+    const expired = [
+      { ...threadReply(), content: { media: [] }, isDeleted: false },
+      { ...threadReply(), content: { media: [] }, isDeleted: true },
+      { ...threadReply(), threadRoot: null, content: { media: [] }, isDeleted: false }
+    ];
+    jest.spyOn(Message, 'find').mockReturnValue({
+      select: () => ({ limit: () => Promise.resolve(expired) })
+    });
+    jest.spyOn(Message, 'deleteMany').mockResolvedValue({ deletedCount: expired.length });
+    jest.spyOn(Conversation, 'updateMany').mockResolvedValue({ modifiedCount: 0 });
+    jest.spyOn(Conversation, 'findById').mockReturnValue({ select: () => Promise.resolve(null) });
+    jest.spyOn(syncService, 'recordMany').mockResolvedValue([]);
+    const updateOne = jest.spyOn(Message, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    await expect(backgroundJobManager.purgeExpiredMessages()).resolves.toBe(3);
+
+    expect(updateOne).toHaveBeenCalledTimes(1);
+    expect(updateOne).toHaveBeenCalledWith({ _id: rootId }, { $inc: { 'thread.replyCount': -1 } });
+  });
+});
@@ -0,0 +1,67 @@
+import { zonedTimeToUtc, parseTimeInZone, formatInTimeZone, isValidTimeZone } from '../utils/timezone.js';
+
+describe('zonedTimeToUtc', () => {
+  test('applies the offset in force at that date', () => {
+    expect(zonedTimeToUtc('2024-01-15T12:00', 'Europe/Berlin').toISOString()).toBe('2024-01-15T11:00:00.000Z');
+    expect(zonedTimeToUtc('2024-07-15T12:00', 'Europe/Berlin').toISOString()).toBe('2024-07-15T10:00:00.000Z');
+    expect(zonedTimeToUtc('2024-07-15T12:00:30', 'America/New_York').toISOString()).toBe('2024-07-15T16:00:30.000Z');
+  });
+
+  test('moves a time skipped by a daylight saving change past the gap', () => {
+    // Clocks in Berlin jump from 02:00 to 03:00, so 02:30 is read as 03:30 CEST
+    expect(zonedTimeToUtc('2024-03-31T02:30', 'Europe/Berlin').toISOString()).toBe('2024-03-31T01:30:00.000Z');
+    expect(zonedTimeToUtc('2024-03-10T02:30', 'America/New_York').toISOString()).toBe('2024-03-10T07:30:00.000Z');
+  });
+
+  test('takes the earlier instant for a time repeated by a daylight saving change', () => {
+    // 02:30 happens twice in Berlin: first in CEST (+02:00), then in CET (+01:00)
+    expect(zonedTimeToUtc('2024-10-27T02:30', 'Europe/Berlin').toISOString()).toBe('2024-10-27T00:30:00.000Z');
+    expect(zonedTimeToUtc('2024-11-03T01:30', 'America/New_York').toISOString()).toBe('2024-11-03T05:30:00.000Z');
+  });
+
+  test('rejects dates and times that do not exist on any calendar', () => {
+    expect(zonedTimeToUtc('2024-02-30T10:00', 'UTC')).toBeNull();
+    expect(zonedTimeToUtc('2024-01-01T24:00', 'UTC')).toBeNull();
+    expect(zonedTimeToUtc('2024-01-01 10:00', 'UTC')).toBeNull();
+    expect(zonedTimeToUtc(undefined, 'UTC')).toBeNull();
+  });
+});
+
+describe('parseTimeInZone', () => {
+  test('keeps times that carry their own offset', () => {
+    expect(parseTimeInZone('2024-03-31T02:30:00Z', 'Europe/Berlin').toISOString()).toBe('2024-03-31T02:30:00.000Z');
+    expect(parseTimeInZone('2024-03-31T02:30:00+05:30', 'Europe/Berlin').toISOString()).toBe('2024-03-30T21:00:00.000Z');
+  });
+
+  test('reads local times in the given zone, UTC by default', () => {
+    expect(parseTimeInZone('2024-10-27T02:30', 'Europe/Berlin').toISOString()).toBe('2024-10-27T00:30:00.000Z');
+    expect(parseTimeInZone('2024-10-27T02:30').toISOString()).toBe('2024-10-27T02:30:00.000Z');
+  });
+
+  test('returns null for values that are not times', () => {
+    expect(parseTimeInZone('tomorrow', 'UTC')).toBeNull();
+    expect(parseTimeInZone('', 'UTC')).toBeNull();
+    expect(parseTimeInZone(null)).toBeNull();
+  });
+});
+
+describe('formatInTimeZone', () => {
+  test('round-trips with zonedTimeToUtc outside daylight saving changes', () => {
+    const date = zonedTimeToUtc('2024-06-01T09:15', 'Asia/Kolkata');
+    expect(formatInTimeZone(date, 'Asia/Kolkata')).toBe('2024-06-01T09:15');
+  });
+
+  test('shows the wall clock after a skipped time was moved past the gap', () => {
+    const date = zonedTimeToUtc('2024-03-31T02:30', 'Europe/Berlin');
+    expect(formatInTimeZone(date, 'Europe/Berlin')).toBe('2024-03-31T03:30');
+  });
+});
+
+describe('isValidTimeZone', () => {
+  test('accepts IANA names and rejects anything else', () => {
+    expect(isValidTimeZone('Europe/Berlin')).toBe(true);
+    expect(isValidTimeZone('Mars/Olympus_Mons')).toBe(false);
+    expect(isValidTimeZone('')).toBe(false);
+    expect(isValidTimeZone(undefined)).toBe(false);
+  });
+});
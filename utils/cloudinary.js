@@ -10,4 +10,34 @@ cloudinary.config({
   api_secret: process.env.CLOUDINARY_API_SECRET,
 });
 
-export default cloudinary
\ No newline at end of file
+export default cloudinary
+
+// Work out the public id and resource type of an asset from its delivery URL,
+// e.g. https://res.cloudinary.com/demo/video/upload/v1712/chat/voice.m4a
+export const parseCloudinaryUrl = (url) => {
+  const match = /res\.cloudinary\.com\/[^/]+\/(image|video|raw)\/upload\/(.+)$/.exec(url || "");
+  if (!match) return null;
+
+  const [, resourceType, rest] = match;
+  const segments = rest.split("?")[0].split("/");
+
+  // Anything before the version segment is a transformation
+  const versionIndex = segments.findIndex((segment) => /^v\d+$/.test(segment));
+  const path = segments.slice(versionIndex + 1).join("/");
+
+  // Raw assets keep their extension as part of the public id
+  const publicId = resourceType === "raw" ? path : path.replace(/\.[^/.]+$/, "");
+
+  return { publicId, resourceType };
+};
+
+// Delete an uploaded asset by its URL; returns false for non-Cloudinary URLs
+export const deleteByUrl = async (url, publicId) => {
+  const parsed = parseCloudinaryUrl(url);
+  if (!parsed) return false;
+
+  const result = await cloudinary.uploader.destroy(publicId || parsed.publicId, {
+    resource_type: parsed.resourceType,
+  });
+  return result.result === "ok";
+};
@@ -0,0 +1,134 @@
+// Envelope encryption for message content at rest. Every conversation gets its own
+// data keys, stored wrapped (encrypted) by a master key from the environment, so a
+// copy of the database alone is not enough to read messages.
+//
+// MESSAGE_ENCRYPTION_KEY      current master key, 32 bytes as base64
+// MESSAGE_ENCRYPTION_KEY_ID   name recorded next to keys it wraps (default "1")
+// MESSAGE_ENCRYPTION_OLD_KEYS retired master keys as "id:base64,id:base64", kept
+//                             until the rotation job has rewrapped every data key
+import crypto from "crypto";
+
+const ALGORITHM = "aes-256-gcm";
+const KEY_BYTES = 32;
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+const TOKEN_BYTES = 16;
+
+// Sealed values name the conversation and key version they were sealed with,
+// so they can be opened wherever they turn up: queries, populates or aggregates
+const SEALED_PATTERN = /^enc:([a-f0-9]{24}):(\d+):([A-Za-z0-9+/]+={0,2})$/;
+
+let masterKeys = null;
+
+const parseMasterKey = (value, name) => {
+  const key = Buffer.from(value || "", "base64");
+  if (key.length !== KEY_BYTES) {
+    throw new Error(`${name} must be ${KEY_BYTES} bytes encoded as base64`);
+  }
+  return key;
+};
+
+// Read master keys from the environment on first use
+const loadMasterKeys = () => {
+  if (masterKeys) return masterKeys;
+
+  const keys = new Map();
+  let currentId = null;
+
+  if (process.env.MESSAGE_ENCRYPTION_KEY) {
+    currentId = process.env.MESSAGE_ENCRYPTION_KEY_ID || "1";
+    keys.set(currentId, parseMasterKey(process.env.MESSAGE_ENCRYPTION_KEY, "MESSAGE_ENCRYPTION_KEY"));
+  }
+
+  (process.env.MESSAGE_ENCRYPTION_OLD_KEYS || "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .forEach((entry) => {
+      const [id, value] = entry.split(":");
+      if (!keys.has(id)) {
+        keys.set(id, parseMasterKey(value, `MESSAGE_ENCRYPTION_OLD_KEYS entry "${id}"`));
+      }
+    });
+
+  masterKeys = { currentId, keys };
+  return masterKeys;
+};
+
+const encrypt = (key, plaintext, aad) => {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  cipher.setAAD(Buffer.from(aad));
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString("base64");
+};
+
+const decrypt = (key, payload, aad) => {
+  const data = Buffer.from(payload, "base64");
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, data.subarray(0, IV_BYTES));
+  decipher.setAAD(Buffer.from(aad));
+  decipher.setAuthTag(data.subarray(IV_BYTES, IV_BYTES + TAG_BYTES));
+  return Buffer.concat([decipher.update(data.subarray(IV_BYTES + TAG_BYTES)), decipher.final()]);
+};
+
+// New messages are only sealed when a current master key is configured
+export const isEncryptionEnabled = () => loadMasterKeys().currentId !== null;
+
+export const currentMasterKeyId = () => loadMasterKeys().currentId;
+
+export const generateDataKey = () => crypto.randomBytes(KEY_BYTES);
+
+// Wrap a data key with the current master key
+export const wrapKey = (dataKey) => {
+  const { currentId, keys } = loadMasterKeys();
+  if (!currentId) {
+    throw new Error("MESSAGE_ENCRYPTION_KEY is not configured");
+  }
+
+  return {
+    wrappedKey: encrypt(keys.get(currentId), dataKey, `master:${currentId}`),
+    masterKeyId: currentId,
+  };
+};
+
+// Unwrap a data key with whichever master key wrapped it
+export const unwrapKey = ({ wrappedKey, masterKeyId }) => {
+  const masterKey = loadMasterKeys().keys.get(masterKeyId);
+  if (!masterKey) {
+    throw new Error(`Master key "${masterKeyId}" is not configured`);
+  }
+  return decrypt(masterKey, wrappedKey, `master:${masterKeyId}`);
+};
+
+// Split a sealed value into its parts, or null when it is not one
+export const parseSealed = (value) => {
+  if (typeof value !== "string") return null;
+
+  const match = SEALED_PATTERN.exec(value);
+  if (!match) return null;
+
+  return { conversationId: match[1], version: Number(match[2]), payload: match[3] };
+};
+
+// Seal a string with a conversation's data key. The conversation and version are
+// authenticated too, so a value copied into another conversation will not open
+export const sealString = (dataKey, conversationId, version, plaintext) => {
+  const aad = `${conversationId}:${version}`;
+  return `enc:${conversationId}:${version}:${encrypt(dataKey, Buffer.from(plaintext, "utf8"), aad)}`;
+};
+
+// Open a value from parseSealed(); throws when the key is wrong or it was tampered with
+export const openString = (dataKey, { conversationId, version, payload }) =>
+  decrypt(dataKey, payload, `${conversationId}:${version}`).toString("utf8");
+
+// Lowercased words of two or more letters or digits, without repeats
+export const tokenize = (text) => [
+  ...new Set((String(text || "").normalize("NFKC").toLowerCase().match(/[\p{L}\p{N}]{2,}/gu) || [])),
+];
+
+// Keyed hashes of the words in a text. Sealed messages store these instead of
+// readable words so whole-word search still works without the plaintext
+export const blindTokens = (searchKey, text) =>
+  tokenize(text).map((word) =>
+    crypto.createHmac("sha256", searchKey).update(word).digest().subarray(0, TOKEN_BYTES).toString("base64url")
+  );
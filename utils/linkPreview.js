@@ -0,0 +1,232 @@
+// Link previews for URLs in message text. The fetcher is pluggable so tests and
+// offline environments can swap in a stub with setLinkPreviewFetcher().
+import dns from "dns";
+import http from "http";
+import https from "https";
+import net from "net";
+import { extractUrls } from "./contentAnalysis.js";
+
+const MAX_PREVIEWS_PER_MESSAGE = 3;
+const FETCH_TIMEOUT_MS = 5000;
+const MAX_REDIRECTS = 3;
+const MAX_HTML_BYTES = 512 * 1024;
+const CACHE_TTL_MS = 60 * 60 * 1000;
+const CACHE_SIZE = 500;
+
+const cache = new Map(); // url -> { preview, expiresAt }
+
+// Loopback, private, link-local and other internal ranges. IPv6 forms that
+// embed an IPv4 address (mapped, NAT64, 6to4) are refused as a whole, so an
+// internal address cannot be written as one of those instead. The families have
+// separate lists: a BlockList also matches IPv4 addresses against mapped IPv6 rules
+const internalIPv4 = new net.BlockList();
+const internalIPv6 = new net.BlockList();
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 3],
+].forEach(([network, prefix]) => internalIPv4.addSubnet(network, prefix, "ipv4"));
+[
+  ["::", 96], // unspecified, loopback and IPv4-compatible
+  ["::ffff:0:0", 96], // IPv4-mapped
+  ["64:ff9b::", 96], // NAT64
+  ["2002::", 16], // 6to4
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+].forEach(([network, prefix]) => internalIPv6.addSubnet(network, prefix, "ipv6"));
+
+const isPrivateAddress = (address) =>
+  net.isIPv6(address) ? internalIPv6.check(address, "ipv6") : internalIPv4.check(address, "ipv4");
+
+// DNS lookup for preview requests that refuses hosts resolving to internal
+// addresses. It runs when the connection is made, so a host cannot pass a check
+// with a public address and then be connected to at an internal one
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    if (addresses.length === 0 || addresses.some(({ address }) => isPrivateAddress(address))) {
+      const refused = new Error(`${hostname} resolves to an internal address`);
+      refused.code = "EADDRNOTPUBLIC";
+      return callback(refused);
+    }
+
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+// Only fetch http(s) URLs of public hosts. Host names are resolved by publicLookup;
+// IP addresses are never looked up, so they are checked here
+const isFetchable = (url) => {
+  if (!["http:", "https:"].includes(url.protocol)) return false;
+
+  const hostname = url.hostname.replace(/^\[|\]$/g, "");
+  if (hostname === "localhost" || hostname.endsWith(".local")) return false;
+
+  return !net.isIP(hostname) || !isPrivateAddress(hostname);
+};
+
+// GET a URL, connecting only to public addresses
+const request = (url) =>
+  new Promise((resolve, reject) => {
+    const client = url.protocol === "https:" ? https : http;
+    client
+      .get(
+        url,
+        {
+          lookup: publicLookup,
+          signal: AbortSignal.timeout(FETCH_TIMEOUT_MS),
+          headers: { "User-Agent": "Mozilla/5.0 (compatible; LinkPreviewBot/1.0)", Accept: "text/html" },
+        },
+        resolve
+      )
+      .on("error", reject);
+  });
+
+const decodeEntities = (text) =>
+  text
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&#x27;/g, "'")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&amp;/g, "&");
+
+// Read a <meta property|name="key" content="..."> value in either attribute order
+const readMeta = (html, key) => {
+  const patterns = [
+    new RegExp(`<meta[^>]+(?:property|name)=["']${key}["'][^>]*content=["']([^"']*)["']`, "i"),
+    new RegExp(`<meta[^>]+content=["']([^"']*)["'][^>]*(?:property|name)=["']${key}["']`, "i"),
+  ];
+
+  for (const pattern of patterns) {
+    const match = pattern.exec(html);
+    if (match && match[1].trim()) return decodeEntities(match[1].trim());
+  }
+  return undefined;
+};
+
+// Build a preview from a page's Open Graph tags, falling back to <title>
+export const parseLinkPreview = (url, html) => {
+  const titleTag = /<title[^>]*>([^<]*)<\/title>/i.exec(html);
+  const title = readMeta(html, "og:title") || (titleTag && decodeEntities(titleTag[1].trim()));
+  if (!title) return null;
+
+  let image = readMeta(html, "og:image");
+  if (image) {
+    try {
+      image = new URL(image, url).toString();
+    } catch {
+      image = undefined;
+    }
+  }
+
+  return {
+    url,
+    title: title.slice(0, 300),
+    description: (readMeta(html, "og:description") || readMeta(html, "description") || "").slice(0, 500),
+    image,
+    siteName: readMeta(html, "og:site_name") || new URL(url).hostname,
+  };
+};
+
+// Default fetcher: download the page over HTTP and read its metadata
+const httpFetcher = async (url) => {
+  let current = new URL(url);
+
+  for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+    if (!isFetchable(current)) return null;
+
+    const response = await request(current);
+
+    // Follow redirects by hand so every hop goes through the address checks
+    if (response.statusCode >= 300 && response.statusCode < 400 && response.headers.location) {
+      response.resume();
+      current = new URL(response.headers.location, current);
+      continue;
+    }
+
+    if (
+      response.statusCode < 200 ||
+      response.statusCode >= 300 ||
+      !(response.headers["content-type"] || "").includes("text/html")
+    ) {
+      response.destroy();
+      return null;
+    }
+
+    const chunks = [];
+    let received = 0;
+    for await (const chunk of response) {
+      chunks.push(chunk);
+      received += chunk.length;
+      if (received >= MAX_HTML_BYTES) break;
+    }
+    response.destroy();
+
+    return parseLinkPreview(current.toString(), Buffer.concat(chunks).toString("utf8"));
+  }
+
+  return null;
+};
+
+let fetcher = httpFetcher;
+
+// Replace how previews are fetched; pass null to restore the HTTP fetcher.
+// A fetcher takes a URL and resolves to { url, title, description, image, siteName } or null
+export const setLinkPreviewFetcher = (customFetcher) => {
+  fetcher = customFetcher || httpFetcher;
+  cache.clear();
+};
+
+// Fetch one preview, cached for an hour; failures are cached as null
+export const getLinkPreview = async (url) => {
+  const cached = cache.get(url);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.preview;
+  }
+
+  let preview = null;
+  try {
+    preview = await fetcher(url);
+  } catch (error) {
+    console.error(`Error fetching link preview for ${url}:`, error.message);
+  }
+
+  if (cache.size >= CACHE_SIZE) {
+    cache.delete(cache.keys().next().value);
+  }
+  cache.set(url, { preview, expiresAt: Date.now() + CACHE_TTL_MS });
+
+  return preview;
+};
+
+// Previews for the first few distinct links in a piece of text
+export const getLinkPreviews = async (text) => {
+  const urls = [
+    ...new Set(
+      extractUrls(text)
+        // Trailing punctuation usually belongs to the sentence, not the link
+        .map((url) => url.replace(/[.,!?;:)\]]+$/, ""))
+        .map((url) => (url.startsWith("www.") ? `https://${url}` : url))
+        .filter((url) => {
+          try {
+            return !!new URL(url);
+          } catch {
+            return false;
+          }
+        })
+    ),
+  ].slice(0, MAX_PREVIEWS_PER_MESSAGE);
+
+  const previews = await Promise.all(urls.map(getLinkPreview));
+  return previews.filter(Boolean);
+};
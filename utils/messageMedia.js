@@ -0,0 +1,113 @@
+// Helpers for voice notes and file attachments sent in messages
+
+// Base64 grows files by a third, so this keeps uploads under the 10mb JSON body limit
+export const MAX_ATTACHMENT_BYTES = 7 * 1024 * 1024;
+export const MAX_VOICE_NOTE_SECONDS = 10 * 60;
+
+// Number of bars kept in a voice note's waveform summary
+export const WAVEFORM_BARS = 64;
+
+export const VOICE_NOTE_MIME_TYPES = [
+  "audio/webm",
+  "audio/ogg",
+  "audio/mpeg",
+  "audio/mp4",
+  "audio/aac",
+  "audio/wav",
+  "audio/x-m4a",
+];
+
+// Allowed document types: the extensions they may use and the bytes they start with
+const ATTACHMENT_TYPES = {
+  "application/pdf": { extensions: ["pdf"], signature: "%PDF" },
+  "application/msword": { extensions: ["doc"], signature: "\xD0\xCF\x11\xE0" },
+  "application/vnd.ms-excel": { extensions: ["xls"], signature: "\xD0\xCF\x11\xE0" },
+  "application/vnd.ms-powerpoint": { extensions: ["ppt"], signature: "\xD0\xCF\x11\xE0" },
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document": {
+    extensions: ["docx"],
+    signature: "PK\x03\x04",
+  },
+  "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet": {
+    extensions: ["xlsx"],
+    signature: "PK\x03\x04",
+  },
+  "application/vnd.openxmlformats-officedocument.presentationml.presentation": {
+    extensions: ["pptx"],
+    signature: "PK\x03\x04",
+  },
+  "application/zip": { extensions: ["zip"], signature: "PK\x03\x04" },
+  "text/plain": { extensions: ["txt"], signature: null },
+  "text/csv": { extensions: ["csv"], signature: null },
+};
+
+// Split a data URI into its MIME type and decoded bytes
+export const decodeDataUri = (dataUri) => {
+  const match = /^data:([\w.+-]+\/[\w.+-]+)(?:;[\w=.-]+)*;base64,(.+)$/s.exec(dataUri || "");
+  if (!match) return null;
+
+  return {
+    mimeType: match[1].toLowerCase(),
+    buffer: Buffer.from(match[2], "base64"),
+  };
+};
+
+// Strip path separators and control characters from an uploaded filename
+export const sanitizeFilename = (filename) =>
+  String(filename || "")
+    .replace(/[\\/]/g, "_")
+    .replace(/[\x00-\x1f\x7f]/g, "")
+    .trim()
+    .slice(0, 255);
+
+// Check a document against the allowed types; returns an error message or null
+export const validateAttachment = ({ mimeType, buffer, filename }) => {
+  const allowed = ATTACHMENT_TYPES[mimeType];
+  if (!allowed) {
+    return "This file type is not supported";
+  }
+
+  if (buffer.length === 0) {
+    return "File is empty";
+  }
+
+  if (buffer.length > MAX_ATTACHMENT_BYTES) {
+    return `Files cannot exceed ${MAX_ATTACHMENT_BYTES / (1024 * 1024)}MB`;
+  }
+
+  const extension = filename.includes(".") ? filename.split(".").pop().toLowerCase() : "";
+  if (!allowed.extensions.includes(extension)) {
+    return `A ${mimeType} file must end in .${allowed.extensions.join(" or .")}`;
+  }
+
+  // The content has to match the declared type, not just the name
+  if (allowed.signature && buffer.toString("latin1", 0, allowed.signature.length) !== allowed.signature) {
+    return "File content does not match its type";
+  }
+
+  if (!allowed.signature && buffer.includes(0)) {
+    return "File content does not match its type";
+  }
+
+  return null;
+};
+
+// Reduce raw amplitude samples from the recorder to a fixed number of bars scaled 0-100
+export const summarizeWaveform = (samples, bars = WAVEFORM_BARS) => {
+  if (!Array.isArray(samples)) return [];
+
+  const values = samples
+    .map(Number)
+    .filter((value) => Number.isFinite(value))
+    .map(Math.abs);
+  if (values.length === 0) return [];
+
+  const bucketSize = values.length / Math.min(bars, values.length);
+  const peaks = [];
+  for (let start = 0; start < values.length; start += bucketSize) {
+    const bucket = values.slice(Math.floor(start), Math.floor(start + bucketSize));
+    peaks.push(Math.max(...bucket));
+  }
+
+  const loudest = Math.max(...peaks);
+  return peaks.map((peak) => (loudest === 0 ? 0 : Math.round((peak / loudest) * 100)));
+};
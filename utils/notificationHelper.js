@@ -1,4 +1,5 @@
 import Notification from '../models/Notification.js';
+import Page from '../models/Page.js';
 
 class NotificationHelper {
   // Create and send notification
@@ -63,6 +64,19 @@ class NotificationHelper {
     });
   }
 
+  static async notifyCommentReply(postId, commentId, repliedBy, commentAuthor) {
+    if (repliedBy.toString() === commentAuthor.toString()) return;
+
+    return this.createNotification({
+      recipient: commentAuthor,
+      sender: repliedBy,
+      type: 'comment_reply',
+      title: 'New Reply',
+      message: 'replied to your comment',
+      data: { postId, commentId }
+    });
+  }
+
   static async notifyFollow(followerId, followedId) {
     return this.createNotification({
       recipient: followedId,
@@ -110,14 +124,82 @@ class NotificationHelper {
     });
   }
 
-  static async notifyMention(postId, mentionedBy, mentionedUser) {
+  // contentLabel names what the mention is in: post, comment, story or reel comment
+  static async notifyMention(data, mentionedBy, mentionedUser, contentLabel = 'post') {
+    if (mentionedBy.toString() === mentionedUser.toString()) return;
+
     return this.createNotification({
       recipient: mentionedUser,
       sender: mentionedBy,
       type: 'mention',
       title: 'You were mentioned',
-      message: 'mentioned you in a post',
+      message: `mentioned you in a ${contentLabel}`,
+      data,
+      priority: 'high'
+    });
+  }
+
+  static async notifyPostTag(postId, taggedBy, taggedUser) {
+    if (taggedBy.toString() === taggedUser.toString()) return;
+
+    return this.createNotification({
+      recipient: taggedUser,
+      sender: taggedBy,
+      type: 'post_tag',
+      title: 'You were tagged',
+      message: 'tagged you in a post',
+      data: { postId }
+    });
+  }
+
+  static async notifyScheduledPostFailed(authorId, draftId, reason) {
+    return this.createNotification({
+      recipient: authorId,
+      sender: authorId,
+      type: 'system',
+      title: 'Scheduled Post Not Published',
+      message: `Your scheduled post could not be published: ${reason}`.substring(0, 500),
+      data: { metadata: { draftId } },
+      priority: 'high'
+    });
+  }
+
+  // Votes in anonymous polls are reported without the voter
+  static async notifyPollVote(postId, voterId, postAuthor, isAnonymous) {
+    if (voterId.toString() === postAuthor.toString()) return;
+
+    return this.createNotification({
+      recipient: postAuthor,
+      sender: isAnonymous ? postAuthor : voterId,
+      type: 'poll_vote',
+      title: 'New Poll Vote',
+      message: isAnonymous ? 'Someone voted in your poll' : 'voted in your poll',
       data: { postId },
+      priority: 'low'
+    });
+  }
+
+  static async notifyEventRsvp(postId, userId, host, eventTitle, status) {
+    if (userId.toString() === host.toString()) return;
+
+    return this.createNotification({
+      recipient: host,
+      sender: userId,
+      type: 'event_rsvp',
+      title: 'New RSVP',
+      message: `${status === 'going' ? 'is going to' : 'is interested in'} "${eventTitle}"`.substring(0, 500),
+      data: { postId }
+    });
+  }
+
+  static async notifyEventReminder(postId, host, attendeeId, eventTitle, startsAt) {
+    return this.createNotification({
+      recipient: attendeeId,
+      sender: host,
+      type: 'event_reminder',
+      title: 'Upcoming Event',
+      message: `"${eventTitle}" starts at ${startsAt.toISOString()}`.substring(0, 500),
+      data: { postId, metadata: { startsAt } },
       priority: 'high'
     });
   }
@@ -133,6 +215,31 @@ class NotificationHelper {
     });
   }
 
+  // A message sent from a page inbox comes from the page; its owner, who is public,
+  // stands in as the sender so the admin who wrote it is not revealed
+  static async notifyPageMessage(page, conversationId, messageId, recipientId) {
+    return this.createNotification({
+      recipient: recipientId,
+      sender: page.owner,
+      type: 'message',
+      title: 'New Message',
+      message: `${page.name} sent you a message`,
+      data: { conversationId, messageId, pageId: page._id }
+    });
+  }
+
+  static async notifyMissedCall(conversationId, callId, callerId, recipientId, callType) {
+    return this.createNotification({
+      recipient: recipientId,
+      sender: callerId,
+      type: 'missed_call',
+      title: 'Missed Call',
+      message: `You missed a ${callType} call`,
+      data: { conversationId, metadata: { callId, callType } },
+      priority: 'high'
+    });
+  }
+
   static async notifyGroupJoin(groupId, joinerId, adminId, groupName) {
     return this.createNotification({
       recipient: adminId,
@@ -144,6 +251,82 @@ class NotificationHelper {
     });
   }
 
+  static async notifyGroupRequestResponse(groupId, adminId, requesterId, groupName, approved) {
+    return this.createNotification({
+      recipient: requesterId,
+      sender: adminId,
+      type: 'group_request',
+      title: approved ? 'Join Request Approved' : 'Join Request Declined',
+      message: approved
+        ? `approved your request to join "${groupName}"`
+        : `declined your request to join "${groupName}"`,
+      data: { groupId },
+      priority: approved ? 'high' : 'medium'
+    });
+  }
+
+  static async notifyGroupRoleChange(groupId, adminId, memberId, groupName, role) {
+    return this.createNotification({
+      recipient: memberId,
+      sender: adminId,
+      type: 'group_role',
+      title: 'Group Role Updated',
+      message: `changed your role in "${groupName}" to ${role}`,
+      data: { groupId, metadata: { role } }
+    });
+  }
+
+  static async notifyGroupOwnershipTransfer(groupId, previousOwnerId, newOwnerId, groupName) {
+    return this.createNotification({
+      recipient: newOwnerId,
+      sender: previousOwnerId,
+      type: 'group_role',
+      title: 'Group Ownership Transferred',
+      message: `made you the owner of "${groupName}"`,
+      data: { groupId, metadata: { role: 'owner' } },
+      priority: 'high'
+    });
+  }
+
+  static async notifyGroupBan(groupId, adminId, memberId, groupName, banned) {
+    return this.createNotification({
+      recipient: memberId,
+      sender: adminId,
+      type: 'group_ban',
+      title: banned ? 'Banned From Group' : 'Unbanned From Group',
+      message: banned
+        ? `banned you from "${groupName}"`
+        : `lifted your ban from "${groupName}"`,
+      data: { groupId },
+      priority: 'high'
+    });
+  }
+
+  static async notifyGroupRemoval(groupId, adminId, memberId, groupName) {
+    return this.createNotification({
+      recipient: memberId,
+      sender: adminId,
+      type: 'group_removal',
+      title: 'Removed From Group',
+      message: `removed you from "${groupName}"`,
+      data: { groupId },
+      priority: 'high'
+    });
+  }
+
+  static async notifyGroupPostReview(groupId, postId, reviewerId, authorId, groupName, approved, reason = '') {
+    return this.createNotification({
+      recipient: authorId,
+      sender: reviewerId,
+      type: 'group_post',
+      title: approved ? 'Post Approved' : 'Post Declined',
+      message: approved
+        ? `approved your post in "${groupName}"`
+        : `declined your post in "${groupName}"`,
+      data: { groupId, postId, metadata: { approved, reason } }
+    });
+  }
+
   static async notifyPageFollow(pageId, followerId, pageOwnerId, pageName) {
     return this.createNotification({
       recipient: pageOwnerId,
@@ -155,6 +338,182 @@ class NotificationHelper {
     });
   }
 
+  // Notify the people who moderate a page's comments about a new comment on it
+  static async notifyPageComment(pageId, commentId, commenterId, commentContent) {
+    try {
+      const page = await Page.findById(pageId);
+
+      if (!page || !page.settings?.notifyOnComment) {
+        return;
+      }
+
+      // Notify everyone who moderates the page's comments (if not self-comment)
+      const moderatorIds = [
+        page.owner,
+        ...page.admins.filter(admin => admin.role !== 'owner').map(admin => admin.user)
+      ].filter(userId =>
+        userId.toString() !== commenterId.toString() &&
+        page.can(userId, 'moderate_comments')
+      );
+
+      for (const moderatorId of moderatorIds) {
+        await this.createNotification({
+          recipient: moderatorId,
+          sender: commenterId,
+          type: 'page_comment',
+          title: 'New Page Comment',
+          message: `commented on your page "${page.name}"`,
+          data: {
+            pageId: page._id,
+            pageName: page.name,
+            commentId: commentId,
+            commentContent: commentContent.substring(0, 100) // Limit content length
+          }
+        });
+      }
+    } catch (error) {
+      console.error('Error sending page comment notification:', error);
+    }
+  }
+
+  // Notify a page's followers about a new post on it
+  static async notifyPagePost(pageId, postId, postAuthorId, postContent) {
+    try {
+      const page = await Page.findById(pageId);
+
+      if (!page) {
+        return;
+      }
+
+      // Notify all page followers about new post
+      const followersToNotify = page.followers.filter(followerId =>
+        followerId.toString() !== postAuthorId.toString()
+      );
+
+      for (const followerId of followersToNotify) {
+        await this.createNotification({
+          recipient: followerId,
+          sender: postAuthorId,
+          type: 'page_post',
+          title: 'New Page Post',
+          message: `posted on "${page.name}"`,
+          data: {
+            pageId: page._id,
+            pageName: page.name,
+            postId: postId,
+            postContent: postContent.substring(0, 100) // Limit content length
+          }
+        });
+      }
+    } catch (error) {
+      console.error('Error sending page post notification:', error);
+    }
+  }
+
+  static async notifyReportReviewed(reporterId, moderatorId, targetType, actionTaken) {
+    const label = targetType.replace('_', ' ');
+    return this.createNotification({
+      recipient: reporterId,
+      sender: moderatorId,
+      type: 'system',
+      title: 'Report Reviewed',
+      message: actionTaken
+        ? `Thanks for your report. We reviewed the ${label} and took action.`
+        : `Thanks for your report. We reviewed the ${label} and found it doesn't break our rules.`,
+      data: { metadata: { targetType, actionTaken } }
+    });
+  }
+
+  static async notifyAdReview(advertiserId, reviewerId, adTitle, approved, feedback = '') {
+    return this.createNotification({
+      recipient: advertiserId,
+      sender: reviewerId,
+      type: 'system',
+      title: approved ? 'Ad Approved' : 'Ad Rejected',
+      message: approved
+        ? `Your ad "${adTitle}" was approved and can now run`
+        : `Your ad "${adTitle}" was rejected`,
+      data: { metadata: { approved, feedback } }
+    });
+  }
+
+  static async notifyAccountSuspended(userId, moderatorId, scope, endsAt) {
+    const label = scope === 'full' ? 'Your account has' : `Your ${scope} access has`;
+    return this.createNotification({
+      recipient: userId,
+      sender: moderatorId,
+      type: 'system',
+      title: 'Account Restricted',
+      message: endsAt
+        ? `${label} been suspended until ${endsAt.toISOString()}. You can appeal this decision.`
+        : `${label} been suspended. You can appeal this decision.`,
+      data: { metadata: { scope, endsAt } },
+      priority: 'high'
+    });
+  }
+
+  static async notifySuspensionLifted(userId, senderId, scope) {
+    return this.createNotification({
+      recipient: userId,
+      sender: senderId,
+      type: 'system',
+      title: 'Restriction Lifted',
+      message: scope === 'full'
+        ? 'Your account suspension has ended'
+        : `Your ${scope} suspension has ended`,
+      data: { metadata: { scope } }
+    });
+  }
+
+  static async notifyAppealReviewed(userId, moderatorId, approved) {
+    return this.createNotification({
+      recipient: userId,
+      sender: moderatorId,
+      type: 'system',
+      title: approved ? 'Appeal Approved' : 'Appeal Rejected',
+      message: approved
+        ? 'Your appeal was approved and the suspension has been lifted'
+        : 'Your appeal was reviewed and the suspension remains in place',
+      data: { metadata: { approved } }
+    });
+  }
+
+  static async notifyPageAdminInvite(pageId, inviterId, inviteeId, pageName, role) {
+    return this.createNotification({
+      recipient: inviteeId,
+      sender: inviterId,
+      type: 'page_admin',
+      title: 'Page Role Invitation',
+      message: `invited you to be ${role === 'admin' ? 'an' : 'a'} ${role} of "${pageName}"`,
+      data: { pageId, metadata: { role } },
+      priority: 'high'
+    });
+  }
+
+  static async notifyPageAdminInviteResponse(pageId, inviteeId, inviterId, pageName, accepted) {
+    return this.createNotification({
+      recipient: inviterId,
+      sender: inviteeId,
+      type: 'page_admin',
+      title: accepted ? 'Page Invitation Accepted' : 'Page Invitation Declined',
+      message: `${accepted ? 'accepted' : 'declined'} your invitation to help manage "${pageName}"`,
+      data: { pageId, metadata: { accepted } }
+    });
+  }
+
+  static async notifyPageAdminRoleChange(pageId, actorId, adminId, pageName, role) {
+    return this.createNotification({
+      recipient: adminId,
+      sender: actorId,
+      type: 'page_admin',
+      title: role ? 'Page Role Updated' : 'Removed From Page',
+      message: role
+        ? `changed your role on "${pageName}" to ${role}`
+        : `removed you from the admins of "${pageName}"`,
+      data: { pageId, metadata: { role } }
+    });
+  }
+
   static async notifyProductInterest(productId, interestedUserId, sellerId, productTitle) {
     return this.createNotification({
       recipient: sellerId,
@@ -0,0 +1,294 @@
+import Post from "../models/Post.js";
+import User from "../models/User.js";
+import Group from "../models/Group.js";
+import Page from "../models/Page.js";
+import ContentAnalyzer from "../services/ContentAnalyzer.js";
+import MediaCreation from "../services/MediaCreation.js";
+import postTypeService from "../services/PostTypeService.js";
+import hashtagService from "../services/HashtagService.js";
+import { getFileCategory, getMimeTypeFromBase64 } from "../services/ImageUrlCreate.js";
+import NotificationHelper from "./notificationHelper.js";
+import cloudinary from "./cloudinary.js";
+import { getLocationName } from "./location.js";
+import { isValidTimeZone, parseTimeInZone, formatInTimeZone } from "./timezone.js";
+import { buildSuspensionError } from "./suspension.js";
+
+const contentAnalyzer = new ContentAnalyzer();
+
+const MAX_TAGS = 50;
+const MAX_SCHEDULE_DAYS = 180;
+
+// Work out where a post goes and whether it needs group approval, checking the
+// author may post there. Returns { error: { status, message } } or { target }
+export const resolvePostTarget = async ({ authorId, actingPageId, pageId, groupId }) => {
+  const target = { page: null, authorPage: null, group: null, approval: { status: "approved" } };
+
+  if (actingPageId && (groupId || (pageId && pageId.toString() !== actingPageId.toString()))) {
+    return { error: { status: 400, message: "A page can only publish posts to its own timeline" } };
+  }
+
+  if (actingPageId || pageId) {
+    const page = await Page.findById(actingPageId || pageId);
+    if (!page || !page.isActive) {
+      return { error: { status: 404, message: "Page not found" } };
+    }
+
+    if (!page.can(authorId, "post_as_page")) {
+      return { error: { status: 403, message: "You do not have permission to post on this page" } };
+    }
+
+    target.page = page._id;
+    if (actingPageId) {
+      target.authorPage = page._id;
+    }
+  }
+
+  if (groupId) {
+    const group = await Group.findById(groupId);
+    if (!group || !group.isActive) {
+      return { error: { status: 404, message: "Group not found" } };
+    }
+
+    const member = group.getMember(authorId);
+    if (!member || member.status !== "active") {
+      return { error: { status: 403, message: "You must be a member of the group to post there" } };
+    }
+
+    const isGroupStaff = ["admin", "moderator"].includes(member.role);
+    if (!isGroupStaff && !group.settings.allowMemberPosts) {
+      return { error: { status: 403, message: "Only group admins and moderators can post in this group" } };
+    }
+
+    target.group = group._id;
+
+    // Member posts wait in the moderation queue when approval is required
+    if (!isGroupStaff && group.settings.requirePostApproval) {
+      target.approval = { status: "pending" };
+    }
+  }
+
+  return { target };
+};
+
+// Check the users tagged in a post. Returns { error } or { tags }; with dropInvalid,
+// users who no longer exist or are blocked are left out instead
+export const resolvePostTags = async (authorId, tagIds = [], { dropInvalid = false } = {}) => {
+  const ids = [...new Set((Array.isArray(tagIds) ? tagIds : []).map((id) => id.toString()))].filter(
+    (id) => id !== authorId.toString()
+  );
+
+  if (ids.length > MAX_TAGS) {
+    return { error: { status: 400, message: `You can tag at most ${MAX_TAGS} people` } };
+  }
+  if (ids.length === 0) {
+    return { tags: [] };
+  }
+
+  let users;
+  try {
+    users = await User.find({ _id: { $in: ids }, isActive: { $ne: false } }).select("_id");
+  } catch (error) {
+    return { error: { status: 400, message: "Invalid tagged user id" } };
+  }
+
+  const blockedIds = new Set((await User.getBlockedUserIds(authorId)).map((id) => id.toString()));
+  const tags = users.map((user) => user._id).filter((id) => !blockedIds.has(id.toString()));
+
+  if (!dropInvalid && tags.length !== ids.length) {
+    return { error: { status: 400, message: "Some tagged users cannot be tagged" } };
+  }
+
+  return { tags };
+};
+
+// Location of a post from coordinates, or undefined without them
+export const buildPostLocation = async (latitude, longitude) => {
+  if (!latitude || !longitude) return undefined;
+
+  const locationName = await getLocationName(latitude, longitude);
+  return {
+    name: locationName,
+    coordinates: {
+      latitude,
+      longitude,
+    },
+  };
+};
+
+// Upload base64 media files for a post
+export const uploadPostMedia = async (mediaFiles, authorId) => {
+  const mediaPromises = mediaFiles.map(async (base64Data) => {
+    const mimeType = getMimeTypeFromBase64(base64Data);
+    const fileCategory = getFileCategory(mimeType);
+
+    const result = await cloudinary.uploader.upload(base64Data, {
+      resource_type: fileCategory,
+    });
+
+    // Create media record
+    await new MediaCreation().createMedia({
+      url: result.secure_url,
+      type: fileCategory,
+      size: result.bytes,
+      duration: fileCategory === "video" ? result.duration : 0,
+      caption: "",
+      author: authorId,
+    });
+
+    return {
+      type: fileCategory,
+      url: result.secure_url,
+      caption: "",
+      size: result.bytes,
+      duration: fileCategory === "video" ? result.duration : 0,
+    };
+  });
+
+  return Promise.all(mediaPromises);
+};
+
+// Work out when a scheduled post goes out. publishAt is either an ISO time with
+// an offset, or a local "YYYY-MM-DDTHH:mm" read in timezone (default UTC).
+// Returns { error } or { publishAt, timezone, localPublishAt }
+export const resolvePublishAt = (publishAt, timezone = "UTC", now = new Date()) => {
+  if (!isValidTimeZone(timezone)) {
+    return { error: { status: 400, message: "Invalid time zone" } };
+  }
+
+  const date = parseTimeInZone(publishAt, timezone);
+  if (!date) {
+    return { error: { status: 400, message: "Invalid publish time" } };
+  }
+  if (date <= now) {
+    return { error: { status: 400, message: "Publish time must be in the future" } };
+  }
+  if (date.getTime() - now.getTime() > MAX_SCHEDULE_DAYS * 24 * 60 * 60 * 1000) {
+    return { error: { status: 400, message: `Posts can be scheduled at most ${MAX_SCHEDULE_DAYS} days ahead` } };
+  }
+
+  return { publishAt: date, timezone, localPublishAt: formatInTimeZone(date, timezone) };
+};
+
+// Notify users tagged in a newly published post
+export const notifyPostTags = async (post) => {
+  for (const userId of post.tags || []) {
+    try {
+      await NotificationHelper.notifyPostTag(post._id, post.author, userId);
+    } catch (error) {
+      console.error("Error sending post tag notification:", error);
+    }
+  }
+};
+
+// Notify the users tagged or mentioned in a post once its audience can see it
+export const notifyPostAudience = async (post) => {
+  await notifyPostTags(post);
+  await hashtagService.notifyMentions(post.author, post.mentions, {
+    data: { postId: post._id },
+    audience: { itemType: "post", item: post },
+  });
+};
+
+// Create a post and do everything that comes with publishing it: pick up its
+// hashtags and mentions, add it to its group or page, notify page followers,
+// tagged and mentioned users and analyze the content
+export const publishPost = async (postData) => {
+  const { hashtags, mentions } = await hashtagService.analyzeText(postData.author, postData.content?.text);
+  const post = await Post.create({ ...postData, hashtags, mentions });
+  const isPendingApproval = post.approval?.status === "pending";
+
+  if (post.group && !isPendingApproval) {
+    await Group.findByIdAndUpdate(post.group, { $push: { posts: post._id } });
+  }
+
+  if (post.page) {
+    await Page.findByIdAndUpdate(post.page, { $push: { posts: post._id } });
+
+    // Send notification to page followers
+    await NotificationHelper.notifyPagePost(post.page, post._id, post.author, post.content.text || "");
+  }
+
+  if (!isPendingApproval) {
+    await notifyPostAudience(post);
+  }
+
+  // Analyze content for recommendations
+  contentAnalyzer.analyzeContent("post", post._id, post);
+
+  return post;
+};
+
+// Check the author of a draft may still post: their account is active and not
+// suspended from posting. Returns an error or null
+const checkDraftAuthor = async (authorId) => {
+  const author = await User.findById(authorId).select("isActive suspensions");
+  if (!author || author.isActive === false) {
+    return { status: 403, message: "The author's account is no longer active" };
+  }
+
+  const suspension = author.getActiveSuspension("posting");
+  if (suspension) {
+    return { status: 403, message: buildSuspensionError(suspension).message };
+  }
+
+  return null;
+};
+
+// Publish a draft claimed with PostDraft.claimForPublishing. The author's account
+// and rights are checked again, since they may have changed since it was scheduled.
+// Returns { post } or { error }
+export const publishDraft = async (draft) => {
+  const authorError = await checkDraftAuthor(draft.author);
+  const { error, target } = authorError
+    ? { error: authorError }
+    : await resolvePostTarget({
+        authorId: draft.author,
+        actingPageId: draft.authorPage,
+        pageId: draft.page,
+        groupId: draft.group,
+      });
+
+  // A poll's duration starts now, and an event may have started in the meantime
+  const typeResult = error ? {} : postTypeService.buildTypeFields(draft.typeInput || {});
+
+  if (error || typeResult.error) {
+    draft.status = "failed";
+    draft.failureReason = (error || typeResult.error).message;
+    await draft.save();
+    return { error: error || typeResult.error };
+  }
+
+  const { tags } = await resolvePostTags(draft.author, draft.tags, { dropInvalid: true });
+
+  let post = await Post.findById(draft.publishedPost);
+  if (!post) {
+    const { content, location } = draft.toObject();
+
+    try {
+      post = await publishPost({
+        _id: draft.publishedPost,
+        author: draft.author,
+        content: {
+          text: content.text,
+          media: (content.media || []).map(({ _id, ...item }) => item),
+        },
+        privacy: draft.privacy,
+        location: location?.coordinates?.latitude != null ? location : undefined,
+        tags,
+        ...target,
+        ...typeResult.fields,
+      });
+    } catch (publishError) {
+      // Another publisher created it first
+      if (publishError.code !== 11000) throw publishError;
+      post = await Post.findById(draft.publishedPost);
+    }
+  }
+
+  draft.status = "published";
+  draft.publishedAt = new Date();
+  draft.failureReason = undefined;
+  await draft.save();
+
+  return { post };
+};
@@ -0,0 +1,68 @@
+import NotificationHelper from "./notificationHelper.js";
+
+const SUSPENSION_SCOPES = ["full", "posting", "messaging", "marketplace"];
+
+// Human readable description of what a suspension scope blocks
+const SCOPE_LABELS = {
+  full: "",
+  posting: " from posting",
+  messaging: " from messaging",
+  marketplace: " from the marketplace",
+};
+
+// Build the error body returned when a suspension blocks an action, so
+// clients can explain the restriction and when it ends
+export const buildSuspensionError = (suspension) => {
+  const until = suspension.endsAt
+    ? `until ${suspension.endsAt.toISOString()}`
+    : "until further notice";
+
+  return {
+    status: "error",
+    code: "ACCOUNT_SUSPENDED",
+    message: `Your account is suspended${SCOPE_LABELS[suspension.scope]} ${until}.`,
+    restriction: {
+      suspensionId: suspension._id,
+      scope: suspension.scope,
+      reason: suspension.reason,
+      startsAt: suspension.startsAt,
+      endsAt: suspension.endsAt,
+    },
+  };
+};
+
+// Validate moderator input for a new suspension; returns an error message or null
+export const validateSuspensionInput = ({ scope = "full", durationHours } = {}) => {
+  if (!SUSPENSION_SCOPES.includes(scope)) {
+    return `Scope must be one of: ${SUSPENSION_SCOPES.join(", ")}`;
+  }
+
+  if (durationHours != null && !(Number(durationHours) > 0)) {
+    return "Duration must be a positive number of hours";
+  }
+
+  return null;
+};
+
+// Notify a user about a new suspension and push it to their open sockets
+export const announceSuspension = async (userId, moderatorId, suspension) => {
+  await NotificationHelper.notifyAccountSuspended(
+    userId,
+    moderatorId,
+    suspension.scope,
+    suspension.endsAt
+  );
+
+  if (global.socketHandlers) {
+    global.socketHandlers.notifySuspension(userId, suspension);
+  }
+};
+
+// Notify a user that one of their suspensions ended
+export const announceSuspensionLifted = async (userId, senderId, scope) => {
+  await NotificationHelper.notifySuspensionLifted(userId, senderId, scope);
+
+  if (global.socketHandlers) {
+    global.socketHandlers.notifySuspensionLifted(userId, scope);
+  }
+};
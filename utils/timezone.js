@@ -0,0 +1,73 @@
+// Wall-clock times in IANA time zones ("Europe/Berlin"), converted with the
+// runtime's Intl data so daylight saving changes are taken into account
+const DAY_MS = 24 * 60 * 60 * 1000;
+const LOCAL_DATE_TIME = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2}))?$/;
+
+export const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== "string" || !timeZone) return false;
+
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Difference between a time zone's wall clock and UTC at an instant, in milliseconds
+const getOffsetMs = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  }).formatToParts(date);
+  const value = Object.fromEntries(parts.map((part) => [part.type, Number(part.value)]));
+
+  const wallClock = Date.UTC(value.year, value.month - 1, value.day, value.hour, value.minute, value.second);
+  return wallClock - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+// Turn a local "YYYY-MM-DDTHH:mm[:ss]" in a time zone into a Date, or null when
+// it is not a real date
+export const zonedTimeToUtc = (localDateTime, timeZone) => {
+  const match = LOCAL_DATE_TIME.exec(localDateTime || "");
+  if (!match) return null;
+
+  const [year, month, day, hour, minute, second] = match.slice(1).map((part) => Number(part || 0));
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+
+  const check = new Date(wallClock);
+  if (check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day || hour > 23 || minute > 59 || second > 59) {
+    return null;
+  }
+
+  // Try the offsets in force a day either side: an ambiguous time takes the
+  // earlier instant, one skipped by a daylight saving change the later one
+  const candidates = [-DAY_MS, DAY_MS].map(
+    (shift) => wallClock - getOffsetMs(new Date(wallClock + shift), timeZone)
+  );
+  const valid = candidates.filter(
+    (instant) => instant + getOffsetMs(new Date(instant), timeZone) === wallClock
+  );
+
+  return new Date(valid.length > 0 ? Math.min(...valid) : Math.max(...candidates));
+};
+
+// Read a time sent by a client: an ISO time with an offset is taken as is, a
+// local "YYYY-MM-DDTHH:mm" is read in timeZone. Returns null when it is not valid
+export const parseTimeInZone = (value, timeZone = "UTC") => {
+  const text = String(value || "");
+  const date = /(Z|[+-]\d{2}:?\d{2})$/i.test(text) ? new Date(text) : zonedTimeToUtc(text, timeZone);
+  return date && !Number.isNaN(date.getTime()) ? date : null;
+};
+
+// Format an instant as local "YYYY-MM-DDTHH:mm" in a time zone
+export const formatInTimeZone = (date, timeZone) => {
+  const local = new Date(date.getTime() + getOffsetMs(date, timeZone));
+  return local.toISOString().slice(0, 16);
+};